@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+
+/**
+ * wmi-nodejs-typegen
+ *
+ * Generate TypeScript row interfaces from WMI class schemas, either live
+ * (Windows) or from a schema dump saved earlier with --dump.
+ *
+ *     wmi-nodejs-typegen --namespace root/virtualization/v2 "Msvm_*" --dump hyperv-schema.json
+ *     wmi-nodejs-typegen --schema hyperv-schema.json --int64 bigint --out hyperv.d.ts
+ */
+
+const fs = require('fs');
+const { WmiClient } = require('..');
+const { generateTypes, dumpSchema } = require('../lib/schema/typegen');
+const { matchesClassName } = require('../lib/schema');
+
+const USAGE = `Usage: wmi-nodejs-typegen [options] [class ...]
+
+Generate TypeScript interfaces for WMI classes. Class names may contain
+* wildcards; without any, every class in the namespace is generated.
+
+Options:
+  -n, --namespace <ns>  Namespace to read schemas from (default root/cimv2)
+  -s, --schema <file>   Read schemas from a dump file instead of WMI
+  -d, --dump <file>     Also save the schemas to a dump file
+  -o, --out <file>      Write the declarations to a file instead of stdout
+      --int64 <mode>    Type 64-bit integers as number (default), bigint or string
+      --dates <mode>    Type datetimes as Date: all or known (default: strings)
+  -h, --help            Show this help
+`;
+
+const OPTIONS = {
+    '-n': 'namespace', '--namespace': 'namespace',
+    '-s': 'schema', '--schema': 'schema',
+    '-d': 'dump', '--dump': 'dump',
+    '-o': 'out', '--out': 'out',
+    '--int64': 'int64',
+    '--dates': 'dates'
+};
+
+class UsageError extends Error {}
+
+function parseArgs(argv) {
+    const args = { classes: [] };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '-h' || arg === '--help') {
+            args.help = true;
+        } else if (OPTIONS[arg]) {
+            if (i + 1 >= argv.length) throw new UsageError(`${arg} needs a value`);
+            args[OPTIONS[arg]] = argv[++i];
+        } else if (arg.startsWith('-')) {
+            throw new UsageError(`Unknown option ${arg}`);
+        } else {
+            args.classes.push(arg);
+        }
+    }
+    if (args.int64 && !['number', 'bigint', 'string'].includes(args.int64)) {
+        throw new UsageError('--int64 must be "number", "bigint" or "string"');
+    }
+    if (args.dates && !['all', 'known'].includes(args.dates)) {
+        throw new UsageError('--dates must be "all" or "known"');
+    }
+    return args;
+}
+
+function loadSchemas(args) {
+    const patterns = args.classes;
+    const wanted = name => patterns.length === 0 || patterns.some(pattern => matchesClassName(name, pattern));
+
+    if (args.schema) {
+        const saved = JSON.parse(fs.readFileSync(args.schema, 'utf8'));
+        return (Array.isArray(saved) ? saved : [saved]).map(dump => ({
+            namespace: dump.namespace,
+            classes: (dump.classes || []).filter(schema => wanted(schema.name))
+        }));
+    }
+
+    const client = new WmiClient({ namespace: args.namespace });
+    const names = client.listClasses().map(entry => entry.name).filter(wanted);
+    return [dumpSchema(client, names)];
+}
+
+function main(argv) {
+    let args;
+    try {
+        args = parseArgs(argv);
+    } catch (error) {
+        if (!(error instanceof UsageError)) throw error;
+        process.stderr.write(`wmi-nodejs-typegen: ${error.message}\n\n${USAGE}`);
+        return 2;
+    }
+    if (args.help) {
+        process.stdout.write(USAGE);
+        return 0;
+    }
+
+    const dumps = loadSchemas(args);
+    if (args.dump) {
+        fs.writeFileSync(args.dump, `${JSON.stringify(dumps.length === 1 ? dumps[0] : dumps, null, 2)}\n`);
+    }
+
+    const conversion = args.int64 || args.dates
+        ? { int64: args.int64 || 'number', dates: args.dates === 'all' ? true : args.dates === 'known' ? 'known' : false }
+        : undefined;
+    const output = generateTypes(dumps, { conversion });
+    if (args.out) {
+        fs.writeFileSync(args.out, output);
+    } else {
+        process.stdout.write(output);
+    }
+    return 0;
+}
+
+try {
+    process.exitCode = main(process.argv.slice(2));
+} catch (error) {
+    process.stderr.write(`wmi-nodejs-typegen: ${error.message}\n`);
+    process.exitCode = 1;
+}
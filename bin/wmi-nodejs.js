@@ -0,0 +1,303 @@
+#!/usr/bin/env node
+
+/**
+ * wmi-nodejs
+ *
+ * Run WQL queries and inspect WMI from the command line.
+ *
+ *     wmi-nodejs query "SELECT Name, ProcessId FROM Win32_Process" --format csv
+ *     wmi-nodejs describe Win32_Service
+ *     wmi-nodejs watch "SELECT * FROM __InstanceCreationEvent WITHIN 1 WHERE TargetInstance ISA 'Win32_Process'" -c TargetInstance.Name
+ *
+ * Results go to stdout and errors to stderr. Exit status is 0 on success,
+ * 1 when WMI or the connection fails and 2 for usage errors.
+ */
+
+const { WmiClient } = require('..');
+const { FORMATS, formatRows } = require('../lib/format');
+const { version } = require('../package.json');
+
+const USAGE = `Usage: wmi-nodejs <command> [options]
+
+Commands:
+  query <wql>           Run a WQL query
+  classes [pattern]     List the classes of the namespace; * matches any text
+  describe <class>      Show the properties and methods of a class
+  namespaces            List the namespaces below --namespace
+  watch <event-wql>     Print events as they arrive, until interrupted
+
+Options:
+  -n, --namespace <ns>  Namespace (default root/cimv2)
+  -f, --format <fmt>    table (default), json, ndjson or csv; watch: ndjson or csv
+  -c, --columns <list>  Comma-separated properties to output; a.b reads embedded objects
+  -t, --timeout <ms>    Query timeout in milliseconds
+      --server <host>   Remote computer
+  -u, --username <user> Account for the remote connection
+  -p, --password <pwd>  Password of the account; - reads it from stdin. Default
+                        with --username: the WMI_NODEJS_PASSWORD environment variable
+      --decode          query: add labels for coded values such as DriveType
+  -r, --recursive       namespaces: include nested namespaces
+      --count <n>       watch: stop after n events
+  -h, --help            Show this help
+  -v, --version         Show the version
+
+A password given on the command line is visible to other users of the
+machine; prefer WMI_NODEJS_PASSWORD or --password -.
+
+Exit status: 0 on success, 1 when WMI reports an error, 2 for usage errors.
+`;
+
+const OPTIONS = {
+    '-n': 'namespace', '--namespace': 'namespace',
+    '-f': 'format', '--format': 'format',
+    '-c': 'columns', '--columns': 'columns',
+    '-t': 'timeout', '--timeout': 'timeout',
+    '--server': 'server',
+    '-u': 'username', '--username': 'username',
+    '-p': 'password', '--password': 'password',
+    '--count': 'count'
+};
+
+const FLAGS = {
+    '-h': 'help', '--help': 'help',
+    '-v': 'version', '--version': 'version',
+    '-r': 'recursive', '--recursive': 'recursive',
+    '--decode': 'decode'
+};
+
+/** Positional arguments by command: [required, optional]. */
+const COMMANDS = {
+    query: [1, 0],
+    classes: [0, 1],
+    describe: [1, 0],
+    namespaces: [0, 0],
+    watch: [1, 0]
+};
+
+class UsageError extends Error {}
+
+function parseCount(value, option) {
+    if (!/^\d+$/.test(value)) throw new UsageError(`${option} must be a whole number`);
+    return Number(value);
+}
+
+function parseArgs(argv) {
+    const args = { positional: [] };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const inline = /^(--[^=]+)=(.*)$/.exec(arg);
+        if (FLAGS[arg]) {
+            args[FLAGS[arg]] = true;
+        } else if (OPTIONS[arg] || (inline && OPTIONS[inline[1]])) {
+            if (inline) {
+                args[OPTIONS[inline[1]]] = inline[2];
+            } else {
+                if (i + 1 >= argv.length) throw new UsageError(`${arg} needs a value`);
+                args[OPTIONS[arg]] = argv[++i];
+            }
+        } else if (arg.startsWith('-') && arg !== '-') {
+            throw new UsageError(`Unknown option ${arg}`);
+        } else {
+            args.positional.push(arg);
+        }
+    }
+    if (args.help || args.version) return args;
+
+    args.command = args.positional.shift();
+    if (!args.command) throw new UsageError('No command given');
+    const arity = COMMANDS[args.command];
+    if (!arity) throw new UsageError(`Unknown command ${args.command}`);
+    if (args.positional.length < arity[0]) throw new UsageError(`${args.command} needs an argument`);
+    if (args.positional.length > arity[0] + arity[1]) {
+        throw new UsageError(`Too many arguments for ${args.command}; quote the WQL text`);
+    }
+
+    const formats = args.command === 'watch' ? ['ndjson', 'csv'] : FORMATS;
+    args.format = args.format || formats[0];
+    if (!formats.includes(args.format)) {
+        throw new UsageError(`--format must be ${formats.slice(0, -1).join(', ')} or ${formats[formats.length - 1]} for ${args.command}`);
+    }
+    if (args.columns !== undefined) {
+        args.columns = args.columns.split(',').map(column => column.trim()).filter(Boolean);
+    }
+    if (args.timeout !== undefined) args.timeout = parseCount(args.timeout, '--timeout');
+    if (args.count !== undefined) {
+        args.count = parseCount(args.count, '--count');
+        if (args.count === 0) throw new UsageError('--count must be at least 1');
+    }
+    return args;
+}
+
+/**
+ * The password to connect with: --password, or all of stdin without its
+ * final line break for `--password -`, or WMI_NODEJS_PASSWORD when a
+ * username is given.
+ * @returns {Promise<string|undefined>}
+ */
+function readPassword(args) {
+    if (args.password === undefined) {
+        return Promise.resolve(args.username !== undefined ? process.env.WMI_NODEJS_PASSWORD : undefined);
+    }
+    if (args.password !== '-') return Promise.resolve(args.password);
+    return new Promise((resolve, reject) => {
+        let text = '';
+        process.stdin.setEncoding('utf8');
+        process.stdin.on('data', chunk => {
+            text += chunk;
+        });
+        process.stdin.on('end', () => resolve(text.replace(/\r?\n$/, '')));
+        process.stdin.on('error', reject);
+    });
+}
+
+/**
+ * Write to stdout; resolves once the text is handed to the OS, so piped
+ * output is complete before the process exits.
+ */
+function write(text) {
+    if (!text) return Promise.resolve();
+    return new Promise(resolve => process.stdout.write(text, () => resolve()));
+}
+
+function createClient(args) {
+    return new WmiClient({
+        namespace: args.namespace,
+        server: args.server,
+        username: args.username,
+        password: args.password,
+        timeout: args.timeout
+    });
+}
+
+function typeName(member) {
+    const type = member.referenceClass ? `ref:${member.referenceClass}` : member.objectClass ? `object:${member.objectClass}` : member.type;
+    return member.isArray ? `${type}[]` : type;
+}
+
+function describe(client, args) {
+    const schema = client.getClass(args.positional[0]);
+    if (args.format === 'json' || args.format === 'ndjson') {
+        return write(`${JSON.stringify(schema, null, args.format === 'json' ? 2 : undefined)}\n`);
+    }
+    const properties = schema.properties.map(property => ({
+        Property: property.name,
+        Type: typeName(property),
+        Flags: [property.isKey && 'key', property.isReadOnly && 'read-only'].filter(Boolean).join(', '),
+        Origin: property.origin
+    }));
+    if (args.format === 'csv') return write(formatRows(properties, 'csv', args.columns));
+
+    const methods = schema.methods.map(method => ({
+        Method: method.name,
+        Returns: method.returnType,
+        Parameters: method.parameters
+            .map(parameter => `${parameter.direction === 'in' ? '' : `${parameter.direction} `}${typeName(parameter)} ${parameter.name}`)
+            .join(', '),
+        Flags: method.isStatic ? 'static' : ''
+    }));
+    const heading = [schema.name, ...schema.derivation].join(' : ') + (schema.isAbstract ? ' (abstract)' : '');
+    return write([
+        `${heading}\n`,
+        formatRows(properties, 'table', args.columns),
+        methods.length ? formatRows(methods, 'table') : ''
+    ].filter(Boolean).join('\n'));
+}
+
+function watch(client, args) {
+    return new Promise((resolve, reject) => {
+        const subscription = client.subscribe(args.positional[0]);
+        let received = 0;
+        let columns = args.columns;
+        let pending = Promise.resolve();
+        const stop = () => subscription.close();
+        process.once('SIGINT', stop);
+        process.once('SIGTERM', stop);
+
+        subscription.on('event', event => {
+            received++;
+            let text;
+            if (args.format === 'csv') {
+                // The header comes from the first event unless --columns names them
+                const header = !columns;
+                if (!columns) columns = Object.keys(event);
+                text = formatRows([event], 'csv', columns);
+                if (!header) text = text.slice(text.indexOf('\n') + 1);
+            } else {
+                text = formatRows([event], 'ndjson', columns);
+            }
+            pending = pending.then(() => write(text));
+            if (args.count && received >= args.count) subscription.close();
+        });
+        subscription.on('error', reject);
+        subscription.on('close', () => {
+            process.removeListener('SIGINT', stop);
+            process.removeListener('SIGTERM', stop);
+            pending.then(resolve);
+        });
+        if (args.format === 'csv' && columns) pending = write(`${columns.join(',')}\n`);
+    });
+}
+
+function runCommand(client, args) {
+    switch (args.command) {
+        case 'query':
+            return client.queryAsync(args.positional[0], { decode: args.decode })
+                .then(rows => write(formatRows(rows, args.format, args.columns)));
+        case 'classes': {
+            const rows = client.listClasses(args.positional[0])
+                .map(entry => ({ Name: entry.name, Superclass: entry.superclass }));
+            return write(formatRows(rows, args.format, args.columns));
+        }
+        case 'describe':
+            return describe(client, args);
+        case 'namespaces': {
+            const rows = client.listNamespaces(args.recursive).map(namespace => ({ Namespace: namespace }));
+            return write(formatRows(rows, args.format, args.columns));
+        }
+        default:
+            return watch(client, args);
+    }
+}
+
+/**
+ * Run the command, then close the client whether it succeeded or not.
+ */
+function run(args) {
+    const client = createClient(args);
+    return new Promise(resolve => resolve(runCommand(client, args))).then(result => {
+        client.close();
+        return result;
+    }, error => {
+        client.close();
+        throw error;
+    });
+}
+
+function main(argv) {
+    let args;
+    try {
+        args = parseArgs(argv);
+    } catch (error) {
+        if (!(error instanceof UsageError)) throw error;
+        process.stderr.write(`wmi-nodejs: ${error.message}\n\n${USAGE}`);
+        return Promise.resolve(2);
+    }
+    if (args.help) return write(USAGE).then(() => 0);
+    if (args.version) return write(`${version}\n`).then(() => 0);
+    return readPassword(args)
+        .then(password => run(Object.assign({}, args, { password })))
+        .then(() => 0);
+}
+
+// A closed pipe (`wmi-nodejs query ... | head`) ends the output, not in an error
+process.stdout.on('error', error => {
+    if (error.code === 'EPIPE') process.exit(0);
+    throw error;
+});
+
+main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+}, error => {
+    process.stderr.write(`wmi-nodejs: ${error.message}\n`);
+    process.exitCode = 1;
+});
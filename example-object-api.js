@@ -187,19 +187,14 @@ function example5_CustomNamespaceObjectAPI() {
         console.log('🖥️ Virtual Machines (Object API):');
         console.log('-'.repeat(40));
         
-        const vms = hypervClient.query('SELECT ElementName, EnabledState FROM Msvm_ComputerSystem WHERE Caption = "Virtual Machine"');
+        // decode adds EnabledStateLabel ('Running', 'Off', 'Saved'...) next to EnabledState
+        const vms = hypervClient.query('SELECT ElementName, EnabledState FROM Msvm_ComputerSystem WHERE Caption = "Virtual Machine"', { decode: true });
         
         if (vms.length === 0) {
             console.log('No virtual machines found');
         } else {
             vms.forEach(vm => {
-                const states = {
-                    2: 'Running',
-                    3: 'Off', 
-                    6: 'Saved',
-                    9: 'Paused'
-                };
-                console.log(`VM: ${vm.ElementName} - ${states[vm.EnabledState] || 'Unknown'}`);
+                console.log(`VM: ${vm.ElementName} - ${vm.EnabledStateLabel || 'Unknown'}`);
             });
         }
         
@@ -9,7 +9,7 @@
  * Run this file with: node example.js
  */
 
-const { WmiClient, quickQuery } = require('./index.js');
+const { WmiClient, HyperV, quickQuery } = require('./index.js');
 
 // Utility function to format file sizes
 function formatBytes(bytes, decimals = 2) {
@@ -249,34 +249,28 @@ async function example5_HyperV() {
     console.log('='.repeat(60));
 
     try {
-        const hypervClient = new WmiClient({ namespace: 'root/virtualization/v2' });
-        console.log(`Connected to namespace: ${hypervClient.getNamespace()}`);
+        const hyperv = new HyperV();
+        console.log(`Connected to namespace: ${hyperv.client.getNamespace()}`);
 
         // Virtual Machines
         console.log('🖥️ Virtual Machines:');
         console.log('-'.repeat(40));
-        const vms = hypervClient.query(`
-            SELECT ElementName, EnabledState, ProcessorLoad, MemoryUsage 
-            FROM Msvm_ComputerSystem 
-            WHERE Caption = 'Virtual Machine'
-        `);
-        const vmData = JSON.parse(vms);
-        
-        if (vmData.length === 0) {
+        const vms = hyperv.listVMs();
+
+        if (vms.length === 0) {
             console.log('No virtual machines found or Hyper-V not available.');
         } else {
-            vmData.forEach(vm => {
-                const states = {
-                    2: 'Running',
-                    3: 'Off',
-                    6: 'Saved',
-                    9: 'Paused'
-                };
-                console.log(`VM: ${vm.ElementName}`);
-                console.log(`   State: ${states[vm.EnabledState] || 'Unknown'}`);
-                if (vm.ProcessorLoad !== null) {
-                    console.log(`   CPU Load: ${vm.ProcessorLoad}%`);
+            vms.forEach(vm => {
+                const details = hyperv.getVM(vm);
+                console.log(`VM: ${vm.name}`);
+                console.log(`   State: ${vm.stateName || 'Unknown'} (health: ${vm.healthName || 'Unknown'})`);
+                if (details.processor) {
+                    console.log(`   Processors: ${details.processor.count}`);
+                }
+                if (details.memory) {
+                    console.log(`   Startup Memory: ${formatBytes(details.memory.startupBytes)}${details.memory.dynamic ? ' (dynamic)' : ''}`);
                 }
+                details.disks.forEach(disk => console.log(`   Disk: ${disk.path}`));
                 console.log('');
             });
         }
@@ -284,20 +278,10 @@ async function example5_HyperV() {
         // Hyper-V Host Information
         console.log('🏠 Hyper-V Host Information:');
         console.log('-'.repeat(40));
-        const hostInfo = hypervClient.query(`
-            SELECT ElementName, TotalVisibleMemorySize, LogicalProcessors 
-            FROM Msvm_ComputerSystem 
-            WHERE Caption = 'Hosting Computer System'
-        `);
-        const hostData = JSON.parse(hostInfo);
-        
-        if (hostData.length > 0) {
-            const host = hostData[0];
-            console.log(`Host: ${host.ElementName}`);
-            if (host.LogicalProcessors) {
-                console.log(`Logical Processors: ${host.LogicalProcessors}`);
-            }
-        }
+        const host = hyperv.getHostCapacity();
+        console.log(`Host: ${host.name}`);
+        console.log(`Logical Processors: ${host.logicalProcessors} (${host.running.virtualProcessors} assigned to running VMs)`);
+        console.log(`Memory: ${formatBytes(host.freeMemoryBytes)} free of ${formatBytes(host.memoryBytes)}`);
 
     } catch (error) {
         console.log('ℹ️ Hyper-V namespace not available or insufficient permissions');
@@ -0,0 +1,1357 @@
+/**
+ * Type declarations for wmi-nodejs.
+ *
+ * The native loader (binding.js) gets its own generated binding.d.ts from
+ * `napi build`; this file describes the public JavaScript API in index.js.
+ */
+
+/// <reference types="node" />
+
+import { EventEmitter } from 'events';
+import { IncomingMessage, Server, ServerResponse } from 'http';
+import { Readable } from 'stream';
+
+// ---------------------------------------------------------------------------
+// Values
+// ---------------------------------------------------------------------------
+
+/** A 64-bit integer: a number by default, bigint or decimal string with `conversion.int64`. */
+export type WmiInt64 = number | bigint | string;
+
+/** A CIM_DATETIME value: a string by default, a Date with `conversion.dates`. */
+export type WmiDateTime = string | Date;
+
+/** A WMI result row. Only the selected properties are present. */
+export interface WmiRow {
+  [property: string]: any;
+}
+
+/** A value the binding could not map to JSON (e.g. an IUnknown pointer). */
+export class WmiUnsupportedValue {
+  constructor(description: string);
+  readonly description: string;
+  toString(): string;
+  toJSON(): string;
+}
+
+/** A CIM interval (duration). */
+export class CimInterval {
+  constructor(parts?: { days?: number; hours?: number; minutes?: number; seconds?: number; microseconds?: number });
+  static fromMilliseconds(milliseconds: number): CimInterval;
+  days: number;
+  hours: number;
+  minutes: number;
+  seconds: number;
+  microseconds: number;
+  readonly totalMilliseconds: number;
+  toString(): string;
+  toJSON(): string;
+}
+
+// ---------------------------------------------------------------------------
+// Client
+// ---------------------------------------------------------------------------
+
+export interface WmiConversionOptions {
+  /** 64-bit integers as 'number' (default), 'bigint' or 'string'. */
+  int64?: 'number' | 'bigint' | 'string';
+  /** NaN and infinite floats as 'zero' (default), 'null' or 'nan'. */
+  invalidFloat?: 'zero' | 'null' | 'nan';
+  /** true converts every CIM datetime/interval, 'known' only the properties in datetimeProperties. */
+  dates?: boolean | 'known';
+}
+
+/** DCOM authentication level names. */
+export type WmiAuthLevel = 'default' | 'none' | 'connect' | 'call' | 'packet' | 'packetIntegrity' | 'packetPrivacy';
+
+export interface WmiClientConfig {
+  /** WMI namespace path. Default: 'root/cimv2'. `\\HOST\root\cimv2` also sets the server. */
+  namespace?: string;
+  /** Remote computer name or address. Default: the local machine. */
+  server?: string;
+  /** Account for a remote connection: `user`, `DOMAIN\user` or `user@domain`. */
+  username?: string;
+  password?: string;
+  domain?: string;
+  /** DCOM authentication level, by name or 0-6. Default with credentials: 'packetPrivacy'. */
+  authLevel?: WmiAuthLevel | number;
+  /** Default query timeout in milliseconds, 0 for none. */
+  timeout?: number;
+  /** Backend name, factory or instance. Default: WMI_NODEJS_BACKEND, then 'native'. */
+  backend?: string | WmiBackendFactory | WmiBackend;
+  /** Fixture data, or path to a fixture JSON file, for the fixture backend. */
+  fixtures?: WmiFixtureData | string;
+  /** Write every query and its rows to this .json or .ndjson file. */
+  record?: string;
+  /** Recording file served by the replay backend. */
+  recording?: string;
+  /** Lossless value conversion for query results. */
+  conversion?: WmiConversionOptions | boolean;
+  /** Cache query() and queryAsync() results; a QueryCache instance can be shared between clients. */
+  cache?: boolean | QueryCacheOptions | QueryCache;
+  /** Default of the `decode` query option. */
+  decode?: boolean;
+}
+
+export interface WmiQueryOptions {
+  /** Timeout in milliseconds, overrides the client's timeout. */
+  timeout?: number;
+  /** Cancels asynchronous queries and streams. */
+  signal?: AbortSignal;
+  /** With the client's cache: false bypasses it, a number overrides the TTL in milliseconds. */
+  cache?: boolean | number;
+  /** Add `<Property>Label` (`<Property>Labels` for arrays) next to each property with a value map. */
+  decode?: boolean;
+}
+
+export interface WmiStreamOptions extends WmiQueryOptions {
+  /** Rows fetched per read. Default: 64. */
+  batchSize?: number;
+  /** Rows buffered by the stream. Default: 64. */
+  highWaterMark?: number;
+  /** Rows the native worker may read ahead. Default: 256. */
+  bufferSize?: number;
+}
+
+export interface WmiBatchOptions extends WmiQueryOptions {
+  /** Queries running at once. Default: 4. */
+  concurrency?: number;
+}
+
+/** Batch results by key: rows, or the WmiError of a failed query. */
+export type WmiBatchResult<Q> = { [K in keyof Q]: WmiRow[] | WmiError };
+
+/** Object-mode Readable of result rows; also an async iterator. */
+export interface WmiQueryStream<T = WmiRow> extends Readable {
+  [Symbol.asyncIterator](): AsyncIterableIterator<T>;
+}
+
+/** WQL text or a query builder. */
+export type WqlQuery = string | QueryBuilder;
+
+export class WmiClient {
+  constructor(config?: WmiClientConfig);
+  readonly config: WmiClientConfig;
+  readonly backend: WmiBackend;
+
+  /** Execute a WQL query and return JavaScript objects. */
+  query<T = WmiRow>(wql: WqlQuery, options?: WmiQueryOptions): T[];
+  /** Execute a WQL query and return the JSON text of the rows query() returns; BigInt values become strings. */
+  queryString(wql: WqlQuery, options?: WmiQueryOptions): string;
+  /** Execute a WQL query without blocking the event loop. */
+  queryAsync<T = WmiRow>(wql: WqlQuery, options?: WmiQueryOptions): Promise<T[]>;
+  /** Execute a WQL query as a stream of rows. */
+  queryStream<T = WmiRow>(wql: WqlQuery, options?: WmiStreamOptions): WmiQueryStream<T>;
+  /** Subscribe to a notification query; intrinsic events carry TargetInstance of type T. */
+  subscribe<E = WmiInstanceEvent>(wql: WqlQuery, options?: WmiSubscribeOptions): WmiSubscription<E>;
+  /** Start a fluent query bound to this client. */
+  select(...properties: string[]): QueryBuilder;
+  select(properties: string[]): QueryBuilder;
+  /** List the classes of the namespace, sorted by name. */
+  listClasses(filter?: string | RegExp | WmiClassFilter): WmiClassInfo[];
+  /** Describe a class, including inherited members. */
+  getClass(className: string): WmiClassSchema;
+  /** Value maps used by this client: loadValueMaps() results over the shared tables. */
+  readonly valueMaps: ValueMapRegistry;
+  /** Copy of a row with value-map labels, as `decode` adds them. */
+  decodeRow<T = WmiRow>(className: string, row: T): T & WmiRow;
+  /** Read value maps from the class's ValueMap/Values qualifiers and use them for this client. */
+  loadValueMaps(className: string): Record<string, WmiValueMap>;
+  /** List the namespaces below this client's namespace as full paths. */
+  listNamespaces(recursive?: boolean): string[];
+  /** Execute a static method (class name) or instance method (object path); returns the out-parameters. */
+  invokeMethod<T = WmiMethodResult>(target: string, method: string, inParams?: WmiMethodParams): T;
+  /** Execute a method without blocking the event loop. */
+  invokeMethodAsync<T = WmiMethodResult>(
+    target: string,
+    method: string,
+    inParams?: WmiMethodParams,
+    options?: WmiQueryOptions
+  ): Promise<T>;
+  /** Current state of an asynchronous job; null when the method completed synchronously. */
+  getJob(job: WmiJobReference): CIM_ConcreteJob | null;
+  /** Poll an asynchronous job until it completes; rejects with WmiJobError when it fails. */
+  waitForJob(job: WmiJobReference, options?: WmiWaitForJobOptions): Promise<CIM_ConcreteJob | null>;
+  /** Collect a normalised inventory of the machine from root/cimv2. */
+  getInventory(options?: WmiInventoryOptions): WmiInventory;
+  /** Collect the inventory without blocking the event loop. */
+  getInventoryAsync(options?: WmiInventoryAsyncOptions): Promise<WmiInventory>;
+  /** A client for another namespace with the same configuration; a new client is the caller's to close(). */
+  forNamespace(namespace: string): WmiClient;
+  /** Call fn with a client for another namespace and close that client once fn returns or its Promise settles. */
+  withNamespace<T>(namespace: string, fn: (client: WmiClient) => T): T;
+  /** Remote server the client is connected to, null for the local machine. */
+  getServer(): string | null;
+  getNamespace(): string;
+  testConnection(): boolean;
+  /** Run several queries; each key gets its rows, or the error its query failed with. */
+  queryBatch<Q extends Record<string, WqlQuery>>(queries: Q, options?: WmiQueryOptions): WmiBatchResult<Q>;
+  /** Run several queries without blocking the event loop, at most `concurrency` at a time. */
+  queryBatchAsync<Q extends Record<string, WqlQuery>>(queries: Q, options?: WmiBatchOptions): Promise<WmiBatchResult<Q>>;
+  /** Drop cached results, of queries reading className or all; returns the entries dropped. */
+  invalidate(className?: string): number;
+  /** Cache counters, null without config.cache. */
+  getCacheStats(): WmiCacheStats | null;
+  /** Whether close() was called. */
+  readonly closed: boolean;
+  /** Release the connection; later calls fail with WmiError. */
+  close(): void;
+  /** Alias of close(). */
+  dispose(): void;
+}
+
+export interface WmiSubscribeOptions {
+  /** Events fetched per read. Default: 16. */
+  batchSize?: number;
+  /** Events buffered while nothing consumes them. Default: 256. */
+  highWaterMark?: number;
+  /** Events the native worker may queue. Default: 256. */
+  bufferSize?: number;
+  /** Closes the subscription when aborted. */
+  signal?: AbortSignal;
+}
+
+/** An event object; `__CLASS` is the event class. */
+export interface WmiEvent {
+  __CLASS: string;
+  /** FILETIME the event was created. */
+  TIME_CREATED?: WmiInt64;
+  [property: string]: any;
+}
+
+/** __InstanceCreationEvent, __InstanceModificationEvent, __InstanceDeletionEvent, ... */
+export interface WmiInstanceEvent<T = WmiRow> extends WmiEvent {
+  TargetInstance: T & { __CLASS: string };
+  /** Present on __InstanceModificationEvent. */
+  PreviousInstance?: T & { __CLASS: string };
+}
+
+/** An active event subscription; also an async iterator. */
+export class WmiSubscription<E = WmiEvent> extends EventEmitter implements AsyncIterable<E> {
+  readonly wql: string;
+  readonly closed: boolean;
+  on(event: 'event', listener: (event: E) => void): this;
+  on(event: 'error', listener: (error: Error) => void): this;
+  on(event: 'close', listener: () => void): this;
+  on(event: string | symbol, listener: (...args: any[]) => void): this;
+  once(event: 'event', listener: (event: E) => void): this;
+  once(event: 'error', listener: (error: Error) => void): this;
+  once(event: 'close', listener: () => void): this;
+  once(event: string | symbol, listener: (...args: any[]) => void): this;
+  /** Stop receiving events. */
+  close(): void;
+  /** Alias of close(). */
+  unsubscribe(): void;
+  [Symbol.asyncIterator](): AsyncIterableIterator<E>;
+}
+
+/** Method in-parameters; BigInt, Date and CimInterval values are encoded for WMI. */
+export type WmiMethodParams = Record<string, unknown>;
+
+/** Method out-parameters. */
+export interface WmiMethodResult {
+  ReturnValue: number;
+  /** Path of the CIM_ConcreteJob when ReturnValue is 4096. */
+  Job?: string | null;
+  [name: string]: unknown;
+}
+
+/** A job path, the out-parameters of the method that started it, or a job row. */
+export type WmiJobReference = string | WmiMethodResult | { InstanceID: string; __CLASS?: string };
+
+export interface WmiWaitForJobOptions {
+  /** Milliseconds between polls. Default: 500. */
+  interval?: number;
+  /** Give up after this many milliseconds. */
+  timeout?: number;
+  signal?: AbortSignal;
+  /** Called whenever JobState or PercentComplete changes. */
+  onProgress?: (job: CIM_ConcreteJob) => void;
+}
+
+/** root/cimv2 and root/virtualization/v2 CIM_ConcreteJob (Msvm_ConcreteJob) */
+export interface CIM_ConcreteJob {
+  InstanceID: string;
+  Caption?: string | null;
+  Description?: string | null;
+  ElementName?: string | null;
+  JobState: number;
+  PercentComplete?: number | null;
+  ErrorCode?: number | null;
+  ErrorDescription?: string | null;
+  ErrorSummaryDescription?: string | null;
+  StartTime?: WmiDateTime | null;
+  ElapsedTime?: WmiDateTime | CimInterval | null;
+  JobType?: number | null;
+  [name: string]: unknown;
+}
+
+/** CIM_ConcreteJob.JobState values and names, e.g. 7: 'Completed'. */
+export const jobStates: Readonly<Record<number, string>>;
+
+/** Authentication level values by name, e.g. packetPrivacy: 6. */
+export const authLevels: Readonly<Record<WmiAuthLevel, number>>;
+
+export interface WmiObjectPath {
+  server: string | null;
+  namespace: string | null;
+  className: string;
+  /** Key values; null for a class path, empty for a singleton. */
+  keys: Record<string, string | number | boolean> | null;
+  singleton: boolean;
+}
+
+export function parseObjectPath(path: string): WmiObjectPath;
+export function formatObjectPath(className: string, keys: Record<string, string | number | boolean>): string;
+
+export function quickQuery<T = WmiRow>(wql: string, namespace?: string, options?: WmiQueryOptions): T[];
+export function quickQueryString(wql: string, namespace?: string, options?: WmiQueryOptions): string;
+export function quickQueryAsync<T = WmiRow>(wql: string, namespace?: string, options?: WmiQueryOptions): Promise<T[]>;
+/**
+ * Win32_ComputerSystem as a JSON string.
+ * @deprecated Use getInventory(), which returns normalised objects.
+ */
+export function getSystemInfo(): string;
+
+export type WmiInventorySection = 'system' | 'os' | 'cpu' | 'memory' | 'disks' | 'volumes' | 'network' | 'bios' | 'baseboard';
+
+export interface WmiInventoryOptions {
+  /** Sections to collect. Default: all. */
+  sections?: WmiInventorySection[];
+  /** Timeout of each query in milliseconds. */
+  timeout?: number;
+}
+
+export interface WmiInventoryAsyncOptions extends WmiInventoryOptions {
+  signal?: AbortSignal;
+  /** Queries running at once. Default: 4. */
+  concurrency?: number;
+}
+
+/** Sizes in bytes; percentages rounded to two decimals. Null when unknown. */
+export interface WmiSpaceUsage {
+  sizeBytes: number | null;
+  freeBytes: number | null;
+  usedBytes: number | null;
+  usedPercent: number | null;
+  freePercent: number | null;
+}
+
+export interface WmiInventorySystem {
+  name: string | null;
+  dnsHostName: string | null;
+  domain: string | null;
+  partOfDomain: boolean | null;
+  manufacturer: string | null;
+  model: string | null;
+  systemType: string | null;
+  totalPhysicalMemoryBytes: number | null;
+}
+
+export interface WmiInventoryOs {
+  name: string | null;
+  version: string | null;
+  buildNumber: string | null;
+  architecture: string | null;
+  hostname: string | null;
+  serialNumber: string | null;
+  installDate: Date | null;
+  lastBootTime: Date | null;
+  uptimeSeconds: number | null;
+}
+
+export interface WmiInventoryProcessor {
+  deviceId: string | null;
+  name: string | null;
+  manufacturer: string | null;
+  socket: string | null;
+  cores: number | null;
+  logicalProcessors: number | null;
+  maxClockMHz: number | null;
+  currentClockMHz: number | null;
+  loadPercent: number | null;
+}
+
+export interface WmiInventoryCpu {
+  packages: number;
+  cores: number;
+  logicalProcessors: number;
+  processors: WmiInventoryProcessor[];
+}
+
+export interface WmiInventoryMemoryModule {
+  bankLabel: string | null;
+  deviceLocator: string | null;
+  capacityBytes: number | null;
+  speedMHz: number | null;
+  manufacturer: string | null;
+  partNumber: string | null;
+}
+
+export interface WmiInventoryMemory extends WmiSpaceUsage {
+  virtual: WmiSpaceUsage;
+  /** Null when Win32_PhysicalMemory could not be read. */
+  modules: WmiInventoryMemoryModule[] | null;
+}
+
+export interface WmiInventoryDisk extends WmiSpaceUsage {
+  deviceId: string;
+  index: number | null;
+  model: string | null;
+  serialNumber: string | null;
+  interfaceType: string | null;
+  mediaType: string | null;
+  partitions: number | null;
+  /** Logical disks on the disk, e.g. ['C:']; null when the associations could not be read. */
+  volumes: string[] | null;
+}
+
+export interface WmiInventoryVolume extends WmiSpaceUsage {
+  deviceId: string;
+  label: string | null;
+  fileSystem: string | null;
+  driveType: number | null;
+  driveTypeName: string | null;
+  serialNumber: string | null;
+  providerName: string | null;
+  /** DeviceID of the physical disk holding the volume. */
+  disk: string | null;
+}
+
+export interface WmiInventoryAddress {
+  address: string;
+  family: 4 | 6;
+  subnet: string | null;
+}
+
+export interface WmiInventoryNetworkAdapter {
+  index: number | null;
+  name: string | null;
+  connectionId: string | null;
+  manufacturer: string | null;
+  macAddress: string | null;
+  speedBps: number | null;
+  connectionStatus: number | null;
+  physical: boolean;
+  enabled: boolean | null;
+  ipEnabled: boolean;
+  addresses: WmiInventoryAddress[];
+  gateways: string[];
+  dnsServers: string[];
+  dnsDomain: string | null;
+  dhcpEnabled: boolean | null;
+  dhcpServer: string | null;
+}
+
+export interface WmiInventoryBios {
+  manufacturer: string | null;
+  name: string | null;
+  version: string | null;
+  serialNumber: string | null;
+  releaseDate: Date | null;
+  smbiosVersion: string | null;
+}
+
+export interface WmiInventoryBaseboard {
+  manufacturer: string | null;
+  product: string | null;
+  serialNumber: string | null;
+  version: string | null;
+}
+
+/** Collected sections are present; a section that failed is null and its error is under `errors`. */
+export interface WmiInventory {
+  collectedAt: Date;
+  server: string | null;
+  errors: Partial<Record<WmiInventorySection, Error>>;
+  system?: WmiInventorySystem | null;
+  os?: WmiInventoryOs | null;
+  cpu?: WmiInventoryCpu | null;
+  memory?: WmiInventoryMemory | null;
+  disks?: WmiInventoryDisk[] | null;
+  volumes?: WmiInventoryVolume[] | null;
+  network?: WmiInventoryNetworkAdapter[] | null;
+  bios?: WmiInventoryBios | null;
+  baseboard?: WmiInventoryBaseboard | null;
+}
+
+/** Collect a system inventory on a pooled connection. */
+export function getInventory(options?: WmiInventoryOptions & WmiConnectionTarget): WmiInventory;
+export function getInventoryAsync(options?: WmiInventoryAsyncOptions & WmiConnectionTarget): Promise<WmiInventory>;
+/** Names of the inventory sections, in collection order. */
+export const inventorySections: readonly WmiInventorySection[];
+
+/** Msvm_ComputerSystem.EnabledState values and names, e.g. 2: 'Running', 32773: 'Saving'. */
+export const vmStates: Readonly<Record<number, string>>;
+/** CIM HealthState values and names, e.g. 5: 'OK'. */
+export const healthStates: Readonly<Record<number, string>>;
+
+export interface HyperVMachine {
+  /** VM GUID (Msvm_ComputerSystem.Name). */
+  id: string;
+  name: string | null;
+  /** EnabledState */
+  state: number | null;
+  stateName: string | null;
+  /** HealthState */
+  health: number | null;
+  healthName: string | null;
+  uptimeSeconds: number | null;
+  /** Worker process ID, null when the VM is not running. */
+  processId: number | null;
+  installDate: Date | null;
+  lastStateChange: Date | null;
+  numaNodes: number | null;
+  /** Object path for invokeMethod(). */
+  path: string;
+}
+
+export interface HyperVMemorySettings {
+  startupBytes: number | null;
+  dynamic: boolean;
+  /** Dynamic memory bounds; null without dynamic memory. */
+  minimumBytes: number | null;
+  maximumBytes: number | null;
+  weight: number | null;
+}
+
+export interface HyperVProcessorSettings {
+  count: number | null;
+  reservePercent: number | null;
+  limitPercent: number | null;
+  weight: number | null;
+}
+
+export interface HyperVDisk {
+  /** VHD(X) or ISO file. */
+  path: string | null;
+  type: 'hardDisk' | 'dvd' | 'other';
+  instanceId: string;
+  /** Path of the drive the disk is inserted in. */
+  drive: string | null;
+}
+
+export interface HyperVNetworkAdapter {
+  name: string | null;
+  macAddress: string | null;
+  staticMacAddress: boolean;
+  legacy: boolean;
+  instanceId: string;
+  connected: boolean;
+  switchId: string | null;
+  switchName: string | null;
+}
+
+export interface HyperVMachineDetails extends HyperVMachine {
+  settings: {
+    generation: number | null;
+    version: string | null;
+    configurationPath: string | null;
+    notes: string | null;
+  } | null;
+  memory: HyperVMemorySettings | null;
+  processor: HyperVProcessorSettings | null;
+  disks: HyperVDisk[];
+  networkAdapters: HyperVNetworkAdapter[];
+}
+
+export interface HyperVHostCapacity {
+  name: string | null;
+  logicalProcessors: number | null;
+  memoryBytes: number | null;
+  freeMemoryBytes: number | null;
+  virtualMachines: { total: number; running: number; byState: Record<string, number> };
+  /** Virtual processors and startup memory of every VM. */
+  configured: { virtualProcessors: number; memoryBytes: number };
+  /** Virtual processors and startup memory of the running VMs. */
+  running: { virtualProcessors: number; memoryBytes: number };
+  /** Running virtual processors per logical processor. */
+  virtualProcessorRatio: number | null;
+  defaultVirtualHardDiskPath: string | null;
+  defaultVirtualMachinePath: string | null;
+}
+
+/** A VM name, VM GUID, or an object from listVMs(). */
+export type HyperVMachineRef = string | Pick<HyperVMachine, 'id'> | { Name: string };
+
+export interface HyperVStopOptions extends WmiWaitForJobOptions {
+  /** Turn the VM off instead of shutting down its guest. */
+  force?: boolean;
+  /** Reason passed to the guest shutdown. */
+  reason?: string;
+}
+
+/** Hyper-V management over root/virtualization/v2. */
+export class HyperV {
+  /** A client for the host (any namespace), or the configuration of one. */
+  constructor(client?: WmiClient | WmiClientConfig);
+  /** Client for root/virtualization/v2. */
+  readonly client: WmiClient;
+  listVMs(): HyperVMachine[];
+  /** Throws WmiNotFoundError when no VM matches. */
+  findVM(vm: HyperVMachineRef): HyperVMachine;
+  getVM(vm: HyperVMachineRef): HyperVMachineDetails;
+  getHostCapacity(): HyperVHostCapacity;
+  /** Lifecycle operations resolve with the completed Msvm_ConcreteJob, or null when there was none. */
+  start(vm: HyperVMachineRef, options?: WmiWaitForJobOptions): Promise<CIM_ConcreteJob | null>;
+  stop(vm: HyperVMachineRef, options?: HyperVStopOptions): Promise<CIM_ConcreteJob | null>;
+  turnOff(vm: HyperVMachineRef, options?: WmiWaitForJobOptions): Promise<CIM_ConcreteJob | null>;
+  save(vm: HyperVMachineRef, options?: WmiWaitForJobOptions): Promise<CIM_ConcreteJob | null>;
+  pause(vm: HyperVMachineRef, options?: WmiWaitForJobOptions): Promise<CIM_ConcreteJob | null>;
+  resume(vm: HyperVMachineRef, options?: WmiWaitForJobOptions): Promise<CIM_ConcreteJob | null>;
+  checkpoint(vm: HyperVMachineRef, options?: WmiWaitForJobOptions): Promise<CIM_ConcreteJob | null>;
+  /** Call RequestStateChange with a RequestedState value and wait for its job. */
+  requestState(vm: HyperVMachineRef, state: number, options?: WmiWaitForJobOptions): Promise<CIM_ConcreteJob | null>;
+  /** Close the clients it opened; a client passed in for root/virtualization/v2 stays open. */
+  close(): void;
+}
+
+/** A 64-bit counter value in any conversion mode. */
+export type PerfCounterValue = number | bigint | string | { $wmi: 'uint64' | 'sint64'; value: string } | null | undefined;
+
+/** One sample of a counter, as read from a Win32_PerfRawData row. */
+export interface PerfCounterSample {
+  value: PerfCounterValue;
+  /** `<Name>_Base` of counter types that have a base. */
+  base?: PerfCounterValue;
+  /** Timestamp of the counter type's time base, e.g. Timestamp_Sys100NS. */
+  timestamp?: PerfCounterValue;
+  /** Frequency of the time base, e.g. Frequency_Sys100NS. */
+  frequency?: PerfCounterValue;
+}
+
+export interface PerfSamplerOptions {
+  /** Counters to compute. Default: every counter of the class. */
+  counters?: string[];
+  /** CounterType by counter, overriding or replacing the class schema. */
+  counterTypes?: Record<string, number>;
+  /** Only these instances (Name values). */
+  instances?: string[];
+  /** Milliseconds between snapshots once started. Default: 1000. */
+  interval?: number;
+  /** Timeout of each snapshot query in milliseconds. */
+  timeout?: number;
+}
+
+export interface PerfSample {
+  className: string;
+  timestamp: Date;
+  /** Seconds since the previous snapshot; null for the first snapshot of a raw class. */
+  elapsedSeconds: number | null;
+  /** Computed values by instance Name ('' for singleton classes) and counter. */
+  instances: Record<string, Record<string, number | null>>;
+  /** Instances not in the previous snapshot. */
+  added: string[];
+  /** Instances of the previous snapshot that are gone. */
+  removed: string[];
+}
+
+/** Periodic snapshots of a performance class with rates computed per instance. */
+export class PerfSampler extends EventEmitter {
+  constructor(client: WmiClient | WmiClientConfig | undefined, className: string, options?: PerfSamplerOptions);
+  readonly client: WmiClient;
+  readonly className: string;
+  readonly running: boolean;
+  toWql(): string;
+  /** Take a snapshot and compute it against the previous one. */
+  sample(): Promise<PerfSample>;
+  /** Forget the previous snapshot. */
+  reset(): void;
+  start(): this;
+  stop(): void;
+  /** Stop sampling and close the client created from a configuration; a WmiClient passed in stays open. */
+  close(): void;
+  on(event: 'sample', listener: (sample: PerfSample) => void): this;
+  on(event: 'error', listener: (error: Error) => void): this;
+  on(event: 'stop', listener: () => void): this;
+}
+
+/** Counter types by name, as defined in winperf.h. */
+export const counterTypes: Readonly<Record<string, number>>;
+export function counterTypeName(counterType: number): string | null;
+/** Compute a counter from its current and previous sample; null when a needed sample or denominator is missing. */
+export function computeCounter(counterType: number, current: PerfCounterSample, previous?: PerfCounterSample | null): number | null;
+
+export interface ExportedMetric {
+  /** Metric name; the exporter prefix is prepended. Counters may end in _total. */
+  name: string;
+  help?: string;
+  /** Default: 'gauge'. */
+  type?: 'gauge' | 'counter';
+  /** OpenMetrics unit; the name must end in _<unit>. */
+  unit?: string;
+  /** Property holding the sample value, or a function of the row; null/undefined skips the row. */
+  value: string | ((row: WmiRow) => number | bigint | string | boolean | Date | null | undefined);
+  /** Properties used as labels (named in snake_case), or label names mapped to properties. */
+  labels?: string[] | Record<string, string>;
+}
+
+export interface ExportedQuery {
+  /** Label value of the scrape metrics. Default: the FROM class. */
+  name?: string;
+  query: WqlQuery;
+  /** Run the query in another namespace of the client's server. */
+  namespace?: string;
+  /** Timeout in milliseconds, overrides the exporter timeout. */
+  timeout?: number;
+  metrics: ExportedMetric[];
+}
+
+export interface MetricsExporterOptions {
+  queries: ExportedQuery[];
+  /** A client, or the configuration of one the exporter creates and closes. */
+  client?: WmiClient | WmiClientConfig;
+  /** Prepended to every metric name. Default: 'wmi_'. */
+  prefix?: string;
+  /** Timeout of each query in milliseconds. */
+  timeout?: number;
+  /** Path served by handler() and listen(). Default: '/metrics'. */
+  path?: string;
+}
+
+/** Serves WQL query results as Prometheus metrics in OpenMetrics text format. */
+export class MetricsExporter {
+  constructor(options: MetricsExporterOptions);
+  readonly client: WmiClient;
+  /** Failures of the last scrape. */
+  readonly lastErrors: Array<{ query: string; error: Error }>;
+  /** Run every query and render the exposition, ending with `# EOF`. */
+  collect(): Promise<string>;
+  /** Request listener serving the exposition on `path`. */
+  handler(): (request: IncomingMessage, response: ServerResponse) => void;
+  /** Start an HTTP server. Default port: 9182. */
+  listen(port?: number, host?: string): Promise<Server>;
+  /** Stop the server and close the clients the exporter created. */
+  close(): Promise<void>;
+}
+
+/** Options identifying a pooled connection. */
+export type WmiConnectionTarget = Pick<WmiClientConfig, 'namespace' | 'server' | 'username' | 'password' | 'domain' | 'authLevel'>;
+
+export interface ConnectionPoolOptions {
+  /** Clients kept open. Default: 16. */
+  maxSize?: number;
+  /** Milliseconds before an unused client is closed, 0 for never. Default: 60000. */
+  idleTimeout?: number;
+}
+
+/** Shared clients by server, namespace and account, with idle eviction. */
+export class ConnectionPool {
+  constructor(options?: ConnectionPoolOptions & { create?: (config: WmiConnectionTarget) => WmiClient });
+  readonly size: number;
+  readonly maxSize: number;
+  readonly idleTimeout: number;
+  configure(options: ConnectionPoolOptions): void;
+  /** The pooled client for a namespace or connection, opened when needed. */
+  acquire(target?: string | WmiConnectionTarget): WmiClient;
+  /** Run fn with the pooled client; an unreachable server drops it from the pool. */
+  use<R>(target: string | WmiConnectionTarget | undefined, fn: (client: WmiClient) => R): R;
+  /** Close and forget a pooled client. */
+  discard(client: WmiClient): void;
+  /** Close every pooled client. */
+  clear(): void;
+}
+
+export interface QueryCacheOptions {
+  /** Default entry lifetime in milliseconds. Default: 60000. */
+  ttl?: number;
+  /** Lifetime by class name; 0 disables caching for the class. */
+  classes?: { [className: string]: number };
+  /** Entries kept before the oldest are dropped. Default: 500. */
+  maxEntries?: number;
+}
+
+export interface WmiCacheStats {
+  hits: number;
+  misses: number;
+  /** Requests that waited for an identical query already running. */
+  coalesced: number;
+  entries: number;
+  /** (hits + coalesced) / all lookups. */
+  hitRate: number;
+}
+
+/** Query result cache keyed by server, namespace and normalised WQL. */
+export class QueryCache {
+  constructor(options?: QueryCacheOptions);
+  invalidate(className?: string): number;
+  stats(): WmiCacheStats;
+  resetStats(): void;
+}
+
+/** The pool used by quickQuery, quickQueryString, quickQueryAsync, getSystemInfo and getInventory. */
+export const connectionPool: ConnectionPool;
+
+// ---------------------------------------------------------------------------
+// Query builder
+// ---------------------------------------------------------------------------
+
+export type WqlLiteral = string | number | bigint | boolean | Date | CimInterval;
+export type WqlOperator = '=' | '<>' | '!=' | '<' | '>' | '<=' | '>=';
+
+export class ConditionGroup {
+  constructor(joiner?: 'AND' | 'OR');
+  where(conditions: { [property: string]: WqlLiteral | WqlLiteral[] | null }): this;
+  where(property: string, value: WqlLiteral | null): this;
+  where(property: string, operator: WqlOperator, value: WqlLiteral): this;
+  equals(property: string, value: WqlLiteral | null): this;
+  compare(property: string, operator: WqlOperator, value: WqlLiteral): this;
+  whereIn(property: string, values: WqlLiteral[]): this;
+  like(property: string, pattern: string): this;
+  notLike(property: string, pattern: string): this;
+  contains(property: string, text: string): this;
+  startsWith(property: string, text: string): this;
+  endsWith(property: string, text: string): this;
+  isNull(property: string): this;
+  isNotNull(property: string): this;
+  isa(property: string, className: string): this;
+  or(build: (group: ConditionGroup) => void): this;
+  and(build: (group: ConditionGroup) => void): this;
+  compile(): string;
+}
+
+export class QueryBuilder extends ConditionGroup {
+  constructor(client?: WmiClient);
+  select(...properties: string[]): this;
+  select(properties: string[]): this;
+  from(className: string): this;
+  within(seconds: number): this;
+  toWql(): string;
+  toString(): string;
+  query<T = WmiRow>(options?: WmiQueryOptions): T[];
+  queryAsync<T = WmiRow>(options?: WmiQueryOptions): Promise<T[]>;
+}
+
+/** Start a builder that is not bound to a client. */
+export function select(...properties: string[]): QueryBuilder;
+export function select(properties: string[]): QueryBuilder;
+/** Quote a string as a WQL literal. */
+export function escapeWqlString(value: string): string;
+/** Escape LIKE wildcards so the text matches literally. */
+export function escapeLike(value: string): string;
+
+// ---------------------------------------------------------------------------
+// WQL parser
+// ---------------------------------------------------------------------------
+
+export interface WqlPropertyNode { type: 'property'; name: string }
+export interface WqlLiteralNode { type: 'literal'; value: string | number | boolean | null }
+export type WqlConditionNode =
+  | { type: 'and' | 'or'; left: WqlConditionNode; right: WqlConditionNode }
+  | { type: 'not'; operand: WqlConditionNode }
+  | { type: 'comparison'; operator: '=' | '<>' | '<' | '>' | '<=' | '>='; left: WqlPropertyNode | WqlLiteralNode; right: WqlPropertyNode | WqlLiteralNode }
+  | { type: 'like'; property: WqlPropertyNode; pattern: string; negated: boolean }
+  | { type: 'isNull'; property: WqlPropertyNode; negated: boolean }
+  | { type: 'isa'; property: WqlPropertyNode; className: string };
+
+export interface WqlSelectNode {
+  type: 'select';
+  properties: string[];
+  className: string;
+  within: number | null;
+  where: WqlConditionNode | null;
+  groupWithin: number | null;
+  groupBy: string[] | null;
+  having: WqlConditionNode | null;
+}
+
+export function parseWql(wql: string): WqlSelectNode;
+export function evaluateWql<T = WmiRow>(query: string | WqlSelectNode, rows: T[]): T[];
+
+// ---------------------------------------------------------------------------
+// Schema
+// ---------------------------------------------------------------------------
+
+export interface WmiClassFilter {
+  /** Case-insensitive name with `*` wildcards, or a RegExp. */
+  name?: string | RegExp;
+  /** Only classes deriving from (or equal to) this class. */
+  derivedFrom?: string;
+}
+
+export interface WmiClassInfo {
+  name: string;
+  superclass: string | null;
+  /** Superclass chain, nearest first. */
+  derivation: string[];
+}
+
+export type CimTypeName =
+  | 'string' | 'boolean' | 'char16' | 'datetime' | 'object' | 'reference'
+  | 'sint8' | 'uint8' | 'sint16' | 'uint16' | 'sint32' | 'uint32' | 'sint64' | 'uint64'
+  | 'real32' | 'real64';
+
+export interface WmiQualifiers {
+  [name: string]: any;
+}
+
+export interface WmiTypedMember {
+  name: string;
+  type: CimTypeName;
+  isArray: boolean;
+  /** Target class of 'reference' members. */
+  referenceClass: string | null;
+  /** Class of embedded 'object' members, when declared. */
+  objectClass: string | null;
+  qualifiers: WmiQualifiers;
+}
+
+export interface WmiPropertySchema extends WmiTypedMember {
+  isKey: boolean;
+  isReadOnly: boolean;
+  defaultValue: any;
+  /** Class that first declares the property. */
+  origin: string;
+}
+
+export interface WmiParameterSchema extends WmiTypedMember {
+  direction: 'in' | 'out' | 'inout';
+}
+
+export interface WmiMethodSchema {
+  name: string;
+  returnType: CimTypeName | 'void';
+  isStatic: boolean;
+  origin: string;
+  parameters: WmiParameterSchema[];
+  qualifiers: WmiQualifiers;
+}
+
+export interface WmiClassSchema {
+  name: string;
+  namespace: string | null;
+  superclass: string | null;
+  derivation: string[];
+  isAbstract: boolean;
+  qualifiers: WmiQualifiers;
+  properties: WmiPropertySchema[];
+  methods: WmiMethodSchema[];
+}
+
+/** Own (non-inherited) members of a class, as parsed from its MOF text. */
+export interface WmiClassDefinition {
+  name: string;
+  superclass: string | null;
+  qualifiers: WmiQualifiers;
+  properties: Array<Omit<WmiPropertySchema, 'isKey' | 'isReadOnly' | 'origin'>>;
+  methods: Array<{ name: string; returnType: CimTypeName | 'void'; parameters: WmiTypedMember[]; qualifiers: WmiQualifiers }>;
+}
+
+export function parseMofClass(text: string): WmiClassDefinition;
+
+/** Labels by value, e.g. { 2: 'Connected' }. */
+export type WmiValueMap = Record<string, string>;
+
+/** Value maps by class and property, matched case-insensitively, falling back to a parent. */
+export class ValueMapRegistry {
+  constructor(parent?: ValueMapRegistry);
+  register(className: string, property: string, labels: WmiValueMap): this;
+  registerClass(className: string, maps: Record<string, WmiValueMap>): this;
+  lookup(className: string, property: string): WmiValueMap | undefined;
+  has(className: string): boolean;
+  decodeRow<T = WmiRow>(className: string, row: T): T & WmiRow;
+}
+
+/** Decode a row with the built-in and registered value maps. */
+export function decodeRow<T = WmiRow>(className: string, row: T): T & WmiRow;
+/** Add or replace the value map of a property for every client. */
+export function registerValueMap(className: string, property: string, labels: WmiValueMap): void;
+/** Value maps from the ValueMap/Values qualifiers of a class schema, by property. */
+export function valueMapsFromSchema(schema: WmiClassSchema | WmiClassDefinition): Record<string, WmiValueMap>;
+export class MofSyntaxError extends SyntaxError {
+  constructor(message: string, position: number);
+  position: number;
+}
+
+/** Class schemas of one namespace, as saved by `wmi-nodejs-typegen --dump`. */
+export interface WmiSchemaDump {
+  namespace: string;
+  classes: WmiClassSchema[];
+}
+
+export interface GenerateTypesOptions {
+  /** The client `conversion` option the generated types are for. */
+  conversion?: boolean | WmiConversionOptions;
+  filter?: string | RegExp | WmiClassFilter;
+}
+
+export function dumpSchema(client: WmiClient, filter?: string | RegExp | WmiClassFilter | string[]): WmiSchemaDump;
+export function generateTypes(
+  dumps: WmiSchemaDump | WmiSchemaDump[] | WmiClassSchema[],
+  options?: GenerateTypesOptions
+): string;
+
+// ---------------------------------------------------------------------------
+// Datetimes
+// ---------------------------------------------------------------------------
+
+export interface CimDateTimeParts {
+  date: Date;
+  /** Minutes east of UTC. */
+  utcOffset: number;
+  /** Microseconds within the second. */
+  microseconds: number;
+}
+
+export interface CimDateTimeFormatOptions {
+  /** Minutes east of UTC to express the time in. Default: 0. */
+  utcOffset?: number;
+  /** Microseconds within the second. Default: the Date's milliseconds. */
+  microseconds?: number;
+}
+
+/** Property names converted by `conversion.dates: 'known'`. */
+export const datetimeProperties: Set<string>;
+export function parseCimDateTime(value: string): Date | null;
+export function parseCimDateTimeParts(value: string): CimDateTimeParts | null;
+export function parseCimInterval(value: string): CimInterval | null;
+export function formatCimDateTime(date: Date, options?: CimDateTimeFormatOptions): string;
+export function formatCimInterval(interval: CimInterval | number): string;
+export function toWqlDateTime(date: Date, options?: CimDateTimeFormatOptions): string;
+
+// ---------------------------------------------------------------------------
+// Errors
+// ---------------------------------------------------------------------------
+
+export interface WmiErrorDetails {
+  hresult?: number;
+  wql?: string;
+  namespace?: string;
+  server?: string | null;
+  cause?: Error;
+}
+
+export class WmiError extends Error {
+  constructor(message: string, details?: WmiErrorDetails);
+  /** HRESULT reported by WMI (unsigned). */
+  hresult: number | null;
+  /** Symbolic HRESULT name, e.g. 'WBEM_E_INVALID_CLASS'. */
+  code: string | null;
+  wql: string | null;
+  namespace: string | null;
+  /** Remote server, null for the local machine. */
+  server: string | null;
+  cause?: Error;
+}
+export class WmiInvalidQueryError extends WmiError {}
+export class WmiInvalidClassError extends WmiError {}
+export class WmiInvalidNamespaceError extends WmiError {}
+export class WmiNotFoundError extends WmiError {}
+export class WmiAccessDeniedError extends WmiError {}
+export class WmiRpcUnavailableError extends WmiError {}
+export class WqlSyntaxError extends WmiInvalidQueryError {
+  constructor(message: string, wql: string, position: number);
+  /** Zero-based character offset of the problem. */
+  position: number;
+}
+export class WmiReplayMissError extends WmiError {
+  constructor(wql: string, namespace: string, file: string, server?: string | null);
+  file: string;
+}
+export class WmiTimeoutError extends WmiError {
+  constructor(wql: string, timeout?: number, details?: WmiErrorDetails);
+  timeout: number | undefined;
+}
+export class WmiAbortError extends WmiError {
+  constructor(wql: string, reason?: unknown);
+  reason: unknown;
+}
+/** A method reported failure through ReturnValue, or a job ended in a state other than Completed. */
+export class WmiJobError extends WmiError {
+  constructor(message: string, details?: WmiErrorDetails & { job?: CIM_ConcreteJob; returnValue?: number });
+  job: CIM_ConcreteJob | null;
+  returnValue: number | null;
+  jobState: number | null;
+  errorCode: number | null;
+}
+
+/** Language of HRESULT descriptions in error messages. */
+export function setErrorLocale(locale: 'en' | 'zh-CN'): void;
+
+// ---------------------------------------------------------------------------
+// Backends
+// ---------------------------------------------------------------------------
+
+/** Incremental reader returned by WmiBackend.queryStream. */
+export interface WmiCursor {
+  next(maxRows?: number): Promise<WmiRow[] | null>;
+  close(): void;
+}
+
+export interface WmiBackend {
+  name: string;
+  getNamespace(): string;
+  query(wql: string, options?: WmiQueryOptions): WmiRow[];
+  testConnection(): boolean;
+  queryString?(wql: string, options?: WmiQueryOptions): string;
+  queryAsync?(wql: string, options?: WmiQueryOptions): Promise<WmiRow[]>;
+  queryStream?(wql: string, options?: WmiStreamOptions): WmiCursor;
+  listClasses?(): WmiClassInfo[];
+  getClassDefinition?(className: string): WmiClassDefinition;
+  invokeMethod?(path: string, method: string, inParams: WmiMethodParams, options?: WmiQueryOptions): WmiRow;
+  invokeMethodAsync?(path: string, method: string, inParams: WmiMethodParams, options?: WmiQueryOptions): Promise<WmiRow>;
+  /** Cursor over the events of a notification query; next() may resolve with [] while no event arrived. */
+  subscribe?(wql: string, options?: { bufferSize?: number }): WmiCursor;
+  /** Several queries in one call; one entry per query. */
+  queryBatch?(wqls: string[], options?: WmiQueryOptions): WmiBatchOutcome[];
+  /** Release the connection when the client is closed. */
+  close?(): void;
+}
+
+export type WmiBatchOutcome = { rows: WmiRow[]; error?: undefined } | { error: Error; rows?: undefined };
+
+/** Context passed to fixture method handlers. */
+export interface WmiFixtureMethodContext {
+  path: string;
+  className: string;
+  method: string;
+  keys: Record<string, string | number | boolean> | null;
+  /** The fixture row an instance path refers to; may be modified. */
+  instance: WmiRow | null;
+  classes: { [className: string]: WmiRow[] };
+}
+
+export type WmiFixtureMethod = WmiRow | ((inParams: WmiMethodParams, context: WmiFixtureMethodContext) => WmiRow);
+
+export type WmiBackendFactory = (config: WmiClientConfig) => WmiBackend;
+
+export interface WmiFixtureData extends WmiFixtureMachine {
+  /** Data of remote machines by server name. */
+  servers?: { [server: string]: WmiFixtureMachine };
+}
+
+export interface WmiFixtureMachine {
+  namespaces: {
+    [namespace: string]: {
+      classes: { [className: string]: WmiRow[] };
+      /** Class definitions as MOF text or parsed objects. */
+      schemas?: { [className: string]: string | WmiClassDefinition };
+      /** Out-parameters, or handlers returning them, by `Class.Method`. */
+      methods?: { [classAndMethod: string]: WmiFixtureMethod };
+      /** Events by event class, delivered to every matching subscription. */
+      events?: { [eventClass: string]: WmiRow[] };
+    };
+  };
+}
+
+export function registerBackend(name: string, factory: WmiBackendFactory): void;
+
+export class NativeBackend implements WmiBackend {
+  constructor(config?: WmiClientConfig);
+  name: string;
+  getNamespace(): string;
+  query(wql: string, options?: WmiQueryOptions): WmiRow[];
+  queryString(wql: string, options?: WmiQueryOptions): string;
+  queryAsync(wql: string, options?: WmiQueryOptions): Promise<WmiRow[]>;
+  queryStream(wql: string, options?: WmiStreamOptions): WmiCursor;
+  listClasses(): WmiClassInfo[];
+  getClassDefinition(className: string): WmiClassDefinition;
+  invokeMethod(path: string, method: string, inParams: WmiMethodParams): WmiRow;
+  invokeMethodAsync(path: string, method: string, inParams: WmiMethodParams, options?: WmiQueryOptions): Promise<WmiRow>;
+  subscribe(wql: string, options?: { bufferSize?: number }): WmiCursor;
+  queryBatch(wqls: string[], options?: WmiQueryOptions): WmiBatchOutcome[];
+  close(): void;
+  testConnection(): boolean;
+}
+
+export class FixtureBackend implements WmiBackend {
+  constructor(config?: WmiClientConfig);
+  name: string;
+  getNamespace(): string;
+  query(wql: string): WmiRow[];
+  listClasses(): WmiClassInfo[];
+  getClassDefinition(className: string): WmiClassDefinition;
+  invokeMethod(path: string, method: string, inParams: WmiMethodParams): WmiRow;
+  subscribe(wql: string): WmiCursor;
+  /** Deliver an event to the open subscriptions of every client sharing the fixture data. */
+  emitEvent(eventClass: string, event: WmiRow): void;
+  testConnection(): boolean;
+}
+
+export class ReplayBackend implements WmiBackend {
+  constructor(config?: WmiClientConfig);
+  name: string;
+  file: string;
+  getNamespace(): string;
+  query(wql: string): WmiRow[];
+  testConnection(): boolean;
+}
+
+export class RecordingBackend implements WmiBackend {
+  constructor(inner: WmiBackend, file: string);
+  name: string;
+  inner: WmiBackend;
+  getNamespace(): string;
+  query(wql: string, options?: WmiQueryOptions): WmiRow[];
+  queryAsync(wql: string, options?: WmiQueryOptions): Promise<WmiRow[]>;
+  queryStream(wql: string, options?: WmiStreamOptions): WmiCursor;
+  /** Present when the inner backend supports it; not recorded. */
+  listClasses?(): WmiClassInfo[];
+  /** Present when the inner backend supports it; not recorded. */
+  getClassDefinition?(className: string): WmiClassDefinition;
+  /** Present when the inner backend supports it; not recorded. */
+  invokeMethod?(path: string, method: string, inParams: WmiMethodParams, options?: WmiQueryOptions): WmiRow;
+  /** Present when the inner backend supports it; not recorded. */
+  invokeMethodAsync?(path: string, method: string, inParams: WmiMethodParams, options?: WmiQueryOptions): Promise<WmiRow>;
+  /** Present when the inner backend supports it; not recorded. */
+  subscribe?(wql: string, options?: { bufferSize?: number }): WmiCursor;
+  /** Present when the inner backend supports it. */
+  close?(): void;
+  testConnection(): boolean;
+}
+
+// ---------------------------------------------------------------------------
+// Common WMI classes
+// ---------------------------------------------------------------------------
+
+/** root/cimv2 Win32_OperatingSystem */
+export interface Win32_OperatingSystem {
+  BootDevice: string;
+  BuildNumber: string;
+  Caption: string;
+  CodeSet: string;
+  CountryCode: string;
+  CSName: string;
+  CurrentTimeZone: number;
+  FreePhysicalMemory: WmiInt64;
+  FreeSpaceInPagingFiles: WmiInt64;
+  FreeVirtualMemory: WmiInt64;
+  InstallDate: WmiDateTime;
+  LastBootUpTime: WmiDateTime;
+  LocalDateTime: WmiDateTime;
+  Locale: string;
+  Manufacturer: string;
+  MUILanguages: string[];
+  Name: string;
+  NumberOfProcesses: number;
+  NumberOfUsers: number;
+  OSArchitecture: string;
+  OSLanguage: number;
+  OSType: number;
+  ProductType: number;
+  RegisteredUser: string;
+  SerialNumber: string;
+  ServicePackMajorVersion: number;
+  ServicePackMinorVersion: number;
+  Status: string;
+  SystemDirectory: string;
+  SystemDrive: string;
+  TotalVirtualMemorySize: WmiInt64;
+  TotalVisibleMemorySize: WmiInt64;
+  Version: string;
+  WindowsDirectory: string;
+}
+
+/** root/cimv2 Win32_Process */
+export interface Win32_Process {
+  Caption: string;
+  CommandLine: string | null;
+  CreationDate: WmiDateTime | null;
+  CSName: string;
+  Description: string;
+  ExecutablePath: string | null;
+  HandleCount: number;
+  KernelModeTime: WmiInt64;
+  Name: string;
+  PageFileUsage: number;
+  ParentProcessId: number;
+  PeakWorkingSetSize: number;
+  Priority: number;
+  PrivatePageCount: WmiInt64;
+  ProcessId: number;
+  ReadOperationCount: WmiInt64;
+  SessionId: number;
+  ThreadCount: number;
+  UserModeTime: WmiInt64;
+  VirtualSize: WmiInt64;
+  WorkingSetSize: WmiInt64;
+  WriteOperationCount: WmiInt64;
+}
+
+/** root/cimv2 Win32_Service */
+export interface Win32_Service {
+  AcceptPause: boolean;
+  AcceptStop: boolean;
+  Caption: string;
+  DelayedAutoStart: boolean;
+  Description: string | null;
+  DesktopInteract: boolean;
+  DisplayName: string;
+  ErrorControl: string;
+  ExitCode: number;
+  Name: string;
+  PathName: string | null;
+  ProcessId: number;
+  ServiceSpecificExitCode: number;
+  ServiceType: string;
+  Started: boolean;
+  StartMode: 'Boot' | 'System' | 'Auto' | 'Manual' | 'Disabled' | string;
+  StartName: string | null;
+  State: 'Stopped' | 'Start Pending' | 'Stop Pending' | 'Running' | 'Continue Pending' | 'Pause Pending' | 'Paused' | 'Unknown' | string;
+  Status: string;
+  SystemName: string;
+}
+
+/** root/cimv2 Win32_LogicalDisk */
+export interface Win32_LogicalDisk {
+  Caption: string;
+  Compressed: boolean;
+  Description: string;
+  DeviceID: string;
+  /** 0 Unknown, 1 No Root Directory, 2 Removable, 3 Local, 4 Network, 5 CD, 6 RAM disk */
+  DriveType: number;
+  FileSystem: string | null;
+  FreeSpace: WmiInt64 | null;
+  MediaType: number | null;
+  Name: string;
+  ProviderName: string | null;
+  Size: WmiInt64 | null;
+  SystemName: string;
+  VolumeName: string | null;
+  VolumeSerialNumber: string | null;
+}
+
+/** root/cimv2 Win32_NetworkAdapterConfiguration */
+export interface Win32_NetworkAdapterConfiguration {
+  Caption: string;
+  DefaultIPGateway: string[] | null;
+  Description: string;
+  DHCPEnabled: boolean;
+  DHCPLeaseExpires: WmiDateTime | null;
+  DHCPLeaseObtained: WmiDateTime | null;
+  DHCPServer: string | null;
+  DNSDomain: string | null;
+  DNSHostName: string | null;
+  DNSServerSearchOrder: string[] | null;
+  Index: number;
+  InterfaceIndex: number;
+  IPAddress: string[] | null;
+  IPEnabled: boolean;
+  IPSubnet: string[] | null;
+  MACAddress: string | null;
+  ServiceName: string | null;
+  SettingID: string;
+}
+
+/** root/virtualization/v2 Msvm_ComputerSystem (the host and every virtual machine) */
+export interface Msvm_ComputerSystem {
+  /** 'Virtual Machine' for VMs, 'Hosting Computer System' for the host */
+  Caption: string;
+  CreationClassName: string;
+  Description: string;
+  ElementName: string;
+  /** 2 Running, 3 Off, 6 Saved, 9 Paused, 32768+ transitional states */
+  EnabledState: number;
+  EnhancedSessionModeState: number;
+  HealthState: number;
+  InstallDate: WmiDateTime | null;
+  /** VM GUID */
+  Name: string;
+  NumberOfNumaNodes: number;
+  OnTimeInMilliseconds: WmiInt64;
+  OperationalStatus: number[];
+  ProcessID: number | null;
+  RequestedState: number;
+  TimeOfLastConfigurationChange: WmiDateTime | null;
+  TimeOfLastStateChange: WmiDateTime | null;
+}
@@ -1,318 +1,188 @@
-/* tslint:disable */
-/* eslint-disable */
-/* prettier-ignore */
+/**
+ * wmi-nodejs
+ *
+ * Public entry point. The native napi-rs loader lives in binding.js and is
+ * only required when the native backend is used, so the package can be
+ * loaded (and run against the fixture backend) on any platform.
+ */
 
-/* auto-generated by NAPI-RS */
+const { WmiClient } = require('./lib/client');
+const { registerBackend, NativeBackend, FixtureBackend, ReplayBackend, RecordingBackend } = require('./lib/backends');
+const { parseWql, evaluateWql } = require('./lib/wql');
+const { QueryBuilder, ConditionGroup, select, escapeWqlString, escapeLike } = require('./lib/builder');
+const errors = require('./lib/errors');
+const { WmiUnsupportedValue } = require('./lib/convert');
+const datetime = require('./lib/datetime');
+const { parseMofClass, MofSyntaxError } = require('./lib/schema');
+const { dumpSchema, generateTypes } = require('./lib/schema/typegen');
+const { parseObjectPath, formatObjectPath } = require('./lib/methods');
+const { JOB_STATES } = require('./lib/jobs');
+const { WmiSubscription } = require('./lib/events');
+const { AUTH_LEVELS } = require('./lib/connection');
+const { ConnectionPool, defaultPool } = require('./lib/pool');
+const { QueryCache } = require('./lib/cache');
+const { INVENTORY_SECTIONS } = require('./lib/inventory');
+const { HyperV } = require('./lib/hyperv');
+const { PerfSampler, COUNTER_TYPES, counterTypeName, computeCounter } = require('./lib/perf');
+const { MetricsExporter } = require('./lib/exporter');
+const { ValueMapRegistry, defaultValueMaps, valueMapsFromSchema, VM_STATES, HEALTH_STATES } = require('./lib/valuemaps');
 
-const { existsSync, readFileSync } = require('fs')
-const { join } = require('path')
-
-const { platform, arch } = process
+/**
+ * Execute a query on a pooled connection, without keeping a client around.
+ * @param {string} wql - WQL query string
+ * @param {string} [namespace] - WMI namespace path
+ * @param {Object} [options] - { timeout }
+ * @returns {Array<Object>}
+ */
+function quickQuery(wql, namespace, options) {
+    return defaultPool.use(namespace, client => client.query(wql, options));
+}
 
-let nativeBinding = null
-let localFileExisted = false
-let loadError = null
+/**
+ * Execute a query on a pooled connection, returning a JSON string.
+ * @param {string} wql - WQL query string
+ * @param {string} [namespace] - WMI namespace path
+ * @param {Object} [options] - { timeout }
+ * @returns {string}
+ */
+function quickQueryString(wql, namespace, options) {
+    return defaultPool.use(namespace, client => client.queryString(wql, options));
+}
 
-function isMusl() {
-  // For Node 10
-  if (!process.report || typeof process.report.getReport !== 'function') {
+/**
+ * Execute a query on a pooled connection without blocking the event loop.
+ * @param {string} wql - WQL query string
+ * @param {string} [namespace] - WMI namespace path
+ * @param {Object} [options] - { timeout, signal }
+ * @returns {Promise<Array<Object>>}
+ */
+function quickQueryAsync(wql, namespace, options) {
     try {
-      const lddPath = require('child_process').execSync('which ldd').toString().trim()
-      return readFileSync(lddPath, 'utf8').includes('musl')
-    } catch (e) {
-      return true
+        return defaultPool.use(namespace, client => client.queryAsync(wql, options));
+    } catch (error) {
+        return Promise.reject(error);
     }
-  } else {
-    const { glibcVersionRuntime } = process.report.getReport().header
-    return !glibcVersionRuntime
-  }
 }
 
-switch (platform) {
-  case 'android':
-    switch (arch) {
-      case 'arm64':
-        localFileExisted = existsSync(join(__dirname, 'wmi-nodejs.android-arm64.node'))
-        try {
-          if (localFileExisted) {
-            nativeBinding = require('./wmi-nodejs.android-arm64.node')
-          } else {
-            nativeBinding = require('wmi-nodejs-android-arm64')
-          }
-        } catch (e) {
-          loadError = e
-        }
-        break
-      case 'arm':
-        localFileExisted = existsSync(join(__dirname, 'wmi-nodejs.android-arm-eabi.node'))
-        try {
-          if (localFileExisted) {
-            nativeBinding = require('./wmi-nodejs.android-arm-eabi.node')
-          } else {
-            nativeBinding = require('wmi-nodejs-android-arm-eabi')
-          }
-        } catch (e) {
-          loadError = e
-        }
-        break
-      default:
-        throw new Error(`Unsupported architecture on Android ${arch}`)
-    }
-    break
-  case 'win32':
-    switch (arch) {
-      case 'x64':
-        localFileExisted = existsSync(
-          join(__dirname, 'wmi-nodejs.win32-x64-msvc.node')
-        )
-        try {
-          if (localFileExisted) {
-            nativeBinding = require('./wmi-nodejs.win32-x64-msvc.node')
-          } else {
-            nativeBinding = require('wmi-nodejs-win32-x64-msvc')
-          }
-        } catch (e) {
-          loadError = e
-        }
-        break
-      case 'ia32':
-        localFileExisted = existsSync(
-          join(__dirname, 'wmi-nodejs.win32-ia32-msvc.node')
-        )
-        try {
-          if (localFileExisted) {
-            nativeBinding = require('./wmi-nodejs.win32-ia32-msvc.node')
-          } else {
-            nativeBinding = require('wmi-nodejs-win32-ia32-msvc')
-          }
-        } catch (e) {
-          loadError = e
-        }
-        break
-      case 'arm64':
-        localFileExisted = existsSync(
-          join(__dirname, 'wmi-nodejs.win32-arm64-msvc.node')
-        )
-        try {
-          if (localFileExisted) {
-            nativeBinding = require('./wmi-nodejs.win32-arm64-msvc.node')
-          } else {
-            nativeBinding = require('wmi-nodejs-win32-arm64-msvc')
-          }
-        } catch (e) {
-          loadError = e
-        }
-        break
-      default:
-        throw new Error(`Unsupported architecture on Windows: ${arch}`)
-    }
-    break
-  case 'darwin':
-    localFileExisted = existsSync(join(__dirname, 'wmi-nodejs.darwin-universal.node'))
-    try {
-      if (localFileExisted) {
-        nativeBinding = require('./wmi-nodejs.darwin-universal.node')
-      } else {
-        nativeBinding = require('wmi-nodejs-darwin-universal')
-      }
-      break
-    } catch {}
-    switch (arch) {
-      case 'x64':
-        localFileExisted = existsSync(join(__dirname, 'wmi-nodejs.darwin-x64.node'))
-        try {
-          if (localFileExisted) {
-            nativeBinding = require('./wmi-nodejs.darwin-x64.node')
-          } else {
-            nativeBinding = require('wmi-nodejs-darwin-x64')
-          }
-        } catch (e) {
-          loadError = e
-        }
-        break
-      case 'arm64':
-        localFileExisted = existsSync(
-          join(__dirname, 'wmi-nodejs.darwin-arm64.node')
-        )
-        try {
-          if (localFileExisted) {
-            nativeBinding = require('./wmi-nodejs.darwin-arm64.node')
-          } else {
-            nativeBinding = require('wmi-nodejs-darwin-arm64')
-          }
-        } catch (e) {
-          loadError = e
-        }
-        break
-      default:
-        throw new Error(`Unsupported architecture on macOS: ${arch}`)
-    }
-    break
-  case 'freebsd':
-    if (arch !== 'x64') {
-      throw new Error(`Unsupported architecture on FreeBSD: ${arch}`)
-    }
-    localFileExisted = existsSync(join(__dirname, 'wmi-nodejs.freebsd-x64.node'))
+/**
+ * Get basic information about the current system as a JSON string.
+ * @deprecated Use getInventory(), which returns normalised objects
+ * @returns {string}
+ */
+function getSystemInfo() {
+    return quickQueryString('SELECT * FROM Win32_ComputerSystem');
+}
+
+/**
+ * Collect a normalised system inventory on a pooled connection.
+ * @param {Object} [options]
+ * @param {Array<string>} [options.sections] - Sections to collect, default all
+ * @param {number} [options.timeout] - Timeout of each query in milliseconds
+ * @param {string} [options.server] - Remote machine; `username`, `password`,
+ *     `domain` and `authLevel` are used as in WmiClient
+ * @returns {Object}
+ */
+function getInventory(options = {}) {
+    return defaultPool.use(options, client => client.getInventory(options));
+}
+
+/**
+ * Collect a system inventory without blocking the event loop.
+ * @param {Object} [options] - As for getInventory(), plus `signal` and `concurrency`
+ * @returns {Promise<Object>}
+ */
+function getInventoryAsync(options = {}) {
     try {
-      if (localFileExisted) {
-        nativeBinding = require('./wmi-nodejs.freebsd-x64.node')
-      } else {
-        nativeBinding = require('wmi-nodejs-freebsd-x64')
-      }
-    } catch (e) {
-      loadError = e
-    }
-    break
-  case 'linux':
-    switch (arch) {
-      case 'x64':
-        if (isMusl()) {
-          localFileExisted = existsSync(
-            join(__dirname, 'wmi-nodejs.linux-x64-musl.node')
-          )
-          try {
-            if (localFileExisted) {
-              nativeBinding = require('./wmi-nodejs.linux-x64-musl.node')
-            } else {
-              nativeBinding = require('wmi-nodejs-linux-x64-musl')
-            }
-          } catch (e) {
-            loadError = e
-          }
-        } else {
-          localFileExisted = existsSync(
-            join(__dirname, 'wmi-nodejs.linux-x64-gnu.node')
-          )
-          try {
-            if (localFileExisted) {
-              nativeBinding = require('./wmi-nodejs.linux-x64-gnu.node')
-            } else {
-              nativeBinding = require('wmi-nodejs-linux-x64-gnu')
-            }
-          } catch (e) {
-            loadError = e
-          }
-        }
-        break
-      case 'arm64':
-        if (isMusl()) {
-          localFileExisted = existsSync(
-            join(__dirname, 'wmi-nodejs.linux-arm64-musl.node')
-          )
-          try {
-            if (localFileExisted) {
-              nativeBinding = require('./wmi-nodejs.linux-arm64-musl.node')
-            } else {
-              nativeBinding = require('wmi-nodejs-linux-arm64-musl')
-            }
-          } catch (e) {
-            loadError = e
-          }
-        } else {
-          localFileExisted = existsSync(
-            join(__dirname, 'wmi-nodejs.linux-arm64-gnu.node')
-          )
-          try {
-            if (localFileExisted) {
-              nativeBinding = require('./wmi-nodejs.linux-arm64-gnu.node')
-            } else {
-              nativeBinding = require('wmi-nodejs-linux-arm64-gnu')
-            }
-          } catch (e) {
-            loadError = e
-          }
-        }
-        break
-      case 'arm':
-        if (isMusl()) {
-          localFileExisted = existsSync(
-            join(__dirname, 'wmi-nodejs.linux-arm-musleabihf.node')
-          )
-          try {
-            if (localFileExisted) {
-              nativeBinding = require('./wmi-nodejs.linux-arm-musleabihf.node')
-            } else {
-              nativeBinding = require('wmi-nodejs-linux-arm-musleabihf')
-            }
-          } catch (e) {
-            loadError = e
-          }
-        } else {
-          localFileExisted = existsSync(
-            join(__dirname, 'wmi-nodejs.linux-arm-gnueabihf.node')
-          )
-          try {
-            if (localFileExisted) {
-              nativeBinding = require('./wmi-nodejs.linux-arm-gnueabihf.node')
-            } else {
-              nativeBinding = require('wmi-nodejs-linux-arm-gnueabihf')
-            }
-          } catch (e) {
-            loadError = e
-          }
-        }
-        break
-      case 'riscv64':
-        if (isMusl()) {
-          localFileExisted = existsSync(
-            join(__dirname, 'wmi-nodejs.linux-riscv64-musl.node')
-          )
-          try {
-            if (localFileExisted) {
-              nativeBinding = require('./wmi-nodejs.linux-riscv64-musl.node')
-            } else {
-              nativeBinding = require('wmi-nodejs-linux-riscv64-musl')
-            }
-          } catch (e) {
-            loadError = e
-          }
-        } else {
-          localFileExisted = existsSync(
-            join(__dirname, 'wmi-nodejs.linux-riscv64-gnu.node')
-          )
-          try {
-            if (localFileExisted) {
-              nativeBinding = require('./wmi-nodejs.linux-riscv64-gnu.node')
-            } else {
-              nativeBinding = require('wmi-nodejs-linux-riscv64-gnu')
-            }
-          } catch (e) {
-            loadError = e
-          }
-        }
-        break
-      case 's390x':
-        localFileExisted = existsSync(
-          join(__dirname, 'wmi-nodejs.linux-s390x-gnu.node')
-        )
-        try {
-          if (localFileExisted) {
-            nativeBinding = require('./wmi-nodejs.linux-s390x-gnu.node')
-          } else {
-            nativeBinding = require('wmi-nodejs-linux-s390x-gnu')
-          }
-        } catch (e) {
-          loadError = e
-        }
-        break
-      default:
-        throw new Error(`Unsupported architecture on Linux: ${arch}`)
+        return defaultPool.use(options, client => client.getInventoryAsync(options));
+    } catch (error) {
+        return Promise.reject(error);
     }
-    break
-  default:
-    throw new Error(`Unsupported OS: ${platform}, architecture: ${arch}`)
 }
 
-if (!nativeBinding) {
-  if (loadError) {
-    throw loadError
-  }
-  throw new Error(`Failed to load native binding`)
+/**
+ * Copy of a row with labels for the properties that have a value map,
+ * e.g. NetConnectionStatusLabel: 'Connected' next to NetConnectionStatus.
+ * @param {string} className
+ * @param {Object} row
+ * @returns {Object}
+ */
+function decodeRow(className, row) {
+    return defaultValueMaps.decodeRow(className, row);
 }
 
-const { WmiClient, quickQuery, quickQueryString, getSystemInfo } = nativeBinding
+/**
+ * Add or replace the value map of a property for every client.
+ * @param {string} className
+ * @param {string} property
+ * @param {Object<string, string>} labels - Label by value
+ */
+function registerValueMap(className, property, labels) {
+    defaultValueMaps.register(className, property, labels);
+}
 
-module.exports.WmiClient = WmiClient
-module.exports.quickQuery = quickQuery
-module.exports.quickQueryString = quickQueryString
-module.exports.getSystemInfo = getSystemInfo
+module.exports.WmiClient = WmiClient;
+module.exports.quickQuery = quickQuery;
+module.exports.quickQueryString = quickQueryString;
+module.exports.quickQueryAsync = quickQueryAsync;
+module.exports.getSystemInfo = getSystemInfo;
+module.exports.getInventory = getInventory;
+module.exports.getInventoryAsync = getInventoryAsync;
+module.exports.registerBackend = registerBackend;
+module.exports.NativeBackend = NativeBackend;
+module.exports.FixtureBackend = FixtureBackend;
+module.exports.ReplayBackend = ReplayBackend;
+module.exports.RecordingBackend = RecordingBackend;
+module.exports.parseWql = parseWql;
+module.exports.evaluateWql = evaluateWql;
+module.exports.WmiError = errors.WmiError;
+module.exports.WmiInvalidQueryError = errors.WmiInvalidQueryError;
+module.exports.WmiInvalidClassError = errors.WmiInvalidClassError;
+module.exports.WmiInvalidNamespaceError = errors.WmiInvalidNamespaceError;
+module.exports.WmiNotFoundError = errors.WmiNotFoundError;
+module.exports.WmiAccessDeniedError = errors.WmiAccessDeniedError;
+module.exports.WmiRpcUnavailableError = errors.WmiRpcUnavailableError;
+module.exports.WqlSyntaxError = errors.WqlSyntaxError;
+module.exports.WmiReplayMissError = errors.WmiReplayMissError;
+module.exports.WmiTimeoutError = errors.WmiTimeoutError;
+module.exports.WmiAbortError = errors.WmiAbortError;
+module.exports.WmiJobError = errors.WmiJobError;
+module.exports.setErrorLocale = errors.setErrorLocale;
+module.exports.WmiUnsupportedValue = WmiUnsupportedValue;
+module.exports.CimInterval = datetime.CimInterval;
+module.exports.datetimeProperties = datetime.datetimeProperties;
+module.exports.parseCimDateTime = datetime.parseCimDateTime;
+module.exports.parseCimDateTimeParts = datetime.parseCimDateTimeParts;
+module.exports.parseCimInterval = datetime.parseCimInterval;
+module.exports.formatCimDateTime = datetime.formatCimDateTime;
+module.exports.formatCimInterval = datetime.formatCimInterval;
+module.exports.toWqlDateTime = datetime.toWqlDateTime;
+module.exports.parseMofClass = parseMofClass;
+module.exports.MofSyntaxError = MofSyntaxError;
+module.exports.dumpSchema = dumpSchema;
+module.exports.generateTypes = generateTypes;
+module.exports.QueryBuilder = QueryBuilder;
+module.exports.ConditionGroup = ConditionGroup;
+module.exports.select = select;
+module.exports.escapeWqlString = escapeWqlString;
+module.exports.escapeLike = escapeLike;
+module.exports.parseObjectPath = parseObjectPath;
+module.exports.formatObjectPath = formatObjectPath;
+module.exports.jobStates = JOB_STATES;
+module.exports.WmiSubscription = WmiSubscription;
+module.exports.authLevels = AUTH_LEVELS;
+module.exports.ConnectionPool = ConnectionPool;
+module.exports.connectionPool = defaultPool;
+module.exports.QueryCache = QueryCache;
+module.exports.inventorySections = INVENTORY_SECTIONS;
+module.exports.HyperV = HyperV;
+module.exports.vmStates = VM_STATES;
+module.exports.healthStates = HEALTH_STATES;
+module.exports.ValueMapRegistry = ValueMapRegistry;
+module.exports.decodeRow = decodeRow;
+module.exports.registerValueMap = registerValueMap;
+module.exports.valueMapsFromSchema = valueMapsFromSchema;
+module.exports.PerfSampler = PerfSampler;
+module.exports.counterTypes = COUNTER_TYPES;
+module.exports.counterTypeName = counterTypeName;
+module.exports.computeCounter = computeCounter;
+module.exports.MetricsExporter = MetricsExporter;
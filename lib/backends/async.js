@@ -0,0 +1,134 @@
+/**
+ * Asynchronous execution helpers shared by the client and wrapping backends
+ */
+
+const { WmiTimeoutError, WmiAbortError } = require('../errors');
+
+/**
+ * Settle with `start()`'s promise unless the timeout elapses or the signal
+ * aborts first, in which case reject with WmiTimeoutError / WmiAbortError.
+ * @param {function(): Promise} start - Starts the operation
+ * @param {string} wql - Query text, used in error messages
+ * @param {Object} [options]
+ * @param {number} [options.timeout] - Milliseconds; 0 or undefined for none
+ * @param {AbortSignal} [options.signal]
+ * @param {Object} [details] - { namespace, server } for WmiTimeoutError
+ * @returns {Promise}
+ */
+function withDeadline(start, wql, options = {}, details = {}) {
+    const { timeout, signal } = options;
+    if (signal && signal.aborted) {
+        return Promise.reject(new WmiAbortError(wql, signal.reason));
+    }
+
+    return new Promise((resolve, reject) => {
+        let timer = null;
+
+        const onAbort = () => {
+            cleanup();
+            reject(new WmiAbortError(wql, signal.reason));
+        };
+        const cleanup = () => {
+            if (timer) clearTimeout(timer);
+            if (signal) signal.removeEventListener('abort', onAbort);
+        };
+
+        if (timeout > 0) {
+            timer = setTimeout(() => {
+                cleanup();
+                reject(new WmiTimeoutError(wql, timeout, { namespace: details.namespace, server: details.server }));
+            }, timeout);
+        }
+        if (signal) {
+            signal.addEventListener('abort', onAbort);
+        }
+
+        start().then(value => {
+            cleanup();
+            resolve(value);
+        }, error => {
+            cleanup();
+            reject(error);
+        });
+    });
+}
+
+/**
+ * Namespace and server of a backend, for error details.
+ * @param {Object} backend
+ * @returns {{namespace: string, server: string|null}}
+ */
+function backendDetails(backend) {
+    return { namespace: backend.getNamespace(), server: backend.server || null };
+}
+
+/**
+ * Run a query through a backend asynchronously, falling back to the
+ * synchronous `query` on a later tick for backends without `queryAsync`.
+ * Errors always surface as rejections; `timeout` and `signal` are enforced
+ * here for every backend and also passed on so native work can stop early.
+ * The native query ends itself at its timeout; an abort only skips native
+ * work that has not started.
+ * @param {Object} backend
+ * @param {string} wql
+ * @param {Object} [options] - { timeout, signal }
+ * @returns {Promise<Array<Object>>}
+ */
+function queryAsync(backend, wql, options = {}) {
+    return withDeadline(() => {
+        if (typeof backend.queryAsync === 'function') {
+            return backend.queryAsync(wql, options);
+        }
+        return new Promise((resolve, reject) => {
+            setImmediate(() => {
+                if (options.signal && options.signal.aborted) {
+                    return reject(new WmiAbortError(wql, options.signal.reason));
+                }
+                try {
+                    resolve(backend.query(wql, options));
+                } catch (error) {
+                    reject(error);
+                }
+            });
+        });
+    }, wql, options, backendDetails(backend));
+}
+
+/**
+ * Invoke a method through a backend asynchronously, falling back to the
+ * synchronous `invokeMethod` on a later tick. `timeout` and `signal` stop
+ * waiting for the result; a native call that already started still runs
+ * to completion.
+ * @param {Object} backend
+ * @param {string} path - Class name or object path
+ * @param {string} method
+ * @param {Object} inParams - Encoded in-parameters
+ * @param {Object} [options] - { timeout, signal }
+ * @returns {Promise<Object>}
+ */
+function invokeMethodAsync(backend, path, method, inParams, options = {}) {
+    const label = `${path} ${method}()`;
+    return withDeadline(() => {
+        if (typeof backend.invokeMethodAsync === 'function') {
+            return backend.invokeMethodAsync(path, method, inParams, options);
+        }
+        return new Promise((resolve, reject) => {
+            setImmediate(() => {
+                if (options.signal && options.signal.aborted) {
+                    return reject(new WmiAbortError(label, options.signal.reason));
+                }
+                try {
+                    resolve(backend.invokeMethod(path, method, inParams, options));
+                } catch (error) {
+                    reject(error);
+                }
+            });
+        });
+    }, label, options, backendDetails(backend));
+}
+
+module.exports = {
+    withDeadline,
+    queryAsync,
+    invokeMethodAsync
+};
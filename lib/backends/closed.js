@@ -0,0 +1,43 @@
+/**
+ * Closed backend
+ *
+ * Takes the place of a client's backend once the client is closed, so
+ * every later call fails with the same clear error instead of reaching a
+ * released connection.
+ */
+
+const { WmiError } = require('../errors');
+
+/**
+ * @param {Object} backend - The backend being closed
+ * @returns {Object} A backend whose every operation fails
+ */
+function createClosedBackend(backend) {
+    const namespace = backend.getNamespace();
+    const closedError = () => new WmiError(`The WMI client for ${namespace} is closed`, { namespace });
+    const fail = () => {
+        throw closedError();
+    };
+    const reject = () => Promise.reject(closedError());
+
+    return {
+        name: backend.name,
+        getNamespace: () => namespace,
+        query: fail,
+        queryString: fail,
+        queryAsync: reject,
+        queryStream: fail,
+        queryBatch: fail,
+        subscribe: fail,
+        listClasses: fail,
+        getClassDefinition: fail,
+        invokeMethod: fail,
+        invokeMethodAsync: reject,
+        testConnection: () => false,
+        close() {}
+    };
+}
+
+module.exports = {
+    createClosedBackend
+};
@@ -0,0 +1,414 @@
+/**
+ * Fixture backend
+ *
+ * Answers WQL queries from recorded class data held in memory, so code that
+ * uses WmiClient can run on machines without WMI (Linux CI, macOS laptops).
+ *
+ * Fixture data layout:
+ *
+ *     {
+ *         "namespaces": {
+ *             "root/cimv2": {
+ *                 "classes": {
+ *                     "Win32_OperatingSystem": [ { "Caption": "...", ... } ]
+ *                 },
+ *                 "schemas": {
+ *                     "Win32_OperatingSystem": "class Win32_OperatingSystem : CIM_OperatingSystem { ... };"
+ *                 },
+ *                 "methods": {
+ *                     "Win32_Process.Create": { "ReturnValue": 0, "ProcessId": 4242 }
+ *                 },
+ *                 "events": {
+ *                     "__InstanceCreationEvent": [ { "TargetInstance": { "__CLASS": "Win32_Process", ... } } ]
+ *                 }
+ *             }
+ *         }
+ *     }
+ *
+ * Data for remote machines goes under `servers`, by server name, with the
+ * same layout; a client whose `server` is not listed fails as an
+ * unreachable machine would:
+ *
+ *     { "servers": { "HV01": { "namespaces": { "root/virtualization/v2": { ... } } } } }
+ *
+ * Queries are parsed and evaluated in JavaScript (see lib/wql), so WHERE
+ * clauses behave as they do against WMI. `Meta_Class` queries are answered
+ * from the class names present in the namespace and `__NAMESPACE` queries
+ * from the namespaces in the data. `schemas` holds class definitions, as MOF
+ * text or parsed objects (see lib/schema), for the introspection API.
+ * `methods` maps `Class.Method` to the out-parameters invokeMethod returns,
+ * or (in fixture objects built in JavaScript) to a synchronous function
+ * `(inParams, { path, className, method, keys, instance, classes })` that
+ * returns them; `instance` is the fixture row the path refers to and may be
+ * modified to simulate side effects.
+ * `events` holds events by event class; every new subscription whose query
+ * matches receives them, and emitEvent() delivers further events to the
+ * open subscriptions of every client sharing the fixture data.
+ * Server, namespace, class and property names are matched case-insensitively.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_NAMESPACE, normalizeNamespace, findKey } = require('../util');
+const { parseWql, evaluateWql } = require('../wql');
+const { WmiError, createWmiError } = require('../errors');
+const { parseMofClass } = require('../schema/mof');
+const { parseObjectPath } = require('../methods');
+const { connectionKey } = require('../connection');
+
+const loadedFiles = new Map();
+
+// Open subscriptions by fixture data object, then by server and normalised namespace
+const subscriptions = new WeakMap();
+
+/**
+ * Read a fixture JSON file, caching the parsed content by absolute path.
+ * @param {string} file - Path to the fixture file
+ * @returns {Object}
+ */
+function loadFixtureFile(file) {
+    const resolved = path.resolve(file);
+    if (!loadedFiles.has(resolved)) {
+        loadedFiles.set(resolved, JSON.parse(fs.readFileSync(resolved, 'utf8')));
+    }
+    return loadedFiles.get(resolved);
+}
+
+/**
+ * Resolve the `fixtures` option (object or file path) into fixture data.
+ * Falls back to the WMI_NODEJS_FIXTURES environment variable.
+ * @param {Object|string} [fixtures]
+ * @returns {Object}
+ */
+function resolveFixtures(fixtures) {
+    const source = fixtures || process.env.WMI_NODEJS_FIXTURES;
+    if (!source) {
+        throw new WmiError('Fixture backend requires `fixtures` data or the WMI_NODEJS_FIXTURES environment variable');
+    }
+    return typeof source === 'string' ? loadFixtureFile(source) : source;
+}
+
+/**
+ * Cursor over the events of a fixture subscription. `next()` waits until
+ * an event arrives or the cursor is closed.
+ */
+class FixtureEventCursor {
+    /**
+     * @param {Object} ast - Parsed notification query
+     * @param {function()} onClose - Unregisters the cursor
+     */
+    constructor(ast, onClose) {
+        this.ast = ast;
+        this.onClose = onClose;
+        this.queue = [];
+        this.pending = null;
+        this.closed = false;
+    }
+
+    /**
+     * Queue an event if it matches the subscription's query.
+     * @param {string} className - Event class
+     * @param {Object} event
+     */
+    offer(className, event) {
+        if (this.closed || className.toLowerCase() !== this.ast.className.toLowerCase()) return;
+        const rows = evaluateWql(this.ast, [Object.assign({ __CLASS: className }, event)]);
+        if (rows.length === 0) return;
+        this.queue.push(rows[0]);
+        this.drain();
+    }
+
+    drain() {
+        if (!this.pending || this.queue.length === 0) return;
+        const { resolve, maxRows } = this.pending;
+        this.pending = null;
+        resolve(this.queue.splice(0, maxRows));
+    }
+
+    next(maxRows = 64) {
+        if (this.closed) return Promise.resolve(null);
+        return new Promise(resolve => {
+            this.pending = { resolve, maxRows };
+            this.drain();
+        });
+    }
+
+    close() {
+        if (this.closed) return;
+        this.closed = true;
+        if (this.pending) {
+            this.pending.resolve(null);
+            this.pending = null;
+        }
+        this.onClose();
+    }
+}
+
+/**
+ * Backend that serves rows from in-memory fixture data.
+ */
+class FixtureBackend {
+    /**
+     * @param {Object} [config] - Client configuration
+     * @param {string} [config.namespace] - Namespace to bind to
+     * @param {string} [config.server] - Remote server whose data to use from `servers`
+     * @param {Object|string} [config.fixtures] - Fixture data or path to a fixture JSON file
+     */
+    constructor(config = {}) {
+        this.name = 'fixture';
+        this.namespace = config.namespace || DEFAULT_NAMESPACE;
+        this.server = config.server || null;
+        this.data = resolveFixtures(config.fixtures);
+
+        this.namespaces = this.getServerData().namespaces || {};
+        const namespaces = this.namespaces;
+        const own = normalizeNamespace(this.namespace);
+        const key = Object.keys(namespaces).find(name => normalizeNamespace(name) === own);
+        // Parents of listed namespaces (e.g. `root`) exist but hold no classes
+        const isParent = Object.keys(namespaces).some(name => normalizeNamespace(name).startsWith(`${own}/`));
+        if (!key && !isParent) {
+            throw createWmiError({
+                hresult: 0x8004100E,
+                namespace: this.namespace,
+                server: this.server,
+                detail: 'not present in the fixture data'
+            });
+        }
+        this.classes = key ? namespaces[key].classes || {} : {};
+        this.schemas = key ? namespaces[key].schemas || {} : {};
+        this.methods = key ? namespaces[key].methods || {} : {};
+        this.events = key ? namespaces[key].events || {} : {};
+        this.definitions = new Map();
+    }
+
+    /**
+     * The part of the fixture data describing the connected machine.
+     * @returns {Object} `{ namespaces }`
+     */
+    getServerData() {
+        if (!this.server) return this.data;
+        const servers = this.data.servers || {};
+        const key = findKey(servers, this.server);
+        if (!key) {
+            throw createWmiError({
+                hresult: 0x800706BA,
+                server: this.server,
+                detail: 'not present in the fixture data'
+            });
+        }
+        return servers[key];
+    }
+
+    getNamespace() {
+        return this.namespace;
+    }
+
+    /**
+     * Return the recorded instances of a class.
+     * @param {string} className
+     * @param {string} [wql] - Query being answered, for error reporting
+     * @returns {Array<Object>}
+     */
+    getInstances(className, wql) {
+        const key = findKey(this.classes, className);
+        if (!key) {
+            throw createWmiError({
+                hresult: 0x80041010,
+                namespace: this.namespace,
+                server: this.server,
+                wql,
+                detail: `${className} is not present in the fixture data`
+            });
+        }
+        return this.classes[key];
+    }
+
+    /**
+     * Build `Meta_Class` rows for the classes present in the namespace.
+     * @returns {Array<Object>}
+     */
+    getClassRows() {
+        return this.listClasses().map(entry => ({
+            __CLASS: entry.name,
+            __SUPERCLASS: entry.superclass,
+            __DERIVATION: entry.derivation
+        }));
+    }
+
+    /**
+     * Build `__NAMESPACE` rows for the direct children of the namespace.
+     * @returns {Array<Object>}
+     */
+    getNamespaceRows() {
+        const own = normalizeNamespace(this.namespace);
+        const depth = own.split('/').length;
+        const children = new Map();
+        Object.keys(this.namespaces).forEach(name => {
+            if (!normalizeNamespace(name).startsWith(`${own}/`)) return;
+            const child = name.replace(/\\/g, '/').replace(/^\/+/, '').split('/')[depth];
+            children.set(child.toLowerCase(), child);
+        });
+        return Array.from(children.values()).map(Name => ({ __CLASS: '__NAMESPACE', Name }));
+    }
+
+    query(wql) {
+        let ast;
+        try {
+            ast = parseWql(wql);
+        } catch (error) {
+            error.namespace = this.namespace;
+            throw error;
+        }
+        let rows;
+        switch (ast.className.toLowerCase()) {
+            case 'meta_class':
+                rows = this.getClassRows();
+                break;
+            case '__namespace':
+                rows = this.getNamespaceRows();
+                break;
+            default:
+                rows = this.getInstances(ast.className, wql);
+        }
+        return evaluateWql(ast, rows);
+    }
+
+    listClasses() {
+        const names = new Map();
+        Object.keys(this.classes).concat(Object.keys(this.schemas))
+            .forEach(name => names.set(name.toLowerCase(), name));
+        return Array.from(names.values()).map(name => {
+            const derivation = [];
+            let current = this.findDefinition(name);
+            while (current && current.superclass && derivation.length < 64) {
+                derivation.push(current.superclass);
+                current = this.findDefinition(current.superclass);
+            }
+            return { name, superclass: derivation[0] || null, derivation };
+        });
+    }
+
+    /**
+     * Look up the definition of a class, parsing MOF text once.
+     * @param {string} className
+     * @returns {Object|null}
+     */
+    findDefinition(className) {
+        const key = findKey(this.schemas, className);
+        if (key === undefined) return null;
+        if (!this.definitions.has(key)) {
+            const schema = this.schemas[key];
+            this.definitions.set(key, typeof schema === 'string' ? parseMofClass(schema) : schema);
+        }
+        return this.definitions.get(key);
+    }
+
+    getClassDefinition(className) {
+        const definition = this.findDefinition(className);
+        if (!definition) {
+            throw createWmiError({
+                hresult: 0x80041002,
+                namespace: this.namespace,
+                server: this.server,
+                detail: `No schema for ${className} in the fixture data`
+            });
+        }
+        return definition;
+    }
+
+    /**
+     * Find the fixture row an instance path refers to.
+     * @param {string} className
+     * @param {Object} keys - Key property values from the path
+     * @param {string} path
+     * @returns {Object}
+     */
+    findInstance(className, keys, path) {
+        const matches = row => Object.keys(keys).every(name => {
+            const key = findKey(row, name);
+            if (key === undefined) return false;
+            const actual = row[key];
+            if (typeof actual === 'string' && typeof keys[name] === 'string') {
+                return actual.toLowerCase() === keys[name].toLowerCase();
+            }
+            return actual === keys[name];
+        });
+        const instance = this.getInstances(className).find(matches);
+        if (!instance) {
+            throw createWmiError({
+                hresult: 0x80041002,
+                namespace: this.namespace,
+                server: this.server,
+                detail: `${path} is not present in the fixture data`
+            });
+        }
+        return instance;
+    }
+
+    invokeMethod(path, method, inParams) {
+        const { className, keys } = parseObjectPath(path);
+        const handlerKey = findKey(this.methods, `${className}.${method}`);
+        if (handlerKey === undefined) {
+            throw createWmiError({
+                hresult: 0x8004102E,
+                namespace: this.namespace,
+                server: this.server,
+                detail: `${className}.${method} is not present in the fixture data`
+            });
+        }
+        const instance = keys ? this.findInstance(className, keys, path) : null;
+        const handler = this.methods[handlerKey];
+        const out = typeof handler === 'function'
+            ? handler(Object.assign({}, inParams), { path, className, method, keys, instance, classes: this.classes })
+            : handler;
+        return Object.assign({}, out);
+    }
+
+    /**
+     * Open the subscriptions registry for this namespace.
+     * @returns {Set<FixtureEventCursor>}
+     */
+    openSubscriptions() {
+        if (!subscriptions.has(this.data)) subscriptions.set(this.data, new Map());
+        const byNamespace = subscriptions.get(this.data);
+        const own = connectionKey(this.server, this.namespace);
+        if (!byNamespace.has(own)) byNamespace.set(own, new Set());
+        return byNamespace.get(own);
+    }
+
+    subscribe(wql) {
+        let ast;
+        try {
+            ast = parseWql(wql);
+        } catch (error) {
+            error.namespace = this.namespace;
+            throw error;
+        }
+        const open = this.openSubscriptions();
+        const cursor = new FixtureEventCursor(ast, () => open.delete(cursor));
+        open.add(cursor);
+        Object.keys(this.events).forEach(className => {
+            this.events[className].forEach(event => cursor.offer(className, event));
+        });
+        return cursor;
+    }
+
+    /**
+     * Deliver an event to the open subscriptions on this namespace of
+     * every client using the same fixture data.
+     * @param {string} className - Event class, e.g. '__InstanceCreationEvent'
+     * @param {Object} event - Event properties, e.g. { TargetInstance: {...} }
+     */
+    emitEvent(className, event) {
+        this.openSubscriptions().forEach(cursor => cursor.offer(className, event));
+    }
+
+    testConnection() {
+        return true;
+    }
+}
+
+module.exports = {
+    FixtureBackend,
+    loadFixtureFile
+};
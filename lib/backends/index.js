@@ -0,0 +1,105 @@
+/**
+ * Backend registry
+ *
+ * A backend is the object a WmiClient delegates to. Every backend
+ * implements the following interface:
+ *
+ *     {
+ *         name: string,                        // backend identifier
+ *         getNamespace(): string,              // namespace the backend is bound to
+ *         query(wql, options): Array<Object>,  // run a WQL query, return plain rows
+ *         testConnection(): boolean            // whether the namespace is reachable
+ *     }
+ *
+ * Backends may also implement `queryString(wql, options)` when they can produce the
+ * JSON text more efficiently than `JSON.stringify(query(wql))`, and
+ * `queryAsync(wql, options)` returning a Promise when they can run queries
+ * off the main thread. Backends without `queryAsync` run `query` on a later
+ * tick. `options` carries `timeout` (ms) and, for async calls, `signal`.
+ * `queryStream(wql, options)` may return a cursor (see lib/stream.js) for
+ * backends that can produce rows incrementally. `listClasses()` and
+ * `getClassDefinition(className)` provide schema introspection (see lib/schema).
+ * `invokeMethod(path, method, inParams, options)` executes a method on a class
+ * or instance path and returns its out-parameters, including ReturnValue;
+ * `invokeMethodAsync` is its Promise-returning counterpart (see lib/methods.js).
+ * `queryBatch(wqls, options)` runs several queries in one call and returns,
+ * per query, `{ rows }` or `{ error }`.
+ * `subscribe(wql, options)` returns a cursor over the events of a notification
+ * query (see lib/events.js). `close()` releases the backend's connection when
+ * its client is closed.
+ *
+ * Rows may contain the tagged values described in lib/convert.js; the
+ * client converts them according to its `conversion` option.
+ *
+ * The backend is chosen from `config.backend`, then the WMI_NODEJS_BACKEND
+ * environment variable, then defaults to `native`. When `config.record` or
+ * WMI_NODEJS_RECORD names a file, the backend is wrapped in a
+ * RecordingBackend that writes every query to it.
+ */
+
+const { NativeBackend } = require('./native');
+const { FixtureBackend } = require('./fixture');
+const { ReplayBackend } = require('./replay');
+const { RecordingBackend } = require('./recording');
+const { queryAsync, invokeMethodAsync } = require('./async');
+const { WmiError } = require('../errors');
+
+const factories = new Map();
+
+/**
+ * Register a backend factory under a name usable in `config.backend`
+ * and WMI_NODEJS_BACKEND.
+ * @param {string} name - Backend name
+ * @param {function(Object): Object} factory - Creates a backend from client config
+ */
+function registerBackend(name, factory) {
+    if (typeof factory !== 'function') {
+        throw new TypeError(`Backend factory for "${name}" must be a function`);
+    }
+    factories.set(name, factory);
+}
+
+/**
+ * Create the backend for a client configuration.
+ * @param {Object} [config] - Client configuration
+ * @param {string|Function|Object} [config.backend] - Backend name, factory or instance
+ * @param {string} [config.record] - Recording file to write queries to
+ * @returns {Object} Backend instance
+ */
+function createBackend(config = {}) {
+    const backend = selectBackend(config);
+    const record = config.record || process.env.WMI_NODEJS_RECORD;
+    return record ? new RecordingBackend(backend, record, config.server) : backend;
+}
+
+function selectBackend(config) {
+    const selected = config.backend || process.env.WMI_NODEJS_BACKEND || 'native';
+
+    if (typeof selected === 'function') {
+        return selected(config);
+    }
+    if (typeof selected === 'object') {
+        return selected;
+    }
+
+    const factory = factories.get(selected);
+    if (!factory) {
+        throw new WmiError(`Unknown WMI backend "${selected}". Registered backends: ${Array.from(factories.keys()).join(', ')}`);
+    }
+    return factory(config);
+}
+
+registerBackend('native', config => new NativeBackend(config));
+registerBackend('fixture', config => new FixtureBackend(config));
+registerBackend('replay', config => new ReplayBackend(config));
+
+module.exports = {
+    registerBackend,
+    createBackend,
+    queryAsync,
+    invokeMethodAsync,
+    NativeBackend,
+    FixtureBackend,
+    ReplayBackend,
+    RecordingBackend
+};
@@ -0,0 +1,231 @@
+/**
+ * Native backend
+ *
+ * Thin adapter around the napi-rs binding (`binding.js`). The binding is
+ * loaded lazily so that requiring this package on a platform without a
+ * compiled `.node` file only fails once a native client is actually created.
+ */
+
+const { WmiError, fromNativeError } = require('../errors');
+const { parseMofClass } = require('../schema/mof');
+const { parseObjectPath } = require('../methods');
+
+/** Methods of the binding's WmiClient that NativeBackend calls. */
+const REQUIRED_METHODS = [
+    'query', 'queryString', 'queryBatch', 'queryAsync', 'queryStream', 'subscribe', 'listClasses',
+    'getClassMof', 'invokeMethod', 'invokeMethodAsync', 'getNamespace', 'testConnection', 'close'
+];
+
+/** Config fields a binding without the `remote` feature would silently ignore. */
+const REMOTE_SETTINGS = ['server', 'username', 'password', 'domain', 'authLevel'];
+
+let binding = null;
+let bindingError = null;
+
+/**
+ * Load the native binding, caching both success and failure. A binary
+ * built from an older src/lib.rs is refused here rather than failing
+ * with a TypeError in the middle of a call.
+ * @returns {Object} The napi-rs exports (WmiClient, QueryStream)
+ */
+function loadBinding() {
+    if (binding) return binding;
+    if (bindingError) throw bindingError;
+
+    let loaded;
+    try {
+        loaded = require('../../binding.js');
+    } catch (error) {
+        bindingError = new WmiError(
+            `Native WMI binding is not available on ${process.platform}-${process.arch}: ${error.message.split('\n')[0]}. ` +
+            'Use the fixture backend (WMI_NODEJS_BACKEND=fixture) to run without Windows.',
+            { cause: error }
+        );
+        throw bindingError;
+    }
+    const prototype = typeof loaded.WmiClient === 'function' ? loaded.WmiClient.prototype : {};
+    const missing = REQUIRED_METHODS.filter(name => typeof prototype[name] !== 'function');
+    if (missing.length) {
+        bindingError = new WmiError(
+            `Native WMI binding is out of date: its WmiClient has no ${missing.join(', ')}. ` +
+            'Rebuild it from src/lib.rs with `npm run build`, or reinstall the package.'
+        );
+        throw bindingError;
+    }
+    binding = loaded;
+    return binding;
+}
+
+/**
+ * Whether the native binding can be loaded on this machine.
+ * @returns {boolean}
+ */
+function isNativeAvailable() {
+    try {
+        loadBinding();
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Backend that forwards every call to a native `WmiClient` instance.
+ */
+class NativeBackend {
+    /**
+     * @param {Object} [config] - Client configuration (namespace, server, credentials,
+     *     authLevel, timeout, conversion) as normalised by WmiClient
+     */
+    constructor(config = {}) {
+        const { WmiClient, bindingFeatures } = loadBinding();
+        const remote = REMOTE_SETTINGS.filter(name => config[name] !== undefined && config[name] !== null);
+        if (remote.length && !(typeof bindingFeatures === 'function' && bindingFeatures().includes('remote'))) {
+            // An older binding would connect to the local machine instead
+            throw new WmiError(
+                `Native WMI binding cannot connect to remote servers (${remote.join(', ')} given). ` +
+                'Rebuild it from src/lib.rs with `npm run build`, or reinstall the package.',
+                { namespace: config.namespace || 'root/cimv2', server: config.server }
+            );
+        }
+        this.name = 'native';
+        this.server = config.server || null;
+        try {
+            this.client = new WmiClient({
+                namespace: config.namespace,
+                timeout: config.timeout,
+                lossless: Boolean(config.conversion),
+                server: config.server,
+                username: config.username,
+                password: config.password,
+                domain: config.domain,
+                authLevel: config.authLevel
+            });
+        } catch (error) {
+            throw fromNativeError(error, { namespace: config.namespace || 'root/cimv2', server: this.server });
+        }
+    }
+
+    /**
+     * Map an error raised by the binding onto the WmiError classes.
+     * @param {Error} error - Error thrown or rejected by the binding
+     * @param {string} wql - Query that failed
+     * @param {Object} [options] - Query options in effect (timeout)
+     * @returns {WmiError}
+     */
+    translateError(error, wql, options = {}) {
+        return fromNativeError(error, { wql, namespace: this.getNamespace(), server: this.server, timeout: options.timeout });
+    }
+
+    getNamespace() {
+        return this.client.getNamespace();
+    }
+
+    query(wql, options = {}) {
+        try {
+            return this.client.query(wql, options.timeout);
+        } catch (error) {
+            throw this.translateError(error, wql, options);
+        }
+    }
+
+    queryString(wql, options = {}) {
+        try {
+            return this.client.queryString(wql, options.timeout);
+        } catch (error) {
+            throw this.translateError(error, wql, options);
+        }
+    }
+
+    queryBatch(wqls, options = {}) {
+        let entries;
+        try {
+            entries = this.client.queryBatch(wqls, options.timeout);
+        } catch (error) {
+            throw this.translateError(error, wqls.join('; '), options);
+        }
+        return entries.map((entry, index) => entry.error !== undefined
+            ? { error: this.translateError(new Error(entry.error), wqls[index], options) }
+            : { rows: entry.rows });
+    }
+
+    queryAsync(wql, options = {}) {
+        return this.client.queryAsync(wql, options.timeout, options.signal)
+            .catch(error => {
+                throw this.translateError(error, wql, options);
+            });
+    }
+
+    queryStream(wql, options = {}) {
+        const stream = this.client.queryStream(wql, options.bufferSize);
+        return {
+            next: maxRows => stream.next(maxRows).catch(error => {
+                throw this.translateError(error, wql, options);
+            }),
+            close: () => stream.close()
+        };
+    }
+
+    subscribe(wql, options = {}) {
+        const subscription = this.client.subscribe(wql, options.bufferSize);
+        return {
+            next: maxEvents => subscription.next(maxEvents).catch(error => {
+                throw this.translateError(error, wql);
+            }),
+            close: () => subscription.close()
+        };
+    }
+
+    listClasses() {
+        try {
+            return this.client.listClasses();
+        } catch (error) {
+            throw this.translateError(error, 'SELECT * FROM meta_class');
+        }
+    }
+
+    getClassDefinition(className) {
+        let mof;
+        try {
+            mof = this.client.getClassMof(className);
+        } catch (error) {
+            throw this.translateError(error);
+        }
+        return parseMofClass(mof);
+    }
+
+    invokeMethod(path, method, inParams) {
+        const { className } = parseObjectPath(path);
+        try {
+            return this.client.invokeMethod(className, path, method, inParams);
+        } catch (error) {
+            throw this.translateError(error, `${path} ${method}()`);
+        }
+    }
+
+    invokeMethodAsync(path, method, inParams, options = {}) {
+        const { className } = parseObjectPath(path);
+        return this.client.invokeMethodAsync(className, path, method, inParams, options.signal)
+            .catch(error => {
+                throw this.translateError(error, `${path} ${method}()`);
+            });
+    }
+
+    /**
+     * Release the native connection; streams and subscriptions already
+     * open hold connections of their own.
+     */
+    close() {
+        this.client.close();
+    }
+
+    testConnection() {
+        return this.client.testConnection();
+    }
+}
+
+module.exports = {
+    NativeBackend,
+    loadBinding,
+    isNativeAvailable
+};
@@ -0,0 +1,135 @@
+/**
+ * Recording backend
+ *
+ * Wraps another backend and writes each query, its server and namespace and
+ * the rows (or error) it produced to a recording file that the replay backend can
+ * serve later, e.g. to reproduce a customer's inventory on Linux.
+ */
+
+const path = require('path');
+const { RecordingWriter } = require('../recording');
+const { queryAsync } = require('./async');
+const { openCursor } = require('../stream');
+
+const writers = new Map();
+
+/**
+ * Share one writer per file so several clients can record into it.
+ * @param {string} file
+ * @returns {RecordingWriter}
+ */
+function getWriter(file) {
+    const resolved = path.resolve(file);
+    if (!writers.has(resolved)) {
+        writers.set(resolved, new RecordingWriter(resolved));
+    }
+    return writers.get(resolved);
+}
+
+class RecordingBackend {
+    /**
+     * @param {Object} inner - Backend that executes the queries
+     * @param {string} file - Recording file (.json or .ndjson)
+     * @param {string|null} [server] - Server the inner backend is connected to, null for the local machine
+     */
+    constructor(inner, file, server) {
+        this.name = `recording(${inner.name})`;
+        this.inner = inner;
+        this.server = server || null;
+        this.writer = getWriter(file);
+
+        // Schema introspection, method calls, subscriptions and close() are passed through without being recorded
+        ['listClasses', 'getClassDefinition', 'invokeMethod', 'invokeMethodAsync', 'subscribe', 'close'].forEach(method => {
+            if (typeof inner[method] === 'function') {
+                this[method] = (...args) => inner[method](...args);
+            }
+        });
+    }
+
+    getNamespace() {
+        return this.inner.getNamespace();
+    }
+
+    query(wql, options) {
+        let rows;
+        try {
+            rows = this.inner.query(wql, options);
+        } catch (error) {
+            this.recordError(wql, error);
+            throw error;
+        }
+        this.recordRows(wql, rows);
+        return rows;
+    }
+
+    queryAsync(wql, options) {
+        return queryAsync(this.inner, wql, options).then(rows => {
+            this.recordRows(wql, rows);
+            return rows;
+        }, error => {
+            this.recordError(wql, error);
+            throw error;
+        });
+    }
+
+    /**
+     * Stream through the inner backend, recording the rows once the
+     * stream has been read to the end. A stream closed before its end
+     * records the rows read so far, marked `partial`, so replaying the
+     * same early exit finds them.
+     */
+    queryStream(wql, options) {
+        const cursor = openCursor(this.inner, wql, options);
+        const rows = [];
+        let recorded = false;
+        return {
+            next: maxRows => cursor.next(maxRows).then(batch => {
+                // A read still in flight when the stream closed was recorded by close()
+                if (recorded) return batch;
+                if (batch === null) {
+                    recorded = true;
+                    this.recordRows(wql, rows);
+                } else {
+                    rows.push(...batch);
+                }
+                return batch;
+            }, error => {
+                if (!recorded) {
+                    recorded = true;
+                    this.recordError(wql, error);
+                }
+                throw error;
+            }),
+            close: () => {
+                if (!recorded) {
+                    recorded = true;
+                    this.recordRows(wql, rows, true);
+                }
+                return cursor.close();
+            }
+        };
+    }
+
+    recordRows(wql, rows, partial) {
+        const entry = { server: this.server, namespace: this.getNamespace(), wql, rows };
+        if (partial) entry.partial = true;
+        this.writer.write(entry);
+    }
+
+    recordError(wql, error) {
+        this.writer.write({
+            server: this.server,
+            namespace: this.getNamespace(),
+            wql,
+            error: { name: error.name, message: error.message, hresult: error.hresult === undefined ? null : error.hresult }
+        });
+    }
+
+    testConnection() {
+        return this.inner.testConnection();
+    }
+}
+
+module.exports = {
+    RecordingBackend
+};
@@ -0,0 +1,93 @@
+/**
+ * Replay backend
+ *
+ * Serves rows from a recording made by the recording backend without
+ * touching the native binding. When the same query was recorded several
+ * times the recorded results are returned in order, repeating the last one
+ * once they run out. Queries are matched on server, namespace and WQL; a
+ * query that was never recorded throws WmiReplayMissError naming them.
+ */
+
+const path = require('path');
+const { DEFAULT_NAMESPACE } = require('../util');
+const { readRecording, recordingKey } = require('../recording');
+const { WmiError, WmiReplayMissError, createWmiError } = require('../errors');
+
+const recordings = new Map();
+
+/**
+ * Load a recording once per file. The per-query position is shared by every
+ * client replaying the file, so short-lived clients (quickQuery) still step
+ * through repeated recordings in order.
+ * @param {string} file - Absolute path of the recording
+ * @returns {{entries: Map<string, Array<Object>>, served: Map<string, number>}}
+ */
+function loadRecording(file) {
+    if (!recordings.has(file)) {
+        const entries = new Map();
+        readRecording(file).forEach(entry => {
+            const key = recordingKey(entry.server, entry.namespace, entry.wql);
+            if (!entries.has(key)) entries.set(key, []);
+            entries.get(key).push(entry);
+        });
+        recordings.set(file, { entries, served: new Map() });
+    }
+    return recordings.get(file);
+}
+
+class ReplayBackend {
+    /**
+     * @param {Object} [config] - Client configuration
+     * @param {string} [config.namespace] - Namespace to bind to
+     * @param {string} [config.server] - Server whose recorded queries to serve, defaults to the local machine
+     * @param {string} [config.recording] - Recording file, defaults to WMI_NODEJS_RECORDING
+     */
+    constructor(config = {}) {
+        const file = config.recording || process.env.WMI_NODEJS_RECORDING;
+        if (!file) {
+            throw new WmiError('Replay backend requires a `recording` file or the WMI_NODEJS_RECORDING environment variable');
+        }
+
+        this.name = 'replay';
+        this.namespace = config.namespace || DEFAULT_NAMESPACE;
+        this.server = config.server || null;
+        this.file = path.resolve(file);
+        this.recording = loadRecording(this.file);
+    }
+
+    getNamespace() {
+        return this.namespace;
+    }
+
+    query(wql) {
+        const key = recordingKey(this.server, this.namespace, wql);
+        const { entries: recorded, served } = this.recording;
+        const entries = recorded.get(key);
+        if (!entries) {
+            throw new WmiReplayMissError(wql, this.namespace, this.file, this.server);
+        }
+
+        const index = Math.min(served.get(key) || 0, entries.length - 1);
+        served.set(key, index + 1);
+
+        const entry = entries[index];
+        if (entry.error) {
+            throw createWmiError({
+                hresult: typeof entry.error.hresult === 'number' ? entry.error.hresult : undefined,
+                message: entry.error.message,
+                wql,
+                namespace: this.namespace,
+                server: this.server
+            });
+        }
+        return JSON.parse(JSON.stringify(entry.rows));
+    }
+
+    testConnection() {
+        return true;
+    }
+}
+
+module.exports = {
+    ReplayBackend
+};
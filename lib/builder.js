@@ -0,0 +1,366 @@
+/**
+ * Fluent WQL query builder
+ *
+ *     client.select('Name', 'State')
+ *         .from('Win32_Service')
+ *         .where({ State: 'Running' })
+ *         .or(any => any.like('Name', '%SQL%').equals('Name', 'Winmgmt'))
+ *         .query();
+ *
+ * Identifiers are validated and every value is emitted as an escaped
+ * literal, so user input cannot change the shape of the query.
+ */
+
+const { CimInterval, toWqlDateTime, formatCimInterval } = require('./datetime');
+
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const PROPERTY_PATH = /^[A-Za-z_][A-Za-z0-9_]*(\.[A-Za-z_][A-Za-z0-9_]*)*$/;
+const OPERATORS = new Set(['=', '<>', '!=', '<', '>', '<=', '>=']);
+
+/**
+ * Escape a string and wrap it in single quotes as a WQL literal.
+ * Backslashes and quotes are escaped with a backslash.
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeWqlString(value) {
+    return '\'' + String(value).replace(/[\\']/g, '\\$&') + '\'';
+}
+
+/**
+ * Escape LIKE wildcards (%, _, [) so `value` matches literally.
+ * The result still needs to be quoted with escapeWqlString.
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeLike(value) {
+    return String(value).replace(/[%_[]/g, '[$&]');
+}
+
+function assertIdentifier(name, kind) {
+    if (typeof name !== 'string' || !IDENTIFIER.test(name)) {
+        throw new TypeError(`Invalid WQL ${kind}: ${JSON.stringify(name)}`);
+    }
+    return name;
+}
+
+function assertProperty(name) {
+    if (typeof name !== 'string' || !PROPERTY_PATH.test(name)) {
+        throw new TypeError(`Invalid WQL property name: ${JSON.stringify(name)}`);
+    }
+    return name;
+}
+
+/**
+ * Format a JavaScript value as a WQL literal.
+ * Dates become UTC CIM_DATETIME strings and CimIntervals CIM interval strings.
+ * @param {*} value - string, number, bigint, boolean, Date or CimInterval
+ * @returns {string}
+ */
+function formatLiteral(value) {
+    if (value instanceof Date) {
+        return toWqlDateTime(value);
+    }
+    if (value instanceof CimInterval) {
+        return `'${formatCimInterval(value)}'`;
+    }
+    switch (typeof value) {
+        case 'string':
+            return escapeWqlString(value);
+        case 'number':
+            if (!Number.isFinite(value)) {
+                throw new TypeError(`Cannot use ${value} in a WQL query`);
+            }
+            return String(value);
+        case 'bigint':
+            return value.toString();
+        case 'boolean':
+            return value ? 'TRUE' : 'FALSE';
+        default:
+            throw new TypeError(`Cannot use value of type ${value === null ? 'null' : typeof value} as a WQL literal`);
+    }
+}
+
+/**
+ * A list of conditions joined with AND or OR.
+ */
+class ConditionGroup {
+    /**
+     * @param {string} [joiner] - 'AND' or 'OR'
+     */
+    constructor(joiner = 'AND') {
+        this.joiner = joiner;
+        this.conditions = [];
+    }
+
+    /**
+     * Add conditions.
+     *
+     *     where({ State: 'Running', StartMode: 'Auto' })  // equality, AND-ed
+     *     where({ Name: ['a', 'b'] })                     // (Name = 'a' OR Name = 'b')
+     *     where({ Speed: null })                          // Speed IS NULL
+     *     where('Name', 'explorer.exe')                   // Name = 'explorer.exe'
+     *     where('WorkingSetSize', '>', 1000000)
+     *
+     * @returns {this}
+     */
+    where(conditions, operator, value) {
+        if (typeof conditions === 'string') {
+            if (arguments.length === 2) {
+                return this.equals(conditions, operator);
+            }
+            return this.compare(conditions, operator, value);
+        }
+        if (!conditions || typeof conditions !== 'object') {
+            throw new TypeError('where() expects an object of conditions or a property name');
+        }
+        Object.keys(conditions).forEach(name => {
+            const expected = conditions[name];
+            if (Array.isArray(expected)) {
+                this.whereIn(name, expected);
+            } else {
+                this.equals(name, expected);
+            }
+        });
+        return this;
+    }
+
+    /**
+     * `property = value`, or `property IS NULL` when value is null.
+     * @returns {this}
+     */
+    equals(property, value) {
+        if (value === null || value === undefined) {
+            return this.isNull(property);
+        }
+        return this.compare(property, '=', value);
+    }
+
+    /**
+     * `property <operator> value`.
+     * @returns {this}
+     */
+    compare(property, operator, value) {
+        if (!OPERATORS.has(operator)) {
+            throw new TypeError(`Invalid WQL operator: ${JSON.stringify(operator)}`);
+        }
+        this.conditions.push(`${assertProperty(property)} ${operator === '!=' ? '<>' : operator} ${formatLiteral(value)}`);
+        return this;
+    }
+
+    /**
+     * `(property = v1 OR property = v2 ...)`. WQL has no IN operator.
+     * @returns {this}
+     */
+    whereIn(property, values) {
+        if (values.length === 0) {
+            throw new TypeError(`whereIn() needs at least one value for ${property}`);
+        }
+        return this.or(group => values.forEach(value => group.equals(property, value)));
+    }
+
+    /**
+     * `property LIKE 'pattern'`. Wildcards in `pattern` are kept; use
+     * contains/startsWith/endsWith to match user input literally.
+     * @returns {this}
+     */
+    like(property, pattern) {
+        this.conditions.push(`${assertProperty(property)} LIKE ${escapeWqlString(pattern)}`);
+        return this;
+    }
+
+    /**
+     * `NOT property LIKE 'pattern'`.
+     * @returns {this}
+     */
+    notLike(property, pattern) {
+        this.conditions.push(`NOT ${assertProperty(property)} LIKE ${escapeWqlString(pattern)}`);
+        return this;
+    }
+
+    /** @returns {this} */
+    contains(property, text) {
+        return this.like(property, `%${escapeLike(text)}%`);
+    }
+
+    /** @returns {this} */
+    startsWith(property, text) {
+        return this.like(property, `${escapeLike(text)}%`);
+    }
+
+    /** @returns {this} */
+    endsWith(property, text) {
+        return this.like(property, `%${escapeLike(text)}`);
+    }
+
+    /** @returns {this} */
+    isNull(property) {
+        this.conditions.push(`${assertProperty(property)} IS NULL`);
+        return this;
+    }
+
+    /** @returns {this} */
+    isNotNull(property) {
+        this.conditions.push(`${assertProperty(property)} IS NOT NULL`);
+        return this;
+    }
+
+    /**
+     * `property ISA 'ClassName'`, e.g. `isa('TargetInstance', 'Win32_Process')`.
+     * @returns {this}
+     */
+    isa(property, className) {
+        this.conditions.push(`${assertProperty(property)} ISA ${escapeWqlString(assertIdentifier(className, 'class name'))}`);
+        return this;
+    }
+
+    /**
+     * Add a parenthesised group whose conditions are joined with OR.
+     * @param {function(ConditionGroup)} build - Receives the group to fill
+     * @returns {this}
+     */
+    or(build) {
+        return this.group('OR', build);
+    }
+
+    /**
+     * Add a parenthesised group whose conditions are joined with AND.
+     * @param {function(ConditionGroup)} build - Receives the group to fill
+     * @returns {this}
+     */
+    and(build) {
+        return this.group('AND', build);
+    }
+
+    group(joiner, build) {
+        const group = new ConditionGroup(joiner);
+        build(group);
+        const compiled = group.compile();
+        if (compiled) {
+            this.conditions.push(group.conditions.length > 1 ? `(${compiled})` : compiled);
+        }
+        return this;
+    }
+
+    /**
+     * Join the conditions, or return an empty string when there are none.
+     * @returns {string}
+     */
+    compile() {
+        return this.conditions.join(` ${this.joiner} `);
+    }
+}
+
+/**
+ * Builds a SELECT statement and optionally runs it through a client.
+ */
+class QueryBuilder extends ConditionGroup {
+    /**
+     * @param {Object} [client] - WmiClient used by query()
+     */
+    constructor(client) {
+        super('AND');
+        this.client = client || null;
+        this.properties = [];
+        this.className = null;
+        this.withinSeconds = null;
+    }
+
+    /**
+     * Set the properties to select. No arguments selects `*`.
+     * @param {...string} properties
+     * @returns {this}
+     */
+    select(...properties) {
+        const list = properties.length === 1 && Array.isArray(properties[0]) ? properties[0] : properties;
+        this.properties = list.map(assertProperty);
+        return this;
+    }
+
+    /**
+     * @param {string} className - WMI class to query
+     * @returns {this}
+     */
+    from(className) {
+        this.className = assertIdentifier(className, 'class name');
+        return this;
+    }
+
+    /**
+     * Polling interval for event queries (`WITHIN n`).
+     * @param {number} seconds
+     * @returns {this}
+     */
+    within(seconds) {
+        if (!Number.isFinite(seconds) || seconds <= 0) {
+            throw new TypeError(`Invalid WITHIN interval: ${seconds}`);
+        }
+        this.withinSeconds = seconds;
+        return this;
+    }
+
+    /**
+     * Compile to WQL text.
+     * @returns {string}
+     */
+    toWql() {
+        if (!this.className) {
+            throw new Error('Query has no FROM class; call from() first');
+        }
+        let wql = `SELECT ${this.properties.length ? this.properties.join(', ') : '*'} FROM ${this.className}`;
+        if (this.withinSeconds !== null) {
+            wql += ` WITHIN ${this.withinSeconds}`;
+        }
+        const where = this.compile();
+        if (where) {
+            wql += ` WHERE ${where}`;
+        }
+        return wql;
+    }
+
+    toString() {
+        return this.toWql();
+    }
+
+    /**
+     * Run the query through the client the builder was created from.
+     * @param {Object} [options] - Passed to WmiClient#query
+     * @returns {Array<Object>}
+     */
+    query(options) {
+        if (!this.client) {
+            throw new Error('QueryBuilder was created without a client; use toWql() instead');
+        }
+        return this.client.query(this.toWql(), options);
+    }
+
+    /**
+     * Run the query asynchronously through the client.
+     * @param {Object} [options] - Passed to WmiClient#queryAsync
+     * @returns {Promise<Array<Object>>}
+     */
+    queryAsync(options) {
+        if (!this.client) {
+            return Promise.reject(new Error('QueryBuilder was created without a client; use toWql() instead'));
+        }
+        return this.client.queryAsync(this, options);
+    }
+}
+
+/**
+ * Start a detached builder (not bound to a client).
+ * @param {...string} properties
+ * @returns {QueryBuilder}
+ */
+function select(...properties) {
+    return new QueryBuilder().select(...properties);
+}
+
+module.exports = {
+    QueryBuilder,
+    ConditionGroup,
+    select,
+    escapeWqlString,
+    escapeLike,
+    formatLiteral
+};
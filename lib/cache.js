@@ -0,0 +1,254 @@
+/**
+ * Query result cache
+ *
+ * Opt-in cache for data that rarely changes (Win32_ComputerSystem,
+ * Win32_BaseBoard, Win32_DiskDrive...). Entries are keyed by server,
+ * namespace, account, raw row form and whitespace-normalised WQL, and
+ * expire after a TTL chosen
+ * per query, per class or by default. Concurrent asynchronous requests
+ * for the same key share one backend query.
+ *
+ * Rows are stored as the backend returned them, before value conversion,
+ * and every hit gets its own copy, so callers may modify what they get.
+ */
+
+const { normalizeWql } = require('./recording');
+const { connectionKey } = require('./connection');
+const { findKey } = require('./util');
+
+/**
+ * Class a query reads from, or null when it has no FROM clause
+ * (e.g. ASSOCIATORS OF).
+ * @param {string} wql
+ * @returns {string|null}
+ */
+function queryClassName(wql) {
+    const match = /\bFROM\s+([A-Za-z_][A-Za-z0-9_]*)/i.exec(wql);
+    return match ? match[1] : null;
+}
+
+/**
+ * Copy the plain objects and arrays of a row, leaving other values shared.
+ */
+function copyValue(value) {
+    if (Array.isArray(value)) return value.map(copyValue);
+    if (value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+        const copy = {};
+        Object.keys(value).forEach(key => {
+            copy[key] = copyValue(value[key]);
+        });
+        return copy;
+    }
+    return value;
+}
+
+class QueryCache {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.ttl] - Default lifetime of an entry in milliseconds, default 60000
+     * @param {Object<string, number>} [options.classes] - Lifetime by class name; 0 disables
+     *     caching for the class
+     * @param {number} [options.maxEntries] - Entries kept before the oldest are dropped, default 500
+     */
+    constructor(options = {}) {
+        this.ttl = options.ttl !== undefined ? options.ttl : 60000;
+        this.classes = Object.assign({}, options.classes);
+        this.maxEntries = options.maxEntries || 500;
+        this.entries = new Map();
+        this.inFlight = new Map();
+        // Bumped by invalidate() so queries already running do not store stale rows
+        this.generation = 0;
+        this.hits = 0;
+        this.misses = 0;
+        this.coalesced = 0;
+    }
+
+    /**
+     * Cache key of a query. Clients sharing the cache only share entries
+     * when they also connect as the same account, which decides what WMI
+     * lets them see, and when the backend returns rows in the same form:
+     * lossless rows for clients with any `conversion`, plain JSON without.
+     * The conversion options themselves apply after the cache.
+     * @param {string|null} server
+     * @param {string} namespace
+     * @param {string} wql
+     * @param {Object} [client] - The querying client's configuration
+     * @param {string} [client.username]
+     * @param {string} [client.domain]
+     * @param {Object|boolean} [client.conversion]
+     * @returns {string}
+     */
+    key(server, namespace, wql, client = {}) {
+        return [
+            connectionKey(server, namespace),
+            (client.username || '').toLowerCase(),
+            (client.domain || '').toLowerCase(),
+            client.conversion ? 'lossless' : '',
+            normalizeWql(wql)
+        ].join('\n');
+    }
+
+    /**
+     * Lifetime of a query's entry.
+     * @param {string|null} className
+     * @param {number|boolean} [override] - Per-query TTL; true uses the class or default TTL
+     * @returns {number} Milliseconds, 0 for not cached
+     */
+    ttlFor(className, override) {
+        if (typeof override === 'number') return override;
+        const key = className ? findKey(this.classes, className) : undefined;
+        return key !== undefined ? this.classes[key] : this.ttl;
+    }
+
+    /**
+     * Look up fresh rows.
+     * @param {string} key
+     * @returns {Array<Object>|undefined}
+     */
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return undefined;
+        if (entry.expires <= Date.now()) {
+            this.entries.delete(key);
+            return undefined;
+        }
+        return entry.rows.map(copyValue);
+    }
+
+    /**
+     * Store rows unless the cache was invalidated since `generation`.
+     */
+    set(key, className, rows, ttl, generation) {
+        if (!(ttl > 0) || generation !== this.generation) return;
+        this.entries.delete(key);
+        this.entries.set(key, { className, rows: rows.map(copyValue), expires: Date.now() + ttl });
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    /**
+     * Serve a query from the cache, or run it and cache the result.
+     * @param {string} key - From key()
+     * @param {string} wql
+     * @param {number|boolean} [ttl] - Per-query TTL, see ttlFor()
+     * @param {function(): Array<Object>} run - Executes the query
+     * @returns {Array<Object>}
+     */
+    fetch(key, wql, ttl, run) {
+        const className = queryClassName(wql);
+        const lifetime = this.ttlFor(className, ttl);
+        if (lifetime > 0) {
+            const cached = this.get(key);
+            if (cached) {
+                this.hits++;
+                return cached;
+            }
+        }
+        this.misses++;
+        const generation = this.generation;
+        const rows = run();
+        this.set(key, className, rows, lifetime, generation);
+        return rows;
+    }
+
+    /**
+     * Asynchronous fetch(). Requests for a key whose query is already
+     * running wait for that query instead of starting another.
+     * @param {string} key
+     * @param {string} wql
+     * @param {number|boolean} [ttl]
+     * @param {function(): Promise<Array<Object>>} run
+     * @returns {Promise<Array<Object>>}
+     */
+    fetchAsync(key, wql, ttl, run) {
+        const className = queryClassName(wql);
+        const lifetime = this.ttlFor(className, ttl);
+        if (!(lifetime > 0)) {
+            this.misses++;
+            return run();
+        }
+        const cached = this.get(key);
+        if (cached) {
+            this.hits++;
+            return Promise.resolve(cached);
+        }
+        const running = this.inFlight.get(key);
+        if (running) {
+            this.coalesced++;
+            return running.then(rows => rows.map(copyValue));
+        }
+
+        this.misses++;
+        const generation = this.generation;
+        const pending = run().then(rows => {
+            this.set(key, className, rows, lifetime, generation);
+            return rows;
+        });
+        this.inFlight.set(key, pending);
+        const settle = () => {
+            if (this.inFlight.get(key) === pending) this.inFlight.delete(key);
+        };
+        pending.then(settle, settle);
+        return pending;
+    }
+
+    /**
+     * Drop cached rows.
+     * @param {string} [className] - Only the queries reading this class;
+     *     every entry when omitted
+     * @returns {number} Entries dropped
+     */
+    invalidate(className) {
+        this.generation++;
+        if (!className) {
+            const count = this.entries.size;
+            this.entries.clear();
+            this.inFlight.clear();
+            return count;
+        }
+        const lower = className.toLowerCase();
+        let count = 0;
+        this.entries.forEach((entry, key) => {
+            if (entry.className && entry.className.toLowerCase() === lower) {
+                this.entries.delete(key);
+                count++;
+            }
+        });
+        this.inFlight.forEach((pending, key) => {
+            const name = queryClassName(key);
+            if (name && name.toLowerCase() === lower) this.inFlight.delete(key);
+        });
+        return count;
+    }
+
+    /**
+     * Hit and miss counters. `coalesced` counts requests that waited for
+     * an identical query already running.
+     * @returns {{hits: number, misses: number, coalesced: number, entries: number, hitRate: number}}
+     */
+    stats() {
+        const lookups = this.hits + this.misses + this.coalesced;
+        return {
+            hits: this.hits,
+            misses: this.misses,
+            coalesced: this.coalesced,
+            entries: this.entries.size,
+            hitRate: lookups ? (this.hits + this.coalesced) / lookups : 0
+        };
+    }
+
+    /**
+     * Reset the counters.
+     */
+    resetStats() {
+        this.hits = 0;
+        this.misses = 0;
+        this.coalesced = 0;
+    }
+}
+
+module.exports = {
+    QueryCache,
+    queryClassName
+};
@@ -0,0 +1,622 @@
+/**
+ * WmiClient
+ *
+ * Public client class. Query execution is delegated to a backend (see
+ * lib/backends), which is the native Windows binding by default.
+ */
+
+const { createBackend, queryAsync, invokeMethodAsync } = require('./backends');
+const { createClosedBackend } = require('./backends/closed');
+const { withDeadline } = require('./backends/async');
+const { QueryCache, queryClassName } = require('./cache');
+const { QueryBuilder } = require('./builder');
+const { createQueryStream } = require('./stream');
+const { WmiSubscription } = require('./events');
+const { createConverter } = require('./convert');
+const { jsonValue } = require('./format');
+const { resolveClassSchema, filterClasses } = require('./schema');
+const { encodeParameters } = require('./methods');
+const jobs = require('./jobs');
+const inventory = require('./inventory');
+const { ValueMapRegistry, defaultValueMaps, valueMapsFromSchema } = require('./valuemaps');
+const { WmiError, WmiAccessDeniedError } = require('./errors');
+const { normalizeConnectionConfig, parseNamespacePath, connectionKey } = require('./connection');
+
+/**
+ * Accept WQL text or anything with a toWql() method (QueryBuilder).
+ * @param {string|Object} wql
+ * @returns {string}
+ */
+function toWqlText(wql) {
+    return wql && typeof wql.toWql === 'function' ? wql.toWql() : wql;
+}
+
+class WmiClient {
+    /**
+     * Create a new WMI client.
+     * @param {Object} [config] - Configuration object
+     * @param {string} [config.namespace] - WMI namespace path, defaults to 'root/cimv2';
+     *     `\\HOST\root\cimv2` also sets the server
+     * @param {string} [config.server] - Remote computer name or address, defaults to the local machine
+     * @param {string} [config.username] - Account for a remote connection, `user`, `DOMAIN\user` or `user@domain`
+     * @param {string} [config.password] - Password of `username`
+     * @param {string} [config.domain] - Domain of `username`
+     * @param {string|number} [config.authLevel] - DCOM authentication level, a name from
+     *     AUTH_LEVELS or 0-6; connections with credentials default to 'packetPrivacy'
+     * @param {number} [config.timeout] - Default query timeout in milliseconds, 0 for none
+     * @param {string|Function|Object} [config.backend] - Backend name ('native', 'fixture'), factory or instance
+     * @param {Object|string} [config.fixtures] - Fixture data or file path for the fixture backend
+     * @param {string} [config.record] - Write every query and its rows to this .json/.ndjson file
+     * @param {string} [config.recording] - Recording file served by the replay backend
+     * @param {Object|boolean} [config.conversion] - Lossless value conversion for query results
+     * @param {string} [config.conversion.int64] - 64-bit integers as 'number' (default), 'bigint' or 'string'
+     * @param {string} [config.conversion.invalidFloat] - NaN/infinite floats as 'zero' (default), 'null' or 'nan'
+     * @param {boolean|string} [config.conversion.dates] - true returns every CIM datetime as a Date and
+     *     interval as a CimInterval; 'known' only converts the properties in datetimeProperties
+     * @param {Object|boolean|QueryCache} [config.cache] - Cache query() and queryAsync() results:
+     *     true, QueryCache options ({ ttl, classes, maxEntries }) or a QueryCache shared between clients
+     * @param {boolean} [config.decode] - Default of the `decode` query option
+     */
+    constructor(config = {}) {
+        this.config = normalizeConnectionConfig(config);
+        this.convertRow = this.config.conversion ? createConverter(this.config.conversion) : null;
+        this.backend = createBackend(this.config);
+        this.closed = false;
+        // Maps added by loadValueMaps() on top of the shared tables
+        this.valueMaps = new ValueMapRegistry(defaultValueMaps);
+        this.cache = null;
+        if (this.config.cache) {
+            this.cache = this.config.cache instanceof QueryCache
+                ? this.config.cache
+                : new QueryCache(this.config.cache === true ? {} : this.config.cache);
+        }
+    }
+
+    /**
+     * Apply the configured value conversion to a result set.
+     * @param {Array<Object>} rows
+     * @returns {Array<Object>}
+     */
+    convertRows(rows) {
+        return this.convertRow ? rows.map(this.convertRow) : rows;
+    }
+
+    /**
+     * The function applied to each result row of a query: value conversion,
+     * then value-map labels when the query decodes.
+     * @param {string} wql
+     * @param {Object} [options] - Query options; `decode` overrides config.decode
+     * @returns {function(Object): Object|null} null when rows are returned as they are
+     */
+    rowMapper(wql, options) {
+        const decode = options && options.decode !== undefined ? options.decode : this.config.decode;
+        if (!decode) return this.convertRow;
+        const className = queryClassName(wql);
+        const convert = this.convertRow;
+        return row => this.valueMaps.decodeRow(className, convert ? convert(row) : row);
+    }
+
+    mapRows(wql, rows, options) {
+        const mapRow = this.rowMapper(wql, options);
+        return mapRow ? rows.map(mapRow) : rows;
+    }
+
+    /**
+     * Merge per-query options with the client defaults.
+     * @param {Object} [options] - { timeout, signal }
+     * @returns {Object}
+     */
+    queryOptions(options = {}) {
+        return {
+            timeout: options.timeout !== undefined ? options.timeout : this.config.timeout,
+            signal: options.signal
+        };
+    }
+
+    /**
+     * Whether a query may use the cache.
+     * @param {Object} [options] - Query options; `cache: false` bypasses the cache
+     * @returns {boolean}
+     */
+    usesCache(options) {
+        return Boolean(this.cache) && !(options && options.cache === false);
+    }
+
+    /**
+     * Execute a WQL query and return JavaScript objects.
+     * @param {string|QueryBuilder} wql - WQL query string or builder
+     * @param {Object} [options]
+     * @param {number} [options.timeout] - Timeout in milliseconds, overrides config.timeout
+     * @param {boolean|number} [options.cache] - With config.cache: false bypasses the cache,
+     *     a number overrides the TTL in milliseconds
+     * @param {boolean} [options.decode] - Add a label next to each property with a value map,
+     *     e.g. DriveTypeLabel: 'Local Disk'
+     * @returns {Array<Object>}
+     */
+    query(wql, options) {
+        const text = toWqlText(wql);
+        const run = () => this.backend.query(text, this.queryOptions(options));
+        if (!this.usesCache(options)) return this.mapRows(text, run(), options);
+        const key = this.cache.key(this.getServer(), this.getNamespace(), text, this.config);
+        return this.mapRows(text, this.cache.fetch(key, text, options && options.cache, run), options);
+    }
+
+    /**
+     * Execute a WQL query and return a JSON string (backward compatibility).
+     * The text is the JSON of the rows query() returns, after `conversion`
+     * and `decode`, with BigInt values written as strings. The backend's own
+     * queryString() is used when the rows need no conversion. Not cached.
+     * @param {string|QueryBuilder} wql - WQL query string or builder
+     * @param {Object} [options] - Same as query()
+     * @returns {string}
+     */
+    queryString(wql, options) {
+        const text = toWqlText(wql);
+        const mapRow = this.rowMapper(text, options);
+        if (!mapRow && typeof this.backend.queryString === 'function') {
+            return this.backend.queryString(text, this.queryOptions(options));
+        }
+        const rows = this.backend.query(text, this.queryOptions(options));
+        return JSON.stringify(mapRow ? rows.map(mapRow) : rows, jsonValue);
+    }
+
+    /**
+     * Execute a WQL query without blocking the event loop.
+     * The native backend runs the query on a worker thread; other backends
+     * run it on a later tick. Resolves with the same objects as query().
+     * @param {string|QueryBuilder} wql - WQL query string or builder
+     * @param {Object} [options]
+     * @param {number} [options.timeout] - Timeout in milliseconds, overrides config.timeout;
+     *     rejects with WmiTimeoutError when exceeded
+     * @param {AbortSignal} [options.signal] - Rejects with WmiAbortError when aborted
+     * @param {boolean|number} [options.cache] - As for query(); a cached or shared
+     *     result still honours this call's timeout and signal
+     * @returns {Promise<Array<Object>>}
+     */
+    queryAsync(wql, options) {
+        let text;
+        try {
+            text = toWqlText(wql);
+        } catch (error) {
+            return Promise.reject(error);
+        }
+        const queryOptions = this.queryOptions(options);
+        if (!this.usesCache(options)) {
+            return queryAsync(this.backend, text, queryOptions).then(rows => this.mapRows(text, rows, options));
+        }
+        // The shared query must not be cancelled by one caller's signal
+        const key = this.cache.key(this.getServer(), this.getNamespace(), text, this.config);
+        const shared = this.cache.fetchAsync(key, text, options && options.cache,
+            () => queryAsync(this.backend, text, { timeout: queryOptions.timeout }));
+        return withDeadline(() => shared, text, queryOptions, { namespace: this.getNamespace(), server: this.getServer() })
+            .then(rows => this.mapRows(text, rows, options));
+    }
+
+    /**
+     * Execute several queries in one call. A failing query does not stop
+     * the others: its entry holds the error instead of rows. The native
+     * backend runs the whole batch in a single call on one connection.
+     * @param {Object<string, string|QueryBuilder>} queries - Queries by key
+     * @param {Object} [options] - As for query(); the timeout applies to each query
+     * @returns {Object<string, Array<Object>|WmiError>} Rows or error by key, in the order of `queries`
+     */
+    queryBatch(queries, options = {}) {
+        const keys = Object.keys(queries || {});
+        const texts = keys.map(key => toWqlText(queries[key]));
+        let outcomes;
+        if (typeof this.backend.queryBatch === 'function' && !this.usesCache(options)) {
+            outcomes = this.backend.queryBatch(texts, this.queryOptions(options))
+                .map((outcome, index) => outcome.error ? outcome : { rows: this.mapRows(texts[index], outcome.rows, options) });
+        } else {
+            outcomes = texts.map(text => {
+                try {
+                    return { rows: this.query(text, options) };
+                } catch (error) {
+                    return { error };
+                }
+            });
+        }
+        const results = {};
+        keys.forEach((key, index) => {
+            results[key] = outcomes[index].error || outcomes[index].rows;
+        });
+        return results;
+    }
+
+    /**
+     * Execute several queries without blocking the event loop, at most
+     * `concurrency` at a time. Entries are filled as for queryBatch().
+     * @param {Object<string, string|QueryBuilder>} queries - Queries by key
+     * @param {Object} [options] - As for queryAsync()
+     * @param {number} [options.concurrency] - Queries running at once, default 4
+     * @returns {Promise<Object<string, Array<Object>|WmiError>>}
+     */
+    queryBatchAsync(queries, options = {}) {
+        const keys = Object.keys(queries || {});
+        const concurrency = options.concurrency > 0 ? options.concurrency : 4;
+        const settled = {};
+        let next = 0;
+
+        const worker = () => {
+            if (next >= keys.length) return Promise.resolve();
+            const key = keys[next++];
+            return this.queryAsync(queries[key], options)
+                .then(rows => {
+                    settled[key] = rows;
+                }, error => {
+                    settled[key] = error;
+                })
+                .then(worker);
+        };
+
+        const workers = [];
+        for (let i = 0; i < Math.min(concurrency, keys.length); i++) workers.push(worker());
+        return Promise.all(workers).then(() => {
+            const results = {};
+            keys.forEach(key => {
+                results[key] = settled[key];
+            });
+            return results;
+        });
+    }
+
+    /**
+     * Drop cached query results.
+     * @param {string} [className] - Only queries reading this class; everything when omitted
+     * @returns {number} Entries dropped, 0 without config.cache
+     */
+    invalidate(className) {
+        return this.cache ? this.cache.invalidate(className) : 0;
+    }
+
+    /**
+     * Cache counters.
+     * @returns {{hits: number, misses: number, coalesced: number, entries: number, hitRate: number}|null}
+     *     null without config.cache
+     */
+    getCacheStats() {
+        return this.cache ? this.cache.stats() : null;
+    }
+
+    /**
+     * Execute a WQL query as an object-mode Readable that yields rows as
+     * they arrive. The stream is also an async iterator, and breaking out
+     * of `for await` stops the query.
+     * @param {string|QueryBuilder} wql - WQL query string or builder
+     * @param {Object} [options]
+     * @param {number} [options.batchSize] - Rows fetched per read, default 64
+     * @param {number} [options.highWaterMark] - Rows buffered by the stream, default 64
+     * @param {number} [options.bufferSize] - Rows the native worker may read ahead, default 256
+     * @param {number} [options.timeout] - Overall timeout in milliseconds, overrides config.timeout
+     * @param {AbortSignal} [options.signal]
+     * @returns {Readable}
+     */
+    queryStream(wql, options = {}) {
+        const text = toWqlText(wql);
+        return createQueryStream(
+            this.backend,
+            text,
+            Object.assign({}, options, this.queryOptions(options), { mapRow: this.rowMapper(text, options) })
+        );
+    }
+
+    /**
+     * Subscribe to a notification query, e.g.
+     * `SELECT * FROM __InstanceCreationEvent WITHIN 2 WHERE TargetInstance ISA 'Win32_Process'`.
+     * The subscription emits `event`, `error` and `close`, is an async
+     * iterator, and stops on close()/unsubscribe().
+     * @param {string|QueryBuilder} wql - Event query
+     * @param {Object} [options]
+     * @param {number} [options.batchSize] - Events fetched per read, default 16
+     * @param {number} [options.highWaterMark] - Events buffered without a consumer, default 256
+     * @param {number} [options.bufferSize] - Events the native worker may queue, default 256
+     * @param {AbortSignal} [options.signal] - Closes the subscription when aborted
+     * @returns {WmiSubscription}
+     */
+    subscribe(wql, options = {}) {
+        const text = toWqlText(wql);
+        const cursor = this.callBackend('subscribe', 'event subscriptions', text, { bufferSize: options.bufferSize });
+        return new WmiSubscription(cursor, text, Object.assign({}, options, { mapEvent: this.convertRow }));
+    }
+
+    /**
+     * Start a fluent query bound to this client.
+     * @param {...string} properties - Properties to select, none for `*`
+     * @returns {QueryBuilder}
+     */
+    select(...properties) {
+        return new QueryBuilder(this).select(...properties);
+    }
+
+    /**
+     * Call an optional backend method, failing clearly when the backend
+     * does not implement it.
+     * @param {string} method - Backend method name
+     * @param {string} feature - Description for the error message
+     * @param {...*} args
+     * @returns {*}
+     */
+    callBackend(method, feature, ...args) {
+        if (typeof this.backend[method] !== 'function') {
+            throw this.unsupported(feature);
+        }
+        return this.backend[method](...args);
+    }
+
+    /**
+     * Error for a feature the backend does not implement.
+     * @param {string} feature
+     * @returns {WmiError}
+     */
+    unsupported(feature) {
+        return new WmiError(`The ${this.backend.name} backend does not support ${feature}`, {
+            namespace: this.getNamespace()
+        });
+    }
+
+    /**
+     * List the classes defined in the namespace, sorted by name.
+     * @param {string|RegExp|Object} [filter] - Class name pattern (`*` wildcards,
+     *     case-insensitive) or RegExp, or `{ name, derivedFrom }`
+     * @returns {Array<{name: string, superclass: string|null, derivation: Array<string>}>}
+     */
+    listClasses(filter) {
+        return filterClasses(this.callBackend('listClasses', 'listing classes'), filter);
+    }
+
+    /**
+     * Describe a class: properties with CIM types and key/read-only flags,
+     * methods with their parameters, qualifiers and the superclass chain.
+     * Schemas are cached per client.
+     * @param {string} className
+     * @returns {Object} Class schema, see lib/schema
+     */
+    getClass(className) {
+        if (!this.schemaCache) this.schemaCache = new Map();
+        const key = className.toLowerCase();
+        if (!this.schemaCache.has(key)) {
+            const schema = resolveClassSchema(
+                className,
+                name => this.callBackend('getClassDefinition', 'class schemas', name),
+                this.getNamespace()
+            );
+            this.schemaCache.set(key, schema);
+        }
+        return this.schemaCache.get(key);
+    }
+
+    /**
+     * Copy of a row with value-map labels, as the `decode` query option adds them.
+     * @param {string} className - Class the row belongs to; the row's __CLASS wins
+     * @param {Object} row
+     * @returns {Object}
+     */
+    decodeRow(className, row) {
+        return this.valueMaps.decodeRow(className, row);
+    }
+
+    /**
+     * Read the value maps of a class from the ValueMap/Values qualifiers of
+     * its schema and use them, for this client, when decoding. They replace
+     * the built-in maps of the same properties.
+     * @param {string} className
+     * @returns {Object<string, Object<string, string>>} Labels by property
+     */
+    loadValueMaps(className) {
+        const schema = this.getClass(className);
+        const maps = valueMapsFromSchema(schema);
+        this.valueMaps.registerClass(schema.name, maps);
+        return maps;
+    }
+
+    /**
+     * List the namespaces below this client's namespace.
+     * @param {boolean} [recursive] - Include nested namespaces; namespaces that
+     *     deny access are listed but not descended into
+     * @returns {Array<string>} Full namespace paths, e.g. 'root/cimv2/mdm'
+     */
+    listNamespaces(recursive = false) {
+        const parent = this.getNamespace().replace(/\\/g, '/').replace(/\/+$/, '');
+        const names = this.query('SELECT Name FROM __NAMESPACE')
+            .map(row => `${parent}/${row.Name}`)
+            .sort((a, b) => a.localeCompare(b));
+        if (!recursive) return names;
+
+        const all = [];
+        names.forEach(namespace => {
+            all.push(namespace);
+            try {
+                all.push(...this.withNamespace(namespace, child => child.listNamespaces(true)));
+            } catch (error) {
+                if (!(error instanceof WmiAccessDeniedError)) throw error;
+            }
+        });
+        return all;
+    }
+
+    /**
+     * Execute a method of a class (static methods) or of an instance.
+     * The call is not retried and blocks until WMI returns; methods that
+     * start an asynchronous job return ReturnValue 4096 and a `Job` path
+     * to pass to waitForJob().
+     * @param {string} target - Class name, or instance path such as `Win32_Service.Name="Spooler"`
+     * @param {string} method - Method name
+     * @param {Object} [inParams] - In-parameters by name; BigInt, Date and CimInterval
+     *     values are encoded for WMI
+     * @returns {Object} Out-parameters, including ReturnValue
+     */
+    invokeMethod(target, method, inParams) {
+        const [row] = this.convertRows([
+            this.callBackend('invokeMethod', 'method invocation', target, method, encodeParameters(inParams), {})
+        ]);
+        return row;
+    }
+
+    /**
+     * Execute a method without blocking the event loop. Resolves with the
+     * same out-parameters as invokeMethod().
+     * @param {string} target - Class name or instance path
+     * @param {string} method - Method name
+     * @param {Object} [inParams] - In-parameters by name
+     * @param {Object} [options]
+     * @param {number} [options.timeout] - Stop waiting after this many milliseconds,
+     *     overrides config.timeout
+     * @param {AbortSignal} [options.signal]
+     * @returns {Promise<Object>}
+     */
+    invokeMethodAsync(target, method, inParams, options) {
+        let encoded;
+        try {
+            if (typeof this.backend.invokeMethod !== 'function' && typeof this.backend.invokeMethodAsync !== 'function') {
+                throw this.unsupported('method invocation');
+            }
+            encoded = encodeParameters(inParams);
+        } catch (error) {
+            return Promise.reject(error);
+        }
+        return invokeMethodAsync(this.backend, target, method, encoded, this.queryOptions(options))
+            .then(row => this.convertRows([row])[0]);
+    }
+
+    /**
+     * Read the current state of an asynchronous job.
+     * @param {string|Object} job - Job path, out-parameters of the method that started it, or a job row
+     * @returns {Object|null} The CIM_ConcreteJob row, or null when the method completed synchronously
+     */
+    getJob(job) {
+        return jobs.getJob(this, job);
+    }
+
+    /**
+     * Poll an asynchronous job until it completes. Rejects with WmiJobError
+     * when the job fails (or the method's ReturnValue reports failure).
+     * @param {string|Object} job - Job path, out-parameters of the method that started it, or a job row
+     * @param {Object} [options]
+     * @param {number} [options.interval] - Milliseconds between polls, default 500
+     * @param {number} [options.timeout] - Give up after this many milliseconds
+     * @param {AbortSignal} [options.signal]
+     * @param {function(Object)} [options.onProgress] - Called when JobState or PercentComplete changes
+     * @returns {Promise<Object|null>} The completed job row, or null when there was no job
+     */
+    waitForJob(job, options) {
+        return jobs.waitForJob(this, job, options);
+    }
+
+    /**
+     * Collect a normalised inventory of the machine (OS, CPU, memory, disks,
+     * volumes, network, BIOS, baseboard) from root/cimv2. Sections that fail
+     * are null and their errors are listed under `errors`.
+     * @param {Object} [options]
+     * @param {Array<string>} [options.sections] - Sections to collect, default all
+     * @param {number} [options.timeout] - Timeout of each query in milliseconds
+     * @returns {Object}
+     */
+    getInventory(options) {
+        return inventory.getInventory(this, options);
+    }
+
+    /**
+     * Collect the inventory without blocking the event loop.
+     * @param {Object} [options] - As for getInventory(), plus `signal` and `concurrency`
+     * @returns {Promise<Object>}
+     */
+    getInventoryAsync(options) {
+        return inventory.getInventoryAsync(this, options);
+    }
+
+    /**
+     * A client for another namespace with the same configuration,
+     * or this client when the namespace is its own. A namespace naming a
+     * server (`\\HOST\root\cimv2`) connects to that server. A new client
+     * holds its own connection and is the caller's to close(); see
+     * withNamespace().
+     * @param {string} namespace
+     * @returns {WmiClient}
+     */
+    forNamespace(namespace) {
+        const target = parseNamespacePath(namespace);
+        const server = target.server || this.getServer();
+        if (connectionKey(server, target.namespace) === connectionKey(this.getServer(), this.getNamespace())) return this;
+        return new WmiClient(Object.assign({}, this.config, { namespace: target.namespace, server }));
+    }
+
+    /**
+     * Call `fn` with the client forNamespace() returns and close that
+     * client once `fn` returns or, when it returns a Promise, settles. This
+     * client itself is never closed. Results that keep using the client
+     * after that (streams, subscriptions) need forNamespace() instead.
+     * @param {string} namespace
+     * @param {function(WmiClient): *} fn
+     * @returns {*} The result of `fn`
+     */
+    withNamespace(namespace, fn) {
+        const client = this.forNamespace(namespace);
+        if (client === this) return fn(client);
+        let result;
+        try {
+            result = fn(client);
+        } catch (error) {
+            client.close();
+            throw error;
+        }
+        if (!result || typeof result.then !== 'function') {
+            client.close();
+            return result;
+        }
+        return result.then(value => {
+            client.close();
+            return value;
+        }, error => {
+            client.close();
+            throw error;
+        });
+    }
+
+    /**
+     * Get the remote server this client is connected to.
+     * @returns {string|null} null for the local machine
+     */
+    getServer() {
+        return this.config.server || null;
+    }
+
+    /**
+     * Get the namespace this client is connected to.
+     * @returns {string}
+     */
+    getNamespace() {
+        return this.backend.getNamespace();
+    }
+
+    /**
+     * Test whether the WMI connection is working.
+     * @returns {boolean}
+     */
+    testConnection() {
+        return this.backend.testConnection();
+    }
+
+    /**
+     * Release the WMI connection. Later calls fail with a WmiError;
+     * streams and subscriptions already open keep running until closed.
+     * Calling close() again does nothing.
+     */
+    close() {
+        if (this.closed) return;
+        this.closed = true;
+        const backend = this.backend;
+        this.backend = createClosedBackend(backend);
+        if (typeof backend.close === 'function') backend.close();
+    }
+
+    /**
+     * Alias of close().
+     */
+    dispose() {
+        this.close();
+    }
+}
+
+module.exports = {
+    WmiClient
+};
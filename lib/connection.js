@@ -0,0 +1,113 @@
+/**
+ * Connection targets
+ *
+ * A client connects to a namespace on the local machine or, with `server`,
+ * on a remote one. The namespace may also name the server itself, as WMI
+ * paths do: `\\HOST\root\cimv2` or `//HOST/root/cimv2`. Remote connections
+ * use DCOM, so the remote firewall must allow WMI and the account must be
+ * allowed to connect to the namespace.
+ */
+
+const { DEFAULT_NAMESPACE, normalizeNamespace } = require('./util');
+
+/** DCOM authentication levels (RPC_C_AUTHN_LEVEL_*) by name. */
+const AUTH_LEVELS = Object.freeze({
+    default: 0,
+    none: 1,
+    connect: 2,
+    call: 3,
+    packet: 4,
+    packetIntegrity: 5,
+    packetPrivacy: 6
+});
+
+/**
+ * Whether a server name refers to the local machine.
+ * @param {string|null} [server]
+ * @returns {boolean}
+ */
+function isLocalServer(server) {
+    return !server || server === '.' || server.toLowerCase() === 'localhost';
+}
+
+/**
+ * Split `\\HOST\root\cimv2` into its server and namespace.
+ * @param {string} [path] - Namespace path, with or without a server
+ * @returns {{server: string|null, namespace: string}}
+ */
+function parseNamespacePath(path) {
+    const text = (path || DEFAULT_NAMESPACE).trim();
+    const match = /^(?:\\\\|\/\/)([^\\/]+)[\\/]?(.*)$/.exec(text);
+    if (!match) return { server: null, namespace: text };
+    return { server: isLocalServer(match[1]) ? null : match[1], namespace: match[2] || DEFAULT_NAMESPACE };
+}
+
+/**
+ * Resolve an authentication level name or number.
+ * @param {string|number} [level]
+ * @returns {number|undefined}
+ */
+function resolveAuthLevel(level) {
+    if (level === undefined || level === null) return undefined;
+    if (typeof level === 'number' && Number.isInteger(level) && level >= 0 && level <= 6) return level;
+    if (typeof level === 'string' && Object.prototype.hasOwnProperty.call(AUTH_LEVELS, level)) return AUTH_LEVELS[level];
+    throw new TypeError(`Invalid authLevel ${JSON.stringify(level)}: use one of ${Object.keys(AUTH_LEVELS).join(', ')} or 0-6`);
+}
+
+/**
+ * Move a server given in the namespace into `server` and check the
+ * credential options.
+ * @param {Object} config - Client configuration
+ * @returns {Object} A copy with `namespace` free of any server prefix and
+ *     `server` set only for remote machines
+ */
+function normalizeConnectionConfig(config) {
+    const normalized = Object.assign({}, config);
+    const parsed = parseNamespacePath(config.namespace);
+    if (parsed.server && !isLocalServer(config.server) && parsed.server.toLowerCase() !== config.server.toLowerCase()) {
+        throw new TypeError(`Namespace ${config.namespace} names a different server than server "${config.server}"`);
+    }
+    if (config.namespace !== undefined) normalized.namespace = parsed.namespace;
+    const server = parsed.server || config.server;
+    if (isLocalServer(server)) {
+        delete normalized.server;
+    } else {
+        normalized.server = server;
+    }
+    if ((config.password !== undefined || config.domain !== undefined) && !config.username) {
+        throw new TypeError('password and domain require a username');
+    }
+    if (config.authLevel !== undefined) normalized.authLevel = resolveAuthLevel(config.authLevel);
+    return normalized;
+}
+
+/**
+ * Describe where a client is connected, e.g. `\\HOST\root\cimv2`.
+ * @param {string|null} server
+ * @param {string} namespace
+ * @returns {string}
+ */
+function formatNamespacePath(server, namespace) {
+    if (isLocalServer(server)) return namespace;
+    return `\\\\${server}\\${namespace.replace(/\//g, '\\')}`;
+}
+
+/**
+ * Key identifying a connection target: server and normalised namespace.
+ * @param {string|null} server
+ * @param {string} namespace
+ * @returns {string}
+ */
+function connectionKey(server, namespace) {
+    return `${isLocalServer(server) ? '.' : server.toLowerCase()}/${normalizeNamespace(namespace)}`;
+}
+
+module.exports = {
+    AUTH_LEVELS,
+    isLocalServer,
+    parseNamespacePath,
+    resolveAuthLevel,
+    normalizeConnectionConfig,
+    formatNamespacePath,
+    connectionKey
+};
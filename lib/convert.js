@@ -0,0 +1,157 @@
+/**
+ * Result value conversion
+ *
+ * By default rows use the binding's original JSON mapping: 64-bit integers
+ * become (possibly rounded) numbers, NaN and infinite floats become 0.
+ * Setting the client's `conversion` option switches the binding to its
+ * lossless mode, where such values arrive as tagged objects:
+ *
+ *     { $wmi: 'uint64' | 'sint64', value: '18446744073709551615' }
+ *     { $wmi: 'real', value: 'NaN' | 'inf' | '-inf' }
+ *     { $wmi: 'object', value: { ...embedded object properties } }
+ *     { $wmi: 'unknown', value: '<debug text>' }
+ *
+ * and are turned into JavaScript values here. Recordings and fixtures may
+ * contain the same tags.
+ */
+
+const { parseCimValue, isDateTimeProperty } = require('./datetime');
+
+const CHOICES = {
+    int64: ['number', 'bigint', 'string'],
+    invalidFloat: ['zero', 'null', 'nan']
+};
+
+const DATE_MODES = [false, true, 'known'];
+
+const DEFAULTS = {
+    int64: 'number',
+    invalidFloat: 'zero',
+    dates: false
+};
+
+/**
+ * A value the binding could not map to JSON (e.g. an IUnknown pointer).
+ */
+class WmiUnsupportedValue {
+    /**
+     * @param {string} description - Debug description from the binding
+     */
+    constructor(description) {
+        this.description = description;
+    }
+
+    toString() {
+        return this.description;
+    }
+
+    toJSON() {
+        return this.description;
+    }
+}
+
+/**
+ * Validate conversion options and fill in defaults.
+ * @param {Object|boolean} options - `true` selects the defaults
+ * @returns {Object} { int64, invalidFloat, dates }
+ *     `dates`: true converts every CIM datetime/interval string, 'known' only
+ *     the properties listed in datetimeProperties (lib/datetime.js)
+ */
+function normalizeConversion(options) {
+    const normalized = Object.assign({}, DEFAULTS, options === true ? {} : options);
+    Object.keys(CHOICES).forEach(name => {
+        if (!CHOICES[name].includes(normalized[name])) {
+            throw new TypeError(`Invalid conversion.${name} "${normalized[name]}". Expected one of: ${CHOICES[name].join(', ')}`);
+        }
+    });
+    if (!DATE_MODES.includes(normalized.dates)) {
+        throw new TypeError(`Invalid conversion.dates "${normalized.dates}". Expected true, false or 'known'`);
+    }
+    return normalized;
+}
+
+function convertInt64(text, options) {
+    switch (options.int64) {
+        case 'bigint': return BigInt(text);
+        case 'string': return text;
+        default: return Number(text);
+    }
+}
+
+function convertInvalidFloat(text, options) {
+    switch (options.invalidFloat) {
+        case 'null': return null;
+        case 'nan':
+            if (text === 'inf') return Infinity;
+            if (text === '-inf') return -Infinity;
+            return NaN;
+        default: return 0;
+    }
+}
+
+/**
+ * Convert a single value from the binding's wire format.
+ * @param {*} value
+ * @param {Object} options - Normalised conversion options
+ * @param {string} [name] - Property name, used by `dates: 'known'`
+ * @returns {*}
+ */
+function convertValue(value, options, name) {
+    if (Array.isArray(value)) {
+        return value.map(item => convertValue(item, options, name));
+    }
+    if (typeof value === 'string') {
+        if (options.dates === true || (options.dates === 'known' && name && isDateTimeProperty(name))) {
+            return parseCimValue(value);
+        }
+        return value;
+    }
+    if (value === null || typeof value !== 'object') {
+        return value;
+    }
+    switch (value.$wmi) {
+        case 'uint64':
+        case 'sint64':
+            return convertInt64(value.value, options);
+        case 'real':
+            return convertInvalidFloat(value.value, options);
+        case 'object':
+            return convertRow(value.value, options);
+        case 'unknown':
+            return new WmiUnsupportedValue(value.value);
+        default:
+            return convertRow(value, options);
+    }
+}
+
+/**
+ * Convert every property of a row.
+ * @param {Object} row
+ * @param {Object} options - Normalised conversion options
+ * @returns {Object}
+ */
+function convertRow(row, options) {
+    const converted = {};
+    Object.keys(row).forEach(key => {
+        converted[key] = convertValue(row[key], options, key);
+    });
+    return converted;
+}
+
+/**
+ * Build a row converter for the given options.
+ * @param {Object|boolean} options - Conversion options, see normalizeConversion
+ * @returns {function(Object): Object}
+ */
+function createConverter(options) {
+    const normalized = normalizeConversion(options);
+    return row => convertRow(row, normalized);
+}
+
+module.exports = {
+    WmiUnsupportedValue,
+    normalizeConversion,
+    convertValue,
+    convertRow,
+    createConverter
+};
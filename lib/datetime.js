@@ -0,0 +1,246 @@
+/**
+ * CIM_DATETIME helpers
+ *
+ * WMI transfers datetimes and intervals as fixed-width strings:
+ *
+ *     yyyymmddHHMMSS.mmmmmmsUUU    datetime; s is + or -, UUU the UTC offset in minutes
+ *     ddddddddHHMMSS.mmmmmm:000    interval of dddddddd days and HH:MM:SS.mmmmmm
+ *
+ * Datetimes are parsed into Dates (the offset is applied, so the Date is the
+ * correct instant), intervals into CimInterval objects.
+ */
+
+const CIM_DATETIME = /^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})\.(\d{6})([+-])(\d{3})$/;
+const CIM_INTERVAL = /^(\d{8})(\d{2})(\d{2})(\d{2})\.(\d{6}):000$/;
+
+/**
+ * Datetime properties converted by the `conversion.dates: 'known'` client
+ * option. Names are matched case-insensitively; add your own with
+ * `datetimeProperties.add(name)`.
+ */
+const datetimeProperties = new Set([
+    'AccountExpires', 'CreationDate', 'InstallDate', 'InstallationDate',
+    'LastBootUpTime', 'LastLogoff', 'LastLogon', 'LastUseTime', 'LocalDateTime',
+    'PasswordAge', 'ReleaseDate', 'StartTime', 'TerminationDate', 'TimeGenerated',
+    'TimeOfLastConfigurationChange', 'TimeOfLastStateChange', 'TimeWritten',
+    'UntilTime', 'UntilTimeUtc'
+]);
+
+function pad(value, width) {
+    return String(value).padStart(width, '0');
+}
+
+/**
+ * A CIM interval (duration).
+ */
+class CimInterval {
+    /**
+     * @param {Object} parts - { days, hours, minutes, seconds, microseconds }; missing parts are 0
+     */
+    constructor(parts = {}) {
+        this.days = parts.days || 0;
+        this.hours = parts.hours || 0;
+        this.minutes = parts.minutes || 0;
+        this.seconds = parts.seconds || 0;
+        this.microseconds = parts.microseconds || 0;
+    }
+
+    /**
+     * @param {number} milliseconds - Non-negative duration
+     * @returns {CimInterval}
+     */
+    static fromMilliseconds(milliseconds) {
+        if (!Number.isFinite(milliseconds) || milliseconds < 0) {
+            throw new RangeError(`Invalid interval duration: ${milliseconds}`);
+        }
+        let micros = Math.round(milliseconds * 1000);
+        const part = size => {
+            const value = Math.floor(micros / size);
+            micros -= value * size;
+            return value;
+        };
+        return new CimInterval({
+            days: part(86400e6),
+            hours: part(3600e6),
+            minutes: part(60e6),
+            seconds: part(1e6),
+            microseconds: micros
+        });
+    }
+
+    /**
+     * Total length in milliseconds (fractional below one millisecond).
+     * @returns {number}
+     */
+    get totalMilliseconds() {
+        return (((this.days * 24 + this.hours) * 60 + this.minutes) * 60 + this.seconds) * 1000 +
+            this.microseconds / 1000;
+    }
+
+    /**
+     * @returns {string} The CIM interval string
+     */
+    toString() {
+        return formatCimInterval(this);
+    }
+
+    toJSON() {
+        return this.toString();
+    }
+}
+
+/**
+ * Whether a value is a CIM_DATETIME string.
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isCimDateTime(value) {
+    return typeof value === 'string' && CIM_DATETIME.test(value);
+}
+
+/**
+ * Whether a value is a CIM interval string.
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isCimInterval(value) {
+    return typeof value === 'string' && CIM_INTERVAL.test(value);
+}
+
+/**
+ * Parse a CIM_DATETIME string, keeping the parts a Date cannot hold.
+ * @param {string} value - e.g. `20240115083000.500000+060`
+ * @returns {{date: Date, utcOffset: number, microseconds: number}|null}
+ *     `utcOffset` in minutes east of UTC, `microseconds` within the second;
+ *     null when `value` is not a complete CIM_DATETIME (e.g. has `*` wildcards)
+ */
+function parseCimDateTimeParts(value) {
+    const match = typeof value === 'string' ? CIM_DATETIME.exec(value) : null;
+    if (!match) return null;
+    const [, year, month, day, hours, minutes, seconds, micros, sign, offset] = match;
+    const local = Date.UTC(
+        Number(year), Number(month) - 1, Number(day),
+        Number(hours), Number(minutes), Number(seconds),
+        Math.floor(Number(micros) / 1000)
+    );
+    const utcOffset = (sign === '-' ? -1 : 1) * Number(offset);
+    return {
+        date: new Date(local - utcOffset * 60000),
+        utcOffset,
+        microseconds: Number(micros)
+    };
+}
+
+/**
+ * Parse a CIM_DATETIME string into a Date.
+ * Microseconds beyond millisecond precision are dropped.
+ * @param {string} value - e.g. `20240115083000.500000+060`
+ * @returns {Date|null} null when `value` is not a complete CIM_DATETIME
+ */
+function parseCimDateTime(value) {
+    const parts = parseCimDateTimeParts(value);
+    return parts ? parts.date : null;
+}
+
+/**
+ * Format a Date as a CIM_DATETIME string.
+ * @param {Date} date
+ * @param {Object} [options]
+ * @param {number} [options.utcOffset] - Offset in minutes east of UTC to express the time in, default 0
+ * @param {number} [options.microseconds] - Microseconds within the second, defaults to the Date's milliseconds
+ * @returns {string}
+ */
+function formatCimDateTime(date, options = {}) {
+    if (!(date instanceof Date) || Number.isNaN(date.getTime())) {
+        throw new TypeError('formatCimDateTime() expects a valid Date');
+    }
+    const utcOffset = options.utcOffset || 0;
+    if (!Number.isInteger(utcOffset) || Math.abs(utcOffset) > 999) {
+        throw new RangeError(`Invalid UTC offset: ${utcOffset}`);
+    }
+    const shifted = new Date(date.getTime() + utcOffset * 60000);
+    const year = shifted.getUTCFullYear();
+    if (year < 0 || year > 9999) {
+        throw new RangeError(`Year ${year} cannot be expressed as CIM_DATETIME`);
+    }
+    const micros = options.microseconds !== undefined ? options.microseconds : shifted.getUTCMilliseconds() * 1000;
+    return pad(year, 4) + pad(shifted.getUTCMonth() + 1, 2) + pad(shifted.getUTCDate(), 2) +
+        pad(shifted.getUTCHours(), 2) + pad(shifted.getUTCMinutes(), 2) + pad(shifted.getUTCSeconds(), 2) +
+        '.' + pad(micros, 6) + (utcOffset < 0 ? '-' : '+') + pad(Math.abs(utcOffset), 3);
+}
+
+/**
+ * Format a Date as a quoted WQL datetime literal for use in WHERE clauses,
+ * e.g. `'20240115073000.000000+000'`.
+ * @param {Date} date
+ * @param {Object} [options] - See formatCimDateTime
+ * @returns {string}
+ */
+function toWqlDateTime(date, options) {
+    return `'${formatCimDateTime(date, options)}'`;
+}
+
+/**
+ * Parse a CIM interval string.
+ * @param {string} value - e.g. `00000001020304.000000:000`
+ * @returns {CimInterval|null} null when `value` is not a CIM interval
+ */
+function parseCimInterval(value) {
+    const match = typeof value === 'string' ? CIM_INTERVAL.exec(value) : null;
+    if (!match) return null;
+    const [, days, hours, minutes, seconds, microseconds] = match.map(Number);
+    return new CimInterval({ days, hours, minutes, seconds, microseconds });
+}
+
+/**
+ * Format a duration as a CIM interval string.
+ * @param {CimInterval|number} interval - CimInterval or milliseconds
+ * @returns {string}
+ */
+function formatCimInterval(interval) {
+    const value = typeof interval === 'number' ? CimInterval.fromMilliseconds(interval) : interval;
+    if (!(value instanceof CimInterval)) {
+        throw new TypeError('formatCimInterval() expects a CimInterval or a number of milliseconds');
+    }
+    if (value.days > 99999999) {
+        throw new RangeError(`Interval of ${value.days} days cannot be expressed as a CIM interval`);
+    }
+    return pad(value.days, 8) + pad(value.hours, 2) + pad(value.minutes, 2) + pad(value.seconds, 2) +
+        '.' + pad(value.microseconds, 6) + ':000';
+}
+
+/**
+ * Convert a CIM datetime or interval string, leaving other values alone.
+ * @param {*} value
+ * @returns {*} Date, CimInterval or `value`
+ */
+function parseCimValue(value) {
+    if (typeof value !== 'string') return value;
+    return parseCimDateTime(value) || parseCimInterval(value) || value;
+}
+
+/**
+ * Whether `name` is listed in datetimeProperties.
+ * @param {string} name
+ * @returns {boolean}
+ */
+function isDateTimeProperty(name) {
+    if (datetimeProperties.has(name)) return true;
+    const lower = name.toLowerCase();
+    return Array.from(datetimeProperties).some(known => known.toLowerCase() === lower);
+}
+
+module.exports = {
+    CimInterval,
+    datetimeProperties,
+    isCimDateTime,
+    isCimInterval,
+    isDateTimeProperty,
+    parseCimDateTime,
+    parseCimDateTimeParts,
+    parseCimInterval,
+    parseCimValue,
+    formatCimDateTime,
+    formatCimInterval,
+    toWqlDateTime
+};
@@ -0,0 +1,280 @@
+/**
+ * Error classes raised by the JavaScript layer
+ *
+ * Every error is a WmiError carrying `hresult` (unsigned number or null),
+ * `code` (symbolic HRESULT name or null), `wql`, `namespace` and `server`
+ * (null for the local machine), so callers can branch on the failure
+ * instead of parsing messages:
+ *
+ *     WmiError
+ *     ├── WmiInvalidQueryError
+ *     │   └── WqlSyntaxError
+ *     ├── WmiInvalidClassError
+ *     ├── WmiInvalidNamespaceError
+ *     ├── WmiNotFoundError
+ *     ├── WmiAccessDeniedError
+ *     ├── WmiRpcUnavailableError
+ *     ├── WmiTimeoutError
+ *     ├── WmiAbortError
+ *     ├── WmiJobError
+ *     └── WmiReplayMissError
+ */
+
+const { lookupHResult, formatHResult, parseHResult } = require('./hresult');
+const { formatNamespacePath } = require('./connection');
+
+const SUPPORTED_LOCALES = ['en', 'zh-CN'];
+let errorLocale = SUPPORTED_LOCALES.includes(process.env.WMI_NODEJS_LOCALE) ? process.env.WMI_NODEJS_LOCALE : 'en';
+
+/**
+ * Select the language of HRESULT descriptions in error messages.
+ * Defaults to the WMI_NODEJS_LOCALE environment variable, then English.
+ * @param {string} locale - 'en' or 'zh-CN'
+ */
+function setErrorLocale(locale) {
+    if (!SUPPORTED_LOCALES.includes(locale)) {
+        throw new RangeError(`Unsupported error locale "${locale}". Supported: ${SUPPORTED_LOCALES.join(', ')}`);
+    }
+    errorLocale = locale;
+}
+
+/**
+ * Describe an HRESULT in the current locale, e.g.
+ * `Invalid class (WBEM_E_INVALID_CLASS 0x80041010)`.
+ * @param {number} hresult
+ * @returns {string}
+ */
+function describeHResult(hresult) {
+    const known = lookupHResult(hresult);
+    if (!known) return `HRESULT ${formatHResult(hresult)}`;
+    return `${known[errorLocale]} (${known.code} ${formatHResult(hresult)})`;
+}
+
+/**
+ * Base class of every error raised by this package.
+ */
+class WmiError extends Error {
+    /**
+     * @param {string} message
+     * @param {Object} [details]
+     * @param {number} [details.hresult] - HRESULT reported by WMI
+     * @param {string} [details.wql] - Query being executed
+     * @param {string} [details.namespace] - Namespace it ran against
+     * @param {string} [details.server] - Remote server it ran against
+     * @param {Error} [details.cause] - Underlying error
+     */
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'WmiError';
+        this.hresult = typeof details.hresult === 'number' ? details.hresult : null;
+        const known = this.hresult === null ? null : lookupHResult(this.hresult);
+        this.code = known ? known.code : null;
+        this.wql = details.wql || null;
+        this.namespace = details.namespace || null;
+        this.server = details.server || null;
+        if (details.cause) this.cause = details.cause;
+    }
+}
+
+class WmiInvalidQueryError extends WmiError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'WmiInvalidQueryError';
+    }
+}
+
+class WmiInvalidClassError extends WmiError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'WmiInvalidClassError';
+    }
+}
+
+class WmiInvalidNamespaceError extends WmiError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'WmiInvalidNamespaceError';
+    }
+}
+
+class WmiNotFoundError extends WmiError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'WmiNotFoundError';
+    }
+}
+
+class WmiAccessDeniedError extends WmiError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'WmiAccessDeniedError';
+    }
+}
+
+class WmiRpcUnavailableError extends WmiError {
+    constructor(message, details) {
+        super(message, details);
+        this.name = 'WmiRpcUnavailableError';
+    }
+}
+
+/**
+ * Raised when WQL text cannot be parsed by the JavaScript parser.
+ */
+class WqlSyntaxError extends WmiInvalidQueryError {
+    /**
+     * @param {string} message - Description of the problem
+     * @param {string} wql - The query text
+     * @param {number} position - Zero-based character offset of the problem
+     */
+    constructor(message, wql, position) {
+        super(`${message} at position ${position}`, { hresult: 0x80041017, wql });
+        this.name = 'WqlSyntaxError';
+        this.position = position;
+    }
+}
+
+/**
+ * Raised by the replay backend when a query was never recorded.
+ */
+class WmiReplayMissError extends WmiError {
+    /**
+     * @param {string} wql - The query that was not found
+     * @param {string} namespace - Namespace it was run against
+     * @param {string} file - Recording file that was searched
+     * @param {string|null} [server] - Server it was run against, null for the local machine
+     */
+    constructor(wql, namespace, file, server) {
+        super(`No recording for query "${wql.trim().replace(/\s+/g, ' ')}" in namespace ${formatNamespacePath(server, namespace)} (recording: ${file})`, { wql, namespace, server });
+        this.name = 'WmiReplayMissError';
+        this.file = file;
+    }
+}
+
+/**
+ * Raised when a query does not finish within its timeout.
+ */
+class WmiTimeoutError extends WmiError {
+    /**
+     * @param {string} wql - The query that timed out
+     * @param {number} timeout - Timeout in milliseconds
+     * @param {Object} [details] - Extra WmiError details (namespace, cause)
+     */
+    constructor(wql, timeout, details = {}) {
+        const after = typeof timeout === 'number' ? ` after ${timeout} ms` : '';
+        super(`Query timed out${after}: ${wql}`, Object.assign({ hresult: 0x80043001 }, details, { wql }));
+        this.name = 'WmiTimeoutError';
+        this.timeout = timeout;
+    }
+}
+
+/**
+ * Raised when a query is cancelled through an AbortSignal.
+ */
+class WmiAbortError extends WmiError {
+    /**
+     * @param {string} wql - The query that was aborted
+     * @param {*} [reason] - The signal's abort reason, if any
+     */
+    constructor(wql, reason) {
+        super(`Query was aborted: ${wql}`, { wql });
+        this.name = 'WmiAbortError';
+        this.reason = reason;
+    }
+}
+
+/**
+ * Raised when a method reports failure through its ReturnValue, or when
+ * an asynchronous job (CIM_ConcreteJob) ends in any state but Completed.
+ */
+class WmiJobError extends WmiError {
+    /**
+     * @param {string} message
+     * @param {Object} [details] - WmiError details plus:
+     * @param {Object} [details.job] - Last state of the job row
+     * @param {number} [details.returnValue] - Method ReturnValue
+     */
+    constructor(message, details = {}) {
+        super(message, details);
+        this.name = 'WmiJobError';
+        this.job = details.job || null;
+        this.returnValue = typeof details.returnValue === 'number' ? details.returnValue : null;
+        this.jobState = this.job && typeof this.job.JobState === 'number' ? this.job.JobState : null;
+        this.errorCode = this.job && typeof this.job.ErrorCode === 'number' ? this.job.ErrorCode : null;
+    }
+}
+
+const CLASSES_BY_KIND = {
+    generic: WmiError,
+    invalidQuery: WmiInvalidQueryError,
+    invalidClass: WmiInvalidClassError,
+    invalidNamespace: WmiInvalidNamespaceError,
+    notFound: WmiNotFoundError,
+    accessDenied: WmiAccessDeniedError,
+    rpcUnavailable: WmiRpcUnavailableError
+};
+
+/**
+ * Create the WmiError subclass matching an HRESULT.
+ * @param {Object} details
+ * @param {number} [details.hresult] - HRESULT, selects the class
+ * @param {string} [details.detail] - Extra text appended to the message
+ * @param {string} [details.message] - Use this message verbatim instead of composing one
+ * @param {string} [details.wql]
+ * @param {string} [details.namespace]
+ * @param {number} [details.timeout] - Used for WBEM_E_TIMED_OUT
+ * @param {Error} [details.cause]
+ * @returns {WmiError}
+ */
+function createWmiError(details) {
+    const { hresult, detail, wql, namespace, server } = details;
+    const known = typeof hresult === 'number' ? lookupHResult(hresult) : null;
+
+    if (known && known.kind === 'timeout') {
+        return new WmiTimeoutError(wql, details.timeout, details);
+    }
+
+    const parts = [typeof hresult === 'number' ? describeHResult(hresult) : (detail || 'WMI operation failed')];
+    if (namespace) parts.push(`in namespace ${formatNamespacePath(server, namespace)}`);
+    else if (server) parts.push(`on ${server}`);
+    let message = parts.join(' ');
+    if (typeof hresult === 'number' && detail) message += `: ${detail}`;
+    if (wql) message += ` [${wql.trim().replace(/\s+/g, ' ')}]`;
+    if (details.message) message = details.message;
+
+    const ErrorClass = CLASSES_BY_KIND[known ? known.kind : 'generic'];
+    return new ErrorClass(message, details);
+}
+
+/**
+ * Convert an error thrown by the native binding into a WmiError,
+ * reading the `[HRESULT 0x...]` marker the binding puts in its messages.
+ * @param {Error} error - Native error
+ * @param {Object} [context] - { wql, namespace, server, timeout }
+ * @returns {WmiError}
+ */
+function fromNativeError(error, context = {}) {
+    if (error instanceof WmiError) return error;
+    const hresult = parseHResult(error.message);
+    const detail = error.message.replace(/\s*\[HRESULT 0x[0-9a-f]{8}\]/i, '');
+    return createWmiError(Object.assign({}, context, { hresult: hresult === null ? undefined : hresult, detail, cause: error }));
+}
+
+module.exports = {
+    WmiError,
+    WmiInvalidQueryError,
+    WmiInvalidClassError,
+    WmiInvalidNamespaceError,
+    WmiNotFoundError,
+    WmiAccessDeniedError,
+    WmiRpcUnavailableError,
+    WqlSyntaxError,
+    WmiReplayMissError,
+    WmiTimeoutError,
+    WmiAbortError,
+    WmiJobError,
+    createWmiError,
+    fromNativeError,
+    setErrorLocale,
+    describeHResult
+};
@@ -0,0 +1,200 @@
+/**
+ * Event subscriptions
+ *
+ * A subscription reads a notification query (`__InstanceCreationEvent`,
+ * `Win32_ProcessStartTrace`, ...) from a backend cursor, using the cursor
+ * protocol of lib/stream.js. Event cursors may resolve `next()` with an
+ * empty array when no event arrived yet; `null` still means the
+ * subscription ended.
+ *
+ * Events are plain objects carrying `__CLASS` and, for intrinsic events,
+ * the embedded `TargetInstance` / `PreviousInstance` objects with their
+ * own `__CLASS`.
+ */
+
+const { EventEmitter } = require('events');
+
+/**
+ * An active event subscription. Emits `event` for each event, `error`
+ * when the subscription fails and `close` once it ends; it is also an
+ * async iterator. Events arriving while nothing consumes them are
+ * buffered up to `highWaterMark`, after which reading pauses.
+ */
+class WmiSubscription extends EventEmitter {
+    /**
+     * @param {Object} cursor - { next(maxEvents), close() }
+     * @param {string} wql - Notification query
+     * @param {Object} [options]
+     * @param {number} [options.batchSize] - Events fetched per cursor read, default 16
+     * @param {number} [options.highWaterMark] - Events buffered without a consumer, default 256
+     * @param {AbortSignal} [options.signal] - Closes the subscription when aborted
+     * @param {function(Object): Object} [options.mapEvent] - Applied to each event before delivery
+     */
+    constructor(cursor, wql, options = {}) {
+        super();
+        this.cursor = cursor;
+        this.wql = wql;
+        this.batchSize = options.batchSize || 16;
+        this.highWaterMark = options.highWaterMark || 256;
+        this.mapEvent = options.mapEvent || null;
+        this.closed = false;
+        this.error = null;
+        this.fetching = false;
+        this.queue = [];
+        this.waiting = [];
+        this.iterators = 0;
+        this.signal = options.signal;
+        this.onAbort = () => this.close();
+
+        this.on('newListener', name => {
+            if (name === 'event' && this.iterators === 0 && this.queue.length > 0) {
+                process.nextTick(() => this.flush());
+            }
+        });
+        if (this.signal) {
+            if (this.signal.aborted) {
+                process.nextTick(this.onAbort);
+            } else {
+                this.signal.addEventListener('abort', this.onAbort);
+            }
+        }
+        process.nextTick(() => this.fetch());
+    }
+
+    fetch() {
+        if (this.closed || this.fetching) return;
+        // Only buffered consumers can fall behind; stop reading until they catch up
+        const buffering = this.iterators > 0 || this.listenerCount('event') === 0;
+        if (buffering && this.queue.length >= this.highWaterMark) return;
+
+        this.fetching = true;
+        this.cursor.next(this.batchSize).then(events => {
+            this.fetching = false;
+            if (this.closed) return;
+            if (events === null) {
+                this.close();
+                return;
+            }
+            try {
+                events.forEach(event => this.deliver(this.mapEvent ? this.mapEvent(event) : event));
+            } catch (error) {
+                this.fail(error);
+                return;
+            }
+            this.fetch();
+        }, error => {
+            this.fetching = false;
+            this.fail(error);
+        });
+    }
+
+    deliver(event) {
+        this.emit('event', event);
+        if (this.iterators === 0 && this.listenerCount('event') > 0) return;
+        const waiter = this.waiting.shift();
+        if (waiter) {
+            waiter.resolve({ value: event, done: false });
+        } else {
+            this.queue.push(event);
+        }
+    }
+
+    /**
+     * Hand events buffered before the first `event` listener was added.
+     */
+    flush() {
+        if (this.iterators > 0) return;
+        this.queue.splice(0).forEach(event => this.emit('event', event));
+        this.fetch();
+    }
+
+    fail(error) {
+        if (this.closed) return;
+        this.error = error;
+        const waiting = this.waiting.splice(0);
+        waiting.forEach(waiter => waiter.reject(error));
+        try {
+            // Throws the error when nothing listens for it; close all the same
+            if (this.listenerCount('error') > 0 || (this.iterators === 0 && waiting.length === 0)) {
+                this.emit('error', error);
+            }
+        } finally {
+            this.close();
+        }
+    }
+
+    /**
+     * Stop receiving events and release the underlying query.
+     */
+    close() {
+        if (this.closed) return;
+        this.closed = true;
+        if (this.signal) this.signal.removeEventListener('abort', this.onAbort);
+        this.waiting.splice(0).forEach(waiter => waiter.resolve({ value: undefined, done: true }));
+        try {
+            this.cursor.close();
+        } finally {
+            this.emit('close');
+        }
+    }
+
+    /**
+     * Alias of close().
+     */
+    unsubscribe() {
+        this.close();
+    }
+
+    [Symbol.asyncIterator]() {
+        this.iterators++;
+        let finished = false;
+        let reported = false;
+        const finish = () => {
+            if (finished) return;
+            finished = true;
+            this.iterators--;
+        };
+
+        const iterator = {
+            next: () => {
+                if (finished) return Promise.resolve({ value: undefined, done: true });
+                if (this.queue.length > 0) {
+                    const value = this.queue.shift();
+                    this.fetch();
+                    return Promise.resolve({ value, done: false });
+                }
+                if (this.closed) {
+                    finish();
+                    if (this.error && !reported) {
+                        reported = true;
+                        return Promise.reject(this.error);
+                    }
+                    return Promise.resolve({ value: undefined, done: true });
+                }
+                return new Promise((resolve, reject) => {
+                    this.waiting.push({
+                        resolve,
+                        reject: error => {
+                            reported = true;
+                            finish();
+                            reject(error);
+                        }
+                    });
+                    this.fetch();
+                });
+            },
+            // Breaking out of `for await` ends the subscription
+            return: () => {
+                finish();
+                this.close();
+                return Promise.resolve({ value: undefined, done: true });
+            }
+        };
+        iterator[Symbol.asyncIterator] = () => iterator;
+        return iterator;
+    }
+}
+
+module.exports = {
+    WmiSubscription
+};
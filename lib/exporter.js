@@ -0,0 +1,393 @@
+/**
+ * Prometheus / OpenMetrics exporter
+ *
+ * A MetricsExporter runs configured WQL queries on every scrape and turns
+ * row properties into samples:
+ *
+ *     queries: [{
+ *         name: 'logical_disk',
+ *         query: 'SELECT DeviceID, FreeSpace, Size FROM Win32_LogicalDisk WHERE DriveType = 3',
+ *         metrics: [
+ *             { name: 'logical_disk_free_bytes', help: 'Free space', value: 'FreeSpace', labels: ['DeviceID'] },
+ *             { name: 'logical_disk_size_bytes', help: 'Capacity', value: 'Size', labels: { device: 'DeviceID' } }
+ *         ]
+ *     }]
+ *
+ * becomes
+ *
+ *     # TYPE wmi_logical_disk_free_bytes gauge
+ *     # HELP wmi_logical_disk_free_bytes Free space
+ *     wmi_logical_disk_free_bytes{device_id="C:"} 1.2345e+10
+ *
+ * Each query also reports how its last run went, labelled by query name:
+ *
+ *     wmi_scrape_duration_seconds  gauge    time the query took
+ *     wmi_scrape_success           gauge    1 when it succeeded, 0 when it failed
+ *     wmi_scrape_errors_total      counter  failures since the exporter started
+ *
+ * A failing query leaves its metrics without samples; the other queries
+ * are not affected.
+ */
+
+const http = require('http');
+const { WmiClient } = require('./client');
+const { queryClassName } = require('./cache');
+const { findKey, toNumber } = require('./util');
+
+const CONTENT_TYPE = 'application/openmetrics-text; version=1.0.0; charset=utf-8';
+const METRIC_NAME = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+const LABEL_NAME = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+const TYPES = ['gauge', 'counter'];
+
+/**
+ * Label name for a property: DeviceID -> device_id, VolumeName -> volume_name.
+ * @param {string} property
+ * @returns {string}
+ */
+function labelName(property) {
+    return property
+        .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+        .replace(/([A-Z]+)([A-Z][a-z])/g, '$1_$2')
+        .replace(/[^a-zA-Z0-9_]/g, '_')
+        .toLowerCase();
+}
+
+function escapeLabelValue(value) {
+    return value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function escapeHelp(text) {
+    return text.replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+}
+
+/**
+ * Sample value text; OpenMetrics spells the special floats NaN, +Inf and -Inf.
+ * @param {number} value
+ * @returns {string}
+ */
+function formatValue(value) {
+    if (Number.isNaN(value)) return 'NaN';
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(value);
+}
+
+/**
+ * A sample value from a property: numbers in any conversion mode,
+ * booleans as 1/0 and Dates as seconds since the epoch.
+ * @param {*} value
+ * @returns {number|null} null when the row has no value
+ */
+function sampleValue(value) {
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    if (value instanceof Date) return value.getTime() / 1000;
+    if (typeof value === 'number') return value;
+    return toNumber(value);
+}
+
+function labelText(value) {
+    if (value === null || value === undefined) return '';
+    if (Array.isArray(value)) return value.map(labelText).join(',');
+    if (value instanceof Date) return value.toISOString();
+    return String(value);
+}
+
+/** Read a property case-insensitively, as WMI matches property names. */
+function read(row, property) {
+    const key = findKey(row, property);
+    return key === undefined ? undefined : row[key];
+}
+
+function formatLabels(names, values) {
+    if (names.length === 0) return '';
+    return `{${names.map((name, i) => `${name}="${escapeLabelValue(values[i])}"`).join(',')}}`;
+}
+
+/**
+ * Validate a metric definition and fill in defaults.
+ * @param {Object} metric
+ * @param {string} prefix
+ * @returns {Object} { family, type, help, unit, value, labelNames, labelProperties, sampleName }
+ */
+function normalizeMetric(metric, prefix) {
+    if (!metric || typeof metric.name !== 'string') {
+        throw new TypeError('Every metric needs a name');
+    }
+    const type = metric.type || 'gauge';
+    if (!TYPES.includes(type)) {
+        throw new TypeError(`Metric ${metric.name} has type ${type}; expected ${TYPES.join(' or ')}`);
+    }
+    if (typeof metric.value !== 'string' && typeof metric.value !== 'function') {
+        throw new TypeError(`Metric ${metric.name} needs a value property or function`);
+    }
+    let family = prefix + metric.name;
+    // Counter samples carry the _total suffix; the family name does not
+    if (type === 'counter') family = family.replace(/_total$/, '');
+    if (!METRIC_NAME.test(family)) {
+        throw new TypeError(`Invalid metric name: ${family}`);
+    }
+    if (metric.unit !== undefined && !family.endsWith(`_${metric.unit}`)) {
+        throw new TypeError(`Metric ${family} has unit ${metric.unit} but its name does not end in _${metric.unit}`);
+    }
+
+    const labels = metric.labels || [];
+    const pairs = Array.isArray(labels)
+        ? labels.map(property => [labelName(property), property])
+        : Object.keys(labels).map(name => [name, labels[name]]);
+    pairs.forEach(([name]) => {
+        if (!LABEL_NAME.test(name) || name.startsWith('__')) {
+            throw new TypeError(`Invalid label name ${name} on metric ${family}`);
+        }
+    });
+
+    return {
+        family,
+        type,
+        help: metric.help || '',
+        unit: metric.unit,
+        value: metric.value,
+        labelNames: pairs.map(pair => pair[0]),
+        labelProperties: pairs.map(pair => pair[1]),
+        sampleName: type === 'counter' ? `${family}_total` : family
+    };
+}
+
+/**
+ * Validate a query definition and fill in defaults.
+ * @param {Object} definition
+ * @param {string} prefix
+ * @returns {Object} { name, wql, namespace, timeout, metrics }
+ */
+function normalizeQuery(definition, prefix) {
+    const query = definition && definition.query;
+    const wql = query && typeof query.toWql === 'function' ? query.toWql() : query;
+    if (typeof wql !== 'string' || wql.trim() === '') {
+        throw new TypeError('Every exported query needs WQL text or a query builder');
+    }
+    if (!Array.isArray(definition.metrics) || definition.metrics.length === 0) {
+        throw new TypeError(`Query ${wql} exports no metrics`);
+    }
+    return {
+        name: definition.name || queryClassName(wql) || wql,
+        wql,
+        namespace: definition.namespace,
+        timeout: definition.timeout,
+        metrics: definition.metrics.map(metric => normalizeMetric(metric, prefix))
+    };
+}
+
+/**
+ * Lines of one metric family.
+ * @param {Object} metric - Normalised metric
+ * @param {Array<Object>|null} rows - Result of its query, null when it failed
+ * @returns {Array<string>}
+ */
+function renderMetric(metric, rows) {
+    const lines = [`# TYPE ${metric.family} ${metric.type}`];
+    if (metric.unit !== undefined) lines.push(`# UNIT ${metric.family} ${metric.unit}`);
+    if (metric.help) lines.push(`# HELP ${metric.family} ${escapeHelp(metric.help)}`);
+    if (!rows) return lines;
+
+    const seen = new Set();
+    rows.forEach(row => {
+        const value = typeof metric.value === 'function' ? metric.value(row) : read(row, metric.value);
+        const number = sampleValue(value);
+        if (number === null) return;
+        const labels = formatLabels(metric.labelNames, metric.labelProperties.map(property => labelText(read(row, property))));
+        // A series may appear once per exposition
+        if (seen.has(labels)) return;
+        seen.add(labels);
+        lines.push(`${metric.sampleName}${labels} ${formatValue(number)}`);
+    });
+    return lines;
+}
+
+class MetricsExporter {
+    /**
+     * @param {Object} options
+     * @param {Array<Object>} options.queries - Queries to export, each
+     *     { name, query, namespace, timeout, metrics: [{ name, help, type, unit, value, labels }] }:
+     *     `query` is WQL text or a builder; `name` labels the scrape metrics (default: the FROM class);
+     *     `namespace` runs the query in another namespace of the client's server;
+     *     metric `type` is 'gauge' (default) or 'counter'; `value` is a property name
+     *     or a function of the row; `labels` is an array of properties (labelled in snake_case)
+     *     or { label: property }
+     * @param {WmiClient|Object} [options.client] - A WmiClient, or the configuration of one
+     * @param {string} [options.prefix] - Prepended to every metric name, default 'wmi_'
+     * @param {number} [options.timeout] - Timeout of each query in milliseconds
+     * @param {string} [options.path] - Path served by handler() and listen(), default '/metrics'
+     */
+    constructor(options = {}) {
+        if (!Array.isArray(options.queries) || options.queries.length === 0) {
+            throw new TypeError('MetricsExporter needs at least one query');
+        }
+        this.prefix = options.prefix !== undefined ? options.prefix : 'wmi_';
+        this.timeout = options.timeout;
+        this.path = options.path || '/metrics';
+        this.ownsClient = !(options.client instanceof WmiClient);
+        this.client = this.ownsClient ? new WmiClient(options.client) : options.client;
+        this.queries = options.queries.map(definition => normalizeQuery(definition, this.prefix));
+
+        const names = new Set();
+        this.queries.forEach(query => {
+            if (names.has(query.name)) throw new TypeError(`Two exported queries are named ${query.name}; give them distinct names`);
+            names.add(query.name);
+        });
+        const families = new Set([`${this.prefix}scrape_duration_seconds`, `${this.prefix}scrape_success`, `${this.prefix}scrape_errors`]);
+        this.queries.forEach(query => query.metrics.forEach(metric => {
+            if (families.has(metric.family)) throw new TypeError(`Metric ${metric.family} is defined twice`);
+            families.add(metric.family);
+        }));
+
+        this.clients = new Map();
+        this.errors = new Map(this.queries.map(query => [query.name, 0]));
+        // Failures of the last scrape, as [{ query, error }]
+        this.lastErrors = [];
+        this.server = null;
+    }
+
+    /** Client for a query's namespace, created once. */
+    clientFor(namespace) {
+        if (!namespace) return this.client;
+        if (!this.clients.has(namespace)) this.clients.set(namespace, this.client.forNamespace(namespace));
+        return this.clients.get(namespace);
+    }
+
+    /**
+     * Run one query and time it.
+     * @returns {Promise<{query: Object, rows: Array<Object>|null, seconds: number, error: Error|null}>}
+     */
+    run(query) {
+        const started = process.hrtime.bigint();
+        const timeout = query.timeout !== undefined ? query.timeout : this.timeout;
+        const finish = (rows, error) => ({
+            query,
+            rows,
+            error,
+            seconds: Number(process.hrtime.bigint() - started) / 1e9
+        });
+        let pending;
+        try {
+            pending = this.clientFor(query.namespace).queryAsync(query.wql, timeout !== undefined ? { timeout } : undefined);
+        } catch (error) {
+            pending = Promise.reject(error);
+        }
+        return pending.then(rows => finish(rows, null), error => finish(null, error));
+    }
+
+    /**
+     * Run every query and render the exposition.
+     * @returns {Promise<string>} OpenMetrics text, ending with `# EOF`
+     */
+    collect() {
+        return Promise.all(this.queries.map(query => this.run(query))).then(results => {
+            const lines = [];
+            const failed = [];
+            results.forEach(result => {
+                let metricLines;
+                try {
+                    metricLines = result.query.metrics.map(metric => renderMetric(metric, result.rows));
+                } catch (error) {
+                    // A value function threw; report the query as failed
+                    result.error = error;
+                    metricLines = result.query.metrics.map(metric => renderMetric(metric, null));
+                }
+                metricLines.forEach(metric => lines.push(...metric));
+                if (result.error) {
+                    this.errors.set(result.query.name, this.errors.get(result.query.name) + 1);
+                    failed.push(result);
+                }
+            });
+            lines.push(...this.renderScrapeMetrics(results));
+            lines.push('# EOF');
+            this.lastErrors = failed.map(result => ({ query: result.query.name, error: result.error }));
+            return `${lines.join('\n')}\n`;
+        });
+    }
+
+    renderScrapeMetrics(results) {
+        const label = result => formatLabels(['query'], [result.query.name]);
+        const duration = `${this.prefix}scrape_duration_seconds`;
+        const success = `${this.prefix}scrape_success`;
+        const errors = `${this.prefix}scrape_errors`;
+        return [
+            `# TYPE ${duration} gauge`,
+            `# UNIT ${duration} seconds`,
+            `# HELP ${duration} Time the query took in the last scrape.`,
+            ...results.map(result => `${duration}${label(result)} ${formatValue(result.seconds)}`),
+            `# TYPE ${success} gauge`,
+            `# HELP ${success} Whether the query succeeded in the last scrape.`,
+            ...results.map(result => `${success}${label(result)} ${result.error ? 0 : 1}`),
+            `# TYPE ${errors} counter`,
+            `# HELP ${errors} Failed runs of the query.`,
+            ...results.map(result => `${errors}_total${label(result)} ${this.errors.get(result.query.name)}`)
+        ];
+    }
+
+    /**
+     * HTTP request listener serving the exposition on `path`; usable with
+     * http.createServer() or as middleware of another server.
+     * @returns {function(http.IncomingMessage, http.ServerResponse): void}
+     */
+    handler() {
+        return (request, response) => {
+            const path = (request.url || '/').split('?')[0];
+            if (path !== this.path) {
+                response.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+                response.end('Not Found\n');
+                return;
+            }
+            if (request.method !== 'GET' && request.method !== 'HEAD') {
+                response.writeHead(405, { 'Content-Type': 'text/plain; charset=utf-8', Allow: 'GET, HEAD' });
+                response.end('Method Not Allowed\n');
+                return;
+            }
+            this.collect().then(body => {
+                response.writeHead(200, { 'Content-Type': CONTENT_TYPE });
+                response.end(request.method === 'HEAD' ? undefined : body);
+            }, error => {
+                response.writeHead(500, { 'Content-Type': 'text/plain; charset=utf-8' });
+                response.end(`${error.message}\n`);
+            });
+        };
+    }
+
+    /**
+     * Start an HTTP server for the exposition.
+     * @param {number} [port] - Default 9182
+     * @param {string} [host] - Default all interfaces
+     * @returns {Promise<http.Server>} Resolves once listening
+     */
+    listen(port = 9182, host) {
+        if (this.server) return Promise.reject(new Error('MetricsExporter is already listening'));
+        const server = http.createServer(this.handler());
+        this.server = server;
+        return new Promise((resolve, reject) => {
+            server.once('error', error => {
+                this.server = null;
+                reject(error);
+            });
+            server.listen(port, host, () => resolve(server));
+        });
+    }
+
+    /**
+     * Stop the HTTP server and close the clients the exporter created.
+     * @returns {Promise<void>}
+     */
+    close() {
+        this.clients.forEach(client => {
+            if (client !== this.client) client.close();
+        });
+        this.clients.clear();
+        if (this.ownsClient) this.client.close();
+        const server = this.server;
+        this.server = null;
+        if (!server) return Promise.resolve();
+        return new Promise(resolve => server.close(() => resolve()));
+    }
+}
+
+module.exports = {
+    MetricsExporter
+};
@@ -0,0 +1,135 @@
+/**
+ * Text output of result rows, as used by the wmi-nodejs command
+ *
+ *     table   aligned columns under a header
+ *     json    one JSON array
+ *     ndjson  one JSON object per line
+ *     csv     RFC 4180, header first
+ */
+
+const { findKey } = require('./util');
+
+const FORMATS = ['table', 'json', 'ndjson', 'csv'];
+
+/**
+ * JSON.stringify replacer for values JSON has no form for.
+ */
+function jsonValue(key, value) {
+    return typeof value === 'bigint' ? value.toString() : value;
+}
+
+/**
+ * Value at a column: a property name, or a dotted path into embedded
+ * objects such as `TargetInstance.Name`, matched case-insensitively.
+ * @param {Object} row
+ * @param {string} column
+ * @returns {*} undefined when absent
+ */
+function readColumn(row, column) {
+    return column.split('.').reduce((value, name) => {
+        if (!value || typeof value !== 'object') return undefined;
+        const key = findKey(value, name);
+        return key === undefined ? undefined : value[key];
+    }, row);
+}
+
+/**
+ * Column names: the requested ones, or every property in order of first
+ * appearance.
+ * @param {Array<Object>} rows
+ * @param {Array<string>} [columns]
+ * @returns {Array<string>}
+ */
+function resolveColumns(rows, columns) {
+    if (columns && columns.length) return columns;
+    const names = [];
+    const seen = new Set();
+    rows.forEach(row => Object.keys(row).forEach(name => {
+        if (!seen.has(name)) {
+            seen.add(name);
+            names.push(name);
+        }
+    }));
+    return names;
+}
+
+/**
+ * Copies of the rows with only the given columns, in their order.
+ */
+function pickColumns(rows, columns) {
+    return rows.map(row => {
+        const picked = {};
+        columns.forEach(column => {
+            const value = readColumn(row, column);
+            picked[column] = value === undefined ? null : value;
+        });
+        return picked;
+    });
+}
+
+/**
+ * Text of a value in a table cell or CSV field.
+ * @param {*} value
+ * @returns {string}
+ */
+function cellText(value) {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value.toISOString();
+    if (Array.isArray(value)) return value.map(cellText).join(', ');
+    if (typeof value === 'object' && typeof value.toString === 'function' && value.toString !== Object.prototype.toString) {
+        return value.toString();
+    }
+    if (typeof value === 'object') return JSON.stringify(value, jsonValue);
+    return String(value);
+}
+
+function csvField(text) {
+    return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatTable(rows, columns) {
+    const cells = rows.map(row => columns.map(column => cellText(row[column]).replace(/\r?\n/g, ' ')));
+    const widths = columns.map((column, i) => Math.max(column.length, ...cells.map(line => line[i].length)));
+    const line = values => values.map((value, i) => i === values.length - 1 ? value : value.padEnd(widths[i])).join('  ').trimEnd();
+    return [
+        line(columns),
+        line(widths.map(width => '-'.repeat(width))),
+        ...cells.map(line)
+    ].map(text => `${text}\n`).join('');
+}
+
+/**
+ * Render rows in one of FORMATS.
+ * @param {Array<Object>} rows
+ * @param {string} format
+ * @param {Array<string>} [columns] - Columns to output, default every property
+ * @returns {string} Text ending with a newline, or '' for no rows in table,
+ *     ndjson and csv format
+ */
+function formatRows(rows, format, columns) {
+    if (!FORMATS.includes(format)) {
+        throw new TypeError(`Unknown format ${format}; expected ${FORMATS.join(', ')}`);
+    }
+    const names = resolveColumns(rows, columns);
+    const picked = columns && columns.length ? pickColumns(rows, names) : rows;
+    switch (format) {
+        case 'json':
+            return `${JSON.stringify(picked, jsonValue, 2)}\n`;
+        case 'ndjson':
+            return picked.map(row => `${JSON.stringify(row, jsonValue)}\n`).join('');
+        case 'csv':
+            if (rows.length === 0) return '';
+            return [names, ...picked.map(row => names.map(name => cellText(row[name])))]
+                .map(fields => `${fields.map(csvField).join(',')}\n`).join('');
+        default:
+            return rows.length === 0 ? '' : formatTable(picked, names);
+    }
+}
+
+module.exports = {
+    FORMATS,
+    formatRows,
+    readColumn,
+    cellText,
+    jsonValue
+};
@@ -0,0 +1,67 @@
+/**
+ * Well-known WMI / COM HRESULT codes
+ *
+ * Each entry carries the symbolic name, the error kind used to pick an
+ * error class (see lib/errors.js) and a short description per locale.
+ */
+
+const HRESULTS = {
+    0x80041001: { code: 'WBEM_E_FAILED', kind: 'generic', en: 'Generic failure', 'zh-CN': '一般性失败' },
+    0x80041002: { code: 'WBEM_E_NOT_FOUND', kind: 'notFound', en: 'Object not found', 'zh-CN': '未找到对象' },
+    0x80041003: { code: 'WBEM_E_ACCESS_DENIED', kind: 'accessDenied', en: 'Access denied', 'zh-CN': '拒绝访问' },
+    0x80041006: { code: 'WBEM_E_OUT_OF_MEMORY', kind: 'generic', en: 'Out of memory', 'zh-CN': '内存不足' },
+    0x80041008: { code: 'WBEM_E_INVALID_PARAMETER', kind: 'generic', en: 'Invalid parameter', 'zh-CN': '无效的参数' },
+    0x80041009: { code: 'WBEM_E_NOT_AVAILABLE', kind: 'generic', en: 'Resource not available', 'zh-CN': '资源不可用' },
+    0x8004100C: { code: 'WBEM_E_NOT_SUPPORTED', kind: 'generic', en: 'Operation not supported', 'zh-CN': '不支持该操作' },
+    0x8004100E: { code: 'WBEM_E_INVALID_NAMESPACE', kind: 'invalidNamespace', en: 'Invalid namespace', 'zh-CN': '无效的命名空间' },
+    0x80041010: { code: 'WBEM_E_INVALID_CLASS', kind: 'invalidClass', en: 'Invalid class', 'zh-CN': '无效的类' },
+    0x80041013: { code: 'WBEM_E_PROVIDER_LOAD_FAILURE', kind: 'generic', en: 'Provider load failure', 'zh-CN': '提供程序加载失败' },
+    0x80041017: { code: 'WBEM_E_INVALID_QUERY', kind: 'invalidQuery', en: 'Invalid query', 'zh-CN': '无效的查询' },
+    0x80041018: { code: 'WBEM_E_INVALID_QUERY_TYPE', kind: 'invalidQuery', en: 'Invalid query language', 'zh-CN': '无效的查询语言' },
+    0x8004102E: { code: 'WBEM_E_INVALID_METHOD', kind: 'generic', en: 'Invalid method', 'zh-CN': '无效的方法' },
+    0x8004102F: { code: 'WBEM_E_INVALID_METHOD_PARAMETERS', kind: 'generic', en: 'Invalid method parameters', 'zh-CN': '无效的方法参数' },
+    0x80041032: { code: 'WBEM_E_CALL_CANCELLED', kind: 'generic', en: 'Call cancelled', 'zh-CN': '调用已取消' },
+    0x8004103A: { code: 'WBEM_E_INVALID_OBJECT_PATH', kind: 'generic', en: 'Invalid object path', 'zh-CN': '无效的对象路径' },
+    0x80041055: { code: 'WBEM_E_METHOD_NOT_IMPLEMENTED', kind: 'generic', en: 'Method not implemented', 'zh-CN': '方法未实现' },
+    0x80041064: { code: 'WBEM_E_LOCAL_CREDENTIALS', kind: 'generic', en: 'User credentials cannot be used for local connections', 'zh-CN': '用户凭据不能用于本地连接' },
+    0x80043001: { code: 'WBEM_E_TIMED_OUT', kind: 'timeout', en: 'Operation timed out', 'zh-CN': '操作超时' },
+    0x80070005: { code: 'E_ACCESSDENIED', kind: 'accessDenied', en: 'Access denied', 'zh-CN': '拒绝访问' },
+    0x800706BA: { code: 'RPC_S_SERVER_UNAVAILABLE', kind: 'rpcUnavailable', en: 'The RPC server is unavailable', 'zh-CN': 'RPC 服务器不可用' },
+    0x800706BE: { code: 'RPC_S_CALL_FAILED', kind: 'rpcUnavailable', en: 'The remote procedure call failed', 'zh-CN': '远程过程调用失败' }
+};
+
+/**
+ * Look up an HRESULT.
+ * @param {number} hresult - Unsigned 32-bit HRESULT
+ * @returns {Object|undefined} { code, kind, en, 'zh-CN' }
+ */
+function lookupHResult(hresult) {
+    return HRESULTS[hresult];
+}
+
+/**
+ * Format an HRESULT as `0x8004100E`.
+ * @param {number} hresult
+ * @returns {string}
+ */
+function formatHResult(hresult) {
+    return '0x' + (hresult >>> 0).toString(16).toUpperCase().padStart(8, '0');
+}
+
+/**
+ * Extract the HRESULT the native binding embeds in its messages as
+ * `[HRESULT 0x80041010]`.
+ * @param {string} message
+ * @returns {number|null}
+ */
+function parseHResult(message) {
+    const match = /\[HRESULT (0x[0-9a-f]{8})\]/i.exec(message || '');
+    return match ? parseInt(match[1], 16) : null;
+}
+
+module.exports = {
+    HRESULTS,
+    lookupHResult,
+    formatHResult,
+    parseHResult
+};
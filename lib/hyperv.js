@@ -0,0 +1,489 @@
+/**
+ * Hyper-V management
+ *
+ * Reads virtual machines, their settings and the host's capacity from
+ * root/virtualization/v2, and drives their lifecycle (start, stop, save,
+ * pause, checkpoint) through the Msvm_* management methods, waiting for
+ * the Msvm_ConcreteJob each one starts.
+ *
+ * Everything goes through a WmiClient, so the fixture and replay backends
+ * work as they do for queries: lifecycle methods need `methods` handlers
+ * in the fixture data and, when they start jobs, Msvm_ConcreteJob rows.
+ *
+ * A VM's resource settings (memory, processor, disks, network adapters)
+ * have InstanceIDs beginning with `Microsoft:<VM GUID>\`; checkpoints use
+ * their own GUIDs, so matching that prefix reads the running
+ * configuration only.
+ */
+
+const { WmiClient } = require('./client');
+const { select } = require('./builder');
+const { parseObjectPath, formatObjectPath } = require('./methods');
+const { WmiError, WmiJobError, createWmiError } = require('./errors');
+const { JOB_STARTED } = require('./jobs');
+const { toNumber, toDate } = require('./util');
+const { VM_STATES, HEALTH_STATES } = require('./valuemaps');
+
+const NAMESPACE = 'root/virtualization/v2';
+
+/** Msvm_ComputerSystem.RequestStateChange RequestedState values. */
+const REQUESTED_STATES = {
+    running: 2,
+    off: 3,
+    saved: 6,
+    paused: 9,
+    reset: 11
+};
+
+/** ReturnValues shared by the Msvm management methods. */
+const RETURN_VALUES = {
+    32768: 'Failed',
+    32769: 'Access denied',
+    32770: 'Not supported',
+    32771: 'Status is unknown',
+    32772: 'Timeout',
+    32773: 'Invalid parameter',
+    32774: 'System is in use',
+    32775: 'Invalid state for this operation',
+    32776: 'Incorrect data type',
+    32777: 'System is not available',
+    32778: 'Out of memory'
+};
+
+const VM_PROPERTIES = [
+    'CreationClassName', 'Name', 'ElementName', 'EnabledState', 'HealthState', 'OnTimeInMilliseconds',
+    'ProcessID', 'InstallDate', 'TimeOfLastStateChange', 'NumberOfNumaNodes'
+];
+
+const MEGABYTE = 1024 * 1024;
+const GUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/** Key values of an object path, or an empty object when it cannot be parsed. */
+function pathKeys(path) {
+    try {
+        return parseObjectPath(path).keys || {};
+    } catch (error) {
+        return {};
+    }
+}
+
+/** `00155D010203` → `00:15:5D:01:02:03` */
+function formatMac(address) {
+    if (typeof address !== 'string' || !/^[0-9a-f]{12}$/i.test(address)) return address || null;
+    return address.toUpperCase().match(/../g).join(':');
+}
+
+/**
+ * The path to invoke methods on: __PATH when the row has it, else built
+ * from the key properties.
+ */
+function instancePath(row, className, keyNames) {
+    if (row.__PATH) return row.__PATH;
+    const keys = {};
+    keyNames.forEach(name => {
+        keys[name] = row[name];
+    });
+    return formatObjectPath(className, keys);
+}
+
+function buildVM(row) {
+    const state = toNumber(row.EnabledState);
+    const health = toNumber(row.HealthState);
+    const onTime = toNumber(row.OnTimeInMilliseconds);
+    return {
+        id: row.Name,
+        name: row.ElementName || null,
+        state,
+        stateName: state === null ? null : VM_STATES[state] || null,
+        health,
+        healthName: health === null ? null : HEALTH_STATES[health] || null,
+        uptimeSeconds: onTime === null ? null : Math.round(onTime / 1000),
+        processId: toNumber(row.ProcessID) || null,
+        installDate: toDate(row.InstallDate),
+        lastStateChange: toDate(row.TimeOfLastStateChange),
+        numaNodes: toNumber(row.NumberOfNumaNodes),
+        path: instancePath(row, 'Msvm_ComputerSystem', ['CreationClassName', 'Name'])
+    };
+}
+
+function buildSettings(rows) {
+    const row = rows[0];
+    if (!row) return null;
+    const subType = /SubType:(\d+)$/.exec(row.VirtualSystemSubType || '');
+    return {
+        generation: subType ? Number(subType[1]) : null,
+        version: row.Version || null,
+        configurationPath: row.ConfigurationDataRoot || null,
+        notes: Array.isArray(row.Notes) ? row.Notes.join('\n') : row.Notes || null
+    };
+}
+
+function buildMemory(rows) {
+    const row = rows[0];
+    if (!row) return null;
+    const megabytes = value => (toNumber(value) === null ? null : toNumber(value) * MEGABYTE);
+    const dynamic = Boolean(row.DynamicMemoryEnabled);
+    return {
+        startupBytes: megabytes(row.VirtualQuantity),
+        dynamic,
+        minimumBytes: dynamic ? megabytes(row.Reservation) : null,
+        maximumBytes: dynamic ? megabytes(row.Limit) : null,
+        weight: toNumber(row.Weight)
+    };
+}
+
+function buildProcessor(rows) {
+    const row = rows[0];
+    if (!row) return null;
+    // Reservation and Limit are in thousandths of a percent
+    const percentOf = value => (toNumber(value) === null ? null : toNumber(value) / 1000);
+    return {
+        count: toNumber(row.VirtualQuantity),
+        reservePercent: percentOf(row.Reservation),
+        limitPercent: percentOf(row.Limit),
+        weight: toNumber(row.Weight)
+    };
+}
+
+function buildDisks(rows) {
+    return rows.map(row => {
+        const subType = row.ResourceSubType || '';
+        return {
+            path: Array.isArray(row.HostResource) ? row.HostResource[0] || null : row.HostResource || null,
+            type: /Hard Disk/i.test(subType) ? 'hardDisk' : /DVD/i.test(subType) ? 'dvd' : 'other',
+            instanceId: row.InstanceID,
+            drive: row.Parent || null
+        };
+    });
+}
+
+/**
+ * Network adapters with the switch each is connected to. The connection
+ * (Msvm_EthernetPortAllocationSettingData) names the adapter in Parent and
+ * the switch in HostResource.
+ */
+function buildNetworkAdapters(adapters, connections, switches) {
+    const switchNames = new Map(switches.map(row => [String(row.Name).toLowerCase(), row.ElementName || null]));
+    const connectionOf = new Map();
+    connections.forEach(connection => {
+        const adapterId = pathKeys(connection.Parent).InstanceID;
+        if (adapterId) connectionOf.set(String(adapterId).toLowerCase(), connection);
+    });
+    return adapters.map(adapter => {
+        const connection = connectionOf.get(String(adapter.InstanceID).toLowerCase()) || null;
+        const switchPath = connection && Array.isArray(connection.HostResource) ? connection.HostResource[0] : null;
+        const switchId = switchPath ? pathKeys(switchPath).Name || null : null;
+        return {
+            name: adapter.ElementName || null,
+            macAddress: formatMac(adapter.Address),
+            staticMacAddress: Boolean(adapter.StaticMacAddress),
+            legacy: /Emulated/i.test(adapter.__CLASS || adapter.ResourceSubType || ''),
+            instanceId: adapter.InstanceID,
+            connected: Boolean(connection) && toNumber(connection.EnabledState) !== 3 && Boolean(switchId),
+            switchId,
+            switchName: switchId ? switchNames.get(String(switchId).toLowerCase()) || null : null
+        };
+    });
+}
+
+class HyperV {
+    /**
+     * @param {WmiClient|Object} [client] - A WmiClient for the Hyper-V host (any
+     *     namespace), or the configuration of one, e.g. { server: 'HV01' }
+     */
+    constructor(client) {
+        const base = client instanceof WmiClient ? client : new WmiClient(Object.assign({}, client, { namespace: NAMESPACE }));
+        this.client = base.forNamespace(NAMESPACE);
+        // A client passed in for root/virtualization/v2 stays the caller's to close
+        this.ownsClient = this.client !== client;
+        this.hostClient = null;
+    }
+
+    /** Client for root/cimv2 on the host, for host-wide figures. */
+    getHostClient() {
+        if (!this.hostClient) this.hostClient = this.client.forNamespace('root/cimv2');
+        return this.hostClient;
+    }
+
+    /**
+     * Close the clients this object opened. A client passed to the
+     * constructor for root/virtualization/v2 is left open.
+     */
+    close() {
+        if (this.hostClient) {
+            this.hostClient.close();
+            this.hostClient = null;
+        }
+        if (this.ownsClient) this.client.close();
+    }
+
+    /**
+     * List the virtual machines of the host.
+     * @returns {Array<Object>} { id, name, state, stateName, health, healthName,
+     *     uptimeSeconds, processId, installDate, lastStateChange, numaNodes, path }
+     */
+    listVMs() {
+        return this.client.query(select(VM_PROPERTIES).from('Msvm_ComputerSystem').where({ Caption: 'Virtual Machine' }))
+            .map(buildVM)
+            .sort((a, b) => String(a.name).localeCompare(String(b.name)));
+    }
+
+    /**
+     * Find one virtual machine.
+     * @param {string|Object} vm - VM name, VM GUID, or an object from listVMs()
+     * @returns {Object} As listVMs() returns
+     * @throws {WmiNotFoundError} When no VM matches
+     * @throws {WmiError} When several VMs have the name
+     */
+    findVM(vm) {
+        const query = select(VM_PROPERTIES).from('Msvm_ComputerSystem').where({ Caption: 'Virtual Machine' });
+        let description;
+        if (vm && typeof vm === 'object' && (vm.id || vm.Name)) {
+            query.where({ Name: vm.id || vm.Name });
+            description = `with ID ${vm.id || vm.Name}`;
+        } else if (typeof vm === 'string' && GUID.test(vm)) {
+            query.where({ Name: vm });
+            description = `with ID ${vm}`;
+        } else if (typeof vm === 'string' && vm !== '') {
+            query.where({ ElementName: vm });
+            description = `named "${vm}"`;
+        } else {
+            throw new TypeError('Expected a VM name, VM ID or an object from listVMs()');
+        }
+
+        const rows = this.client.query(query);
+        const details = { namespace: this.client.getNamespace(), server: this.client.getServer(), wql: query.toWql() };
+        if (rows.length === 0) {
+            throw createWmiError(Object.assign({ hresult: 0x80041002, detail: `No virtual machine ${description}` }, details));
+        }
+        if (rows.length > 1) {
+            throw new WmiError(`${rows.length} virtual machines are ${description}; pass the VM ID instead`, details);
+        }
+        return buildVM(rows[0]);
+    }
+
+    /**
+     * A virtual machine with its configuration and resource settings.
+     * @param {string|Object} vm - As for findVM()
+     * @returns {Object} findVM() plus `settings` (generation, version, configurationPath,
+     *     notes), `memory`, `processor`, `disks` and `networkAdapters`
+     */
+    getVM(vm) {
+        const found = this.findVM(vm);
+        const owned = className => select().from(className).startsWith('InstanceID', `Microsoft:${found.id}\\`);
+        const results = this.client.queryBatch({
+            settings: select('VirtualSystemSubType', 'Version', 'ConfigurationDataRoot', 'Notes')
+                .from('Msvm_VirtualSystemSettingData')
+                .where({ VirtualSystemIdentifier: found.id, VirtualSystemType: 'Microsoft:Hyper-V:System:Realized' }),
+            memory: owned('Msvm_MemorySettingData'),
+            processor: owned('Msvm_ProcessorSettingData'),
+            disks: owned('Msvm_StorageAllocationSettingData'),
+            syntheticAdapters: owned('Msvm_SyntheticEthernetPortSettingData'),
+            emulatedAdapters: owned('Msvm_EmulatedEthernetPortSettingData'),
+            connections: owned('Msvm_EthernetPortAllocationSettingData'),
+            switches: select('Name', 'ElementName').from('Msvm_VirtualEthernetSwitch')
+        });
+        const rows = name => {
+            if (results[name] instanceof Error) throw results[name];
+            return results[name];
+        };
+        const legacy = rows('emulatedAdapters').map(row => Object.assign({ __CLASS: 'Msvm_EmulatedEthernetPortSettingData' }, row));
+
+        return Object.assign(found, {
+            settings: buildSettings(rows('settings')),
+            memory: buildMemory(rows('memory')),
+            processor: buildProcessor(rows('processor')),
+            disks: buildDisks(rows('disks')),
+            networkAdapters: buildNetworkAdapters(rows('syntheticAdapters').concat(legacy), rows('connections'), rows('switches'))
+        });
+    }
+
+    /**
+     * Processors and memory of the host against what its VMs are given.
+     * @returns {Object} { name, logicalProcessors, memoryBytes, freeMemoryBytes,
+     *     virtualMachines: { total, running, byState }, configured: { virtualProcessors,
+     *     memoryBytes }, running: { virtualProcessors, memoryBytes }, virtualProcessorRatio,
+     *     defaultVirtualHardDiskPath, defaultVirtualMachinePath }
+     */
+    getHostCapacity() {
+        const virtualization = this.client.queryBatch({
+            vms: select('Name', 'EnabledState').from('Msvm_ComputerSystem').where({ Caption: 'Virtual Machine' }),
+            memory: select('InstanceID', 'VirtualQuantity').from('Msvm_MemorySettingData'),
+            processors: select('InstanceID', 'VirtualQuantity').from('Msvm_ProcessorSettingData'),
+            service: select('DefaultVirtualHardDiskPath', 'DefaultExternalDataRoot').from('Msvm_VirtualSystemManagementServiceSettingData')
+        });
+        const host = this.getHostClient().queryBatch({
+            computerSystem: 'SELECT Name, NumberOfLogicalProcessors, TotalPhysicalMemory FROM Win32_ComputerSystem',
+            operatingSystem: 'SELECT FreePhysicalMemory FROM Win32_OperatingSystem'
+        });
+        [virtualization, host].forEach(results => Object.keys(results).forEach(name => {
+            if (results[name] instanceof Error) throw results[name];
+        }));
+
+        const running = new Set();
+        const byState = {};
+        virtualization.vms.forEach(row => {
+            const state = toNumber(row.EnabledState);
+            const name = VM_STATES[state] || 'Unknown';
+            byState[name] = (byState[name] || 0) + 1;
+            if (state === REQUESTED_STATES.running) running.add(String(row.Name).toLowerCase());
+        });
+        const vmIds = new Set(virtualization.vms.map(row => String(row.Name).toLowerCase()));
+        // Totals over the VMs' own settings, skipping checkpoints
+        const total = (rows, scale, only) => rows.reduce((sum, row) => {
+            const match = /^Microsoft:([^\\]+)\\/i.exec(row.InstanceID || '');
+            const owner = match ? match[1].toLowerCase() : null;
+            return owner && only.has(owner) ? sum + (toNumber(row.VirtualQuantity) || 0) * scale : sum;
+        }, 0);
+
+        const system = host.computerSystem[0] || {};
+        const os = host.operatingSystem[0] || {};
+        const service = virtualization.service[0] || {};
+        const logicalProcessors = toNumber(system.NumberOfLogicalProcessors);
+        const runningProcessors = total(virtualization.processors, 1, running);
+        const freeKilobytes = toNumber(os.FreePhysicalMemory);
+        return {
+            name: system.Name || null,
+            logicalProcessors,
+            memoryBytes: toNumber(system.TotalPhysicalMemory),
+            freeMemoryBytes: freeKilobytes === null ? null : freeKilobytes * 1024,
+            virtualMachines: { total: vmIds.size, running: running.size, byState },
+            configured: {
+                virtualProcessors: total(virtualization.processors, 1, vmIds),
+                memoryBytes: total(virtualization.memory, MEGABYTE, vmIds)
+            },
+            running: {
+                virtualProcessors: runningProcessors,
+                memoryBytes: total(virtualization.memory, MEGABYTE, running)
+            },
+            virtualProcessorRatio: logicalProcessors ? Math.round((runningProcessors / logicalProcessors) * 100) / 100 : null,
+            defaultVirtualHardDiskPath: service.DefaultVirtualHardDiskPath || null,
+            defaultVirtualMachinePath: service.DefaultExternalDataRoot || null
+        };
+    }
+
+    /**
+     * Start a VM, or resume a paused one.
+     * @param {string|Object} vm - As for findVM()
+     * @param {Object} [options] - timeout, signal, interval and onProgress, as for waitForJob()
+     * @returns {Promise<Object|null>} The completed job, or null when there was none
+     */
+    start(vm, options) {
+        return this.requestState(vm, REQUESTED_STATES.running, options);
+    }
+
+    /**
+     * Shut a VM down through its guest (Msvm_ShutdownComponent), or turn it
+     * off with `force`.
+     * @param {string|Object} vm
+     * @param {Object} [options] - As for start(), plus `force` and `reason`
+     * @returns {Promise<Object|null>}
+     */
+    stop(vm, options = {}) {
+        if (options.force) return this.requestState(vm, REQUESTED_STATES.off, options);
+        return this.run(() => {
+            const found = this.findVM(vm);
+            const query = select().from('Msvm_ShutdownComponent').where({ SystemName: found.id });
+            const component = this.client.query(query)[0];
+            if (!component) {
+                throw new WmiError(`${found.name} has no shutdown integration service; stop it with { force: true }`, {
+                    namespace: this.client.getNamespace(),
+                    server: this.client.getServer(),
+                    wql: query.toWql()
+                });
+            }
+            const path = instancePath(component, 'Msvm_ShutdownComponent', ['CreationClassName', 'DeviceID', 'SystemCreationClassName', 'SystemName']);
+            return { vm: found, path, method: 'InitiateShutdown', params: { Force: false, Reason: options.reason || 'Shutdown requested through WMI' } };
+        }, options);
+    }
+
+    /**
+     * Turn a VM off without shutting down its guest.
+     */
+    turnOff(vm, options) {
+        return this.requestState(vm, REQUESTED_STATES.off, options);
+    }
+
+    /** Save a VM's memory state and stop it. */
+    save(vm, options) {
+        return this.requestState(vm, REQUESTED_STATES.saved, options);
+    }
+
+    pause(vm, options) {
+        return this.requestState(vm, REQUESTED_STATES.paused, options);
+    }
+
+    resume(vm, options) {
+        return this.requestState(vm, REQUESTED_STATES.running, options);
+    }
+
+    /**
+     * Create a checkpoint (snapshot) of a VM. Hyper-V names it after the
+     * VM and the time.
+     * @param {string|Object} vm
+     * @param {Object} [options] - As for start()
+     * @returns {Promise<Object|null>}
+     */
+    checkpoint(vm, options) {
+        return this.run(() => {
+            const found = this.findVM(vm);
+            const service = this.client.query('SELECT * FROM Msvm_VirtualSystemSnapshotService')[0];
+            if (!service) {
+                throw createWmiError({
+                    hresult: 0x80041002,
+                    namespace: this.client.getNamespace(),
+                    server: this.client.getServer(),
+                    detail: 'Msvm_VirtualSystemSnapshotService is not available'
+                });
+            }
+            const path = instancePath(service, 'Msvm_VirtualSystemSnapshotService', ['CreationClassName', 'Name', 'SystemCreationClassName', 'SystemName']);
+            // SnapshotType 2: full snapshot
+            return { vm: found, path, method: 'CreateSnapshot', params: { AffectedSystem: found.path, SnapshotType: 2 } };
+        }, options);
+    }
+
+    /**
+     * Call Msvm_ComputerSystem.RequestStateChange and wait for its job.
+     * @param {string|Object} vm
+     * @param {number} state - RequestedState
+     * @param {Object} [options]
+     * @returns {Promise<Object|null>}
+     */
+    requestState(vm, state, options) {
+        return this.run(() => {
+            const found = this.findVM(vm);
+            return { vm: found, path: found.path, method: 'RequestStateChange', params: { RequestedState: state } };
+        }, options);
+    }
+
+    /**
+     * Invoke the method `prepare` describes, then wait for the job it starts.
+     * ReturnValues other than 0 and 4096 reject with WmiJobError.
+     */
+    run(prepare, options = {}) {
+        let call;
+        try {
+            call = prepare();
+        } catch (error) {
+            return Promise.reject(error);
+        }
+        const { vm, path, method, params } = call;
+        return this.client.invokeMethodAsync(path, method, params, { timeout: options.timeout, signal: options.signal })
+            .then(out => {
+                const returnValue = toNumber(out.ReturnValue);
+                if (returnValue !== 0 && returnValue !== JOB_STARTED) {
+                    const reason = RETURN_VALUES[returnValue] || 'Failed';
+                    throw new WmiJobError(`${method} on ${vm.name || vm.id} failed: ${reason} (return value ${returnValue})`, {
+                        returnValue,
+                        namespace: this.client.getNamespace(),
+                        server: this.client.getServer()
+                    });
+                }
+                return this.client.waitForJob(out, options);
+            });
+    }
+}
+
+module.exports = {
+    HyperV
+};
@@ -0,0 +1,387 @@
+/**
+ * System inventory
+ *
+ * Collects the usual machine description (OS, CPU, memory, disks,
+ * volumes, network, BIOS, baseboard) with one batch of root/cimv2
+ * queries and normalises it into plain objects with stable, documented
+ * names. Sizes are in bytes, clock speeds in MHz and link speeds in
+ * bits per second, whatever the client's value conversion.
+ *
+ * A section whose query fails is `null` and its error is reported under
+ * `errors`; the other sections are still returned.
+ */
+
+const { toNumber, toDate } = require('./util');
+const { parseObjectPath } = require('./methods');
+const { DRIVE_TYPES } = require('./valuemaps');
+
+const SECTION_NAMES = ['system', 'os', 'cpu', 'memory', 'disks', 'volumes', 'network', 'bios', 'baseboard'];
+
+const QUERIES = {
+    computerSystem: 'SELECT Name, DNSHostName, Domain, PartOfDomain, Manufacturer, Model, SystemType, TotalPhysicalMemory FROM Win32_ComputerSystem',
+    operatingSystem: 'SELECT Caption, Version, BuildNumber, OSArchitecture, CSName, SerialNumber, InstallDate, LastBootUpTime, LocalDateTime, ' +
+        'TotalVisibleMemorySize, FreePhysicalMemory, TotalVirtualMemorySize, FreeVirtualMemory FROM Win32_OperatingSystem',
+    processors: 'SELECT DeviceID, Name, Manufacturer, SocketDesignation, NumberOfCores, NumberOfLogicalProcessors, MaxClockSpeed, ' +
+        'CurrentClockSpeed, LoadPercentage FROM Win32_Processor',
+    memoryModules: 'SELECT BankLabel, DeviceLocator, Capacity, Speed, Manufacturer, PartNumber FROM Win32_PhysicalMemory',
+    diskDrives: 'SELECT DeviceID, Index, Model, SerialNumber, InterfaceType, MediaType, Size, Partitions FROM Win32_DiskDrive',
+    logicalDisks: 'SELECT DeviceID, VolumeName, FileSystem, DriveType, Size, FreeSpace, VolumeSerialNumber, ProviderName FROM Win32_LogicalDisk',
+    diskPartitions: 'SELECT Antecedent, Dependent FROM Win32_DiskDriveToDiskPartition',
+    logicalDiskPartitions: 'SELECT Antecedent, Dependent FROM Win32_LogicalDiskToPartition',
+    networkAdapters: 'SELECT Index, Name, NetConnectionID, MACAddress, Speed, NetConnectionStatus, PhysicalAdapter, NetEnabled, Manufacturer ' +
+        'FROM Win32_NetworkAdapter',
+    networkConfigurations: 'SELECT Index, IPAddress, IPSubnet, DefaultIPGateway, DNSServerSearchOrder, DNSDomain, DHCPEnabled, DHCPServer ' +
+        'FROM Win32_NetworkAdapterConfiguration WHERE IPEnabled = TRUE',
+    bios: 'SELECT Manufacturer, Name, SMBIOSBIOSVersion, Version, SerialNumber, ReleaseDate, SMBIOSMajorVersion, SMBIOSMinorVersion FROM Win32_BIOS',
+    baseboard: 'SELECT Manufacturer, Product, SerialNumber, Version FROM Win32_BaseBoard'
+};
+
+function percent(part, whole) {
+    if (part === null || !whole) return null;
+    return Math.round((part / whole) * 10000) / 100;
+}
+
+function list(value) {
+    return Array.isArray(value) ? value : [];
+}
+
+/** Used and free space, in bytes and percent of the size. */
+function usage(sizeBytes, freeBytes) {
+    const usedBytes = sizeBytes !== null && freeBytes !== null ? sizeBytes - freeBytes : null;
+    return {
+        sizeBytes,
+        freeBytes,
+        usedBytes,
+        usedPercent: percent(usedBytes, sizeBytes),
+        freePercent: percent(freeBytes, sizeBytes)
+    };
+}
+
+/** Key value of an association reference, e.g. DeviceID of `Win32_DiskDrive.DeviceID="\\\\.\\PHYSICALDRIVE0"`. */
+function referenceKey(path) {
+    try {
+        const keys = parseObjectPath(path).keys || {};
+        const values = Object.keys(keys).map(name => keys[name]);
+        return values.length === 1 ? String(values[0]) : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Map logical disk IDs (C:) to the physical disk DeviceIDs holding them.
+ * @returns {Map<string, string>|null} null when the associations could not be read
+ */
+function mapLogicalDisks(results) {
+    const drivePartitions = results.diskPartitions;
+    const logicalPartitions = results.logicalDiskPartitions;
+    if (!Array.isArray(drivePartitions) || !Array.isArray(logicalPartitions)) return null;
+
+    const partitionDisk = new Map();
+    drivePartitions.forEach(link => {
+        const partition = referenceKey(link.Dependent);
+        if (partition) partitionDisk.set(partition, referenceKey(link.Antecedent));
+    });
+    const logicalDisk = new Map();
+    logicalPartitions.forEach(link => {
+        const logical = referenceKey(link.Dependent);
+        const disk = partitionDisk.get(referenceKey(link.Antecedent));
+        if (logical && disk) logicalDisk.set(logical.toUpperCase(), disk);
+    });
+    return logicalDisk;
+}
+
+function buildVolume(row, diskOf) {
+    const driveType = toNumber(row.DriveType);
+    return Object.assign({
+        deviceId: row.DeviceID,
+        label: row.VolumeName || null,
+        fileSystem: row.FileSystem || null,
+        driveType,
+        driveTypeName: driveType === null ? null : DRIVE_TYPES[driveType] || null,
+        serialNumber: row.VolumeSerialNumber || null,
+        providerName: row.ProviderName || null,
+        disk: diskOf ? diskOf.get(String(row.DeviceID).toUpperCase()) || null : null
+    }, usage(toNumber(row.Size), toNumber(row.FreeSpace)));
+}
+
+function splitAddresses(config) {
+    const subnets = list(config.IPSubnet);
+    return list(config.IPAddress).map((address, index) => ({
+        address,
+        family: address.includes(':') ? 6 : 4,
+        subnet: subnets[index] === undefined ? null : subnets[index]
+    }));
+}
+
+/**
+ * Section definitions: the queries each needs (`optional` ones may fail
+ * without failing the section) and how to build it from their rows.
+ */
+const SECTIONS = {
+    system: {
+        queries: ['computerSystem'],
+        build: ({ computerSystem }) => {
+            const row = computerSystem[0] || {};
+            return {
+                name: row.Name || null,
+                dnsHostName: row.DNSHostName || null,
+                domain: row.Domain || null,
+                partOfDomain: row.PartOfDomain === undefined ? null : Boolean(row.PartOfDomain),
+                manufacturer: row.Manufacturer || null,
+                model: row.Model || null,
+                systemType: row.SystemType || null,
+                totalPhysicalMemoryBytes: toNumber(row.TotalPhysicalMemory)
+            };
+        }
+    },
+    os: {
+        queries: ['operatingSystem'],
+        build: ({ operatingSystem }) => {
+            const row = operatingSystem[0] || {};
+            const lastBoot = toDate(row.LastBootUpTime);
+            const now = toDate(row.LocalDateTime);
+            return {
+                name: row.Caption || null,
+                version: row.Version || null,
+                buildNumber: row.BuildNumber || null,
+                architecture: row.OSArchitecture || null,
+                hostname: row.CSName || null,
+                serialNumber: row.SerialNumber || null,
+                installDate: toDate(row.InstallDate),
+                lastBootTime: lastBoot,
+                uptimeSeconds: lastBoot && now ? Math.round((now - lastBoot) / 1000) : null
+            };
+        }
+    },
+    cpu: {
+        queries: ['processors'],
+        build: ({ processors }) => {
+            const packages = processors.map(row => ({
+                deviceId: row.DeviceID || null,
+                name: row.Name ? row.Name.trim() : null,
+                manufacturer: row.Manufacturer || null,
+                socket: row.SocketDesignation || null,
+                cores: toNumber(row.NumberOfCores),
+                logicalProcessors: toNumber(row.NumberOfLogicalProcessors),
+                maxClockMHz: toNumber(row.MaxClockSpeed),
+                currentClockMHz: toNumber(row.CurrentClockSpeed),
+                loadPercent: toNumber(row.LoadPercentage)
+            }));
+            const sum = name => packages.reduce((total, cpu) => total + (cpu[name] || 0), 0);
+            return {
+                packages: packages.length,
+                cores: sum('cores'),
+                logicalProcessors: sum('logicalProcessors'),
+                processors: packages
+            };
+        }
+    },
+    memory: {
+        queries: ['operatingSystem', 'memoryModules'],
+        optional: ['memoryModules'],
+        build: ({ operatingSystem, memoryModules }) => {
+            const row = operatingSystem[0] || {};
+            const kilobytes = value => (toNumber(value) === null ? null : toNumber(value) * 1024);
+            const virtual = usage(kilobytes(row.TotalVirtualMemorySize), kilobytes(row.FreeVirtualMemory));
+            return Object.assign(usage(kilobytes(row.TotalVisibleMemorySize), kilobytes(row.FreePhysicalMemory)), {
+                virtual,
+                modules: Array.isArray(memoryModules) ? memoryModules.map(module => ({
+                    bankLabel: module.BankLabel || null,
+                    deviceLocator: module.DeviceLocator || null,
+                    capacityBytes: toNumber(module.Capacity),
+                    speedMHz: toNumber(module.Speed),
+                    manufacturer: module.Manufacturer || null,
+                    partNumber: module.PartNumber ? module.PartNumber.trim() : null
+                })) : null
+            });
+        }
+    },
+    disks: {
+        queries: ['diskDrives', 'logicalDisks', 'diskPartitions', 'logicalDiskPartitions'],
+        optional: ['logicalDisks', 'diskPartitions', 'logicalDiskPartitions'],
+        build: results => {
+            const diskOf = mapLogicalDisks(results);
+            const volumes = Array.isArray(results.logicalDisks) ? results.logicalDisks.map(row => buildVolume(row, diskOf)) : [];
+            return results.diskDrives
+                .map(row => {
+                    const deviceId = String(row.DeviceID).toUpperCase();
+                    const onDisk = diskOf ? volumes.filter(volume => volume.disk && volume.disk.toUpperCase() === deviceId) : [];
+                    const sizeBytes = toNumber(row.Size);
+                    const known = diskOf && onDisk.every(volume => volume.freeBytes !== null);
+                    // Space outside the disk's volumes (unpartitioned, unmounted) counts as free
+                    const freeBytes = known && sizeBytes !== null
+                        ? sizeBytes - onDisk.reduce((total, volume) => total + volume.usedBytes, 0)
+                        : null;
+                    return Object.assign({
+                        deviceId: row.DeviceID,
+                        index: toNumber(row.Index),
+                        model: row.Model || null,
+                        serialNumber: row.SerialNumber ? row.SerialNumber.trim() : null,
+                        interfaceType: row.InterfaceType || null,
+                        mediaType: row.MediaType || null,
+                        partitions: toNumber(row.Partitions),
+                        volumes: diskOf ? onDisk.map(volume => volume.deviceId) : null
+                    }, usage(sizeBytes, freeBytes));
+                })
+                .sort((a, b) => (a.index === null ? Infinity : a.index) - (b.index === null ? Infinity : b.index));
+        }
+    },
+    volumes: {
+        queries: ['logicalDisks', 'diskPartitions', 'logicalDiskPartitions'],
+        optional: ['diskPartitions', 'logicalDiskPartitions'],
+        build: results => {
+            const diskOf = mapLogicalDisks(results);
+            return results.logicalDisks.map(row => buildVolume(row, diskOf));
+        }
+    },
+    network: {
+        queries: ['networkAdapters', 'networkConfigurations'],
+        build: ({ networkAdapters, networkConfigurations }) => {
+            const configs = new Map(networkConfigurations.map(config => [toNumber(config.Index), config]));
+            return networkAdapters
+                .filter(adapter => adapter.PhysicalAdapter || configs.has(toNumber(adapter.Index)))
+                .map(adapter => {
+                    const config = configs.get(toNumber(adapter.Index)) || null;
+                    return {
+                        index: toNumber(adapter.Index),
+                        name: adapter.Name || null,
+                        connectionId: adapter.NetConnectionID || null,
+                        manufacturer: adapter.Manufacturer || null,
+                        macAddress: adapter.MACAddress || null,
+                        speedBps: toNumber(adapter.Speed),
+                        connectionStatus: toNumber(adapter.NetConnectionStatus),
+                        physical: Boolean(adapter.PhysicalAdapter),
+                        enabled: adapter.NetEnabled === undefined || adapter.NetEnabled === null ? null : Boolean(adapter.NetEnabled),
+                        ipEnabled: Boolean(config),
+                        addresses: config ? splitAddresses(config) : [],
+                        gateways: config ? list(config.DefaultIPGateway) : [],
+                        dnsServers: config ? list(config.DNSServerSearchOrder) : [],
+                        dnsDomain: config ? config.DNSDomain || null : null,
+                        dhcpEnabled: config ? Boolean(config.DHCPEnabled) : null,
+                        dhcpServer: config ? config.DHCPServer || null : null
+                    };
+                });
+        }
+    },
+    bios: {
+        queries: ['bios'],
+        build: ({ bios }) => {
+            const row = bios[0] || {};
+            const major = toNumber(row.SMBIOSMajorVersion);
+            const minor = toNumber(row.SMBIOSMinorVersion);
+            return {
+                manufacturer: row.Manufacturer || null,
+                name: row.Name || null,
+                version: row.SMBIOSBIOSVersion || row.Version || null,
+                serialNumber: row.SerialNumber || null,
+                releaseDate: toDate(row.ReleaseDate),
+                smbiosVersion: major !== null && minor !== null ? `${major}.${minor}` : null
+            };
+        }
+    },
+    baseboard: {
+        queries: ['baseboard'],
+        build: ({ baseboard }) => {
+            const row = baseboard[0] || {};
+            return {
+                manufacturer: row.Manufacturer || null,
+                product: row.Product || null,
+                serialNumber: row.SerialNumber || null,
+                version: row.Version || null
+            };
+        }
+    }
+};
+
+/**
+ * Work out the sections and queries an inventory needs.
+ * @param {Array<string>} [sections] - Section names, default all
+ * @returns {{names: Array<string>, queries: Object<string, string>}}
+ */
+function planInventory(sections) {
+    const names = sections && sections.length ? sections : SECTION_NAMES;
+    names.forEach(name => {
+        if (!SECTIONS[name]) {
+            throw new TypeError(`Unknown inventory section "${name}". Sections: ${SECTION_NAMES.join(', ')}`);
+        }
+    });
+    const queries = {};
+    names.forEach(name => SECTIONS[name].queries.forEach(query => {
+        queries[query] = QUERIES[query];
+    }));
+    return { names, queries };
+}
+
+/**
+ * Build the inventory object from batch results.
+ * @param {Array<string>} names - Sections
+ * @param {Object} results - Rows or error by query name, as from queryBatch()
+ * @param {Date} collectedAt
+ * @param {string|null} server
+ * @returns {Object}
+ */
+function buildInventory(names, results, collectedAt, server) {
+    const inventory = { collectedAt, server, errors: {} };
+    names.forEach(name => {
+        const section = SECTIONS[name];
+        const optional = section.optional || [];
+        const failed = section.queries.find(query => results[query] instanceof Error && !optional.includes(query));
+        if (failed) {
+            inventory[name] = null;
+            inventory.errors[name] = results[failed];
+            return;
+        }
+        const rows = {};
+        section.queries.forEach(query => {
+            rows[query] = results[query] instanceof Error ? null : results[query];
+        });
+        try {
+            inventory[name] = section.build(rows);
+        } catch (error) {
+            inventory[name] = null;
+            inventory.errors[name] = error;
+        }
+    });
+    return inventory;
+}
+
+/**
+ * Collect a system inventory. A client for another namespace queries
+ * root/cimv2 through a client that is closed again afterwards.
+ * @param {Object} client - WmiClient, for any namespace of the machine
+ * @param {Object} [options]
+ * @param {Array<string>} [options.sections] - Sections to collect, default all
+ * @param {number} [options.timeout] - Timeout of each query in milliseconds
+ * @returns {Object} { collectedAt, server, errors, ...sections }
+ */
+function getInventory(client, options = {}) {
+    const { names, queries } = planInventory(options.sections);
+    const collectedAt = new Date();
+    return client.withNamespace('root/cimv2', target => {
+        const results = target.queryBatch(queries, { timeout: options.timeout });
+        return buildInventory(names, results, collectedAt, target.getServer());
+    });
+}
+
+/**
+ * Asynchronous getInventory().
+ * @param {Object} client - WmiClient
+ * @param {Object} [options] - As for getInventory(), plus `signal` and `concurrency`
+ * @returns {Promise<Object>}
+ */
+function getInventoryAsync(client, options = {}) {
+    const collectedAt = new Date();
+    const batchOptions = { timeout: options.timeout, signal: options.signal, concurrency: options.concurrency };
+    return new Promise(resolve => {
+        const plan = planInventory(options.sections);
+        resolve(client.withNamespace('root/cimv2', target => target.queryBatchAsync(plan.queries, batchOptions)
+            .then(results => buildInventory(plan.names, results, collectedAt, target.getServer()))));
+    });
+}
+
+module.exports = {
+    INVENTORY_SECTIONS: SECTION_NAMES,
+    getInventory,
+    getInventoryAsync
+};
@@ -0,0 +1,205 @@
+/**
+ * Asynchronous job tracking
+ *
+ * Long-running methods (most Hyper-V Msvm_VirtualSystemManagementService
+ * methods, for instance) return ReturnValue 4096 and a `Job` out-parameter
+ * holding the path of a CIM_ConcreteJob instance. The job is polled until
+ * its JobState leaves the running states.
+ */
+
+const { select } = require('./builder');
+const { parseObjectPath, formatObjectPath } = require('./methods');
+const { WmiJobError, WmiTimeoutError, WmiAbortError, createWmiError } = require('./errors');
+
+/** ReturnValue of a method that started an asynchronous job. */
+const JOB_STARTED = 4096;
+
+/** CIM_ConcreteJob.JobState values. */
+const JOB_STATES = Object.freeze({
+    2: 'New',
+    3: 'Starting',
+    4: 'Running',
+    5: 'Suspended',
+    6: 'Shutting Down',
+    7: 'Completed',
+    8: 'Terminated',
+    9: 'Killed',
+    10: 'Exception',
+    11: 'Service',
+    12: 'Query Pending'
+});
+
+const COMPLETED = 7;
+const FAILED_STATES = new Set([8, 9, 10]);
+
+/**
+ * Work out which job to track.
+ * @param {string|Object} job - Job path, method out-parameters or a job row
+ * @returns {string|null} Job path, or null when the method completed synchronously
+ * @throws {WmiJobError} When the out-parameters report a failed method
+ */
+function resolveJobPath(job) {
+    if (typeof job === 'string') return job;
+    if (!job || typeof job !== 'object') {
+        throw new TypeError('Expected a job path, method out-parameters or a job row');
+    }
+    if (typeof job.ReturnValue === 'number' && !job.Job) {
+        if (job.ReturnValue === 0) return null;
+        throw new WmiJobError(`Method failed with return value ${job.ReturnValue}`, { returnValue: job.ReturnValue });
+    }
+    if (typeof job.Job === 'string') return job.Job;
+    if (job.InstanceID) return formatObjectPath(job.__CLASS || 'Msvm_ConcreteJob', { InstanceID: job.InstanceID });
+    throw new TypeError('Expected a job path, method out-parameters or a job row');
+}
+
+/**
+ * Build the query that reads a job's current state.
+ * @param {string} path - Job object path
+ * @returns {{namespace: string|null, wql: string}}
+ */
+function jobQuery(path) {
+    const parsed = parseObjectPath(path);
+    if (!parsed.keys || parsed.singleton) {
+        throw new TypeError(`"${path}" is not the path of a job instance`);
+    }
+    return { namespace: parsed.namespace, wql: select().from(parsed.className).where(parsed.keys).toWql() };
+}
+
+/**
+ * Call `fn` with the client to query a job with: the job's namespace may
+ * differ from the client's (e.g. jobs of root/virtualization/v2 methods).
+ * A client opened for it is closed once `fn` returns or its Promise settles.
+ */
+function withJobClient(client, namespace, fn) {
+    return namespace ? client.withNamespace(namespace, fn) : fn(client);
+}
+
+function describeJob(job) {
+    const state = JOB_STATES[job.JobState] || `state ${job.JobState}`;
+    const name = job.Caption || job.Name || job.InstanceID || 'Job';
+    const reason = job.ErrorDescription || job.ErrorSummaryDescription;
+    const code = typeof job.ErrorCode === 'number' && job.ErrorCode !== 0 ? ` (error code ${job.ErrorCode})` : '';
+    return `${name} ended in state ${state}${reason ? `: ${reason}` : ''}${code}`;
+}
+
+/**
+ * Read the current state of a job.
+ * @param {Object} client - WmiClient
+ * @param {string|Object} job - Job path, method out-parameters or a job row
+ * @returns {Object|null} The job row, or null when there is no job to track
+ * @throws {WmiNotFoundError} When the job no longer exists
+ */
+function getJob(client, job) {
+    const path = resolveJobPath(job);
+    if (path === null) return null;
+    const { namespace, wql } = jobQuery(path);
+    return withJobClient(client, namespace, target => {
+        const rows = target.query(wql);
+        if (rows.length === 0) {
+            throw createWmiError({ hresult: 0x80041002, namespace: target.getNamespace(), wql, detail: `Job ${path} does not exist` });
+        }
+        return rows[0];
+    });
+}
+
+/**
+ * Poll a job until it completes.
+ * @param {Object} client - WmiClient
+ * @param {string|Object} job - Job path, method out-parameters or a job row
+ * @param {Object} [options]
+ * @param {number} [options.interval] - Milliseconds between polls, default 500
+ * @param {number} [options.timeout] - Give up after this many milliseconds
+ * @param {AbortSignal} [options.signal]
+ * @param {function(Object)} [options.onProgress] - Called with the job row whenever
+ *     JobState or PercentComplete changes
+ * @returns {Promise<Object|null>} The completed job row, or null when the method
+ *     completed synchronously
+ */
+function waitForJob(client, job, options = {}) {
+    let path;
+    let query;
+    try {
+        path = resolveJobPath(job);
+        if (path === null) return Promise.resolve(null);
+        query = jobQuery(path);
+    } catch (error) {
+        return Promise.reject(error);
+    }
+
+    const { signal } = options;
+    if (signal && signal.aborted) {
+        return Promise.reject(new WmiAbortError(query.wql, signal.reason));
+    }
+    try {
+        return withJobClient(client, query.namespace, target => pollJob(target, path, query.wql, options));
+    } catch (error) {
+        return Promise.reject(error);
+    }
+}
+
+/**
+ * Poll the job query on `target` until the job completes, fails, the
+ * timeout elapses or the signal aborts.
+ * @param {Object} target - WmiClient for the job's namespace
+ * @param {string} path - Job object path
+ * @param {string} wql - Query reading the job
+ * @param {Object} options - As for waitForJob()
+ * @returns {Promise<Object>}
+ */
+function pollJob(target, path, wql, options) {
+    const { timeout, signal, onProgress } = options;
+    const interval = options.interval > 0 ? options.interval : 500;
+
+    return new Promise((resolve, reject) => {
+        let done = false;
+        let pollTimer = null;
+        let deadline = null;
+        let last = null;
+
+        const finish = (error, value) => {
+            if (done) return;
+            done = true;
+            clearTimeout(pollTimer);
+            clearTimeout(deadline);
+            if (signal) signal.removeEventListener('abort', onAbort);
+            if (error) reject(error);
+            else resolve(value);
+        };
+        const onAbort = () => finish(new WmiAbortError(wql, signal.reason));
+
+        if (timeout > 0) {
+            deadline = setTimeout(() => finish(new WmiTimeoutError(wql, timeout, { namespace: target.getNamespace(), server: target.getServer() })), timeout);
+        }
+        if (signal) signal.addEventListener('abort', onAbort);
+
+        const poll = () => {
+            target.queryAsync(wql).then(rows => {
+                if (done) return;
+                const current = rows[0];
+                if (!current) {
+                    finish(createWmiError({ hresult: 0x80041002, namespace: target.getNamespace(), wql, detail: `Job ${path} no longer exists` }));
+                    return;
+                }
+                if (onProgress && (!last || last.JobState !== current.JobState || last.PercentComplete !== current.PercentComplete)) {
+                    onProgress(current);
+                }
+                last = current;
+                if (current.JobState === COMPLETED) {
+                    finish(null, current);
+                } else if (FAILED_STATES.has(current.JobState)) {
+                    finish(new WmiJobError(describeJob(current), { job: current, namespace: target.getNamespace() }));
+                } else {
+                    pollTimer = setTimeout(poll, interval);
+                }
+            }).catch(error => finish(error));
+        };
+        poll();
+    });
+}
+
+module.exports = {
+    JOB_STARTED,
+    JOB_STATES,
+    getJob,
+    waitForJob
+};
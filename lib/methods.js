@@ -0,0 +1,168 @@
+/**
+ * Method invocation helpers
+ *
+ * Methods are invoked on a class (static methods such as Win32_Process.Create)
+ * or on an instance identified by its object path:
+ *
+ *     Win32_Process
+ *     Win32_Service.Name="Spooler"
+ *     \\HOST\root\virtualization\v2:Msvm_ConcreteJob.InstanceID="6F2D..."
+ *     Win32_WMISetting=@
+ *
+ * In-parameters are encoded for the backend here: BigInt values become the
+ * tagged 64-bit values described in lib/convert.js, Dates and CimIntervals
+ * become CIM datetime strings.
+ */
+
+const { CimInterval, formatCimDateTime } = require('./datetime');
+
+/**
+ * Split an object path into its parts.
+ * @param {string} path - Class name or object path
+ * @returns {{server: string|null, namespace: string|null, className: string, keys: Object|null, singleton: boolean}}
+ *     `keys` is null for a class path
+ */
+function parseObjectPath(path) {
+    if (typeof path !== 'string' || path.trim() === '') {
+        throw new TypeError('Object path must be a non-empty string');
+    }
+    let rest = path.trim();
+    let server = null;
+    let namespace = null;
+
+    // The namespace ends at the first ':' outside a quoted key value
+    const firstQuote = rest.indexOf('"');
+    const colon = rest.lastIndexOf(':', firstQuote === -1 ? rest.length : firstQuote);
+    if (colon !== -1) {
+        let prefix = rest.slice(0, colon).replace(/\//g, '\\');
+        rest = rest.slice(colon + 1);
+        const serverMatch = /^\\\\([^\\]+)\\?/.exec(prefix);
+        if (serverMatch) {
+            server = serverMatch[1];
+            prefix = prefix.slice(serverMatch[0].length);
+        }
+        namespace = prefix ? prefix.replace(/\\/g, '/') : null;
+    }
+
+    const match = /^([A-Za-z_][A-Za-z0-9_]*)\s*(.*)$/.exec(rest);
+    if (!match) {
+        throw new TypeError(`Invalid object path "${path}"`);
+    }
+    const className = match[1];
+    const tail = match[2];
+    if (tail === '') {
+        return { server, namespace, className, keys: null, singleton: false };
+    }
+    if (/^=\s*@$/.test(tail)) {
+        return { server, namespace, className, keys: {}, singleton: true };
+    }
+    if (tail[0] !== '.' && tail[0] !== '=') {
+        throw new TypeError(`Invalid object path "${path}"`);
+    }
+    return { server, namespace, className, keys: parseKeys(tail.slice(1), path), singleton: false };
+}
+
+/**
+ * Parse `Name="x",Id=5` (or a single unnamed `"x"` after `Class=`).
+ */
+function parseKeys(text, path) {
+    const keys = {};
+    let i = 0;
+    const fail = () => {
+        throw new TypeError(`Invalid object path "${path}"`);
+    };
+
+    while (i < text.length) {
+        let name = '';
+        const nameMatch = /^([A-Za-z_][A-Za-z0-9_]*)\s*=\s*/.exec(text.slice(i));
+        if (nameMatch) {
+            name = nameMatch[1];
+            i += nameMatch[0].length;
+        } else if (Object.keys(keys).length > 0) {
+            fail();
+        }
+
+        let value;
+        if (text[i] === '"') {
+            value = '';
+            i++;
+            while (i < text.length && text[i] !== '"') {
+                if (text[i] === '\\' && i + 1 < text.length) i++;
+                value += text[i++];
+            }
+            if (i >= text.length) fail();
+            i++;
+        } else {
+            const raw = /^[^,]*/.exec(text.slice(i))[0];
+            i += raw.length;
+            const lower = raw.trim().toLowerCase();
+            if (lower === 'true' || lower === 'false') value = lower === 'true';
+            else if (/^[-+]?\d+$/.test(raw.trim())) value = Number(raw.trim());
+            else if (raw.trim() === '') fail();
+            else value = raw.trim();
+        }
+        keys[name] = value;
+
+        while (text[i] === ' ') i++;
+        if (i < text.length) {
+            if (text[i] !== ',') fail();
+            i++;
+        }
+    }
+    return keys;
+}
+
+/**
+ * Build the relative path of an instance, e.g. `Win32_Service.Name="Spooler"`.
+ * @param {string} className
+ * @param {Object} keys - Key property values
+ * @returns {string}
+ */
+function formatObjectPath(className, keys) {
+    const parts = Object.keys(keys || {}).map(name => {
+        const value = keys[name];
+        const text = typeof value === 'string'
+            ? `"${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`
+            : String(value);
+        return `${name}=${text}`;
+    });
+    return parts.length ? `${className}.${parts.join(',')}` : className;
+}
+
+/**
+ * Encode one in-parameter value for the backend.
+ * @param {*} value
+ * @param {string} name - Parameter name, for error messages
+ * @returns {*}
+ */
+function encodeValue(value, name) {
+    if (value === null || typeof value === 'string' || typeof value === 'boolean') return value;
+    if (typeof value === 'number') {
+        if (!Number.isFinite(value)) return { $wmi: 'real', value: String(value).replace('Infinity', 'inf') };
+        return value;
+    }
+    if (typeof value === 'bigint') return { $wmi: value < 0n ? 'sint64' : 'uint64', value: value.toString() };
+    if (value instanceof Date) return formatCimDateTime(value);
+    if (value instanceof CimInterval) return value.toString();
+    if (Array.isArray(value)) return value.map(item => encodeValue(item, name));
+    throw new TypeError(`Unsupported value for parameter ${name}: pass embedded instances as MOF or XML text`);
+}
+
+/**
+ * Encode the in-parameters of a method call, dropping undefined values.
+ * @param {Object} [inParams]
+ * @returns {Object}
+ */
+function encodeParameters(inParams) {
+    const encoded = {};
+    Object.keys(inParams || {}).forEach(name => {
+        if (inParams[name] !== undefined) encoded[name] = encodeValue(inParams[name], name);
+    });
+    return encoded;
+}
+
+module.exports = {
+    parseObjectPath,
+    formatObjectPath,
+    encodeParameters
+};
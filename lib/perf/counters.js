@@ -0,0 +1,278 @@
+/**
+ * Performance counter formulas
+ *
+ * Win32_PerfRawData_* classes return raw counter values. Turning them into
+ * the figures Performance Monitor shows takes the formula selected by each
+ * property's CounterType qualifier and, for most types, two samples:
+ *
+ *     PERF_COUNTER_COUNTER          (N1 - N0) / ((D1 - D0) / F)        rate per second
+ *     PERF_100NSEC_TIMER            100 * (N1 - N0) / (D1 - D0)        percent busy
+ *     PERF_100NSEC_TIMER_INV        100 * (1 - (N1 - N0) / (D1 - D0))
+ *     PERF_100NSEC_MULTI_TIMER      100 * (N1 - N0) / (D1 - D0) / B
+ *     PERF_100NSEC_MULTI_TIMER_INV  100 * (B - (N1 - N0) / (D1 - D0))
+ *     PERF_AVERAGE_TIMER            ((N1 - N0) / F) / (B1 - B0)        seconds per operation
+ *     PERF_RAW_FRACTION             100 * N / B                        one sample
+ *
+ * N is the counter value, B the value of its `<Name>_Base` property, and
+ * D and F the timestamp and frequency of the time base the counter type
+ * names: Timestamp_PerfTime/Frequency_PerfTime, Timestamp_Sys100NS/
+ * Frequency_Sys100NS or Timestamp_Object/Frequency_Object.
+ *
+ * computeCounter() works on plain samples, so the formulas can be checked
+ * against synthetic values without WMI.
+ */
+
+const { toNumber } = require('../util');
+
+/** Counter types by name, as defined in winperf.h. */
+const COUNTER_TYPES = Object.freeze({
+    PERF_COUNTER_RAWCOUNT_HEX: 0x00000000,
+    PERF_COUNTER_LARGE_RAWCOUNT_HEX: 0x00000100,
+    PERF_COUNTER_TEXT: 0x00000b00,
+    PERF_COUNTER_RAWCOUNT: 0x00010000,
+    PERF_COUNTER_LARGE_RAWCOUNT: 0x00010100,
+    PERF_DOUBLE_RAW: 0x00012000,
+    PERF_COUNTER_DELTA: 0x00400400,
+    PERF_COUNTER_LARGE_DELTA: 0x00400500,
+    PERF_SAMPLE_COUNTER: 0x00410400,
+    PERF_COUNTER_QUEUELEN_TYPE: 0x00450400,
+    PERF_COUNTER_LARGE_QUEUELEN_TYPE: 0x00450500,
+    PERF_COUNTER_100NS_QUEUELEN_TYPE: 0x00550500,
+    PERF_COUNTER_OBJ_TIME_QUEUELEN_TYPE: 0x00650500,
+    PERF_COUNTER_COUNTER: 0x10410400,
+    PERF_COUNTER_BULK_COUNT: 0x10410500,
+    PERF_RAW_FRACTION: 0x20020400,
+    PERF_LARGE_RAW_FRACTION: 0x20020500,
+    PERF_COUNTER_TIMER: 0x20410500,
+    PERF_PRECISION_SYSTEM_TIMER: 0x20470500,
+    PERF_100NSEC_TIMER: 0x20510500,
+    PERF_PRECISION_100NS_TIMER: 0x20570500,
+    PERF_OBJ_TIME_TIMER: 0x20610500,
+    PERF_PRECISION_OBJECT_TIMER: 0x20670500,
+    PERF_SAMPLE_FRACTION: 0x20c20400,
+    PERF_COUNTER_TIMER_INV: 0x21410500,
+    PERF_100NSEC_TIMER_INV: 0x21510500,
+    PERF_COUNTER_MULTI_TIMER: 0x22410500,
+    PERF_100NSEC_MULTI_TIMER: 0x22510500,
+    PERF_COUNTER_MULTI_TIMER_INV: 0x23410500,
+    PERF_100NSEC_MULTI_TIMER_INV: 0x23510500,
+    PERF_AVERAGE_TIMER: 0x30020400,
+    PERF_ELAPSED_TIME: 0x30240500,
+    PERF_COUNTER_NODATA: 0x40000200,
+    PERF_AVERAGE_BULK: 0x40020500,
+    PERF_SAMPLE_BASE: 0x40030401,
+    PERF_AVERAGE_BASE: 0x40030402,
+    PERF_RAW_BASE: 0x40030403,
+    PERF_LARGE_RAW_BASE: 0x40030500,
+    PERF_COUNTER_MULTI_BASE: 0x42030500
+});
+
+const NAMES_BY_TYPE = new Map(Object.keys(COUNTER_TYPES).map(name => [COUNTER_TYPES[name], name]));
+
+/** Time base bits of a counter type (PERF_TIMER_TICK, PERF_TIMER_100NS, PERF_OBJECT_TIMER). */
+const TIMER_MASK = 0x00300000;
+const TIME_BASES = {
+    0x00000000: { timestamp: 'Timestamp_PerfTime', frequency: 'Frequency_PerfTime' },
+    0x00100000: { timestamp: 'Timestamp_Sys100NS', frequency: 'Frequency_Sys100NS' },
+    0x00200000: { timestamp: 'Timestamp_Object', frequency: 'Frequency_Object' }
+};
+
+const T = COUNTER_TYPES;
+
+/**
+ * Formulas by counter type. `samples` is 1 for types computed from the
+ * current sample alone; `base` marks types that read `<Name>_Base`.
+ * compute(current, previous) gets { value, base, timestamp, frequency }
+ * samples; previous is only passed to two-sample formulas.
+ */
+const FORMULAS = new Map([
+    ...[T.PERF_COUNTER_RAWCOUNT, T.PERF_COUNTER_LARGE_RAWCOUNT, T.PERF_COUNTER_RAWCOUNT_HEX,
+        T.PERF_COUNTER_LARGE_RAWCOUNT_HEX, T.PERF_DOUBLE_RAW].map(type => [type, {
+        samples: 1,
+        compute: current => toNumber(current.value)
+    }]),
+    ...[T.PERF_RAW_FRACTION, T.PERF_LARGE_RAW_FRACTION].map(type => [type, {
+        samples: 1,
+        base: true,
+        compute: current => percent(ratio(toNumber(current.value), toNumber(current.base)))
+    }]),
+    [T.PERF_ELAPSED_TIME, {
+        samples: 1,
+        // Seconds since the value, a start time in the object's time base
+        compute: current => ratio(delta(current.timestamp, current.value), toNumber(current.frequency))
+    }],
+    ...[T.PERF_COUNTER_DELTA, T.PERF_COUNTER_LARGE_DELTA].map(type => [type, {
+        samples: 2,
+        compute: (current, previous) => delta(current.value, previous.value)
+    }]),
+    ...[T.PERF_COUNTER_COUNTER, T.PERF_COUNTER_BULK_COUNT, T.PERF_SAMPLE_COUNTER].map(type => [type, {
+        samples: 2,
+        compute: (current, previous) => ratio(delta(current.value, previous.value), seconds(current, previous))
+    }]),
+    ...[T.PERF_COUNTER_QUEUELEN_TYPE, T.PERF_COUNTER_LARGE_QUEUELEN_TYPE, T.PERF_COUNTER_100NS_QUEUELEN_TYPE,
+        T.PERF_COUNTER_OBJ_TIME_QUEUELEN_TYPE].map(type => [type, {
+        samples: 2,
+        compute: (current, previous) => ratio(delta(current.value, previous.value), delta(current.timestamp, previous.timestamp))
+    }]),
+    ...[T.PERF_COUNTER_TIMER, T.PERF_100NSEC_TIMER, T.PERF_OBJ_TIME_TIMER].map(type => [type, {
+        samples: 2,
+        compute: (current, previous) => percent(ratio(delta(current.value, previous.value), delta(current.timestamp, previous.timestamp)))
+    }]),
+    ...[T.PERF_COUNTER_TIMER_INV, T.PERF_100NSEC_TIMER_INV].map(type => [type, {
+        samples: 2,
+        compute: (current, previous) => {
+            const busy = ratio(delta(current.value, previous.value), delta(current.timestamp, previous.timestamp));
+            return busy === null ? null : percent(1 - busy);
+        }
+    }]),
+    ...[T.PERF_PRECISION_SYSTEM_TIMER, T.PERF_PRECISION_100NS_TIMER, T.PERF_PRECISION_OBJECT_TIMER].map(type => [type, {
+        samples: 2,
+        base: true,
+        // The base is the counter's own timestamp
+        compute: (current, previous) => percent(ratio(delta(current.value, previous.value), delta(current.base, previous.base)))
+    }]),
+    ...[T.PERF_COUNTER_MULTI_TIMER, T.PERF_100NSEC_MULTI_TIMER].map(type => [type, {
+        samples: 2,
+        base: true,
+        compute: (current, previous) => {
+            const busy = ratio(delta(current.value, previous.value), delta(current.timestamp, previous.timestamp));
+            return busy === null ? null : percent(ratio(busy, toNumber(current.base)));
+        }
+    }]),
+    ...[T.PERF_COUNTER_MULTI_TIMER_INV, T.PERF_100NSEC_MULTI_TIMER_INV].map(type => [type, {
+        samples: 2,
+        base: true,
+        compute: (current, previous) => {
+            // B timers can each be idle, so the result can exceed 100
+            const idle = ratio(delta(current.value, previous.value), delta(current.timestamp, previous.timestamp));
+            const count = toNumber(current.base);
+            return idle === null || count === null ? null : percent(count - idle);
+        }
+    }]),
+    [T.PERF_SAMPLE_FRACTION, {
+        samples: 2,
+        base: true,
+        compute: (current, previous) => percent(ratio(delta(current.value, previous.value), delta(current.base, previous.base)))
+    }],
+    [T.PERF_AVERAGE_TIMER, {
+        samples: 2,
+        base: true,
+        // Seconds per operation
+        compute: (current, previous) => {
+            const elapsed = ratio(delta(current.value, previous.value), toNumber(current.frequency));
+            return ratio(elapsed, delta(current.base, previous.base));
+        }
+    }],
+    [T.PERF_AVERAGE_BULK, {
+        samples: 2,
+        base: true,
+        compute: (current, previous) => ratio(delta(current.value, previous.value), delta(current.base, previous.base))
+    }]
+]);
+
+/**
+ * Integer form of a 64-bit value for exact subtraction, or null when the
+ * value is not an integer.
+ */
+function toBigInt(value) {
+    if (typeof value === 'bigint') return value;
+    if (value && typeof value === 'object' && value.$wmi) return toBigInt(value.value);
+    if (typeof value === 'string' && /^-?\d+$/.test(value.trim())) return BigInt(value.trim());
+    if (typeof value === 'number' && Number.isSafeInteger(value)) return BigInt(value);
+    return null;
+}
+
+/**
+ * `a - b`. Timestamps and 64-bit counters exceed Number precision, so
+ * integers are subtracted as BigInts before the difference is converted.
+ */
+function delta(a, b) {
+    const bigA = toBigInt(a);
+    const bigB = toBigInt(b);
+    if (bigA !== null && bigB !== null) return Number(bigA - bigB);
+    const numberA = toNumber(a);
+    const numberB = toNumber(b);
+    return numberA === null || numberB === null ? null : numberA - numberB;
+}
+
+function ratio(numerator, denominator) {
+    if (numerator === null || denominator === null || denominator === 0) return null;
+    return numerator / denominator;
+}
+
+function percent(fraction) {
+    return fraction === null ? null : fraction * 100;
+}
+
+/**
+ * Seconds between two samples of a time base.
+ * @param {Object} current - { timestamp, frequency }
+ * @param {Object} previous - { timestamp }
+ * @returns {number|null}
+ */
+function seconds(current, previous) {
+    return ratio(delta(current.timestamp, previous.timestamp), toNumber(current.frequency));
+}
+
+/**
+ * Name of a counter type, e.g. 'PERF_100NSEC_TIMER_INV'.
+ * @param {number} counterType
+ * @returns {string|null}
+ */
+function counterTypeName(counterType) {
+    return NAMES_BY_TYPE.get(counterType) || null;
+}
+
+/**
+ * Whether a counter type only serves as the base of another counter.
+ * @param {number} counterType
+ * @returns {boolean}
+ */
+function isBaseCounter(counterType) {
+    return counterType === T.PERF_SAMPLE_BASE || counterType === T.PERF_AVERAGE_BASE ||
+        counterType === T.PERF_RAW_BASE || counterType === T.PERF_LARGE_RAW_BASE ||
+        counterType === T.PERF_COUNTER_MULTI_BASE;
+}
+
+/**
+ * How to compute a counter type.
+ * @param {number} counterType
+ * @returns {{samples: number, base: boolean, timestamp: string, frequency: string}|null}
+ *     Samples needed, whether `<Name>_Base` is read, and the time base
+ *     properties; null for types that cannot be computed (text, bases, no data)
+ */
+function describeCounterType(counterType) {
+    const formula = FORMULAS.get(counterType);
+    if (!formula) return null;
+    const timeBase = TIME_BASES[counterType & TIMER_MASK] || TIME_BASES[0];
+    return Object.assign({ samples: formula.samples, base: Boolean(formula.base) }, timeBase);
+}
+
+/**
+ * Compute the value of a counter.
+ * @param {number} counterType - CounterType qualifier of the property
+ * @param {Object} current - { value, base, timestamp, frequency } of the latest sample;
+ *     values may be numbers, BigInts, decimal strings or tagged 64-bit values
+ * @param {Object} [previous] - The same for the sample before
+ * @returns {number|null} null when the formula needs a previous sample that is
+ *     missing, or a denominator is zero
+ * @throws {RangeError} For counter types that cannot be computed
+ */
+function computeCounter(counterType, current, previous) {
+    const formula = FORMULAS.get(counterType);
+    if (!formula) {
+        const name = counterTypeName(counterType);
+        throw new RangeError(`Cannot compute counter type ${name || `0x${(counterType >>> 0).toString(16)}`}`);
+    }
+    if (formula.samples === 2 && !previous) return null;
+    return formula.compute(current || {}, previous || {});
+}
+
+module.exports = {
+    COUNTER_TYPES,
+    counterTypeName,
+    describeCounterType,
+    isBaseCounter,
+    computeCounter,
+    elapsedSeconds: seconds
+};
@@ -0,0 +1,296 @@
+/**
+ * Performance counter sampling
+ *
+ * A PerfSampler takes snapshots of a performance class and turns them
+ * into per-instance figures:
+ *
+ *     Win32_PerfRawData_*        raw counters; each value is computed from the
+ *                                current and previous snapshot by the property's
+ *                                CounterType (see counters.js)
+ *     Win32_PerfFormattedData_*  values WMI already computed; returned as numbers
+ *
+ * Counter types come from the CounterType qualifiers of the class schema,
+ * or from the `counterTypes` option for backends without schemas. Instances
+ * are keyed by their Name property ('' for singleton classes such as
+ * Win32_PerfRawData_PerfOS_Memory).
+ *
+ * Every snapshot resolves to:
+ *
+ *     {
+ *         className, timestamp: Date, elapsedSeconds,
+ *         instances: { [name]: { [counter]: number | null } },
+ *         added: [name], removed: [name]
+ *     }
+ *
+ * `elapsedSeconds` is null for the first snapshot of a raw class, whose
+ * rates need a second snapshot and are null; single-sample counters (raw
+ * counts, fractions, elapsed time) have values from the start. Counters of
+ * an instance that appeared since the previous snapshot are null the same
+ * way.
+ *
+ * Timestamps and many counters are 64-bit; a client with
+ * `conversion: { int64: 'bigint' }` (or 'string') keeps them exact.
+ */
+
+const { EventEmitter } = require('events');
+const { WmiClient } = require('../client');
+const { select } = require('../builder');
+const { qualifier } = require('../schema');
+const { findKey, toNumber } = require('../util');
+const { COUNTER_TYPES, counterTypeName, describeCounterType, isBaseCounter, computeCounter, elapsedSeconds } = require('./counters');
+
+const FORMATTED = /^Win32_PerfFormattedData/i;
+
+/** Properties of every perf class that are not counters. */
+const BOOKKEEPING = /^(Name|Caption|Description|Frequency_\w+|Timestamp_\w+)$/i;
+
+class PerfSampler extends EventEmitter {
+    /**
+     * @param {WmiClient|Object} client - A WmiClient for the namespace of the
+     *     class, or the configuration of one
+     * @param {string} className - e.g. 'Win32_PerfRawData_PerfOS_Processor'
+     * @param {Object} [options]
+     * @param {Array<string>} [options.counters] - Counters to compute, default every
+     *     counter of the class
+     * @param {Object<string, number>} [options.counterTypes] - CounterType by counter,
+     *     overriding or replacing the schema
+     * @param {Array<string>} [options.instances] - Only these instances (Name values)
+     * @param {number} [options.interval] - Milliseconds between snapshots once started, default 1000
+     * @param {number} [options.timeout] - Timeout of each snapshot query in milliseconds
+     */
+    constructor(client, className, options = {}) {
+        super();
+        if (typeof className !== 'string' || className === '') {
+            throw new TypeError('PerfSampler needs a performance class name');
+        }
+        if (options.counters !== undefined && !Array.isArray(options.counters)) {
+            throw new TypeError('counters must be an array of property names');
+        }
+        this.client = client instanceof WmiClient ? client : new WmiClient(client);
+        // A client passed in stays the caller's to close
+        this.ownsClient = this.client !== client;
+        this.className = className;
+        this.formatted = FORMATTED.test(className);
+        this.options = options;
+        this.interval = options.interval > 0 ? options.interval : 1000;
+        this.counters = null;
+        this.previous = null;
+        this.timer = null;
+        this.running = false;
+    }
+
+    /**
+     * Work out the counters to compute and their types.
+     * @returns {Array<Object>} [{ name, type, base, timestamp, frequency, samples }]
+     */
+    resolveCounters() {
+        if (this.counters) return this.counters;
+        const overrides = this.options.counterTypes || {};
+        let schema = null;
+        try {
+            schema = this.client.getClass(this.className);
+        } catch (error) {
+            if (Object.keys(overrides).length === 0) throw error;
+        }
+
+        const types = new Map();
+        if (schema) {
+            schema.properties.forEach(property => {
+                const type = qualifier(property.qualifiers, 'CounterType');
+                if (type !== undefined && !BOOKKEEPING.test(property.name)) types.set(property.name, Number(type));
+            });
+        }
+        Object.keys(overrides).forEach(name => {
+            const known = [...types.keys()].find(key => key.toLowerCase() === name.toLowerCase());
+            types.set(known || name, Number(overrides[name]));
+        });
+
+        let names;
+        if (this.options.counters) {
+            names = this.options.counters.map(name => {
+                const known = [...types.keys()].find(key => key.toLowerCase() === name.toLowerCase());
+                if (!known) throw new TypeError(`${this.className} has no counter ${name} with a known CounterType`);
+                return known;
+            });
+        } else {
+            names = [...types.keys()].filter(name => !isBaseCounter(types.get(name)));
+        }
+
+        this.counters = names.map(name => {
+            const type = types.get(name);
+            if (this.formatted) return { name, type, samples: 1 };
+            const formula = describeCounterType(type);
+            if (formula) return Object.assign({ name, type }, formula);
+            if (this.options.counters) {
+                throw new TypeError(`Counter ${name} has type ${counterTypeName(type) || type}, which has no formula`);
+            }
+            return null;
+        }).filter(Boolean);
+        return this.counters;
+    }
+
+    /**
+     * WQL of one snapshot.
+     * @returns {string}
+     */
+    toWql() {
+        const query = select().from(this.className);
+        if (this.options.instances) query.whereIn('Name', this.options.instances);
+        return query.toWql();
+    }
+
+    /**
+     * Take a snapshot and compute it against the previous one.
+     * @returns {Promise<Object>} The sample, see above
+     */
+    sample() {
+        let counters;
+        try {
+            counters = this.resolveCounters();
+        } catch (error) {
+            return Promise.reject(error);
+        }
+        const timeout = this.options.timeout;
+        return this.client.queryAsync(this.toWql(), timeout !== undefined ? { timeout } : undefined)
+            .then(rows => this.compute(counters, rows, new Date()));
+    }
+
+    /**
+     * Compute a sample from snapshot rows and remember them for the next one.
+     * @param {Array<Object>} counters - As resolveCounters() returns
+     * @param {Array<Object>} rows
+     * @param {Date} timestamp
+     * @returns {Object}
+     */
+    compute(counters, rows, timestamp) {
+        const current = new Map();
+        rows.forEach(row => current.set(instanceName(row), row));
+        const previous = this.previous;
+
+        const instances = {};
+        current.forEach((row, name) => {
+            const before = previous ? previous.rows.get(name) : undefined;
+            const values = {};
+            counters.forEach(counter => {
+                values[counter.name] = this.formatted
+                    ? toNumber(read(row, counter.name))
+                    : computeCounter(counter.type, counterSample(row, counter), before && counterSample(before, counter));
+            });
+            instances[name] = values;
+        });
+
+        const sample = {
+            className: this.className,
+            timestamp,
+            elapsedSeconds: previous ? snapshotSeconds(previous, rows, timestamp) : null,
+            instances,
+            added: previous ? [...current.keys()].filter(name => !previous.rows.has(name)) : [...current.keys()],
+            removed: previous ? [...previous.rows.keys()].filter(name => !current.has(name)) : []
+        };
+        this.previous = { rows: current, timestamp };
+        return sample;
+    }
+
+    /**
+     * Forget the previous snapshot; the next sample starts over.
+     */
+    reset() {
+        this.previous = null;
+    }
+
+    /**
+     * Take snapshots every `interval` milliseconds. Emits `sample` for each
+     * one that has rates (the first snapshot of a raw class only primes
+     * them) and `error` when a snapshot fails; sampling continues after
+     * errors while an `error` listener is attached, and stops otherwise.
+     * The next snapshot is scheduled before an event is emitted, and events
+     * are emitted outside the snapshot's Promise, so a listener that throws
+     * raises an uncaught exception instead of ending sampling unnoticed.
+     * @returns {this}
+     */
+    start() {
+        if (this.running) return this;
+        this.running = true;
+        const tick = () => {
+            this.timer = null;
+            this.sample().then(sample => {
+                if (!this.running) return;
+                this.timer = setTimeout(tick, this.interval);
+                if (this.formatted || sample.elapsedSeconds !== null) process.nextTick(() => this.emit('sample', sample));
+            }, error => {
+                if (!this.running) return;
+                if (this.listenerCount('error') === 0) this.stop();
+                else this.timer = setTimeout(tick, this.interval);
+                process.nextTick(() => this.emit('error', error));
+            });
+        };
+        tick();
+        return this;
+    }
+
+    /**
+     * Stop sampling. The previous snapshot is kept, so sampling can resume.
+     */
+    stop() {
+        if (!this.running) return;
+        this.running = false;
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.emit('stop');
+    }
+
+    /**
+     * Stop sampling and close the client the sampler created from a
+     * configuration. A WmiClient passed to the constructor is left open.
+     */
+    close() {
+        this.stop();
+        if (this.ownsClient) this.client.close();
+    }
+}
+
+/** Read a property case-insensitively. */
+function read(row, name) {
+    const key = findKey(row, name);
+    return key === undefined ? undefined : row[key];
+}
+
+/** The { value, base, timestamp, frequency } input of a counter in one row. */
+function counterSample(row, counter) {
+    return {
+        value: read(row, counter.name),
+        base: counter.base ? read(row, `${counter.name}_Base`) : undefined,
+        timestamp: read(row, counter.timestamp),
+        frequency: read(row, counter.frequency)
+    };
+}
+
+/** Name of the instance a row belongs to. */
+function instanceName(row) {
+    const name = read(row, 'Name');
+    return name === undefined || name === null ? '' : String(name);
+}
+
+/**
+ * Seconds between two snapshots by the system's 100ns clock, or the local
+ * clock when the rows do not carry it.
+ */
+function snapshotSeconds(previous, rows, timestamp) {
+    const row = rows.find(candidate => previous.rows.has(instanceName(candidate)));
+    if (row) {
+        const before = previous.rows.get(instanceName(row));
+        const seconds = elapsedSeconds(
+            { timestamp: read(row, 'Timestamp_Sys100NS'), frequency: read(row, 'Frequency_Sys100NS') },
+            { timestamp: read(before, 'Timestamp_Sys100NS') });
+        if (seconds !== null) return seconds;
+    }
+    return (timestamp - previous.timestamp) / 1000;
+}
+
+module.exports = {
+    PerfSampler,
+    COUNTER_TYPES,
+    counterTypeName,
+    describeCounterType,
+    computeCounter
+};
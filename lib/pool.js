@@ -0,0 +1,206 @@
+/**
+ * Connection pool
+ *
+ * Opening a native client initialises COM and connects to the namespace,
+ * which costs far more than a typical query. The pool keeps clients open
+ * by server, namespace and account so that quickQuery and friends reuse
+ * them. Pooled clients are shared, not leased: WMI connections serve
+ * concurrent callers. Only synchronous calls use the pooled connection;
+ * native async queries, method calls, streams and subscriptions connect
+ * again on their worker thread, as connections cannot move between threads.
+ *
+ * Clients unused for `idleTimeout` are closed, and the least recently
+ * used client is closed when the pool grows beyond `maxSize`. A client
+ * whose server became unreachable is dropped so the next call reconnects.
+ */
+
+const { WmiClient } = require('./client');
+const { WmiRpcUnavailableError } = require('./errors');
+const { normalizeConnectionConfig, connectionKey } = require('./connection');
+
+/** Configuration options that identify a connection. */
+const CONNECTION_OPTIONS = ['namespace', 'server', 'username', 'password', 'domain', 'authLevel'];
+
+class ConnectionPool {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.maxSize] - Clients kept open, default 16
+     * @param {number} [options.idleTimeout] - Milliseconds before an unused client
+     *     is closed, default 60000; 0 keeps clients until evicted or cleared
+     * @param {function(Object): WmiClient} [options.create] - Opens a client for
+     *     a connection configuration
+     */
+    constructor(options = {}) {
+        this.entries = new Map();
+        this.sweepTimer = null;
+        this.create = options.create || (config => new WmiClient(config));
+        this.configure(Object.assign({ maxSize: 16, idleTimeout: 60000 }, options));
+    }
+
+    /**
+     * Change the pool limits; clients beyond the new maxSize are closed.
+     * @param {Object} options - { maxSize, idleTimeout }
+     */
+    configure(options = {}) {
+        if (options.maxSize !== undefined) {
+            if (!Number.isInteger(options.maxSize) || options.maxSize < 1) {
+                throw new RangeError('maxSize must be a positive integer');
+            }
+            this.maxSize = options.maxSize;
+        }
+        if (options.idleTimeout !== undefined) {
+            if (!(options.idleTimeout >= 0)) {
+                throw new RangeError('idleTimeout must be zero or a positive number of milliseconds');
+            }
+            this.idleTimeout = options.idleTimeout;
+            this.stopSweeping();
+        }
+        this.trim();
+        this.startSweeping();
+    }
+
+    /**
+     * Number of open pooled clients.
+     * @returns {number}
+     */
+    get size() {
+        return this.entries.size;
+    }
+
+    /**
+     * Get the pooled client for a connection, opening it when needed.
+     * Options other than the connection options are ignored.
+     * @param {Object|string} [target] - Namespace, or { namespace, server, username,
+     *     password, domain, authLevel }
+     * @returns {WmiClient}
+     */
+    acquire(target) {
+        const config = pickConnectionOptions(typeof target === 'string' ? { namespace: target } : target);
+        const key = poolKey(config);
+        const entry = this.entries.get(key);
+        if (entry && entry.password === config.password && !entry.client.closed) {
+            // Re-insert so the Map stays in least recently used order
+            this.entries.delete(key);
+            this.entries.set(key, entry);
+            entry.lastUsed = Date.now();
+            return entry.client;
+        }
+        if (entry) this.remove(key);
+
+        const client = this.create(config);
+        this.entries.set(key, { client, password: config.password, lastUsed: Date.now() });
+        this.trim();
+        this.startSweeping();
+        return client;
+    }
+
+    /**
+     * Run `fn` with the pooled client for a connection. When it fails
+     * because the server is unreachable, the client is dropped from the pool.
+     * @param {Object|string} [target] - As for acquire()
+     * @param {function(WmiClient): *} fn - May return a Promise
+     * @returns {*} What `fn` returns
+     */
+    use(target, fn) {
+        const client = this.acquire(target);
+        const drop = error => {
+            if (error instanceof WmiRpcUnavailableError) this.discard(client);
+            throw error;
+        };
+        let result;
+        try {
+            result = fn(client);
+        } catch (error) {
+            drop(error);
+        }
+        return result && typeof result.then === 'function' ? result.catch(drop) : result;
+    }
+
+    /**
+     * Close and forget a pooled client.
+     * @param {WmiClient} client
+     */
+    discard(client) {
+        for (const [key, entry] of this.entries) {
+            if (entry.client === client) {
+                this.remove(key);
+                return;
+            }
+        }
+    }
+
+    /**
+     * Close every pooled client.
+     */
+    clear() {
+        Array.from(this.entries.keys()).forEach(key => this.remove(key));
+    }
+
+    remove(key) {
+        const entry = this.entries.get(key);
+        this.entries.delete(key);
+        if (this.entries.size === 0) this.stopSweeping();
+        if (entry) entry.client.close();
+    }
+
+    /**
+     * Close the least recently used clients beyond maxSize.
+     */
+    trim() {
+        while (this.entries.size > this.maxSize) {
+            this.remove(this.entries.keys().next().value);
+        }
+    }
+
+    /**
+     * Close the clients idle for longer than idleTimeout.
+     */
+    sweep() {
+        const cutoff = Date.now() - this.idleTimeout;
+        Array.from(this.entries).forEach(([key, entry]) => {
+            if (entry.lastUsed <= cutoff) this.remove(key);
+        });
+    }
+
+    startSweeping() {
+        if (this.sweepTimer || !(this.idleTimeout > 0) || this.entries.size === 0) return;
+        this.sweepTimer = setInterval(() => this.sweep(), Math.max(this.idleTimeout / 2, 1000));
+        // The pool must not keep the process alive
+        if (typeof this.sweepTimer.unref === 'function') this.sweepTimer.unref();
+    }
+
+    stopSweeping() {
+        if (!this.sweepTimer) return;
+        clearInterval(this.sweepTimer);
+        this.sweepTimer = null;
+    }
+}
+
+function pickConnectionOptions(target = {}) {
+    const picked = {};
+    CONNECTION_OPTIONS.forEach(name => {
+        if (target[name] !== undefined) picked[name] = target[name];
+    });
+    return normalizeConnectionConfig(picked);
+}
+
+/**
+ * Key of a connection configuration. Passwords are left out and compared
+ * separately so they never appear in the key.
+ */
+function poolKey(config) {
+    return [
+        connectionKey(config.server, config.namespace),
+        (config.username || '').toLowerCase(),
+        (config.domain || '').toLowerCase(),
+        config.authLevel === undefined ? '' : config.authLevel
+    ].join('|');
+}
+
+/** The pool shared by quickQuery, quickQueryString, quickQueryAsync, getSystemInfo and getInventory. */
+const defaultPool = new ConnectionPool();
+
+module.exports = {
+    ConnectionPool,
+    defaultPool
+};
@@ -0,0 +1,100 @@
+/**
+ * Recording file format
+ *
+ * A recording is a list of entries, one per executed query:
+ *
+ *     { "server": null, "namespace": "root/cimv2", "wql": "SELECT ...", "rows": [ ... ] }
+ *     { "server": "HV01", "namespace": "root/cimv2", "wql": "SELECT ...", "error": { "name": "WmiInvalidClassError", "message": "...", "hresult": 2147749904 } }
+ *
+ * `server` is null for the local machine; entries recorded before it was
+ * added have none and count as local. Files ending in `.ndjson` hold one
+ * entry per line; any other file holds a JSON array. Both are appended to
+ * as queries run.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { connectionKey } = require('./connection');
+
+function isNdjson(file) {
+    return path.extname(file).toLowerCase() === '.ndjson';
+}
+
+/**
+ * Collapse whitespace so that reformatted queries still match.
+ * @param {string} wql
+ * @returns {string}
+ */
+function normalizeWql(wql) {
+    return String(wql).trim().replace(/\s+/g, ' ');
+}
+
+/**
+ * Key under which an entry is stored and looked up.
+ * @param {string|null} server - null or undefined for the local machine
+ * @param {string} namespace
+ * @param {string} wql
+ * @returns {string}
+ */
+function recordingKey(server, namespace, wql) {
+    return `${connectionKey(server, namespace)}\n${normalizeWql(wql)}`;
+}
+
+/**
+ * Read every entry of a recording file.
+ * @param {string} file - .json or .ndjson recording
+ * @returns {Array<Object>}
+ */
+function readRecording(file) {
+    const text = fs.readFileSync(file, 'utf8');
+    if (isNdjson(file) || !text.trim().startsWith('[')) {
+        return text.split(/\r?\n/).filter(line => line.trim()).map(line => JSON.parse(line));
+    }
+    return JSON.parse(text);
+}
+
+/**
+ * Writes recording entries to a file.
+ */
+class RecordingWriter {
+    /**
+     * @param {string} file - Destination; created or truncated
+     */
+    constructor(file) {
+        this.file = file;
+        this.ndjson = isNdjson(file);
+        this.count = 0;
+        // Byte offset of the closing bracket of a JSON array recording
+        this.end = 1;
+        fs.writeFileSync(file, this.ndjson ? '' : '[]\n');
+    }
+
+    /**
+     * Append an entry. In a JSON array recording the entry is written over
+     * the closing bracket, so the file is valid JSON after every query
+     * without being rewritten.
+     * @param {Object} entry - { server, namespace, wql, rows } or { server, namespace, wql, error }
+     */
+    write(entry) {
+        if (this.ndjson) {
+            fs.appendFileSync(this.file, JSON.stringify(entry) + '\n');
+            return;
+        }
+        const text = `${this.count === 0 ? '\n' : ',\n'}${JSON.stringify(entry, null, 2).replace(/^/gm, '  ')}`;
+        const fd = fs.openSync(this.file, 'r+');
+        try {
+            fs.writeSync(fd, `${text}\n]\n`, this.end);
+        } finally {
+            fs.closeSync(fd);
+        }
+        this.count++;
+        this.end += Buffer.byteLength(text);
+    }
+}
+
+module.exports = {
+    normalizeWql,
+    recordingKey,
+    readRecording,
+    RecordingWriter
+};
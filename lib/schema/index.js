@@ -0,0 +1,200 @@
+/**
+ * Class schema introspection
+ *
+ * Backends that support introspection implement:
+ *
+ *     listClasses(): Array<{ name, superclass, derivation }>
+ *     getClassDefinition(className): own members of the class, as returned by parseMofClass
+ *
+ * resolveClassSchema() walks the superclass chain and merges the
+ * definitions into the full schema returned by WmiClient#getClass:
+ *
+ *     {
+ *         name, namespace, superclass, derivation: ['CIM_Process', ...],
+ *         isAbstract, qualifiers,
+ *         properties: [{ name, type, isArray, referenceClass, objectClass,
+ *                        isKey, isReadOnly, defaultValue, origin, qualifiers }],
+ *         methods: [{ name, returnType, isStatic, origin, qualifiers,
+ *                     parameters: [{ name, type, isArray, referenceClass, objectClass,
+ *                                    direction: 'in' | 'out' | 'inout', qualifiers }] }]
+ *     }
+ */
+
+const { parseMofClass, MofSyntaxError } = require('./mof');
+const { findKey } = require('../util');
+
+/**
+ * Read a qualifier case-insensitively.
+ * @param {Object} qualifiers
+ * @param {string} name
+ * @returns {*} The value, or undefined when absent
+ */
+function qualifier(qualifiers, name) {
+    const key = findKey(qualifiers || {}, name);
+    return key === undefined ? undefined : qualifiers[key];
+}
+
+function isSet(qualifiers, name) {
+    const value = qualifier(qualifiers, name);
+    return value !== undefined && value !== false;
+}
+
+/**
+ * Fill in the object class of `object` members declared through the
+ * EmbeddedObject/EmbeddedInstance qualifiers.
+ */
+function typeInfo(member) {
+    const embedded = qualifier(member.qualifiers, 'EmbeddedInstance');
+    return {
+        type: member.type,
+        isArray: Boolean(member.isArray),
+        referenceClass: member.referenceClass || null,
+        objectClass: member.objectClass || (typeof embedded === 'string' ? embedded : null)
+    };
+}
+
+function describeProperty(property, origin) {
+    const read = isSet(property.qualifiers, 'read');
+    const write = isSet(property.qualifiers, 'write');
+    return Object.assign({ name: property.name }, typeInfo(property), {
+        isKey: isSet(property.qualifiers, 'key'),
+        isReadOnly: read && !write,
+        defaultValue: property.defaultValue === undefined ? null : property.defaultValue,
+        origin: property.origin || origin,
+        qualifiers: Object.assign({}, property.qualifiers)
+    });
+}
+
+function describeParameter(parameter) {
+    const input = isSet(parameter.qualifiers, 'in');
+    const output = isSet(parameter.qualifiers, 'out');
+    let direction = parameter.direction || 'in';
+    if (input && output) direction = 'inout';
+    else if (output) direction = 'out';
+    return Object.assign({ name: parameter.name }, typeInfo(parameter), {
+        direction,
+        qualifiers: Object.assign({}, parameter.qualifiers)
+    });
+}
+
+function describeMethod(method, origin) {
+    return {
+        name: method.name,
+        returnType: method.returnType,
+        isStatic: isSet(method.qualifiers, 'static'),
+        origin: method.origin || origin,
+        parameters: method.parameters.map(describeParameter),
+        qualifiers: Object.assign({}, method.qualifiers)
+    };
+}
+
+/**
+ * Merge members of a subclass over those of its superclass, keeping the
+ * superclass order and origin for overridden members.
+ */
+function mergeMembers(inherited, own, describe, origin) {
+    const merged = inherited.slice();
+    own.forEach(member => {
+        const index = merged.findIndex(existing => existing.name.toLowerCase() === member.name.toLowerCase());
+        if (index === -1) {
+            merged.push(describe(member, origin));
+        } else {
+            const base = merged[index];
+            const described = describe(member, base.origin);
+            described.qualifiers = Object.assign({}, base.qualifiers, described.qualifiers);
+            merged[index] = describe(described, base.origin);
+        }
+    });
+    return merged;
+}
+
+/**
+ * Turn a class definition (MOF text or parsed object) into its parsed form.
+ * @param {string|Object} definition
+ * @returns {Object}
+ */
+function toDefinition(definition) {
+    return typeof definition === 'string' ? parseMofClass(definition) : definition;
+}
+
+/**
+ * Build the full schema of a class from its definition and its ancestors'.
+ * @param {string} className
+ * @param {function(string): (string|Object)} loadDefinition - Returns the own
+ *     definition (MOF text or parsed) of a class
+ * @param {string} [namespace]
+ * @returns {Object} Class schema, see the module documentation
+ */
+function resolveClassSchema(className, loadDefinition, namespace) {
+    const chain = [];
+    const seen = new Set();
+    let current = className;
+    while (current) {
+        if (seen.has(current.toLowerCase())) {
+            throw new Error(`Circular superclass chain at ${current}`);
+        }
+        seen.add(current.toLowerCase());
+        const definition = toDefinition(loadDefinition(current));
+        chain.push(definition);
+        current = definition.superclass;
+    }
+
+    let properties = [];
+    let methods = [];
+    chain.slice().reverse().forEach(definition => {
+        properties = mergeMembers(properties, definition.properties || [], describeProperty, definition.name);
+        methods = mergeMembers(methods, definition.methods || [], describeMethod, definition.name);
+    });
+
+    const own = chain[0];
+    return {
+        name: own.name,
+        namespace: namespace || own.namespace || null,
+        superclass: own.superclass || null,
+        derivation: chain.slice(1).map(definition => definition.name),
+        isAbstract: isSet(own.qualifiers, 'abstract'),
+        qualifiers: Object.assign({}, own.qualifiers),
+        properties,
+        methods
+    };
+}
+
+/**
+ * Test a class name against a listClasses filter.
+ * @param {string} name
+ * @param {string|RegExp} [pattern] - Case-insensitive name with `*` wildcards, or a RegExp
+ * @returns {boolean}
+ */
+function matchesClassName(name, pattern) {
+    if (pattern === undefined || pattern === null) return true;
+    if (pattern instanceof RegExp) return pattern.test(name);
+    const source = String(pattern).split('*')
+        .map(part => part.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&'))
+        .join('.*');
+    return new RegExp(`^${source}$`, 'i').test(name);
+}
+
+/**
+ * Filter and sort listClasses results.
+ * @param {Array<Object>} classes - { name, superclass, derivation }
+ * @param {string|RegExp|Object} [filter] - Name pattern, or { name, derivedFrom }
+ * @returns {Array<Object>}
+ */
+function filterClasses(classes, filter) {
+    const options = typeof filter === 'string' || filter instanceof RegExp ? { name: filter } : (filter || {});
+    const base = options.derivedFrom ? options.derivedFrom.toLowerCase() : null;
+    return classes
+        .filter(entry => matchesClassName(entry.name, options.name))
+        .filter(entry => !base || entry.name.toLowerCase() === base ||
+            (entry.derivation || []).some(name => name.toLowerCase() === base))
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+module.exports = {
+    parseMofClass,
+    MofSyntaxError,
+    resolveClassSchema,
+    filterClasses,
+    matchesClassName,
+    qualifier
+};
@@ -0,0 +1,353 @@
+/**
+ * MOF class declaration parser
+ *
+ * Parses the MOF text WMI produces for a class definition
+ * (IWbemClassObject::GetObjectText), e.g.
+ *
+ *     [dynamic: ToInstance, provider("CIMWin32")]
+ *     class Win32_Process : CIM_Process
+ *     {
+ *         [key, read: ToSubClass] string Handle;
+ *         [read] string Names[];
+ *         [read] CIM_DataFile ref Antecedent;
+ *         [Static, Constructor] uint32 Create([IN] string CommandLine, [OUT] uint32 ProcessId);
+ *     };
+ *
+ * into a plain description of the class's own (non-inherited) members:
+ *
+ *     { name, superclass, qualifiers,
+ *       properties: [{ name, type, isArray, referenceClass, objectClass, defaultValue, qualifiers }],
+ *       methods: [{ name, returnType, parameters: [{ name, type, isArray, ..., qualifiers }], qualifiers }] }
+ *
+ * `type` is a CIM type name (string, uint32, datetime, ...), 'reference'
+ * for `Class ref Name` members, or 'object' for embedded objects.
+ * Qualifiers without a value (e.g. `key`) are `true`; flavors are dropped.
+ */
+
+const CIM_TYPES = new Set([
+    'string', 'boolean', 'char16', 'datetime', 'object',
+    'sint8', 'uint8', 'sint16', 'uint16', 'sint32', 'uint32', 'sint64', 'uint64',
+    'real32', 'real64'
+]);
+
+const PUNCTUATION = new Set(['[', ']', '{', '}', '(', ')', ',', ';', ':', '=']);
+
+const ESCAPES = { b: '\b', t: '\t', n: '\n', f: '\f', r: '\r', '"': '"', '\'': '\'', '\\': '\\' };
+
+/**
+ * Raised when MOF text cannot be parsed.
+ */
+class MofSyntaxError extends SyntaxError {
+    /**
+     * @param {string} message
+     * @param {number} position - Zero-based character offset
+     */
+    constructor(message, position) {
+        super(`${message} at position ${position}`);
+        this.name = 'MofSyntaxError';
+        this.position = position;
+    }
+}
+
+/**
+ * Split MOF text into tokens: identifier, string, number, punctuation, eof.
+ * Comments and `#pragma` lines are skipped.
+ * @param {string} text
+ * @returns {Array<{type: string, value: *, position: number}>}
+ */
+function tokenize(text) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < text.length) {
+        const ch = text[i];
+        const start = i;
+
+        if (/\s/.test(ch)) {
+            i++;
+        } else if (text.startsWith('//', i)) {
+            while (i < text.length && text[i] !== '\n') i++;
+        } else if (text.startsWith('/*', i)) {
+            const end = text.indexOf('*/', i + 2);
+            i = end === -1 ? text.length : end + 2;
+        } else if (ch === '#') {
+            while (i < text.length && text[i] !== '\n') i++;
+        } else if (ch === '"') {
+            let value = '';
+            i++;
+            while (i < text.length && text[i] !== '"') {
+                if (text[i] === '\\' && i + 1 < text.length) {
+                    i++;
+                    const escaped = text[i];
+                    if ((escaped === 'x' || escaped === 'X') && /^[0-9a-f]{1,4}/i.test(text.slice(i + 1))) {
+                        const hex = /^[0-9a-f]{1,4}/i.exec(text.slice(i + 1))[0];
+                        value += String.fromCharCode(parseInt(hex, 16));
+                        i += hex.length + 1;
+                        continue;
+                    }
+                    value += ESCAPES[escaped] !== undefined ? ESCAPES[escaped] : escaped;
+                } else {
+                    value += text[i];
+                }
+                i++;
+            }
+            if (i >= text.length) {
+                throw new MofSyntaxError('Unterminated string literal', start);
+            }
+            i++;
+            tokens.push({ type: 'string', value, position: start });
+        } else if (/[-+\d.]/.test(ch) && /^[-+]?(0x[0-9a-f]+|\d+(\.\d+)?(e[-+]?\d+)?|\.\d+(e[-+]?\d+)?)/i.test(text.slice(i))) {
+            const match = /^[-+]?(0x[0-9a-f]+|\d+(\.\d+)?(e[-+]?\d+)?|\.\d+(e[-+]?\d+)?)/i.exec(text.slice(i))[0];
+            const magnitude = Number(match.replace(/^[-+]/, ''));
+            i += match.length;
+            tokens.push({ type: 'number', value: match[0] === '-' ? -magnitude : magnitude, position: start });
+        } else if (/[A-Za-z_$]/.test(ch)) {
+            const word = /^[A-Za-z_$][A-Za-z0-9_]*/.exec(text.slice(i))[0];
+            i += word.length;
+            tokens.push({ type: 'identifier', value: word, position: start });
+        } else if (PUNCTUATION.has(ch)) {
+            i++;
+            tokens.push({ type: 'punctuation', value: ch, position: start });
+        } else {
+            throw new MofSyntaxError(`Unexpected character "${ch}"`, start);
+        }
+    }
+
+    tokens.push({ type: 'eof', value: null, position: text.length });
+    return tokens;
+}
+
+class MofParser {
+    constructor(text) {
+        this.tokens = tokenize(text);
+        this.index = 0;
+    }
+
+    peek(offset = 0) {
+        return this.tokens[Math.min(this.index + offset, this.tokens.length - 1)];
+    }
+
+    next() {
+        return this.tokens[this.index++];
+    }
+
+    is(value, offset = 0) {
+        const token = this.peek(offset);
+        return token.type === 'punctuation' && token.value === value;
+    }
+
+    isWord(value, offset = 0) {
+        const token = this.peek(offset);
+        return token.type === 'identifier' && token.value.toLowerCase() === value;
+    }
+
+    accept(value) {
+        if (this.is(value)) {
+            this.index++;
+            return true;
+        }
+        return false;
+    }
+
+    fail(message, token = this.peek()) {
+        throw new MofSyntaxError(message, token.position);
+    }
+
+    describe(token) {
+        return token.type === 'eof' ? 'end of text' : `"${token.value}"`;
+    }
+
+    expect(value) {
+        if (!this.accept(value)) {
+            this.fail(`Expected "${value}" but found ${this.describe(this.peek())}`);
+        }
+    }
+
+    expectIdentifier(label) {
+        const token = this.peek();
+        if (token.type !== 'identifier') {
+            this.fail(`Expected ${label} but found ${this.describe(token)}`);
+        }
+        return this.next().value;
+    }
+
+    parseClass() {
+        const qualifiers = this.parseQualifiers();
+        if (!this.isWord('class')) {
+            this.fail(`Expected class declaration but found ${this.describe(this.peek())}`);
+        }
+        this.next();
+        const name = this.expectIdentifier('class name');
+        let superclass = null;
+        if (this.accept(':')) {
+            superclass = this.expectIdentifier('superclass name');
+        }
+        this.expect('{');
+
+        const properties = [];
+        const methods = [];
+        while (!this.is('}')) {
+            const member = this.parseMember();
+            (member.parameters ? methods : properties).push(member);
+        }
+        this.expect('}');
+        this.accept(';');
+
+        return { name, superclass, qualifiers, properties, methods };
+    }
+
+    parseQualifiers() {
+        const qualifiers = {};
+        if (!this.accept('[')) return qualifiers;
+        do {
+            const name = this.expectIdentifier('qualifier name');
+            let value = true;
+            if (this.accept('(')) {
+                value = this.parseValue();
+                this.expect(')');
+            } else if (this.is('{')) {
+                value = this.parseValue();
+            }
+            if (this.accept(':')) {
+                // Flavors: ToSubClass, DisableOverride, Amended, ...
+                while (this.peek().type === 'identifier') this.next();
+            }
+            qualifiers[name] = value;
+        } while (this.accept(','));
+        this.expect(']');
+        return qualifiers;
+    }
+
+    parseValue() {
+        if (this.accept('{')) {
+            const values = [];
+            if (!this.is('}')) {
+                do {
+                    values.push(this.parseValue());
+                } while (this.accept(','));
+            }
+            this.expect('}');
+            return values;
+        }
+        const token = this.next();
+        switch (token.type) {
+            case 'string': {
+                // Adjacent string literals are concatenated
+                let value = token.value;
+                while (this.peek().type === 'string') value += this.next().value;
+                return value;
+            }
+            case 'number':
+                return token.value;
+            case 'identifier': {
+                const word = token.value.toLowerCase();
+                if (word === 'true') return true;
+                if (word === 'false') return false;
+                if (word === 'null') return null;
+                return token.value;
+            }
+            default:
+                return this.fail(`Expected a value but found ${this.describe(token)}`, token);
+        }
+    }
+
+    /**
+     * Parse `type [ref] name` and the optional array suffix.
+     */
+    parseTypedName(label) {
+        const typeName = this.expectIdentifier('type');
+        const typed = { type: null, referenceClass: null, objectClass: null };
+        if (this.isWord('ref')) {
+            this.next();
+            typed.type = 'reference';
+            typed.referenceClass = typeName;
+        } else if (CIM_TYPES.has(typeName.toLowerCase())) {
+            typed.type = typeName.toLowerCase();
+        } else if (typeName.toLowerCase() === 'void') {
+            typed.type = 'void';
+        } else {
+            typed.type = 'object';
+            typed.objectClass = typeName;
+        }
+        typed.name = this.expectIdentifier(label);
+        typed.isArray = false;
+        if (this.accept('[')) {
+            if (this.peek().type === 'number') this.next();
+            this.expect(']');
+            typed.isArray = true;
+        }
+        return typed;
+    }
+
+    parseMember() {
+        const qualifiers = this.parseQualifiers();
+        const typed = this.parseTypedName('member name');
+
+        if (this.accept('(')) {
+            const parameters = [];
+            if (!this.is(')')) {
+                do {
+                    parameters.push(this.parseParameter());
+                } while (this.accept(','));
+            }
+            this.expect(')');
+            this.expect(';');
+            return {
+                name: typed.name,
+                returnType: typed.type,
+                parameters,
+                qualifiers
+            };
+        }
+
+        let defaultValue = null;
+        if (this.accept('=')) {
+            defaultValue = this.parseValue();
+        }
+        this.expect(';');
+        return {
+            name: typed.name,
+            type: typed.type,
+            isArray: typed.isArray,
+            referenceClass: typed.referenceClass,
+            objectClass: typed.objectClass,
+            defaultValue,
+            qualifiers
+        };
+    }
+
+    parseParameter() {
+        const qualifiers = this.parseQualifiers();
+        const typed = this.parseTypedName('parameter name');
+        if (this.accept('=')) {
+            this.parseValue();
+        }
+        return {
+            name: typed.name,
+            type: typed.type,
+            isArray: typed.isArray,
+            referenceClass: typed.referenceClass,
+            objectClass: typed.objectClass,
+            qualifiers
+        };
+    }
+}
+
+/**
+ * Parse the MOF declaration of a single class.
+ * @param {string} text - MOF text
+ * @returns {Object} { name, superclass, qualifiers, properties, methods }
+ * @throws {MofSyntaxError}
+ */
+function parseMofClass(text) {
+    if (typeof text !== 'string') {
+        throw new TypeError('MOF text must be a string');
+    }
+    return new MofParser(text).parseClass();
+}
+
+module.exports = {
+    parseMofClass,
+    MofSyntaxError,
+    CIM_TYPES
+};
@@ -0,0 +1,161 @@
+/**
+ * TypeScript declaration generator
+ *
+ * Turns class schemas (WmiClient#getClass) into `.d.ts` row interfaces.
+ * Schemas can come from a live client or from a schema dump saved on a
+ * Windows machine:
+ *
+ *     { "namespace": "root/virtualization/v2", "classes": [ <getClass() result>, ... ] }
+ *
+ * CIM types are mapped to what the query layer returns for the given
+ * `conversion` options, so generated types match client.query() results.
+ */
+
+const { normalizeConversion } = require('../convert');
+const { isDateTimeProperty } = require('../datetime');
+const { qualifier, filterClasses } = require('./index');
+
+const NUMBER_TYPES = new Set([
+    'sint8', 'uint8', 'sint16', 'uint16', 'sint32', 'uint32', 'real32', 'real64', 'char16'
+]);
+
+/**
+ * Collect the schemas of classes matching `filter` into a dump that
+ * generateTypes() and JSON.stringify() accept.
+ * @param {Object} client - WmiClient
+ * @param {string|RegExp|Object|Array<string>} [filter] - listClasses filter, or explicit class names
+ * @returns {{namespace: string, classes: Array<Object>}}
+ */
+function dumpSchema(client, filter) {
+    const names = Array.isArray(filter)
+        ? filter
+        : client.listClasses(filter).map(entry => entry.name);
+    return {
+        namespace: client.getNamespace(),
+        classes: names.map(name => client.getClass(name))
+    };
+}
+
+function isInterval(member) {
+    const subtype = qualifier(member.qualifiers, 'SubType');
+    return typeof subtype === 'string' && subtype.toLowerCase() === 'interval';
+}
+
+/**
+ * TypeScript type of a property or parameter value (without array/null).
+ * @param {Object} member - Property or parameter schema
+ * @param {Object} conversion - Normalised conversion options, or null for none
+ * @param {Set<string>} generated - Lower-case names of classes being generated
+ * @returns {string}
+ */
+function scalarType(member, conversion, generated) {
+    const type = member.type;
+    if (NUMBER_TYPES.has(type)) return 'number';
+    switch (type) {
+        case 'string':
+        case 'reference':
+            return 'string';
+        case 'boolean':
+            return 'boolean';
+        case 'sint64':
+        case 'uint64':
+            if (!conversion || conversion.int64 === 'number') return 'number';
+            return conversion.int64;
+        case 'datetime': {
+            const converted = conversion && (conversion.dates === true ||
+                (conversion.dates === 'known' && isDateTimeProperty(member.name)));
+            if (!converted) return 'string';
+            return isInterval(member) ? 'CimInterval' : 'Date';
+        }
+        case 'object':
+            // Without conversion, embedded objects arrive as debug strings
+            if (!conversion) return 'string';
+            if (member.objectClass && generated.has(member.objectClass.toLowerCase())) return member.objectClass;
+            return 'Record<string, unknown>';
+        default:
+            return 'unknown';
+    }
+}
+
+function docComment(lines, indent) {
+    if (lines.length === 0) return '';
+    if (lines.length === 1) return `${indent}/** ${lines[0]} */\n`;
+    return `${indent}/**\n${lines.map(line => `${indent} * ${line}`).join('\n')}\n${indent} */\n`;
+}
+
+function describeType(member) {
+    let text = member.type;
+    if (member.type === 'reference') text = `ref:${member.referenceClass}`;
+    if (member.type === 'object' && member.objectClass) text = `object:${member.objectClass}`;
+    return member.isArray ? `${text}[]` : text;
+}
+
+function propertyDeclaration(property, conversion, generated) {
+    const flags = [describeType(property)];
+    if (property.isKey) flags.push('key');
+    if (property.isReadOnly) flags.push('read-only');
+    const lines = [];
+    const description = qualifier(property.qualifiers, 'Description');
+    if (typeof description === 'string') lines.push(description.replace(/\*\//g, '*\\/'));
+    lines.push(`CIM: ${flags.join(', ')}`);
+
+    let type = scalarType(property, conversion, generated);
+    if (property.isArray) type = type.includes(' ') ? `Array<${type}>` : `${type}[]`;
+    if (!property.isKey) type += ' | null';
+    return `${docComment(lines, '  ')}  ${property.name}: ${type};\n`;
+}
+
+function interfaceDeclaration(schema, conversion, generated) {
+    const lines = [`${schema.namespace || 'unknown namespace'} ${schema.name}`];
+    if (schema.derivation && schema.derivation.length) {
+        lines.push(`Derives from ${schema.derivation.join(', ')}`);
+    }
+    const body = schema.properties
+        .map(property => propertyDeclaration(property, conversion, generated))
+        .join('');
+    return `${docComment(lines, '')}export interface ${schema.name} {\n${body}}\n`;
+}
+
+/**
+ * Generate `.d.ts` source with one row interface per class.
+ * @param {Object|Array<Object>} dumps - Schema dump(s) from dumpSchema, or an array of class schemas
+ * @param {Object} [options]
+ * @param {Object|boolean} [options.conversion] - The client `conversion` option the types are for;
+ *     omit for the default value mapping
+ * @param {string|RegExp|Object} [options.filter] - Only generate classes matching this listClasses filter
+ * @returns {string}
+ */
+function generateTypes(dumps, options = {}) {
+    const list = Array.isArray(dumps) ? dumps : [dumps];
+    let schemas = [];
+    list.forEach(entry => {
+        if (entry && Array.isArray(entry.classes)) {
+            schemas.push(...entry.classes.map(schema => Object.assign({ namespace: entry.namespace }, schema)));
+        } else if (entry && Array.isArray(entry.properties)) {
+            schemas.push(entry);
+        } else {
+            throw new TypeError('generateTypes() expects schema dumps ({ namespace, classes }) or class schemas');
+        }
+    });
+    if (options.filter) {
+        const wanted = new Set(filterClasses(schemas, options.filter).map(schema => schema.name));
+        schemas = schemas.filter(schema => wanted.has(schema.name));
+    }
+
+    const conversion = options.conversion ? normalizeConversion(options.conversion) : null;
+    const generated = new Set(schemas.map(schema => schema.name.toLowerCase()));
+    const declarations = schemas.map(schema => interfaceDeclaration(schema, conversion, generated));
+    const usesInterval = declarations.some(text => /: CimInterval\b/.test(text));
+
+    const header = [
+        '// Generated by wmi-nodejs from WMI class schemas. Do not edit.',
+        usesInterval ? 'import type { CimInterval } from \'wmi-nodejs\';' : null,
+        ''
+    ].filter(line => line !== null);
+    return `${header.join('\n')}\n${declarations.join('\n')}${declarations.length ? '' : 'export {};\n'}`;
+}
+
+module.exports = {
+    dumpSchema,
+    generateTypes
+};
@@ -0,0 +1,155 @@
+/**
+ * Streaming query results
+ *
+ * A cursor is the backend-level primitive: `{ next(maxRows), close() }`
+ * where `next` resolves with up to `maxRows` rows, or `null` once the
+ * results are exhausted. QueryReadable turns a cursor into an object-mode
+ * Readable, which is also an async iterator (`for await ... of`).
+ */
+
+const { Readable } = require('stream');
+const { queryAsync } = require('./backends/async');
+const { WmiTimeoutError, WmiAbortError } = require('./errors');
+
+/**
+ * Cursor over a result set that is computed in one go. Used for backends
+ * without native streaming support. The query starts on the first next(),
+ * so a cursor closed before it is read runs nothing and cannot leave a
+ * rejected Promise unhandled.
+ */
+class ArrayCursor {
+    /**
+     * @param {function(): Promise<Array<Object>>} run - Runs the query
+     */
+    constructor(run) {
+        this.run = run;
+        this.rows = null;
+        this.offset = 0;
+        this.closed = false;
+    }
+
+    next(maxRows = 64) {
+        if (!this.rows) this.rows = this.closed ? Promise.resolve([]) : this.run();
+        return this.rows.then(rows => {
+            if (this.closed || this.offset >= rows.length) return null;
+            const batch = rows.slice(this.offset, this.offset + maxRows);
+            this.offset += batch.length;
+            return batch;
+        });
+    }
+
+    close() {
+        this.closed = true;
+    }
+}
+
+/**
+ * Open a cursor on a backend, falling back to an ArrayCursor over
+ * the backend's (async) query.
+ * @param {Object} backend
+ * @param {string} wql
+ * @param {Object} [options] - { timeout, batchSize }
+ * @returns {{next: function(number): Promise<Array<Object>|null>, close: function()}}
+ */
+function openCursor(backend, wql, options = {}) {
+    if (typeof backend.queryStream === 'function') {
+        return backend.queryStream(wql, options);
+    }
+    return new ArrayCursor(() => queryAsync(backend, wql, { timeout: options.timeout }));
+}
+
+/**
+ * Object-mode Readable over a cursor. Rows are fetched in batches only when
+ * the consumer asks for more, and destroying the stream (including `break`
+ * out of `for await`) closes the cursor.
+ */
+class QueryReadable extends Readable {
+    /**
+     * @param {Object} cursor - { next(maxRows), close() }
+     * @param {string} wql - Query text, used in error messages
+     * @param {Object} [options]
+     * @param {number} [options.batchSize] - Rows fetched per cursor read, default 64
+     * @param {number} [options.highWaterMark] - Rows buffered by the stream, default 64
+     * @param {number} [options.timeout] - Destroy with WmiTimeoutError after this many ms
+     * @param {AbortSignal} [options.signal] - Destroy with WmiAbortError when aborted
+     * @param {function(Object): Object} [options.mapRow] - Applied to each row before it is pushed
+     */
+    constructor(cursor, wql, options = {}) {
+        super({ objectMode: true, autoDestroy: true, highWaterMark: options.highWaterMark || 64 });
+        this.cursor = cursor;
+        this.wql = wql;
+        this.batchSize = options.batchSize || 64;
+        this.mapRow = options.mapRow || null;
+        this.fetching = false;
+        this.timer = null;
+        this.signal = options.signal;
+        this.onAbort = () => this.destroy(new WmiAbortError(wql, this.signal.reason));
+
+        if (this.signal) {
+            if (this.signal.aborted) {
+                process.nextTick(this.onAbort);
+            } else {
+                this.signal.addEventListener('abort', this.onAbort);
+            }
+        }
+        if (options.timeout > 0) {
+            this.timer = setTimeout(() => this.destroy(new WmiTimeoutError(wql, options.timeout)), options.timeout);
+        }
+    }
+
+    _read() {
+        if (this.fetching) return;
+        this.fetching = true;
+
+        this.cursor.next(this.batchSize).then(rows => {
+            this.fetching = false;
+            if (this.destroyed) return;
+            if (rows === null) {
+                this.push(null);
+                return;
+            }
+            let wantsMore = true;
+            try {
+                rows.forEach(row => {
+                    wantsMore = this.push(this.mapRow ? this.mapRow(row) : row);
+                });
+            } catch (error) {
+                this.destroy(error);
+                return;
+            }
+            if (wantsMore) this._read();
+        }, error => {
+            this.fetching = false;
+            this.destroy(error);
+        });
+    }
+
+    _destroy(error, callback) {
+        if (this.timer) clearTimeout(this.timer);
+        if (this.signal) this.signal.removeEventListener('abort', this.onAbort);
+        try {
+            this.cursor.close();
+        } catch (closeError) {
+            return callback(error || closeError);
+        }
+        callback(error);
+    }
+}
+
+/**
+ * Run a query through a backend as an object-mode Readable.
+ * @param {Object} backend
+ * @param {string} wql
+ * @param {Object} [options] - See QueryReadable
+ * @returns {QueryReadable}
+ */
+function createQueryStream(backend, wql, options = {}) {
+    return new QueryReadable(openCursor(backend, wql, options), wql, options);
+}
+
+module.exports = {
+    ArrayCursor,
+    QueryReadable,
+    openCursor,
+    createQueryStream
+};
@@ -0,0 +1,64 @@
+/**
+ * Shared helpers for the JavaScript layer
+ */
+
+const { parseCimDateTime } = require('./datetime');
+
+const DEFAULT_NAMESPACE = 'root/cimv2';
+
+/**
+ * Normalise a namespace path for use as a lookup key.
+ * `ROOT\CIMV2`, `root/cimv2` and `/root/cimv2/` all map to `root/cimv2`.
+ * @param {string} [namespace] - Namespace path, defaults to root/cimv2
+ * @returns {string}
+ */
+function normalizeNamespace(namespace) {
+    return (namespace || DEFAULT_NAMESPACE)
+        .replace(/\\/g, '/')
+        .replace(/^\/+|\/+$/g, '')
+        .toLowerCase();
+}
+
+/**
+ * Find the key of `obj` that matches `name` case-insensitively,
+ * mirroring how WMI treats class and property names.
+ * @param {Object} obj
+ * @param {string} name
+ * @returns {string|undefined}
+ */
+function findKey(obj, name) {
+    if (Object.prototype.hasOwnProperty.call(obj, name)) return name;
+    const lower = name.toLowerCase();
+    return Object.keys(obj).find(key => key.toLowerCase() === lower);
+}
+
+/**
+ * A number from a 64-bit value in any conversion mode (number, bigint,
+ * decimal string, tagged value).
+ * @param {*} value
+ * @returns {number|null}
+ */
+function toNumber(value) {
+    if (value === null || value === undefined) return null;
+    if (typeof value === 'object' && value.$wmi) return toNumber(value.value);
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * A Date from a datetime property, converted or still a CIM string.
+ * @param {*} value
+ * @returns {Date|null}
+ */
+function toDate(value) {
+    if (value instanceof Date) return value;
+    return typeof value === 'string' ? parseCimDateTime(value) : null;
+}
+
+module.exports = {
+    DEFAULT_NAMESPACE,
+    normalizeNamespace,
+    findKey,
+    toNumber,
+    toDate
+};
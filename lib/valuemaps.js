@@ -0,0 +1,566 @@
+/**
+ * Value maps
+ *
+ * Many WMI properties are integer codes whose meaning is documented in
+ * the ValueMap/Values qualifiers of the class (NetConnectionStatus 2 is
+ * "Connected", DriveType 3 "Local Disk"). This module ships the tables of
+ * common root/cimv2 and root/virtualization/v2 classes and decodes rows
+ * by adding a label next to each mapped property:
+ *
+ *     { DeviceID: 'C:', DriveType: 3 }  →  { DeviceID: 'C:', DriveType: 3, DriveTypeLabel: 'Local Disk' }
+ *
+ * Array properties get a `Labels` array (OperationalStatusLabels). More
+ * tables can be registered by hand or built from a class schema's
+ * qualifiers with valueMapsFromSchema().
+ */
+
+const { JOB_STATES } = require('./jobs');
+const { findKey, toNumber } = require('./util');
+
+/** CIM_LogicalDevice.Availability */
+const AVAILABILITY = Object.freeze({
+    1: 'Other',
+    2: 'Unknown',
+    3: 'Running/Full Power',
+    4: 'Warning',
+    5: 'In Test',
+    6: 'Not Applicable',
+    7: 'Power Off',
+    8: 'Off Line',
+    9: 'Off Duty',
+    10: 'Degraded',
+    11: 'Not Installed',
+    12: 'Install Error',
+    13: 'Power Save - Unknown',
+    14: 'Power Save - Low Power Mode',
+    15: 'Power Save - Standby',
+    16: 'Power Cycle',
+    17: 'Power Save - Warning',
+    18: 'Paused',
+    19: 'Not Ready',
+    20: 'Not Configured',
+    21: 'Quiesced'
+});
+
+/** Win32 device ConfigManagerErrorCode (the Device Manager error codes). */
+const CONFIG_MANAGER_ERROR_CODES = Object.freeze({
+    0: 'This device is working properly.',
+    1: 'This device is not configured correctly.',
+    2: 'Windows cannot load the driver for this device.',
+    3: 'The driver for this device might be corrupted, or your system may be running low on memory or other resources.',
+    4: 'This device is not working properly. One of its drivers or your registry might be corrupted.',
+    5: 'The driver for this device needs a resource that Windows cannot manage.',
+    6: 'The boot configuration for this device conflicts with other devices.',
+    7: 'Cannot filter.',
+    8: 'The driver loader for the device is missing.',
+    9: 'This device is not working properly because the controlling firmware is reporting the resources for the device incorrectly.',
+    10: 'This device cannot start.',
+    11: 'This device failed.',
+    12: 'This device cannot find enough free resources that it can use.',
+    13: 'Windows cannot verify this device\'s resources.',
+    14: 'This device cannot work properly until you restart your computer.',
+    15: 'This device is not working properly because there is probably a re-enumeration problem.',
+    16: 'Windows cannot identify all the resources this device uses.',
+    17: 'This device is asking for an unknown resource type.',
+    18: 'Reinstall the drivers for this device.',
+    19: 'Failure using the VxD loader.',
+    20: 'Your registry might be corrupted.',
+    21: 'System failure: Try changing the driver for this device. If that does not work, see your hardware documentation. Windows is removing this device.',
+    22: 'This device is disabled.',
+    23: 'System failure: Try changing the driver for this device. If that does not work, see your hardware documentation.',
+    24: 'This device is not present, is not working properly, or does not have all its drivers installed.',
+    25: 'Windows is still setting up this device.',
+    26: 'Windows is still setting up this device.',
+    27: 'This device does not have valid log configuration.',
+    28: 'The drivers for this device are not installed.',
+    29: 'This device is disabled because the firmware of the device did not give it the required resources.',
+    30: 'This device is using an Interrupt Request (IRQ) resource that another device is using.',
+    31: 'This device is not working properly because Windows cannot load the drivers required for this device.'
+});
+
+/** Win32_LogicalDisk.DriveType and Win32_Volume.DriveType */
+const DRIVE_TYPES = Object.freeze({
+    0: 'Unknown',
+    1: 'No Root Directory',
+    2: 'Removable Disk',
+    3: 'Local Disk',
+    4: 'Network Drive',
+    5: 'Compact Disc',
+    6: 'RAM Disk'
+});
+
+/** Win32_NetworkAdapter.NetConnectionStatus */
+const NET_CONNECTION_STATUS = Object.freeze({
+    0: 'Disconnected',
+    1: 'Connecting',
+    2: 'Connected',
+    3: 'Disconnecting',
+    4: 'Hardware Not Present',
+    5: 'Hardware Disabled',
+    6: 'Hardware Malfunction',
+    7: 'Media Disconnected',
+    8: 'Authenticating',
+    9: 'Authentication Succeeded',
+    10: 'Authentication Failed',
+    11: 'Invalid Address',
+    12: 'Credentials Required'
+});
+
+/** Win32_NetworkAdapter.AdapterTypeId */
+const ADAPTER_TYPES = Object.freeze({
+    0: 'Ethernet 802.3',
+    1: 'Token Ring 802.5',
+    2: 'Fiber Distributed Data Interface (FDDI)',
+    3: 'Wide Area Network (WAN)',
+    4: 'LocalTalk',
+    5: 'Ethernet using DIX header format',
+    6: 'ARCNET',
+    7: 'ARCNET (878.2)',
+    8: 'ATM',
+    9: 'Wireless',
+    10: 'Infrared Wireless',
+    11: 'Bpc',
+    12: 'CoWan',
+    13: '1394'
+});
+
+/** Win32_Processor.ProcessorType */
+const PROCESSOR_TYPES = Object.freeze({
+    1: 'Other',
+    2: 'Unknown',
+    3: 'Central Processor',
+    4: 'Math Processor',
+    5: 'DSP Processor',
+    6: 'Video Processor'
+});
+
+/** Win32_Processor.Architecture */
+const PROCESSOR_ARCHITECTURES = Object.freeze({
+    0: 'x86',
+    1: 'MIPS',
+    2: 'Alpha',
+    3: 'PowerPC',
+    5: 'ARM',
+    6: 'ia64',
+    9: 'x64',
+    12: 'ARM64'
+});
+
+/** Win32_Processor.CpuStatus */
+const CPU_STATUS = Object.freeze({
+    0: 'Unknown',
+    1: 'CPU Enabled',
+    2: 'CPU Disabled by User via BIOS Setup',
+    3: 'CPU Disabled by BIOS (POST Error)',
+    4: 'CPU Is Idle',
+    5: 'Reserved',
+    6: 'Reserved',
+    7: 'Other'
+});
+
+/** Win32_ComputerSystem.DomainRole */
+const DOMAIN_ROLES = Object.freeze({
+    0: 'Standalone Workstation',
+    1: 'Member Workstation',
+    2: 'Standalone Server',
+    3: 'Member Server',
+    4: 'Backup Domain Controller',
+    5: 'Primary Domain Controller'
+});
+
+/** Win32_ComputerSystem.PCSystemType */
+const PC_SYSTEM_TYPES = Object.freeze({
+    0: 'Unspecified',
+    1: 'Desktop',
+    2: 'Mobile',
+    3: 'Workstation',
+    4: 'Enterprise Server',
+    5: 'SOHO Server',
+    6: 'Appliance PC',
+    7: 'Performance Server',
+    8: 'Maximum'
+});
+
+/** Win32_OperatingSystem.ProductType */
+const PRODUCT_TYPES = Object.freeze({
+    1: 'Workstation',
+    2: 'Domain Controller',
+    3: 'Server'
+});
+
+/** Win32_Battery.BatteryStatus */
+const BATTERY_STATUS = Object.freeze({
+    1: 'Discharging',
+    2: 'On AC Power',
+    3: 'Fully Charged',
+    4: 'Low',
+    5: 'Critical',
+    6: 'Charging',
+    7: 'Charging and High',
+    8: 'Charging and Low',
+    9: 'Charging and Critical',
+    10: 'Undefined',
+    11: 'Partially Charged'
+});
+
+/** Win32_PhysicalMemory.FormFactor */
+const MEMORY_FORM_FACTORS = Object.freeze({
+    0: 'Unknown',
+    1: 'Other',
+    2: 'SIP',
+    3: 'DIP',
+    4: 'ZIP',
+    5: 'SOJ',
+    6: 'Proprietary',
+    7: 'SIMM',
+    8: 'DIMM',
+    9: 'TSOP',
+    10: 'PGA',
+    11: 'RIMM',
+    12: 'SODIMM',
+    13: 'SRIMM',
+    14: 'SMD',
+    15: 'SSMP',
+    16: 'QFP',
+    17: 'TQFP',
+    18: 'SOIC',
+    19: 'LCC',
+    20: 'PLCC',
+    21: 'BGA',
+    22: 'FPBGA',
+    23: 'LGA'
+});
+
+/** Win32_PhysicalMemory.SMBIOSMemoryType (SMBIOS memory device types) */
+const SMBIOS_MEMORY_TYPES = Object.freeze({
+    1: 'Other',
+    2: 'Unknown',
+    3: 'DRAM',
+    4: 'EDRAM',
+    5: 'VRAM',
+    6: 'SRAM',
+    7: 'RAM',
+    8: 'ROM',
+    9: 'Flash',
+    10: 'EEPROM',
+    11: 'FEPROM',
+    12: 'EPROM',
+    13: 'CDRAM',
+    14: '3DRAM',
+    15: 'SDRAM',
+    16: 'SGRAM',
+    17: 'RDRAM',
+    18: 'DDR',
+    19: 'DDR2',
+    20: 'DDR2 FB-DIMM',
+    24: 'DDR3',
+    25: 'FBD2',
+    26: 'DDR4',
+    27: 'LPDDR',
+    28: 'LPDDR2',
+    29: 'LPDDR3',
+    30: 'LPDDR4',
+    31: 'Logical non-volatile device',
+    32: 'HBM',
+    33: 'HBM2',
+    34: 'DDR5',
+    35: 'LPDDR5'
+});
+
+/** CIM_EnabledLogicalElement.EnabledState */
+const ENABLED_STATES = Object.freeze({
+    0: 'Unknown',
+    1: 'Other',
+    2: 'Enabled',
+    3: 'Disabled',
+    4: 'Shutting Down',
+    5: 'Not Applicable',
+    6: 'Enabled but Offline',
+    7: 'In Test',
+    8: 'Deferred',
+    9: 'Quiesce',
+    10: 'Starting'
+});
+
+/** Msvm_ComputerSystem.EnabledState, with VM wording and Hyper-V's transitional states. */
+const VM_STATES = Object.freeze({
+    0: 'Unknown',
+    1: 'Other',
+    2: 'Running',
+    3: 'Off',
+    4: 'Shutting Down',
+    5: 'Not Applicable',
+    6: 'Saved',
+    7: 'In Test',
+    8: 'Deferred',
+    9: 'Paused',
+    10: 'Starting',
+    11: 'Resetting',
+    32768: 'Paused',
+    32769: 'Saved',
+    32770: 'Starting',
+    32771: 'Checkpointing',
+    32773: 'Saving',
+    32774: 'Stopping',
+    32776: 'Pausing',
+    32777: 'Resuming'
+});
+
+/** CIM_EnabledLogicalElement.RequestedState */
+const REQUESTED_STATES = Object.freeze({
+    0: 'Unknown',
+    2: 'Enabled',
+    3: 'Disabled',
+    4: 'Shut Down',
+    5: 'No Change',
+    6: 'Offline',
+    7: 'Test',
+    8: 'Deferred',
+    9: 'Quiesce',
+    10: 'Reboot',
+    11: 'Reset',
+    12: 'Not Applicable'
+});
+
+/** CIM_ManagedSystemElement.HealthState */
+const HEALTH_STATES = Object.freeze({
+    0: 'Unknown',
+    5: 'OK',
+    10: 'Degraded',
+    15: 'Minor Failure',
+    20: 'Major Failure',
+    25: 'Critical Failure',
+    30: 'Non-recoverable Error'
+});
+
+/** CIM_ManagedSystemElement.OperationalStatus, with Hyper-V's VM values. */
+const OPERATIONAL_STATUS = Object.freeze({
+    0: 'Unknown',
+    1: 'Other',
+    2: 'OK',
+    3: 'Degraded',
+    4: 'Stressed',
+    5: 'Predictive Failure',
+    6: 'Error',
+    7: 'Non-Recoverable Error',
+    8: 'Starting',
+    9: 'Stopping',
+    10: 'Stopped',
+    11: 'In Service',
+    12: 'No Contact',
+    13: 'Lost Communication',
+    14: 'Aborted',
+    15: 'Dormant',
+    16: 'Supporting Entity in Error',
+    17: 'Completed',
+    18: 'Power Mode',
+    32768: 'Creating Snapshot',
+    32769: 'Applying Snapshot',
+    32770: 'Deleting Snapshot',
+    32771: 'Waiting to Start',
+    32772: 'Merging Disks',
+    32773: 'Exporting Virtual Machine',
+    32774: 'Migrating Virtual Machine'
+});
+
+/** Msvm_ComputerSystem.EnhancedSessionModeState */
+const ENHANCED_SESSION_MODE_STATES = Object.freeze({
+    2: 'Allowed and Available',
+    3: 'Not Allowed',
+    6: 'Allowed but Not Available'
+});
+
+const DEVICE = { Availability: AVAILABILITY, ConfigManagerErrorCode: CONFIG_MANAGER_ERROR_CODES };
+
+/** Built-in tables by class, then property. */
+const BUILT_IN = {
+    Win32_ComputerSystem: { DomainRole: DOMAIN_ROLES, PCSystemType: PC_SYSTEM_TYPES },
+    Win32_OperatingSystem: { ProductType: PRODUCT_TYPES },
+    Win32_Processor: Object.assign({
+        ProcessorType: PROCESSOR_TYPES,
+        Architecture: PROCESSOR_ARCHITECTURES,
+        CpuStatus: CPU_STATUS
+    }, DEVICE),
+    Win32_PhysicalMemory: { FormFactor: MEMORY_FORM_FACTORS, SMBIOSMemoryType: SMBIOS_MEMORY_TYPES },
+    Win32_LogicalDisk: Object.assign({ DriveType: DRIVE_TYPES }, DEVICE),
+    Win32_Volume: Object.assign({ DriveType: DRIVE_TYPES }, DEVICE),
+    Win32_DiskDrive: DEVICE,
+    Win32_NetworkAdapter: Object.assign({
+        NetConnectionStatus: NET_CONNECTION_STATUS,
+        AdapterTypeId: ADAPTER_TYPES
+    }, DEVICE),
+    Win32_PnPEntity: DEVICE,
+    Win32_VideoController: DEVICE,
+    Win32_SoundDevice: DEVICE,
+    Win32_USBController: DEVICE,
+    Win32_Keyboard: DEVICE,
+    Win32_PointingDevice: DEVICE,
+    Win32_Battery: Object.assign({ BatteryStatus: BATTERY_STATUS }, DEVICE),
+    Msvm_ComputerSystem: {
+        EnabledState: VM_STATES,
+        RequestedState: REQUESTED_STATES,
+        HealthState: HEALTH_STATES,
+        OperationalStatus: OPERATIONAL_STATUS,
+        EnhancedSessionModeState: ENHANCED_SESSION_MODE_STATES
+    },
+    Msvm_VirtualEthernetSwitch: { EnabledState: ENABLED_STATES, HealthState: HEALTH_STATES, OperationalStatus: OPERATIONAL_STATUS },
+    Msvm_EthernetPortAllocationSettingData: { EnabledState: ENABLED_STATES },
+    Msvm_ConcreteJob: { JobState: JOB_STATES },
+    Msvm_StorageJob: { JobState: JOB_STATES },
+    CIM_ConcreteJob: { JobState: JOB_STATES }
+};
+
+/**
+ * Value maps by class and property. Lookups are case-insensitive and fall
+ * back to the parent registry, so a client can add maps of its own on top
+ * of the shared ones.
+ */
+class ValueMapRegistry {
+    /**
+     * @param {ValueMapRegistry} [parent]
+     */
+    constructor(parent) {
+        this.parent = parent || null;
+        this.classes = new Map();
+    }
+
+    /**
+     * Register (or replace) the labels of one property.
+     * @param {string} className
+     * @param {string} property
+     * @param {Object<string, string>} labels - Label by value
+     * @returns {this}
+     */
+    register(className, property, labels) {
+        if (!labels || typeof labels !== 'object') {
+            throw new TypeError(`Value map of ${className}.${property} must be an object of labels by value`);
+        }
+        const key = className.toLowerCase();
+        if (!this.classes.has(key)) this.classes.set(key, new Map());
+        this.classes.get(key).set(property.toLowerCase(), labels);
+        return this;
+    }
+
+    /**
+     * Register several properties of a class.
+     * @param {string} className
+     * @param {Object<string, Object<string, string>>} maps - Labels by property
+     * @returns {this}
+     */
+    registerClass(className, maps) {
+        Object.keys(maps).forEach(property => this.register(className, property, maps[property]));
+        return this;
+    }
+
+    /**
+     * Labels of a property, or undefined when the property has no map.
+     * @param {string} className
+     * @param {string} property
+     * @returns {Object<string, string>|undefined}
+     */
+    lookup(className, property) {
+        const own = this.classes.get(className.toLowerCase());
+        const labels = own && own.get(property.toLowerCase());
+        if (labels) return labels;
+        return this.parent ? this.parent.lookup(className, property) : undefined;
+    }
+
+    /**
+     * Whether any property of the class has a map.
+     * @param {string} className
+     * @returns {boolean}
+     */
+    has(className) {
+        return this.classes.has(className.toLowerCase()) || Boolean(this.parent && this.parent.has(className));
+    }
+
+    /**
+     * Copy of a row with a label after each mapped property: `<Property>Label`,
+     * or `<Property>Labels` for arrays. Values missing from the map get a
+     * null label. The row's __CLASS, when present, takes precedence over
+     * `className`, so queries of a base class decode each subclass.
+     * @param {string} className
+     * @param {Object} row
+     * @returns {Object}
+     */
+    decodeRow(className, row) {
+        if (!row || typeof row !== 'object') return row;
+        const actual = typeof row.__CLASS === 'string' ? row.__CLASS : className;
+        if (!actual || !this.has(actual)) return row;
+        const decoded = {};
+        Object.keys(row).forEach(property => {
+            const value = row[property];
+            decoded[property] = value;
+            const labels = this.lookup(actual, property);
+            if (!labels) return;
+            if (Array.isArray(value)) {
+                decoded[`${property}Labels`] = value.map(item => labelOf(labels, item));
+            } else {
+                decoded[`${property}Label`] = labelOf(labels, value);
+            }
+        });
+        return decoded;
+    }
+}
+
+function labelOf(labels, value) {
+    if (value === null || value === undefined) return null;
+    const number = typeof value === 'string' ? value : toNumber(value);
+    const key = findKey(labels, String(number));
+    return key === undefined ? null : labels[key];
+}
+
+/**
+ * Value of a ValueMap entry, or null for ranges (`4..10`, `..`) which
+ * cannot be listed.
+ */
+function mapValue(entry) {
+    const text = String(entry).trim();
+    if (text.includes('..')) return null;
+    if (/^0x[0-9a-f]+$/i.test(text)) return String(parseInt(text, 16));
+    if (/^[-+]?\d+$/.test(text)) return String(Number(text));
+    return text;
+}
+
+/**
+ * Build value maps from the ValueMap/Values qualifiers of a class schema
+ * (as WmiClient#getClass returns). A property with Values but no ValueMap
+ * maps 0, 1, 2... to the Values in order.
+ * @param {Object} schema - Class schema, see lib/schema
+ * @returns {Object<string, Object<string, string>>} Labels by property name
+ */
+function valueMapsFromSchema(schema) {
+    const maps = {};
+    (schema.properties || []).forEach(property => {
+        const qualifiers = property.qualifiers || {};
+        const valuesKey = findKey(qualifiers, 'Values');
+        const values = valuesKey === undefined ? null : qualifiers[valuesKey];
+        if (!Array.isArray(values) || values.length === 0) return;
+        const mapKey = findKey(qualifiers, 'ValueMap');
+        const valueMap = mapKey === undefined ? null : qualifiers[mapKey];
+        const labels = {};
+        values.forEach((label, index) => {
+            const value = Array.isArray(valueMap) ? mapValue(valueMap[index]) : String(index);
+            if (value !== null && value !== undefined && labels[value] === undefined) labels[value] = String(label);
+        });
+        if (Object.keys(labels).length) maps[property.name] = labels;
+    });
+    return maps;
+}
+
+/** The registry with the built-in tables, shared by every client. */
+const defaultValueMaps = new ValueMapRegistry();
+Object.keys(BUILT_IN).forEach(className => defaultValueMaps.registerClass(className, BUILT_IN[className]));
+
+module.exports = {
+    ValueMapRegistry,
+    defaultValueMaps,
+    valueMapsFromSchema,
+    AVAILABILITY,
+    CONFIG_MANAGER_ERROR_CODES,
+    DRIVE_TYPES,
+    NET_CONNECTION_STATUS,
+    VM_STATES,
+    HEALTH_STATES,
+    OPERATIONAL_STATUS
+};
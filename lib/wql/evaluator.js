@@ -0,0 +1,180 @@
+/**
+ * WQL evaluator
+ *
+ * Runs a parsed SELECT statement over plain arrays of objects, following
+ * WMI semantics: names and string comparisons are case-insensitive and any
+ * comparison involving NULL is false.
+ */
+
+const { parseWql } = require('./parser');
+const { findKey } = require('../util');
+
+/**
+ * Resolve a (possibly dotted) property name against a row.
+ * `__this` refers to the row itself.
+ * @param {Object} row
+ * @param {string} name
+ * @returns {*} The value, or null when any segment is missing
+ */
+function resolveProperty(row, name) {
+    let value = row;
+    for (const segment of name.split('.')) {
+        if (segment.toLowerCase() === '__this') continue;
+        if (value === null || typeof value !== 'object') return null;
+        const key = findKey(value, segment);
+        if (key === undefined) return null;
+        value = value[key];
+    }
+    return value === undefined ? null : value;
+}
+
+/**
+ * Convert a WQL LIKE pattern (%, _, [abc], [^abc], [a-z]) to a RegExp.
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+function likeToRegExp(pattern) {
+    let source = '';
+    for (let i = 0; i < pattern.length; i++) {
+        const ch = pattern[i];
+        if (ch === '%') {
+            source += '[\\s\\S]*';
+        } else if (ch === '_') {
+            source += '[\\s\\S]';
+        } else if (ch === '[') {
+            const end = pattern.indexOf(']', i + 1);
+            if (end === -1) {
+                source += '\\[';
+                continue;
+            }
+            let set = pattern.slice(i + 1, end);
+            const negated = set[0] === '^';
+            if (negated) set = set.slice(1);
+            source += '[' + (negated ? '^' : '') + set.replace(/[\\\]^]/g, '\\$&') + ']';
+            i = end;
+        } else {
+            source += ch.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+        }
+    }
+    return new RegExp('^' + source + '$', 'i');
+}
+
+/**
+ * Coerce two values into a comparable pair, or return null when
+ * they cannot be compared.
+ */
+function comparable(a, b) {
+    if (a === null || b === null || typeof a === 'object' || typeof b === 'object') {
+        return null;
+    }
+    if (typeof a === 'boolean' || typeof b === 'boolean') {
+        const toBool = v => (typeof v === 'string' ? v.toLowerCase() === 'true' : Boolean(v));
+        return [Number(toBool(a)), Number(toBool(b))];
+    }
+    if (typeof a === 'number' || typeof b === 'number' || typeof a === 'bigint' || typeof b === 'bigint') {
+        const x = Number(a);
+        const y = Number(b);
+        if (Number.isNaN(x) || Number.isNaN(y)) return null;
+        return [x, y];
+    }
+    return [String(a).toLowerCase(), String(b).toLowerCase()];
+}
+
+function compare(operator, a, b) {
+    const pair = comparable(a, b);
+    if (!pair) return false;
+    const [x, y] = pair;
+    switch (operator) {
+        case '=': return x === y;
+        case '<>': return x !== y;
+        case '<': return x < y;
+        case '>': return x > y;
+        case '<=': return x <= y;
+        case '>=': return x >= y;
+        default: return false;
+    }
+}
+
+function operandValue(operand, row) {
+    return operand.type === 'literal' ? operand.value : resolveProperty(row, operand.name);
+}
+
+/**
+ * Test whether an object is an instance of (or, for class rows, derives
+ * from) `className`, using the `__CLASS` and `__DERIVATION` system properties.
+ */
+function isA(value, className, fallbackClass) {
+    if (value === null || typeof value !== 'object') return false;
+    const target = className.toLowerCase();
+    const ownClass = resolveProperty(value, '__CLASS') || fallbackClass;
+    const derivation = resolveProperty(value, '__DERIVATION') || [];
+    return [ownClass].concat(derivation)
+        .some(name => typeof name === 'string' && name.toLowerCase() === target);
+}
+
+/**
+ * Evaluate a WHERE condition against a row.
+ * @param {Object} node - Condition AST node
+ * @param {Object} row
+ * @param {string} [className] - Class of the row when it carries no __CLASS
+ * @returns {boolean}
+ */
+function matches(node, row, className) {
+    switch (node.type) {
+        case 'and':
+            return matches(node.left, row, className) && matches(node.right, row, className);
+        case 'or':
+            return matches(node.left, row, className) || matches(node.right, row, className);
+        case 'not':
+            return !matches(node.operand, row, className);
+        case 'comparison':
+            return compare(node.operator, operandValue(node.left, row), operandValue(node.right, row));
+        case 'like': {
+            const value = resolveProperty(row, node.property.name);
+            if (value === null || typeof value === 'object') return false;
+            return likeToRegExp(node.pattern).test(String(value)) !== node.negated;
+        }
+        case 'isNull':
+            return (resolveProperty(row, node.property.name) === null) !== node.negated;
+        case 'isa': {
+            const isThis = node.property.name.toLowerCase() === '__this';
+            const value = isThis ? row : resolveProperty(row, node.property.name);
+            return isA(value, node.className, isThis ? className : undefined);
+        }
+        default:
+            throw new Error(`Unknown WQL node type "${node.type}"`);
+    }
+}
+
+/**
+ * Project a row onto the SELECT list.
+ */
+function project(row, properties) {
+    if (properties[0] === '*') return Object.assign({}, row);
+    const projected = {};
+    properties.forEach(name => {
+        const key = name.includes('.') ? undefined : findKey(row, name);
+        projected[key || name] = key ? row[key] : resolveProperty(row, name);
+    });
+    return projected;
+}
+
+/**
+ * Run a WQL query over an array of rows.
+ * @param {string|Object} query - WQL text or an AST from parseWql
+ * @param {Array<Object>} rows - Instances of the queried class
+ * @returns {Array<Object>} Matching rows, projected onto the SELECT list
+ */
+function evaluateWql(query, rows) {
+    const ast = typeof query === 'string' ? parseWql(query) : query;
+    return rows
+        .filter(row => !ast.where || matches(ast.where, row, ast.className))
+        .map(row => project(row, ast.properties));
+}
+
+module.exports = {
+    evaluateWql,
+    matches,
+    resolveProperty,
+    likeToRegExp
+};
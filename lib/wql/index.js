@@ -0,0 +1,15 @@
+/**
+ * WQL parsing and evaluation
+ */
+
+const { tokenize } = require('./lexer');
+const { parseWql } = require('./parser');
+const { evaluateWql, matches, likeToRegExp } = require('./evaluator');
+
+module.exports = {
+    tokenize,
+    parseWql,
+    evaluateWql,
+    matches,
+    likeToRegExp
+};
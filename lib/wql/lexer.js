@@ -0,0 +1,100 @@
+/**
+ * WQL tokenizer
+ */
+
+const { WqlSyntaxError } = require('../errors');
+
+const KEYWORDS = new Set([
+    'SELECT', 'FROM', 'WHERE', 'AND', 'OR', 'NOT', 'LIKE', 'IS', 'ISA',
+    'NULL', 'TRUE', 'FALSE', 'WITHIN', 'GROUP', 'BY', 'HAVING'
+]);
+
+const OPERATORS = ['<>', '!=', '<=', '>=', '=', '<', '>'];
+
+/**
+ * Split WQL text into tokens.
+ *
+ * Token types: keyword, identifier, string, number, operator, comma,
+ * lparen, rparen, star, eof. Every token carries its `position`.
+ *
+ * @param {string} wql - Query text
+ * @returns {Array<{type: string, value: *, position: number}>}
+ */
+function tokenize(wql) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < wql.length) {
+        const ch = wql[i];
+
+        if (/\s/.test(ch)) {
+            i++;
+            continue;
+        }
+
+        const start = i;
+
+        if (ch === '\'' || ch === '"') {
+            let value = '';
+            i++;
+            while (i < wql.length && wql[i] !== ch) {
+                if (wql[i] === '\\' && i + 1 < wql.length) {
+                    i++;
+                }
+                value += wql[i];
+                i++;
+            }
+            if (i >= wql.length) {
+                throw new WqlSyntaxError('Unterminated string literal', wql, start);
+            }
+            i++;
+            tokens.push({ type: 'string', value, position: start });
+            continue;
+        }
+
+        const number = /^-?(0x[0-9a-f]+|\d+(\.\d+)?(e[+-]?\d+)?)/i.exec(wql.slice(i));
+        if (number) {
+            const text = number[0];
+            const magnitude = Number(text.replace(/^-/, ''));
+            i += text.length;
+            tokens.push({ type: 'number', value: text[0] === '-' ? -magnitude : magnitude, position: start });
+            continue;
+        }
+
+        const word = /^[A-Za-z_][A-Za-z0-9_]*(\.[A-Za-z_][A-Za-z0-9_]*)*/.exec(wql.slice(i));
+        if (word) {
+            const upper = word[0].toUpperCase();
+            i += word[0].length;
+            if (KEYWORDS.has(upper)) {
+                tokens.push({ type: 'keyword', value: upper, position: start });
+            } else {
+                tokens.push({ type: 'identifier', value: word[0], position: start });
+            }
+            continue;
+        }
+
+        const operator = OPERATORS.find(op => wql.startsWith(op, i));
+        if (operator) {
+            i += operator.length;
+            tokens.push({ type: 'operator', value: operator === '!=' ? '<>' : operator, position: start });
+            continue;
+        }
+
+        const punctuation = { ',': 'comma', '(': 'lparen', ')': 'rparen', '*': 'star' }[ch];
+        if (punctuation) {
+            i++;
+            tokens.push({ type: punctuation, value: ch, position: start });
+            continue;
+        }
+
+        throw new WqlSyntaxError(`Unexpected character "${ch}"`, wql, start);
+    }
+
+    tokens.push({ type: 'eof', value: null, position: wql.length });
+    return tokens;
+}
+
+module.exports = {
+    tokenize,
+    KEYWORDS
+};
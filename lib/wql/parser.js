@@ -0,0 +1,259 @@
+/**
+ * WQL parser
+ *
+ * Recursive-descent parser for WQL data and event queries:
+ *
+ *     SELECT <* | prop, ...> FROM <Class> [WITHIN <n>] [WHERE <condition>]
+ *         [GROUP WITHIN <n> [BY <prop>, ...] [HAVING <condition>]]
+ *
+ * AST node shapes:
+ *
+ *     { type: 'select', properties: ['*'] | [name, ...], className, within, where,
+ *       groupWithin, groupBy, having }
+ *     { type: 'and' | 'or', left, right }
+ *     { type: 'not', operand }
+ *     { type: 'comparison', operator, left, right }     operator: = <> < > <= >=
+ *     { type: 'like', property, pattern, negated }
+ *     { type: 'isNull', property, negated }
+ *     { type: 'isa', property, className }
+ *     { type: 'property', name }                        name may be dotted
+ *     { type: 'literal', value }                        string, number, boolean or null
+ */
+
+const { tokenize } = require('./lexer');
+const { WqlSyntaxError } = require('../errors');
+
+class Parser {
+    constructor(wql) {
+        this.wql = wql;
+        this.tokens = tokenize(wql);
+        this.index = 0;
+    }
+
+    peek() {
+        return this.tokens[this.index];
+    }
+
+    next() {
+        return this.tokens[this.index++];
+    }
+
+    isKeyword(value) {
+        const token = this.peek();
+        return token.type === 'keyword' && token.value === value;
+    }
+
+    acceptKeyword(value) {
+        if (this.isKeyword(value)) {
+            this.index++;
+            return true;
+        }
+        return false;
+    }
+
+    fail(message, token = this.peek()) {
+        throw new WqlSyntaxError(message, this.wql, token.position);
+    }
+
+    describe(token) {
+        return token.type === 'eof' ? 'end of query' : `"${token.value}"`;
+    }
+
+    expectKeyword(value) {
+        if (!this.acceptKeyword(value)) {
+            this.fail(`Expected ${value} but found ${this.describe(this.peek())}`);
+        }
+    }
+
+    expect(type, label) {
+        const token = this.peek();
+        if (token.type !== type) {
+            this.fail(`Expected ${label} but found ${this.describe(token)}`);
+        }
+        return this.next();
+    }
+
+    expectInteger(label) {
+        const token = this.expect('number', label);
+        if (!Number.isInteger(token.value) || token.value < 0) {
+            this.fail(`Expected ${label} but found ${token.value}`, token);
+        }
+        return token.value;
+    }
+
+    parseQuery() {
+        this.expectKeyword('SELECT');
+
+        const properties = [];
+        if (this.peek().type === 'star') {
+            this.next();
+            properties.push('*');
+        } else {
+            do {
+                properties.push(this.expect('identifier', 'property name').value);
+            } while (this.peek().type === 'comma' && this.next());
+        }
+
+        this.expectKeyword('FROM');
+        const className = this.expect('identifier', 'class name').value;
+        if (className.includes('.')) {
+            this.fail(`Invalid class name "${className}"`, this.tokens[this.index - 1]);
+        }
+
+        const ast = {
+            type: 'select',
+            properties,
+            className,
+            within: null,
+            where: null,
+            groupWithin: null,
+            groupBy: null,
+            having: null
+        };
+
+        if (this.acceptKeyword('WITHIN')) {
+            ast.within = this.expectInteger('polling interval');
+        }
+
+        if (this.acceptKeyword('WHERE')) {
+            ast.where = this.parseOr();
+        }
+
+        if (this.acceptKeyword('GROUP')) {
+            this.expectKeyword('WITHIN');
+            ast.groupWithin = this.expectInteger('grouping interval');
+            if (this.acceptKeyword('BY')) {
+                ast.groupBy = [];
+                do {
+                    ast.groupBy.push(this.expect('identifier', 'property name').value);
+                } while (this.peek().type === 'comma' && this.next());
+            }
+            if (this.acceptKeyword('HAVING')) {
+                ast.having = this.parseOr();
+            }
+        }
+
+        if (this.peek().type !== 'eof') {
+            this.fail(`Unexpected ${this.describe(this.peek())}`);
+        }
+
+        return ast;
+    }
+
+    parseOr() {
+        let left = this.parseAnd();
+        while (this.acceptKeyword('OR')) {
+            left = { type: 'or', left, right: this.parseAnd() };
+        }
+        return left;
+    }
+
+    parseAnd() {
+        let left = this.parseNot();
+        while (this.acceptKeyword('AND')) {
+            left = { type: 'and', left, right: this.parseNot() };
+        }
+        return left;
+    }
+
+    parseNot() {
+        if (this.acceptKeyword('NOT')) {
+            return { type: 'not', operand: this.parseNot() };
+        }
+        return this.parsePrimary();
+    }
+
+    parsePrimary() {
+        if (this.peek().type === 'lparen') {
+            this.next();
+            const expression = this.parseOr();
+            this.expect('rparen', '")"');
+            return expression;
+        }
+
+        const left = this.parseOperand();
+
+        if (left.type === 'property') {
+            if (this.acceptKeyword('IS')) {
+                const negated = this.acceptKeyword('NOT');
+                this.expectKeyword('NULL');
+                return { type: 'isNull', property: left, negated };
+            }
+
+            if (this.acceptKeyword('ISA')) {
+                const token = this.peek();
+                if (token.type !== 'string' && token.type !== 'identifier') {
+                    this.fail(`Expected class name but found ${this.describe(token)}`);
+                }
+                this.next();
+                return { type: 'isa', property: left, className: token.value };
+            }
+
+            const negated = this.isKeyword('NOT') && this.tokens[this.index + 1].value === 'LIKE';
+            if (negated) this.next();
+            if (this.acceptKeyword('LIKE')) {
+                const pattern = this.expect('string', 'LIKE pattern');
+                return { type: 'like', property: left, pattern: pattern.value, negated };
+            }
+        }
+
+        const operator = this.peek();
+        if (operator.type !== 'operator') {
+            this.fail(`Expected comparison operator but found ${this.describe(operator)}`);
+        }
+        this.next();
+
+        const right = this.parseOperand();
+        if (left.type === 'literal' && right.type === 'literal') {
+            this.fail('A comparison needs at least one property', operator);
+        }
+
+        // `Prop = NULL` and `Prop <> NULL` are accepted by WMI as IS [NOT] NULL.
+        const property = left.type === 'property' ? left : right;
+        const other = left.type === 'property' ? right : left;
+        if (other.type === 'literal' && other.value === null) {
+            if (operator.value !== '=' && operator.value !== '<>') {
+                this.fail(`Operator ${operator.value} cannot be used with NULL`, operator);
+            }
+            return { type: 'isNull', property, negated: operator.value === '<>' };
+        }
+
+        return { type: 'comparison', operator: operator.value, left, right };
+    }
+
+    parseOperand() {
+        const token = this.next();
+        switch (token.type) {
+            case 'identifier':
+                return { type: 'property', name: token.value };
+            case 'string':
+            case 'number':
+                return { type: 'literal', value: token.value };
+            case 'keyword':
+                if (token.value === 'TRUE') return { type: 'literal', value: true };
+                if (token.value === 'FALSE') return { type: 'literal', value: false };
+                if (token.value === 'NULL') return { type: 'literal', value: null };
+                break;
+            default:
+                break;
+        }
+        return this.fail(`Expected property or value but found ${this.describe(token)}`, token);
+    }
+}
+
+/**
+ * Parse WQL text into an AST.
+ * @param {string} wql - Query text
+ * @returns {Object} `select` AST node
+ * @throws {WqlSyntaxError} When the query is not valid WQL
+ */
+function parseWql(wql) {
+    if (typeof wql !== 'string') {
+        throw new TypeError('WQL query must be a string');
+    }
+    return new Parser(wql).parseQuery();
+}
+
+module.exports = {
+    parseWql
+};
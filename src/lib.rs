@@ -2,10 +2,29 @@ use napi::bindgen_prelude::*;
 use napi_derive::napi;
 use serde_json::Value;
 use std::collections::HashMap;
-use wmi::{COMLibrary, WMIConnection, Variant};
+use std::sync::atomic::{AtomicBool, Ordering};
+use std::sync::mpsc::{sync_channel, Receiver, RecvTimeoutError};
+use std::sync::{Arc, Mutex};
+use std::thread;
+use std::ops::Deref;
+use std::time::{Duration, Instant};
+use windows::core::{BSTR, PCWSTR};
+use windows::Win32::System::Com::{
+    CoSetProxyBlanket, EOAC_NONE, RPC_C_AUTHN_LEVEL, RPC_C_IMP_LEVEL_IMPERSONATE,
+};
+use windows::Win32::System::Rpc::{
+    RPC_C_AUTHN_WINNT, RPC_C_AUTHZ_NONE, SEC_WINNT_AUTH_IDENTITY_UNICODE, SEC_WINNT_AUTH_IDENTITY_W,
+};
+use windows::Win32::System::Wmi::{
+    IEnumWbemClassObject, IWbemClassObject, WBEM_FLAG_FORWARD_ONLY, WBEM_FLAG_RETURN_IMMEDIATELY, WBEM_S_TIMEDOUT,
+};
+use wmi::result_enumerator::IWbemClassWrapper;
+use wmi::{COMLibrary, Variant, WMIConnection, WMIError};
 
 // 将WMI Variant转换为JSON Value
-fn variant_to_json(variant: &Variant) -> Value {
+// lossless模式下，无法用JSON数字精确表示的值以 {"$wmi": 类型, "value": ...} 标记对象返回，
+// 由JS层（lib/convert.js）按转换选项还原为BigInt、字符串、NaN等
+fn variant_to_json(variant: &Variant, lossless: bool) -> Value {
     match variant {
         Variant::Empty => Value::Null,
         Variant::Null => Value::Null,
@@ -13,35 +32,739 @@ fn variant_to_json(variant: &Variant) -> Value {
         Variant::I1(i) => Value::Number((*i as i64).into()),
         Variant::I2(i) => Value::Number((*i as i64).into()),
         Variant::I4(i) => Value::Number((*i as i64).into()),
+        Variant::I8(i) if lossless => tagged("sint64", Value::String(i.to_string())),
         Variant::I8(i) => Value::Number((*i).into()),
         Variant::UI1(i) => Value::Number((*i as u64).into()),
         Variant::UI2(i) => Value::Number((*i as u64).into()),
         Variant::UI4(i) => Value::Number((*i as u64).into()),
+        Variant::UI8(i) if lossless => tagged("uint64", Value::String(i.to_string())),
         Variant::UI8(i) => Value::Number((*i).into()),
-        Variant::R4(f) => Value::Number(serde_json::Number::from_f64(*f as f64).unwrap_or_else(|| 0.into())),
-        Variant::R8(f) => Value::Number(serde_json::Number::from_f64(*f).unwrap_or_else(|| 0.into())),
+        Variant::R4(f) => float_to_json(*f as f64, lossless),
+        Variant::R8(f) => float_to_json(*f, lossless),
         Variant::Bool(b) => Value::Bool(*b),
         Variant::Array(arr) => {
-            let values: Vec<Value> = arr.iter().map(variant_to_json).collect();
+            let values: Vec<Value> = arr.iter().map(|v| variant_to_json(v, lossless)).collect();
             Value::Array(values)
         }
+        Variant::Object(obj) if lossless => tagged("object", object_to_json(obj, lossless)),
+        _ if lossless => tagged("unknown", Value::String(format!("{:?}", variant))),
         _ => Value::String(format!("{:?}", variant)),
     }
 }
 
+// 将WMI对象（嵌入对象、方法输出参数）的非系统属性转换为JSON对象
+fn object_to_json(obj: &IWbemClassWrapper, lossless: bool) -> Value {
+    let mut properties = serde_json::Map::new();
+    if let Ok(names) = obj.list_properties() {
+        for name in names {
+            let value = obj
+                .get_property(&name)
+                .map(|v| variant_to_json(&v, lossless))
+                .unwrap_or(Value::Null);
+            properties.insert(name, value);
+        }
+    }
+    Value::Object(properties)
+}
+
+// 将事件对象转换为JSON对象，包含__CLASS
+// 与查询结果不同，嵌入的实例（TargetInstance、PreviousInstance等）在兼容模式下也展开为JSON对象
+fn event_to_json(obj: &IWbemClassWrapper, lossless: bool) -> Value {
+    let mut properties = serde_json::Map::new();
+    if let Ok(class_name) = obj.get_property("__CLASS") {
+        properties.insert("__CLASS".to_string(), variant_to_json(&class_name, false));
+    }
+    if let Ok(names) = obj.list_properties() {
+        for name in names {
+            let value = match obj.get_property(&name) {
+                Ok(Variant::Object(inner)) => event_to_json(&inner, lossless),
+                Ok(v) => variant_to_json(&v, lossless),
+                Err(_) => Value::Null,
+            };
+            properties.insert(name, value);
+        }
+    }
+    Value::Object(properties)
+}
+
+// 将JSON方法参数转换为WMI Variant
+// 超出32位范围的整数和64位标记值按WMI约定以字符串传递；标记值由JS层（lib/methods.js）生成
+fn json_to_variant(name: &str, value: &Value) -> Result<Variant> {
+    let variant = match value {
+        Value::Null => Variant::Null,
+        Value::Bool(b) => Variant::Bool(*b),
+        Value::String(s) => Variant::String(s.clone()),
+        Value::Number(n) => match (n.as_i64(), n.as_u64()) {
+            (Some(i), _) if i >= i32::MIN as i64 && i <= i32::MAX as i64 => Variant::I4(i as i32),
+            (Some(i), _) => Variant::String(i.to_string()),
+            (None, Some(u)) => Variant::String(u.to_string()),
+            _ => Variant::R8(n.as_f64().unwrap_or(0.0)),
+        },
+        Value::Array(items) => Variant::Array(
+            items
+                .iter()
+                .map(|item| json_to_variant(name, item))
+                .collect::<Result<Vec<Variant>>>()?,
+        ),
+        Value::Object(map) => match (map.get("$wmi").and_then(Value::as_str), map.get("value")) {
+            (Some("uint64"), Some(Value::String(s))) | (Some("sint64"), Some(Value::String(s))) => {
+                Variant::String(s.clone())
+            }
+            (Some("real"), Some(Value::String(s))) => Variant::R8(match s.as_str() {
+                "inf" => f64::INFINITY,
+                "-inf" => f64::NEG_INFINITY,
+                _ => f64::NAN,
+            }),
+            _ => {
+                return Err(Error::new(
+                    Status::InvalidArg,
+                    format!("Unsupported value for parameter {}", name),
+                ))
+            }
+        },
+    };
+    Ok(variant)
+}
+
+// 构造带类型标记的JSON值
+fn tagged(kind: &str, value: Value) -> Value {
+    let mut object = serde_json::Map::new();
+    object.insert("$wmi".to_string(), Value::String(kind.to_string()));
+    object.insert("value".to_string(), value);
+    Value::Object(object)
+}
+
+// 浮点数转换：NaN和无穷大在兼容模式下为0，lossless模式下保留为标记值
+fn float_to_json(f: f64, lossless: bool) -> Value {
+    match serde_json::Number::from_f64(f) {
+        Some(n) => Value::Number(n),
+        None if lossless => tagged("real", Value::String(f.to_string())),
+        None => Value::Number(0.into()),
+    }
+}
+
+// 将wmi-rs错误转换为napi错误
+// 错误消息统一为英文；带有HRESULT时以 "[HRESULT 0x80041010]" 标记，JS层据此生成对应的错误类
+fn wmi_error(context: &str, e: WMIError) -> Error {
+    let message = match &e {
+        WMIError::HResultError { hres } => {
+            format!("{} [HRESULT 0x{:08X}]: {}", context, *hres as u32, e)
+        }
+        _ => format!("{}: {}", context, e),
+    };
+    Error::new(Status::GenericFailure, message)
+}
+
+// 连接目标：命名空间，以及远程连接使用的服务器、凭据和身份验证级别
+#[derive(Clone)]
+struct ConnectionTarget {
+    namespace: String,
+    server: Option<String>,
+    username: Option<String>,
+    password: Option<String>,
+    domain: Option<String>,
+    auth_level: Option<u32>,
+}
+
+impl ConnectionTarget {
+    // 未指定服务器，或服务器为 "." / "localhost" 时为本机连接
+    fn is_remote(&self) -> bool {
+        match self.server.as_deref() {
+            None => false,
+            Some(server) => !(server.is_empty() || server == "." || server.eq_ignore_ascii_case("localhost")),
+        }
+    }
+}
+
+// 设置代理身份验证信息时使用的凭据
+// COM在代理释放前会引用其中的字符串，因此与连接一同保存
+struct AuthIdentity {
+    user: Vec<u16>,
+    domain: Vec<u16>,
+    password: Vec<u16>,
+}
+
+impl AuthIdentity {
+    fn new(user: &str, domain: &str, password: &str) -> Box<Self> {
+        Box::new(AuthIdentity {
+            user: user.encode_utf16().collect(),
+            domain: domain.encode_utf16().collect(),
+            password: password.encode_utf16().collect(),
+        })
+    }
+
+    fn as_raw(&mut self) -> SEC_WINNT_AUTH_IDENTITY_W {
+        SEC_WINNT_AUTH_IDENTITY_W {
+            User: self.user.as_mut_ptr(),
+            UserLength: self.user.len() as u32,
+            Domain: self.domain.as_mut_ptr(),
+            DomainLength: self.domain.len() as u32,
+            Password: self.password.as_mut_ptr(),
+            PasswordLength: self.password.len() as u32,
+            Flags: SEC_WINNT_AUTH_IDENTITY_UNICODE,
+        }
+    }
+}
+
+// WMI连接及其身份验证信息；字段按声明顺序释放，连接先于凭据释放
+struct Connection {
+    con: WMIConnection,
+    _identity: Option<(Box<AuthIdentity>, Box<SEC_WINNT_AUTH_IDENTITY_W>)>,
+}
+
+impl Deref for Connection {
+    type Target = WMIConnection;
+
+    fn deref(&self) -> &WMIConnection {
+        &self.con
+    }
+}
+
+// 建立到指定命名空间的WMI连接
+// 远程连接使用wmi-rs的凭据连接，并按需以CoSetProxyBlanket设置身份验证级别
+fn connect(target: &ConnectionTarget) -> Result<Connection> {
+    let com_lib = COMLibrary::new().map_err(|e| wmi_error("Failed to initialize COM", e))?;
+
+    if !target.is_remote() && target.username.is_none() {
+        let con = WMIConnection::with_namespace_path(&target.namespace, com_lib)
+            .map_err(|e| wmi_error("Failed to create WMI connection", e))?;
+        if let Some(level) = target.auth_level {
+            set_proxy_blanket(&con, level, None)?;
+        }
+        return Ok(Connection { con, _identity: None });
+    }
+
+    let server = target.server.as_deref().unwrap_or(".");
+    let context = format!("Failed to connect to {}", server);
+    let username = target.username.as_deref().unwrap_or("");
+    let password = target.password.as_deref().unwrap_or("");
+    // 用户名可以是 DOMAIN\user 形式，此时域从用户名中拆分
+    let (domain, user) = match (target.domain.as_deref(), username.split_once('\\')) {
+        (Some(domain), _) => (domain, username),
+        (None, Some((domain, user))) => (domain, user),
+        (None, None) => ("", username),
+    };
+
+    let con = WMIConnection::with_credentials(server, Some(&target.namespace), user, password, domain)
+        .map_err(|e| wmi_error(&context, e))?;
+
+    if target.username.is_none() {
+        if let Some(level) = target.auth_level {
+            set_proxy_blanket(&con, level, None)?;
+        }
+        return Ok(Connection { con, _identity: None });
+    }
+
+    let mut identity = AuthIdentity::new(user, domain, password);
+    let raw = Box::new(identity.as_raw());
+    set_proxy_blanket(&con, target.auth_level.unwrap_or(RPC_C_AUTHN_LEVEL_PKT_PRIVACY), Some(&raw))?;
+    Ok(Connection {
+        con,
+        _identity: Some((identity, raw)),
+    })
+}
+
+// 数据包隐私级别，带凭据的远程连接默认使用
+const RPC_C_AUTHN_LEVEL_PKT_PRIVACY: u32 = 6;
+
+// 设置WMI服务代理的身份验证级别和凭据
+fn set_proxy_blanket(
+    con: &WMIConnection,
+    auth_level: u32,
+    identity: Option<&SEC_WINNT_AUTH_IDENTITY_W>,
+) -> Result<()> {
+    unsafe {
+        CoSetProxyBlanket(
+            &con.svc,
+            RPC_C_AUTHN_WINNT,
+            RPC_C_AUTHZ_NONE,
+            PCWSTR::null(),
+            RPC_C_AUTHN_LEVEL(auth_level),
+            RPC_C_IMP_LEVEL_IMPERSONATE,
+            identity.map(|raw| raw as *const SEC_WINNT_AUTH_IDENTITY_W as *const std::ffi::c_void),
+            EOAC_NONE,
+        )
+    }
+    .map_err(|e| {
+        wmi_error(
+            "Failed to set authentication level",
+            WMIError::HResultError { hres: e.code().0 },
+        )
+    })
+}
+
+// 查询超时错误，使用WBEM_E_TIMED_OUT标记，JS层转换为WmiTimeoutError
+fn timeout_error(timeout_ms: u32) -> Error {
+    Error::new(
+        Status::GenericFailure,
+        format!("Query timed out after {} ms [HRESULT 0x80043001]", timeout_ms),
+    )
+}
+
+// 半同步枚举器中Next的结果：一个对象、等待超时（暂无结果）或枚举结束
+enum NextItem {
+    Object(IWbemClassWrapper),
+    Pending,
+    Done,
+}
+
+// 半同步枚举器
+// wmi-rs的枚举器以WBEM_INFINITE调用Next，提供程序不返回时会一直阻塞；
+// 这里以有限的等待时间调用Next，调用方可在两次等待之间检查超时。
+// 释放枚举器即取消WMI端尚未完成的查询
+struct SemisyncEnumerator {
+    inner: IEnumWbemClassObject,
+}
+
+impl SemisyncEnumerator {
+    // 以半同步方式执行WQL查询
+    fn query(con: &WMIConnection, wql: &str) -> std::result::Result<Self, WMIError> {
+        let inner = unsafe {
+            con.svc.ExecQuery(
+                &BSTR::from("WQL"),
+                &BSTR::from(wql),
+                WBEM_FLAG_FORWARD_ONLY | WBEM_FLAG_RETURN_IMMEDIATELY,
+                None,
+            )
+        }
+        .map_err(|e| WMIError::HResultError { hres: e.code().0 })?;
+        Ok(SemisyncEnumerator { inner })
+    }
+
+    // 以半同步方式执行事件通知查询（通知查询必须同时指定这两个标志）
+    fn notification(con: &WMIConnection, wql: &str) -> std::result::Result<Self, WMIError> {
+        let inner = unsafe {
+            con.svc.ExecNotificationQuery(
+                &BSTR::from("WQL"),
+                &BSTR::from(wql),
+                WBEM_FLAG_FORWARD_ONLY | WBEM_FLAG_RETURN_IMMEDIATELY,
+                None,
+            )
+        }
+        .map_err(|e| WMIError::HResultError { hres: e.code().0 })?;
+        Ok(SemisyncEnumerator { inner })
+    }
+
+    // 取下一个对象，最多等待wait_ms毫秒
+    fn next(&self, wait_ms: u32) -> std::result::Result<NextItem, WMIError> {
+        let mut objects: [Option<IWbemClassObject>; 1] = [None];
+        let mut returned: u32 = 0;
+        let hres = unsafe { self.inner.Next(wait_ms.min(i32::MAX as u32) as i32, &mut objects, &mut returned) };
+        if hres.0 == WBEM_S_TIMEDOUT.0 {
+            return Ok(NextItem::Pending);
+        }
+        hres.ok().map_err(|e| WMIError::HResultError { hres: e.code().0 })?;
+        match objects[0].take() {
+            Some(object) if returned > 0 => Ok(NextItem::Object(IWbemClassWrapper::new(object))),
+            _ => Ok(NextItem::Done),
+        }
+    }
+}
+
+// 执行WQL查询并将结果转换为JSON数组
+// 设置了超时（毫秒）时使用半同步枚举，每次等待不超过剩余时间；
+// 到达截止时间后释放枚举器，WMI端的查询随之取消
+fn run_query(con: &WMIConnection, wql: &str, timeout_ms: Option<u32>, lossless: bool) -> Result<Value> {
+    let timeout_ms = match timeout_ms {
+        Some(ms) if ms > 0 => ms,
+        _ => {
+            let results: Vec<HashMap<String, Variant>> = con
+                .raw_query(wql)
+                .map_err(|e| wmi_error("Query failed", e))?;
+            return Ok(rows_to_json(results, lossless));
+        }
+    };
+
+    let deadline = Instant::now() + Duration::from_millis(timeout_ms as u64);
+    let enumerator = SemisyncEnumerator::query(con, wql).map_err(|e| wmi_error("Query failed", e))?;
+
+    let mut results: Vec<HashMap<String, Variant>> = Vec::new();
+    loop {
+        let remaining = deadline.saturating_duration_since(Instant::now()).as_millis() as u32;
+        if remaining == 0 {
+            return Err(timeout_error(timeout_ms));
+        }
+        match enumerator.next(remaining).map_err(|e| wmi_error("Query failed", e))? {
+            NextItem::Object(obj) => {
+                let row = obj.into_desr().map_err(|e| wmi_error("Query failed", e))?;
+                results.push(row);
+            }
+            NextItem::Pending => continue,
+            NextItem::Done => break,
+        }
+    }
+
+    Ok(rows_to_json(results, lossless))
+}
+
+// 执行类的静态方法或实例方法，返回输出参数（包含ReturnValue）
+// class_name用于获取方法的输入参数定义，object_path为类名或实例路径
+fn run_method(
+    con: &WMIConnection,
+    class_name: &str,
+    object_path: &str,
+    method: &str,
+    in_params: Option<&Value>,
+    lossless: bool,
+) -> Result<Value> {
+    let context = format!("Failed to invoke {}.{}", class_name, method);
+    let class_obj = con
+        .get_object(class_name)
+        .map_err(|e| wmi_error(&context, e))?;
+
+    let params = match in_params {
+        Some(Value::Object(params)) => Some(params),
+        Some(Value::Null) | None => None,
+        Some(_) => {
+            return Err(Error::new(
+                Status::InvalidArg,
+                "Method parameters must be an object".to_string(),
+            ))
+        }
+    };
+
+    let in_instance = match class_obj
+        .get_method(method)
+        .map_err(|e| wmi_error(&context, e))?
+    {
+        Some(in_class) => {
+            let instance = in_class.spawn_instance().map_err(|e| wmi_error(&context, e))?;
+            for (name, value) in params.into_iter().flatten() {
+                instance
+                    .put_property(name, json_to_variant(name, value)?)
+                    .map_err(|e| wmi_error(&format!("{}: invalid parameter {}", context, name), e))?;
+            }
+            Some(instance)
+        }
+        None => {
+            if params.map_or(false, |p| !p.is_empty()) {
+                return Err(Error::new(
+                    Status::InvalidArg,
+                    format!("{}.{} takes no parameters", class_name, method),
+                ));
+            }
+            None
+        }
+    };
+
+    let out = con
+        .exec_method(object_path, method, in_instance.as_ref())
+        .map_err(|e| wmi_error(&context, e))?;
+
+    Ok(match out {
+        Some(out) => object_to_json(&out, lossless),
+        None => Value::Object(serde_json::Map::new()),
+    })
+}
+
+// 将单行查询结果转换为JSON对象
+fn row_to_json(row: HashMap<String, Variant>, lossless: bool) -> Value {
+    Value::Object(
+        row.into_iter()
+            .map(|(k, v)| (k, variant_to_json(&v, lossless)))
+            .collect(),
+    )
+}
+
+// 将查询结果行转换为JSON数组
+fn rows_to_json(results: Vec<HashMap<String, Variant>>, lossless: bool) -> Value {
+    Value::Array(results.into_iter().map(|row| row_to_json(row, lossless)).collect())
+}
+
+// 后台查询任务：WMI连接不能跨线程使用，因此在工作线程中重新建立连接
+// 设置了超时时查询在截止时间自行结束；AbortSignal只能取消尚未开始的任务，
+// 已开始的任务会运行到完成或超时，JS层只是不再等待其结果
+pub struct QueryTask {
+    wql: String,
+    target: ConnectionTarget,
+    timeout: Option<u32>,
+    lossless: bool,
+}
+
+impl Task for QueryTask {
+    type Output = Value;
+    type JsValue = Value;
+
+    fn compute(&mut self) -> Result<Self::Output> {
+        let con = connect(&self.target)?;
+        run_query(&con, &self.wql, self.timeout, self.lossless)
+    }
+
+    fn resolve(&mut self, _env: Env, output: Self::Output) -> Result<Self::JsValue> {
+        Ok(output)
+    }
+}
+
+// 后台方法调用任务，与QueryTask相同，在工作线程中重新建立连接
+pub struct MethodTask {
+    class_name: String,
+    object_path: String,
+    method: String,
+    in_params: Option<Value>,
+    target: ConnectionTarget,
+    lossless: bool,
+}
+
+impl Task for MethodTask {
+    type Output = Value;
+    type JsValue = Value;
+
+    fn compute(&mut self) -> Result<Self::Output> {
+        let con = connect(&self.target)?;
+        run_method(
+            &con,
+            &self.class_name,
+            &self.object_path,
+            &self.method,
+            self.in_params.as_ref(),
+            self.lossless,
+        )
+    }
+
+    fn resolve(&mut self, _env: Env, output: Self::Output) -> Result<Self::JsValue> {
+        Ok(output)
+    }
+}
+
+// 流式查询中后台线程发送给读取端的消息
+enum StreamMessage {
+    Row(Value),
+    Error(String),
+}
+
+// 流式查询的读取端状态
+struct StreamState {
+    receiver: Option<Receiver<StreamMessage>>,
+    error: Option<String>,
+}
+
+// 流式结果的来源：普通查询或事件通知查询
+#[derive(Clone, Copy)]
+enum StreamSource {
+    Query,
+    Events,
+}
+
+// 流式枚举中Next单次等待的最长时间（毫秒），每次等待结束后检查流是否已关闭
+const STREAM_POLL_MS: u32 = 250;
+
+// 流式查询结果
+// 后台线程持有独立的WMI连接逐行枚举结果，并通过有界通道发送给JS端；
+// 通道写满时后台线程阻塞，从而实现背压。事件订阅复用同一结构，
+// 读取时最多等待wait后返回空数组，避免长期占用libuv线程池
+#[napi]
+pub struct QueryStream {
+    state: Arc<Mutex<StreamState>>,
+    closed: Arc<AtomicBool>,
+    wait: Option<Duration>,
+}
+
+impl QueryStream {
+    fn start(
+        target: ConnectionTarget,
+        wql: String,
+        buffer_size: usize,
+        lossless: bool,
+        source: StreamSource,
+    ) -> Self {
+        let (sender, receiver) = sync_channel::<StreamMessage>(buffer_size);
+        let closed = Arc::new(AtomicBool::new(false));
+        let producer_closed = closed.clone();
+
+        thread::spawn(move || {
+            let con = match connect(&target) {
+                Ok(con) => con,
+                Err(e) => {
+                    let _ = sender.send(StreamMessage::Error(e.reason));
+                    return;
+                }
+            };
+            let (enumerator, context) = match source {
+                StreamSource::Query => (SemisyncEnumerator::query(&con, &wql), "Query failed"),
+                StreamSource::Events => (SemisyncEnumerator::notification(&con, &wql), "Event subscription failed"),
+            };
+            let enumerator = match enumerator {
+                Ok(enumerator) => enumerator,
+                Err(e) => {
+                    let _ = sender.send(StreamMessage::Error(wmi_error(context, e).reason));
+                    return;
+                }
+            };
+
+            // Next每次最多等待STREAM_POLL_MS，读取端关闭（例如 for await 中提前 break 或取消订阅）后
+            // 线程在本次等待结束时退出并释放枚举器和连接，不必等到下一个事件到达
+            loop {
+                if producer_closed.load(Ordering::SeqCst) {
+                    return;
+                }
+                let item = match enumerator.next(STREAM_POLL_MS) {
+                    Ok(NextItem::Pending) => continue,
+                    Ok(NextItem::Done) => return,
+                    Ok(NextItem::Object(obj)) => Ok(obj),
+                    Err(e) => Err(e),
+                };
+                let message = match source {
+                    StreamSource::Query => match item.and_then(|obj| obj.into_desr::<HashMap<String, Variant>>()) {
+                        Ok(row) => StreamMessage::Row(row_to_json(row, lossless)),
+                        Err(e) => StreamMessage::Error(wmi_error(context, e).reason),
+                    },
+                    StreamSource::Events => match item {
+                        Ok(event) => StreamMessage::Row(event_to_json(&event, lossless)),
+                        Err(e) => StreamMessage::Error(wmi_error(context, e).reason),
+                    },
+                };
+                let failed = matches!(message, StreamMessage::Error(_));
+                if sender.send(message).is_err() || failed {
+                    return;
+                }
+            }
+        });
+
+        QueryStream {
+            state: Arc::new(Mutex::new(StreamState {
+                receiver: Some(receiver),
+                error: None,
+            })),
+            closed,
+            wait: match source {
+                StreamSource::Query => None,
+                StreamSource::Events => Some(Duration::from_millis(1000)),
+            },
+        }
+    }
+}
+
+#[napi]
+impl QueryStream {
+    /// 读取至多max_rows行，全部读取完毕后返回null
+    #[napi(ts_return_type = "Promise<any[] | null>")]
+    pub fn next(&self, max_rows: Option<u32>) -> AsyncTask<StreamReadTask> {
+        AsyncTask::new(StreamReadTask {
+            state: self.state.clone(),
+            closed: self.closed.clone(),
+            wait: self.wait,
+            max_rows: max_rows.unwrap_or(64).max(1) as usize,
+        })
+    }
+
+    /// 关闭流并释放后台线程
+    #[napi]
+    pub fn close(&self) {
+        self.closed.store(true, Ordering::SeqCst);
+        // 读取任务进行中时由该任务在返回前释放接收端
+        if let Ok(mut state) = self.state.try_lock() {
+            state.receiver.take();
+        }
+    }
+}
+
+// 在工作线程中读取一批流式结果
+pub struct StreamReadTask {
+    state: Arc<Mutex<StreamState>>,
+    closed: Arc<AtomicBool>,
+    wait: Option<Duration>,
+    max_rows: usize,
+}
+
+impl Task for StreamReadTask {
+    type Output = Value;
+    type JsValue = Value;
+
+    fn compute(&mut self) -> Result<Self::Output> {
+        let mut state = self
+            .state
+            .lock()
+            .map_err(|_| Error::new(Status::GenericFailure, "Query stream state is poisoned".to_string()))?;
+
+        if let Some(message) = state.error.take() {
+            return Err(Error::new(Status::GenericFailure, message));
+        }
+
+        if self.closed.load(Ordering::SeqCst) {
+            state.receiver.take();
+            return Ok(Value::Null);
+        }
+
+        let mut rows: Vec<Value> = Vec::new();
+        if let Some(receiver) = state.receiver.as_ref() {
+            // 阻塞等待第一行，之后只取已经到达的行
+            // 设置了wait时超时返回空数组，表示暂无结果但尚未结束
+            let mut message = match self.wait {
+                Some(wait) => match receiver.recv_timeout(wait) {
+                    Ok(message) => Some(message),
+                    Err(RecvTimeoutError::Timeout) => return Ok(Value::Array(Vec::new())),
+                    Err(RecvTimeoutError::Disconnected) => None,
+                },
+                None => receiver.recv().ok(),
+            };
+            while let Some(current) = message.take() {
+                match current {
+                    StreamMessage::Row(row) => rows.push(row),
+                    StreamMessage::Error(error) => {
+                        if rows.is_empty() {
+                            return Err(Error::new(Status::GenericFailure, error));
+                        }
+                        state.error = Some(error);
+                        break;
+                    }
+                }
+                if rows.len() >= self.max_rows {
+                    break;
+                }
+                message = receiver.try_recv().ok();
+            }
+        }
+
+        if self.closed.load(Ordering::SeqCst) {
+            state.receiver.take();
+        }
+
+        if rows.is_empty() {
+            state.receiver.take();
+            return Ok(Value::Null);
+        }
+        Ok(Value::Array(rows))
+    }
+
+    fn resolve(&mut self, _env: Env, output: Self::Output) -> Result<Self::JsValue> {
+        Ok(output)
+    }
+}
+
+// 本绑定支持的功能，JS端据此拒绝旧版绑定无法处理的配置
+// remote: 支持WmiClientConfig中的server、凭据和auth_level
+#[napi]
+pub fn binding_features() -> Vec<String> {
+    vec!["remote".to_string()]
+}
+
 // WMI客户端配置
 #[napi(object)]
 #[derive(Debug)]
 pub struct WmiClientConfig {
     pub namespace: Option<String>,
     pub timeout: Option<u32>,
+    /// 以类型标记返回64位整数、无效浮点数和其他无法用JSON表示的值
+    pub lossless: Option<bool>,
+    /// 远程服务器名或IP地址，未指定时连接本机
+    pub server: Option<String>,
+    /// 用户名，可为 DOMAIN\user 或 user@domain 形式
+    pub username: Option<String>,
+    pub password: Option<String>,
+    pub domain: Option<String>,
+    /// 身份验证级别（RPC_C_AUTHN_LEVEL，0-6），带凭据时默认为6（数据包隐私）
+    pub auth_level: Option<u32>,
 }
 
 // WMI客户端
 #[napi]
 pub struct WmiClient {
-    inner: WMIConnection,
+    // close()后为None
+    inner: Option<Connection>,
+    target: ConnectionTarget,
     namespace: String,
+    timeout: Option<u32>,
+    lossless: bool,
 }
 
 #[napi]
@@ -54,59 +777,220 @@ impl WmiClient {
             .and_then(|c| c.namespace.clone())
             .unwrap_or_else(|| "root/cimv2".to_string());
 
-        let com_lib = COMLibrary::new()
-            .map_err(|e| Error::new(Status::GenericFailure, format!("初始化COM失败: {}", e)))?;
-        
-        let wmi_con = WMIConnection::with_namespace_path(&namespace, com_lib)
-            .map_err(|e| Error::new(Status::GenericFailure, format!("创建WMI连接失败: {}", e)))?;
+        let timeout = config.as_ref().and_then(|c| c.timeout);
+        let lossless = config.as_ref().and_then(|c| c.lossless).unwrap_or(false);
+
+        let target = ConnectionTarget {
+            namespace: namespace.clone(),
+            server: config.as_ref().and_then(|c| c.server.clone()),
+            username: config.as_ref().and_then(|c| c.username.clone()),
+            password: config.as_ref().and_then(|c| c.password.clone()),
+            domain: config.as_ref().and_then(|c| c.domain.clone()),
+            auth_level: config.as_ref().and_then(|c| c.auth_level),
+        };
+        let wmi_con = connect(&target)?;
 
         Ok(WmiClient { 
-            inner: wmi_con,
+            inner: Some(wmi_con),
+            target,
             namespace,
+            timeout,
+            lossless,
         })
     }
 
-    /// 执行WQL查询，直接返回JavaScript对象
+    // 客户端持有的连接，关闭后返回错误
+    fn connection(&self) -> Result<&Connection> {
+        self.inner
+            .as_ref()
+            .ok_or_else(|| Error::new(Status::GenericFailure, "WMI client is closed".to_string()))
+    }
+
+    /// 释放WMI连接，之后的同步调用返回错误
+    /// 已启动的异步任务、流和订阅使用各自的连接，不受影响
     #[napi]
-    pub fn query(&self, wql: String) -> Result<Value> {
-        let results: Vec<HashMap<String, Variant>> = self.inner
-            .raw_query(&wql)
-            .map_err(|e| Error::new(Status::GenericFailure, format!("查询失败: {}", e)))?;
-
-        let json_results: Vec<Value> = results
-            .into_iter()
-            .map(|row| {
-                let json_row: HashMap<String, Value> = row
-                    .into_iter()
-                    .map(|(k, v)| (k, variant_to_json(&v)))
-                    .collect();
-                Value::Object(json_row.into_iter().collect())
-            })
-            .collect();
+    pub fn close(&mut self) {
+        self.inner = None;
+    }
 
-        Ok(Value::Array(json_results))
+    /// 执行WQL查询，直接返回JavaScript对象
+    /// timeout（毫秒）覆盖客户端配置中的超时设置
+    #[napi]
+    pub fn query(&self, wql: String, timeout: Option<u32>) -> Result<Value> {
+        run_query(self.connection()?, &wql, timeout.or(self.timeout), self.lossless)
     }
 
     /// 执行WQL查询，返回JSON字符串（兼容旧版本）
+    /// JSON字符串始终使用兼容格式，不受lossless设置影响
     #[napi]
-    pub fn query_string(&self, wql: String) -> Result<String> {
-        let results: Vec<HashMap<String, Variant>> = self.inner
-            .raw_query(&wql)
-            .map_err(|e| Error::new(Status::GenericFailure, format!("查询失败: {}", e)))?;
-
-        let json_results: Vec<Value> = results
-            .into_iter()
-            .map(|row| {
-                let json_row: HashMap<String, Value> = row
-                    .into_iter()
-                    .map(|(k, v)| (k, variant_to_json(&v)))
-                    .collect();
-                Value::Object(json_row.into_iter().collect())
+    pub fn query_string(&self, wql: String, timeout: Option<u32>) -> Result<String> {
+        let json_results = run_query(self.connection()?, &wql, timeout.or(self.timeout), false)?;
+
+        serde_json::to_string(&json_results)
+            .map_err(|e| Error::new(Status::GenericFailure, format!("JSON serialization failed: {}", e)))
+    }
+
+    /// 在同一连接上依次执行多个查询，只跨越一次N-API边界
+    /// 每个查询单独返回 { rows } 或 { error }，一个查询失败不影响其他查询
+    /// timeout（毫秒）分别作用于每个查询
+    #[napi(ts_return_type = "Array<{ rows?: any[], error?: string }>")]
+    pub fn query_batch(&self, queries: Vec<String>, timeout: Option<u32>) -> Result<Value> {
+        let con = self.connection()?;
+        let timeout = timeout.or(self.timeout);
+
+        let results = queries
+            .iter()
+            .map(|wql| {
+                let mut entry = serde_json::Map::new();
+                match run_query(con, wql, timeout, self.lossless) {
+                    Ok(rows) => entry.insert("rows".to_string(), rows),
+                    Err(e) => entry.insert("error".to_string(), Value::String(e.reason.clone())),
+                };
+                Value::Object(entry)
             })
             .collect();
 
-        serde_json::to_string(&json_results)
-            .map_err(|e| Error::new(Status::GenericFailure, format!("JSON序列化失败: {}", e)))
+        Ok(Value::Array(results))
+    }
+
+    /// 在后台线程中执行WQL查询，返回Promise
+    /// signal中止时，尚未开始的任务会被取消；已开始的任务运行到完成或timeout到期
+    #[napi(ts_return_type = "Promise<any[]>")]
+    pub fn query_async(
+        &self,
+        wql: String,
+        timeout: Option<u32>,
+        signal: Option<AbortSignal>,
+    ) -> AsyncTask<QueryTask> {
+        AsyncTask::with_optional_signal(
+            QueryTask {
+                wql,
+                target: self.target.clone(),
+                timeout: timeout.or(self.timeout),
+                lossless: self.lossless,
+            },
+            signal,
+        )
+    }
+
+    /// 流式执行WQL查询，结果在后台线程中逐行枚举
+    /// buffer_size为后台线程可预先读取的行数
+    #[napi]
+    pub fn query_stream(&self, wql: String, buffer_size: Option<u32>) -> QueryStream {
+        QueryStream::start(
+            self.target.clone(),
+            wql,
+            buffer_size.unwrap_or(256).max(1) as usize,
+            self.lossless,
+            StreamSource::Query,
+        )
+    }
+
+    /// 订阅事件通知查询，如 SELECT * FROM __InstanceCreationEvent WITHIN 2 WHERE TargetInstance ISA 'Win32_Process'
+    /// 事件在后台线程中接收，next()最多等待1秒，暂无事件时返回空数组，订阅结束后返回null
+    #[napi]
+    pub fn subscribe(&self, wql: String, buffer_size: Option<u32>) -> QueryStream {
+        QueryStream::start(
+            self.target.clone(),
+            wql,
+            buffer_size.unwrap_or(256).max(1) as usize,
+            self.lossless,
+            StreamSource::Events,
+        )
+    }
+
+    /// 执行类的静态方法或实例方法，返回输出参数（包含ReturnValue）
+    /// object_path为类名（静态方法）或实例路径，如 Win32_Service.Name="Spooler"
+    #[napi]
+    pub fn invoke_method(
+        &self,
+        class_name: String,
+        object_path: String,
+        method: String,
+        in_params: Option<Value>,
+    ) -> Result<Value> {
+        run_method(
+            self.connection()?,
+            &class_name,
+            &object_path,
+            &method,
+            in_params.as_ref(),
+            self.lossless,
+        )
+    }
+
+    /// 在后台线程中执行方法，返回Promise
+    #[napi(ts_return_type = "Promise<Record<string, any>>")]
+    pub fn invoke_method_async(
+        &self,
+        class_name: String,
+        object_path: String,
+        method: String,
+        in_params: Option<Value>,
+        signal: Option<AbortSignal>,
+    ) -> AsyncTask<MethodTask> {
+        AsyncTask::with_optional_signal(
+            MethodTask {
+                class_name,
+                object_path,
+                method,
+                in_params,
+                target: self.target.clone(),
+                lossless: self.lossless,
+            },
+            signal,
+        )
+    }
+
+    /// 获取类定义的MOF文本，只包含该类自身定义或覆盖的成员
+    /// 继承链由JS层（lib/schema）逐级获取并合并
+    #[napi]
+    pub fn get_class_mof(&self, class_name: String) -> Result<String> {
+        let class_obj = self
+            .connection()?
+            .get_object(&class_name)
+            .map_err(|e| wmi_error("Failed to get class definition", e))?;
+
+        let text = unsafe { class_obj.inner.GetObjectText(0) }.map_err(|e| {
+            wmi_error(
+                "Failed to get class definition",
+                WMIError::HResultError { hres: e.code().0 },
+            )
+        })?;
+
+        Ok(text.to_string())
+    }
+
+    /// 列出命名空间中的所有类：{ name, superclass, derivation }
+    #[napi(ts_return_type = "Array<{ name: string, superclass: string | null, derivation: string[] }>")]
+    pub fn list_classes(&self) -> Result<Value> {
+        let enumerator = self
+            .connection()?
+            .exec_query_native_wrapper("SELECT * FROM meta_class")
+            .map_err(|e| wmi_error("Failed to list classes", e))?;
+
+        let mut classes: Vec<Value> = Vec::new();
+        for item in enumerator {
+            let class_obj = item.map_err(|e| wmi_error("Failed to list classes", e))?;
+            let system_property = |name: &str| -> Result<Value> {
+                class_obj
+                    .get_property(name)
+                    .map(|v| variant_to_json(&v, false))
+                    .map_err(|e| wmi_error("Failed to list classes", e))
+            };
+
+            let mut entry = serde_json::Map::new();
+            entry.insert("name".to_string(), system_property("__CLASS")?);
+            entry.insert("superclass".to_string(), system_property("__SUPERCLASS")?);
+            let derivation = match system_property("__DERIVATION")? {
+                Value::Null => Value::Array(Vec::new()),
+                other => other,
+            };
+            entry.insert("derivation".to_string(), derivation);
+            classes.push(Value::Object(entry));
+        }
+
+        Ok(Value::Array(classes))
     }
 
     /// 获取当前命名空间
@@ -118,61 +1002,9 @@ impl WmiClient {
     /// 测试连接是否正常
     #[napi]
     pub fn test_connection(&self) -> Result<bool> {
-        match self.query("SELECT * FROM __Namespace WHERE Name = 'default'".to_string()) {
+        match self.query("SELECT * FROM __Namespace WHERE Name = 'default'".to_string(), None) {
             Ok(_) => Ok(true),
             Err(_) => Ok(false),
         }
     }
 }
-
-/// 快速查询函数，直接返回JavaScript对象
-#[napi]
-pub fn quick_query(wql: String, namespace: Option<String>) -> Result<Value> {
-    let config = WmiClientConfig {
-        namespace,
-        timeout: None,
-    };
-    
-    let client = WmiClient::new(Some(config))?;
-    client.query(wql)
-}
-
-/// 快速查询函数，返回JSON字符串（兼容旧版本）
-#[napi]
-pub fn quick_query_string(wql: String, namespace: Option<String>) -> Result<String> {
-    let config = WmiClientConfig {
-        namespace,
-        timeout: None,
-    };
-    
-    let client = WmiClient::new(Some(config))?;
-    client.query_string(wql)
-}
-
-/// 获取当前系统的基本信息
-#[napi]
-pub fn get_system_info() -> Result<String> {
-    let com_lib = COMLibrary::new()
-        .map_err(|e| Error::new(Status::GenericFailure, format!("Failed to initialize COM: {}", e)))?;
-    
-    let wmi_con = WMIConnection::new(com_lib)
-        .map_err(|e| Error::new(Status::GenericFailure, format!("Failed to create WMI connection: {}", e)))?;
-
-    let results: Vec<HashMap<String, Variant>> = wmi_con
-        .raw_query("SELECT * FROM Win32_ComputerSystem")
-        .map_err(|e| Error::new(Status::GenericFailure, format!("Query failed: {}", e)))?;
-
-    let json_results: Vec<Value> = results
-        .into_iter()
-        .map(|row| {
-            let json_row: HashMap<String, Value> = row
-                .into_iter()
-                .map(|(k, v)| (k, variant_to_json(&v)))
-                .collect();
-            Value::Object(json_row.into_iter().collect())
-        })
-        .collect();
-
-    serde_json::to_string(&json_results)
-        .map_err(|e| Error::new(Status::GenericFailure, format!("JSON serialization failed: {}", e)))
-} 
\ No newline at end of file
@@ -0,0 +1,30 @@
+/**
+ * Test entry point (`npm test`)
+ *
+ * Runs the test/*.test.js files against the fixture backend, so the suite
+ * needs neither Windows nor the native binding. Arguments select files by
+ * name:
+ *
+ *     node test.js               # every file
+ *     node test.js backends wql  # test/backends.test.js and test/wql.test.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const harness = require('./test/harness');
+
+const filters = process.argv.slice(2);
+const dir = path.join(__dirname, 'test');
+
+fs.readdirSync(dir)
+    .filter(name => name.endsWith('.test.js'))
+    .filter(name => filters.length === 0 || filters.some(filter => name.includes(filter)))
+    .sort()
+    .forEach(name => {
+        harness.setFile(name);
+        require(path.join(dir, name));
+    });
+
+harness.run().then(failed => {
+    process.exitCode = failed ? 1 : 0;
+});
@@ -0,0 +1,116 @@
+const assert = require('assert');
+const { test, fixture } = require('./harness');
+const {
+    WmiClient,
+    FixtureBackend,
+    registerBackend,
+    WmiError,
+    WmiInvalidClassError,
+    WmiInvalidNamespaceError,
+    WmiRpcUnavailableError,
+    WqlSyntaxError
+} = require('..');
+
+const FIXTURES = fixture('cimv2');
+
+/**
+ * Run fn with environment variables set, restoring them afterwards.
+ */
+function withEnv(variables, fn) {
+    const saved = {};
+    Object.keys(variables).forEach(name => {
+        saved[name] = process.env[name];
+        process.env[name] = variables[name];
+    });
+    try {
+        return fn();
+    } finally {
+        Object.keys(saved).forEach(name => {
+            if (saved[name] === undefined) delete process.env[name];
+            else process.env[name] = saved[name];
+        });
+    }
+}
+
+test('selects the fixture backend from the client config', () => {
+    const client = new WmiClient({ backend: 'fixture', fixtures: FIXTURES });
+    assert.ok(client.backend instanceof FixtureBackend);
+    assert.strictEqual(client.getNamespace(), 'root/cimv2');
+    assert.strictEqual(client.testConnection(), true);
+});
+
+test('selects the fixture backend from the environment', () => {
+    withEnv({ WMI_NODEJS_BACKEND: 'fixture', WMI_NODEJS_FIXTURES: FIXTURES }, () => {
+        const client = new WmiClient();
+        assert.strictEqual(client.backend.name, 'fixture');
+        assert.strictEqual(client.query('SELECT Version FROM Win32_OperatingSystem')[0].Version, '10.0.22631');
+    });
+});
+
+test('accepts fixture data as an object', () => {
+    const fixtures = { namespaces: { 'root/cimv2': { classes: { Win32_BIOS: [{ SerialNumber: 'SN1' }] } } } };
+    const client = new WmiClient({ backend: 'fixture', fixtures });
+    assert.deepStrictEqual(client.query('SELECT SerialNumber FROM Win32_BIOS'), [{ SerialNumber: 'SN1' }]);
+});
+
+test('rejects unknown backends and missing fixture data', () => {
+    assert.throws(() => new WmiClient({ backend: 'nope' }), error => error instanceof WmiError && /Unknown WMI backend "nope"/.test(error.message));
+    withEnv({ WMI_NODEJS_FIXTURES: '' }, () => {
+        assert.throws(() => new WmiClient({ backend: 'fixture' }), /requires `fixtures` data/);
+    });
+});
+
+test('uses registered backend factories and backend objects', () => {
+    const backend = {
+        name: 'static',
+        getNamespace: () => 'root/test',
+        query: () => [{ Answer: 42 }],
+        testConnection: () => true
+    };
+    registerBackend('static-test', () => backend);
+    assert.strictEqual(new WmiClient({ backend: 'static-test' }).query('SELECT * FROM A')[0].Answer, 42);
+    assert.strictEqual(new WmiClient({ backend }).getNamespace(), 'root/test');
+    assert.throws(() => registerBackend('broken', {}), TypeError);
+});
+
+test('evaluates WHERE clauses and property lists', () => {
+    const client = new WmiClient({ backend: 'fixture', fixtures: FIXTURES });
+    const rows = client.query("SELECT Name FROM Win32_Service WHERE State = 'Running' AND (Name LIKE '%mgmt' OR Name = 'dhcp')");
+    assert.deepStrictEqual(rows, [{ Name: 'Winmgmt' }, { Name: 'Dhcp' }]);
+    assert.deepStrictEqual(client.query('SELECT ProcessId FROM Win32_Process WHERE CommandLine IS NULL'), [{ ProcessId: 4 }]);
+    assert.deepStrictEqual(client.query("select processid from win32_process where name = 'o\\'brien.exe'"), [{ ProcessId: 5008 }]);
+});
+
+test('answers Meta_Class and __NAMESPACE queries', () => {
+    const client = new WmiClient({ backend: 'fixture', fixtures: FIXTURES });
+    const classes = client.query("SELECT * FROM Meta_Class WHERE __this ISA 'CIM_Process'").map(row => row.__CLASS);
+    assert.deepStrictEqual(classes.sort(), ['CIM_Process', 'Win32_Process']);
+    const root = new WmiClient({ backend: 'fixture', fixtures: FIXTURES, namespace: 'root' });
+    assert.deepStrictEqual(root.query('SELECT Name FROM __NAMESPACE').map(row => row.Name).sort(), ['cimv2', 'virtualization']);
+});
+
+test('reports missing classes, namespaces and servers as WMI would', () => {
+    const client = new WmiClient({ backend: 'fixture', fixtures: FIXTURES });
+    assert.throws(() => client.query('SELECT * FROM Win32_Nope'), error => error instanceof WmiInvalidClassError
+        && error.hresult === 0x80041010 && error.wql === 'SELECT * FROM Win32_Nope' && error.namespace === 'root/cimv2');
+    assert.throws(() => client.query('SELECT FROM'), WqlSyntaxError);
+    assert.throws(() => new WmiClient({ backend: 'fixture', fixtures: FIXTURES, namespace: 'root/missing' }), WmiInvalidNamespaceError);
+    assert.throws(() => new WmiClient({ backend: 'fixture', fixtures: FIXTURES, server: 'offline' }), WmiRpcUnavailableError);
+});
+
+test('serves the data of remote servers', () => {
+    const client = new WmiClient({ backend: 'fixture', fixtures: FIXTURES, server: 'srv01' });
+    assert.strictEqual(client.getServer(), 'srv01');
+    assert.strictEqual(client.query('SELECT Version FROM Win32_OperatingSystem')[0].Version, '10.0.20348');
+});
+
+test('runs queryAsync on a later tick', () => {
+    const client = new WmiClient({ backend: 'fixture', fixtures: FIXTURES });
+    let returned = false;
+    const pending = client.queryAsync('SELECT Name FROM Win32_Process WHERE ProcessId = 4').then(rows => {
+        assert.ok(returned);
+        assert.deepStrictEqual(rows, [{ Name: 'System' }]);
+    });
+    returned = true;
+    return pending;
+});
@@ -0,0 +1,135 @@
+const assert = require('assert');
+const { test, fixture, delay } = require('./harness');
+const { WmiClient, QueryCache, WmiError, WmiInvalidClassError, select } = require('..');
+
+function fixtureClient(config) {
+    return new WmiClient(Object.assign({ backend: 'fixture', fixtures: fixture('cimv2') }, config));
+}
+
+/**
+ * A backend answering every query with one row naming its class, failing
+ * for classes named Missing*, and logging the calls it gets.
+ */
+function batchBackend() {
+    const calls = [];
+    const rowsOf = wql => {
+        const className = /FROM (\w+)/.exec(wql)[1];
+        if (className.startsWith('Missing')) throw new WmiError(`No class ${className}`, { wql });
+        return [{ __CLASS: className, Size: { $wmi: 'uint64', value: '42' } }];
+    };
+    const backend = {
+        name: 'batch',
+        calls,
+        getNamespace: () => 'root/cimv2',
+        testConnection: () => true,
+        query(wql) {
+            calls.push(['query', wql]);
+            return rowsOf(wql);
+        },
+        queryBatch(wqls) {
+            calls.push(['queryBatch', wqls]);
+            return wqls.map(wql => {
+                try {
+                    return { rows: rowsOf(wql) };
+                } catch (error) {
+                    return { error };
+                }
+            });
+        }
+    };
+    return backend;
+}
+
+test('fills a failing query\'s key with its error and the others with rows', () => {
+    const client = fixtureClient();
+    const results = client.queryBatch({
+        os: 'SELECT Caption FROM Win32_OperatingSystem',
+        missing: 'SELECT * FROM Win32_Missing',
+        broken: 'SELECT FROM',
+        services: select('Name').from('Win32_Service').where({ State: 'Running' })
+    });
+    assert.deepStrictEqual(Object.keys(results), ['os', 'missing', 'broken', 'services']);
+    assert.deepStrictEqual(results.os, [{ Caption: 'Microsoft Windows 11 Pro' }]);
+    assert.ok(results.missing instanceof WmiInvalidClassError);
+    assert.strictEqual(results.missing.wql, 'SELECT * FROM Win32_Missing');
+    assert.ok(results.broken instanceof WmiError);
+    assert.ok(Array.isArray(results.services) && results.services.length > 0);
+    assert.deepStrictEqual(client.queryBatch({}), {});
+    client.close();
+});
+
+test('runs the whole batch through a backend that supports it', () => {
+    const backend = batchBackend();
+    const client = new WmiClient({ backend, conversion: { int64: 'string' } });
+    const results = client.queryBatch({
+        a: 'SELECT * FROM Test_A',
+        missing: 'SELECT * FROM Missing_B',
+        c: select().from('Test_C')
+    });
+    assert.deepStrictEqual(backend.calls, [['queryBatch', ['SELECT * FROM Test_A', 'SELECT * FROM Missing_B', 'SELECT * FROM Test_C']]]);
+    assert.deepStrictEqual(results.a, [{ __CLASS: 'Test_A', Size: '42' }]);
+    assert.ok(results.missing instanceof WmiError);
+    assert.strictEqual(results.missing.message, 'No class Missing_B');
+    assert.deepStrictEqual(results.c, [{ __CLASS: 'Test_C', Size: '42' }]);
+});
+
+test('runs the queries one by one when the batch may hit the cache', () => {
+    const backend = batchBackend();
+    const client = new WmiClient({ backend, cache: new QueryCache({ ttl: 60000 }) });
+    const queries = { a: 'SELECT * FROM Test_A', missing: 'SELECT * FROM Missing_B' };
+    client.queryBatch(queries);
+    const results = client.queryBatch(queries);
+    assert.deepStrictEqual(backend.calls.map(call => call[0]), ['query', 'query', 'query']);
+    assert.strictEqual(results.a.length, 1);
+    assert.ok(results.missing instanceof WmiError);
+    assert.strictEqual(client.getCacheStats().hits, 1);
+});
+
+test('queryBatchAsync settles every key and limits concurrency', () => {
+    let running = 0;
+    let peak = 0;
+    const backend = {
+        name: 'slow',
+        getNamespace: () => 'root/cimv2',
+        testConnection: () => true,
+        query: () => [],
+        queryAsync(wql) {
+            running++;
+            peak = Math.max(peak, running);
+            return delay(5).then(() => {
+                running--;
+                if (wql.includes('Missing')) throw new WmiError('missing', { wql });
+                return [{ Query: wql }];
+            });
+        }
+    };
+    const client = new WmiClient({ backend });
+    const queries = {};
+    ['a', 'b', 'Missing', 'd', 'e'].forEach(name => {
+        queries[name] = `SELECT * FROM Test_${name}`;
+    });
+    return client.queryBatchAsync(queries, { concurrency: 2 }).then(results => {
+        assert.strictEqual(peak, 2);
+        assert.deepStrictEqual(Object.keys(results), ['a', 'b', 'Missing', 'd', 'e']);
+        assert.deepStrictEqual(results.e, [{ Query: 'SELECT * FROM Test_e' }]);
+        assert.ok(results.Missing instanceof WmiError);
+        assert.strictEqual(results.Missing.wql, 'SELECT * FROM Test_Missing');
+        peak = 0;
+        return client.queryBatchAsync(queries);
+    }).then(results => {
+        assert.strictEqual(peak, 4);
+        assert.strictEqual(Object.keys(results).length, 5);
+        return client.queryBatchAsync({});
+    }).then(results => {
+        assert.deepStrictEqual(results, {});
+    });
+});
+
+test('queryBatchAsync reports a closed client per key', () => {
+    const client = fixtureClient();
+    client.close();
+    return client.queryBatchAsync({ os: 'SELECT * FROM Win32_OperatingSystem' }).then(results => {
+        assert.ok(results.os instanceof WmiError);
+        assert.ok(/closed/.test(results.os.message));
+    });
+});
@@ -0,0 +1,74 @@
+const assert = require('assert');
+const { test, fixture } = require('./harness');
+const { WmiClient, QueryBuilder, ConditionGroup, select, escapeWqlString, escapeLike, CimInterval } = require('..');
+
+test('compiles properties, class, conditions and WITHIN', () => {
+    assert.strictEqual(select().from('Win32_Service').toWql(), 'SELECT * FROM Win32_Service');
+    assert.strictEqual(
+        select('Name', 'State').from('Win32_Service')
+            .where({ State: 'Running', StartMode: ['Auto', 'Manual'], Description: null })
+            .where('ProcessId', '!=', 0)
+            .toWql(),
+        "SELECT Name, State FROM Win32_Service WHERE State = 'Running' AND (StartMode = 'Auto' OR StartMode = 'Manual') " +
+        'AND Description IS NULL AND ProcessId <> 0'
+    );
+    assert.strictEqual(
+        select().from('__InstanceCreationEvent').within(2).isa('TargetInstance', 'Win32_Process').toWql(),
+        "SELECT * FROM __InstanceCreationEvent WITHIN 2 WHERE TargetInstance ISA 'Win32_Process'"
+    );
+    assert.strictEqual(
+        select(['Name']).from('Win32_Service').or(any => any.like('Name', 'Win%').equals('Name', 'Dhcp')).isNotNull('State').toWql(),
+        "SELECT Name FROM Win32_Service WHERE (Name LIKE 'Win%' OR Name = 'Dhcp') AND State IS NOT NULL"
+    );
+});
+
+test('formats values as escaped literals', () => {
+    assert.strictEqual(escapeWqlString("o'brien\\x"), "'o\\'brien\\\\x'");
+    assert.strictEqual(escapeLike('100%_[a]'), '100[%][_][[]a]');
+    const wql = select().from('Win32_Process')
+        .where({ Name: "x' OR Name LIKE '%", Flag: true, Size: 10n })
+        .where('Created', '>', new Date(Date.UTC(2024, 0, 2, 3, 4, 5)))
+        .where('Uptime', '>', new CimInterval({ days: 1, hours: 2 }))
+        .toWql();
+    assert.strictEqual(wql,
+        "SELECT * FROM Win32_Process WHERE Name = 'x\\' OR Name LIKE \\'%' AND Flag = TRUE AND Size = 10 " +
+        "AND Created > '20240102030405.000000+000' AND Uptime > '00000001020000.000000:000'");
+    assert.throws(() => select().from('x').where('Size', '>', NaN), TypeError);
+    assert.throws(() => select().from('x').where('Size', '>', {}), TypeError);
+});
+
+test('matches contains/startsWith/endsWith text literally', () => {
+    assert.strictEqual(select().from('x').contains('Name', '50%').toWql(), "SELECT * FROM x WHERE Name LIKE '%50[%]%'");
+    assert.strictEqual(select().from('x').startsWith('Name', 'a_b').toWql(), "SELECT * FROM x WHERE Name LIKE 'a[_]b%'");
+    assert.strictEqual(select().from('x').endsWith('Name', "'s").toWql(), "SELECT * FROM x WHERE Name LIKE '%\\'s'");
+    assert.strictEqual(select().from('x').notLike('Name', 'a%').toWql(), "SELECT * FROM x WHERE NOT Name LIKE 'a%'");
+});
+
+test('rejects invalid identifiers and operators', () => {
+    assert.throws(() => select('Name; DROP').from('x'), /Invalid WQL property name/);
+    assert.throws(() => select().from('Win32_Process WHERE 1=1'), /Invalid WQL class name/);
+    assert.throws(() => select().from('x').where('Name', 'LIKE', 'a'), /Invalid WQL operator/);
+    assert.throws(() => select().from('x').isa('TargetInstance', "x' OR 1"), /Invalid WQL class name/);
+    assert.throws(() => select().from('x').whereIn('Name', []), TypeError);
+    assert.throws(() => select().from('x').within(0), TypeError);
+    assert.throws(() => select().toWql(), /no FROM class/);
+    assert.strictEqual(select('TargetInstance.Name').from('x').toWql(), 'SELECT TargetInstance.Name FROM x');
+});
+
+test('exports ConditionGroup, which QueryBuilder extends', () => {
+    assert.strictEqual(typeof ConditionGroup, 'function');
+    assert.ok(select() instanceof ConditionGroup);
+    assert.ok(new QueryBuilder() instanceof ConditionGroup);
+    assert.strictEqual(new ConditionGroup('OR').equals('Name', 'a').isNull('State').compile(), "Name = 'a' OR State IS NULL");
+});
+
+test('runs through the client it was created from', () => {
+    const client = new WmiClient({ backend: 'fixture', fixtures: fixture('cimv2') });
+    assert.deepStrictEqual(client.select('Name').from('Win32_Process').where({ Name: "o'brien.exe" }).query(), [{ Name: "o'brien.exe" }]);
+    assert.deepStrictEqual(client.select('Name').from('Win32_Process').contains('Name', "'").query(), [{ Name: "o'brien.exe" }]);
+    assert.throws(() => select().from('x').query(), /without a client/);
+    return client.select('Name').from('Win32_Service').where({ State: 'Running' }).queryAsync().then(rows => {
+        assert.deepStrictEqual(rows, [{ Name: 'Winmgmt' }, { Name: 'Dhcp' }]);
+        client.close();
+    });
+});
@@ -0,0 +1,63 @@
+const assert = require('assert');
+const { test, fixture } = require('./harness');
+const { WmiClient, QueryCache } = require('..');
+
+const FIXTURES = fixture('cimv2');
+const WQL = 'SELECT Name, ProcessId FROM Win32_Process';
+
+function cachedClient(cache, config) {
+    return new WmiClient(Object.assign({ backend: 'fixture', fixtures: FIXTURES, cache }, config));
+}
+
+test('serves repeated queries from the cache', () => {
+    const cache = new QueryCache({ ttl: 60000 });
+    const client = cachedClient(cache);
+    const first = client.query(WQL);
+    const second = client.query('SELECT Name,  ProcessId\n  FROM Win32_Process');
+    assert.deepStrictEqual(second, first);
+    assert.deepStrictEqual(cache.stats(), { hits: 1, misses: 1, coalesced: 0, entries: 1, hitRate: 0.5 });
+    client.query(WQL, { cache: false });
+    assert.strictEqual(cache.stats().misses, 1);
+    client.close();
+});
+
+test('coalesces concurrent queryAsync calls', () => {
+    const cache = new QueryCache({ ttl: 60000 });
+    const client = cachedClient(cache);
+    return Promise.all([client.queryAsync(WQL), client.queryAsync(WQL)]).then(results => {
+        assert.deepStrictEqual(results[0], results[1]);
+        assert.strictEqual(cache.stats().coalesced, 1);
+        client.close();
+    });
+});
+
+test('does not share entries between accounts', () => {
+    const cache = new QueryCache({ ttl: 60000 });
+    const admin = cachedClient(cache, { username: 'Admin', domain: 'CORP' });
+    const same = cachedClient(cache, { username: 'admin', domain: 'corp' });
+    const other = cachedClient(cache, { username: 'reader', domain: 'CORP' });
+    admin.query(WQL);
+    same.query(WQL);
+    other.query(WQL);
+    assert.deepStrictEqual(cache.stats(), { hits: 1, misses: 2, coalesced: 0, entries: 2, hitRate: 1 / 3 });
+    [admin, same, other].forEach(client => client.close());
+});
+
+test('shares entries only between clients receiving the same raw rows', () => {
+    const cache = new QueryCache({ ttl: 60000 });
+    const plain = cachedClient(cache);
+    const converted = cachedClient(cache, { conversion: true });
+    const strings = cachedClient(cache, { conversion: { int64: 'string' } });
+    plain.query(WQL);
+    converted.query(WQL);
+    strings.query(WQL);
+    converted.query(WQL);
+    assert.deepStrictEqual(cache.stats(), { hits: 2, misses: 2, coalesced: 0, entries: 2, hitRate: 0.5 });
+
+    // Each client converts the shared rows with its own options
+    const memory = 'SELECT TotalVisibleMemorySize FROM Win32_OperatingSystem';
+    assert.strictEqual(converted.query(memory)[0].TotalVisibleMemorySize, 18446744073709552000);
+    assert.strictEqual(strings.query(memory)[0].TotalVisibleMemorySize, '18446744073709551615');
+    assert.strictEqual(cache.stats().hits, 3);
+    [plain, converted, strings].forEach(client => client.close());
+});
@@ -0,0 +1,13 @@
+/**
+ * Preloaded into the wmi-nodejs command by cli.test.js: a fixture backend
+ * that reports on exit how many clients were left open and the password
+ * the last one was given.
+ */
+
+const { countingBackend } = require('./helpers');
+
+const counts = countingBackend('counting-cli');
+process.on('exit', () => {
+    const config = counts.lastConfig || {};
+    process.stderr.write(`open clients: ${counts.open}\npassword: ${JSON.stringify(config.password)}\n`);
+});
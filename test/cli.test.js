@@ -0,0 +1,69 @@
+const assert = require('assert');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { test, fixture } = require('./harness');
+
+const BIN = path.join(__dirname, '..', 'bin', 'wmi-nodejs.js');
+
+/**
+ * Run wmi-nodejs over the cimv2 fixture.
+ * @param {Array<string>} args
+ * @param {Object} [options] - `env` added to the environment, `input` written to stdin
+ */
+function cli(args, options = {}) {
+    const env = Object.assign({}, process.env, { WMI_NODEJS_BACKEND: 'counting-cli', WMI_NODEJS_FIXTURES: fixture('cimv2') });
+    delete env.WMI_NODEJS_PASSWORD;
+    const result = spawnSync(process.execPath, ['--require', path.join(__dirname, 'cli-counting.js'), BIN].concat(args), {
+        encoding: 'utf8',
+        timeout: 10000,
+        input: options.input,
+        env: Object.assign(env, options.env)
+    });
+    return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+test('runs a query and closes its client', () => {
+    const result = cli(['query', "SELECT Name FROM Win32_Service WHERE Name = 'Spooler'", '--format', 'csv']);
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.strictEqual(result.stdout, 'Name\nSpooler\n');
+    assert.ok(/open clients: 0/.test(result.stderr), result.stderr);
+});
+
+test('closes its client when the command fails', () => {
+    const result = cli(['describe', 'Win32_Missing']);
+    assert.strictEqual(result.status, 1);
+    assert.ok(/^wmi-nodejs: /.test(result.stderr), result.stderr);
+    assert.ok(/open clients: 0/.test(result.stderr), result.stderr);
+});
+
+test('exits with 2 on usage errors', () => {
+    const result = cli(['query']);
+    assert.strictEqual(result.status, 2);
+    assert.ok(/query needs an argument/.test(result.stderr), result.stderr);
+});
+
+test('takes the password from the command line, stdin or WMI_NODEJS_PASSWORD', () => {
+    const remote = ['query', 'SELECT Caption FROM Win32_OperatingSystem', '--server', 'SRV01', '-u', 'admin', '-f', 'csv'];
+    const password = result => {
+        assert.strictEqual(result.status, 0, result.stderr);
+        assert.strictEqual(result.stdout, 'Caption\nMicrosoft Windows Server 2022 Datacenter\n');
+        return /password: (.*)/.exec(result.stderr)[1];
+    };
+    assert.strictEqual(password(cli(remote.concat(['-p', 'argv']))), '"argv"');
+    assert.strictEqual(password(cli(remote.concat(['--password', '-']), { input: 'from stdin\r\n' })), '"from stdin"');
+    assert.strictEqual(password(cli(remote.concat(['--password=-']), { input: 'a\nb\n' })), '"a\\nb"');
+    assert.strictEqual(password(cli(remote, { env: { WMI_NODEJS_PASSWORD: 'from env' } })), '"from env"');
+    assert.strictEqual(password(cli(remote.concat(['-p', 'argv']), { env: { WMI_NODEJS_PASSWORD: 'from env' } })), '"argv"');
+
+    // Without a username the variable is not used, so local queries keep working
+    const local = cli(['query', 'SELECT Caption FROM Win32_OperatingSystem'], { env: { WMI_NODEJS_PASSWORD: 'from env' } });
+    assert.strictEqual(local.status, 0, local.stderr);
+    assert.ok(/password: undefined/.test(local.stderr), local.stderr);
+});
+
+test('documents the password sources in the usage text', () => {
+    const result = cli(['--help']);
+    assert.strictEqual(result.status, 0);
+    assert.ok(/--password <pwd> .*- reads it from stdin/.test(result.stdout), result.stdout);
+    assert.ok(/WMI_NODEJS_PASSWORD environment variable/.test(result.stdout), result.stdout);
+});
@@ -0,0 +1,89 @@
+const assert = require('assert');
+const { test, fixture } = require('./harness');
+const { countingBackend } = require('./helpers');
+const { WmiClient, WmiError } = require('..');
+
+const FIXTURES = fixture('cimv2');
+const counts = countingBackend('counting-client');
+
+function countingClient(config) {
+    return new WmiClient(Object.assign({ backend: 'counting-client', fixtures: FIXTURES }, config));
+}
+
+test('lists namespaces, recursively on request', () => {
+    const root = new WmiClient({ backend: 'fixture', fixtures: FIXTURES, namespace: 'root' });
+    assert.deepStrictEqual(root.listNamespaces(), ['root/cimv2', 'root/virtualization']);
+    assert.deepStrictEqual(root.listNamespaces(true), [
+        'root/cimv2', 'root/cimv2/mdm', 'root/cimv2/mdm/dmmap', 'root/virtualization', 'root/virtualization/v2'
+    ]);
+});
+
+test('closes the clients of nested namespaces after listing them', () => {
+    const root = countingClient({ namespace: 'root' });
+    const opened = counts.opened;
+    root.listNamespaces(true);
+    assert.strictEqual(counts.opened - opened, 5);
+    assert.strictEqual(counts.open, 1);
+    root.close();
+    assert.strictEqual(counts.open, 0);
+});
+
+test('forNamespace returns this client for its own namespace', () => {
+    const client = countingClient();
+    assert.strictEqual(client.forNamespace('ROOT\\CIMV2'), client);
+    const other = client.forNamespace('root/cimv2/mdm');
+    assert.notStrictEqual(other, client);
+    assert.strictEqual(other.getNamespace(), 'root/cimv2/mdm');
+    other.close();
+    client.close();
+    assert.strictEqual(counts.open, 0);
+});
+
+test('withNamespace closes the client it creates', () => {
+    const client = countingClient();
+    let child = null;
+    const namespace = client.withNamespace('root/cimv2/mdm', mdm => {
+        child = mdm;
+        return mdm.getNamespace();
+    });
+    assert.strictEqual(namespace, 'root/cimv2/mdm');
+    assert.ok(child.closed);
+    assert.throws(() => client.withNamespace('root/cimv2/mdm', () => {
+        throw new Error('failed');
+    }), /failed/);
+    assert.strictEqual(client.withNamespace('root/cimv2', own => own), client);
+    assert.ok(!client.closed);
+    client.close();
+    assert.strictEqual(counts.open, 0);
+});
+
+test('withNamespace closes the client once a Promise settles', () => {
+    const client = countingClient();
+    let child = null;
+    return client.withNamespace('root/cimv2/mdm', mdm => {
+        child = mdm;
+        return Promise.resolve().then(() => {
+            assert.ok(!mdm.closed);
+            return 'done';
+        });
+    }).then(result => {
+        assert.strictEqual(result, 'done');
+        assert.ok(child.closed);
+        return client.withNamespace('root/cimv2/mdm', () => Promise.reject(new Error('rejected')));
+    }).then(() => assert.fail('resolved'), error => {
+        assert.strictEqual(error.message, 'rejected');
+        client.close();
+        assert.strictEqual(counts.open, 0);
+    });
+});
+
+test('fails every call once closed', () => {
+    const client = new WmiClient({ backend: 'fixture', fixtures: FIXTURES });
+    client.close();
+    client.close();
+    assert.throws(() => client.query('SELECT * FROM Win32_Process'), error => error instanceof WmiError && /closed/.test(error.message));
+    assert.strictEqual(client.testConnection(), false);
+    return client.queryAsync('SELECT * FROM Win32_Process').then(() => assert.fail('resolved'), error => {
+        assert.ok(/closed/.test(error.message));
+    });
+});
@@ -0,0 +1,86 @@
+const assert = require('assert');
+const { test, fixture } = require('./harness');
+const { WmiClient, WmiUnsupportedValue, CimInterval } = require('..');
+
+const FIXTURES = fixture('cimv2');
+const fixtures = {
+    namespaces: {
+        'root/cimv2': {
+            classes: {
+                Win32_OperatingSystem: [{
+                    Caption: 'Windows 11',
+                    TotalVisibleMemorySize: { $wmi: 'uint64', value: '18446744073709551615' },
+                    LastBootUpTime: '20240115083000.500000+060',
+                    Load: { $wmi: 'real', value: 'NaN' },
+                    Embedded: { $wmi: 'object', value: { Size: { $wmi: 'sint64', value: '-9007199254740993' } } },
+                    Pointer: { $wmi: 'unknown', value: 'Unknown(IUnknownWrapper)' },
+                    Sizes: [{ $wmi: 'uint64', value: '5' }],
+                    Uptime: '00000001020304.500000:000'
+                }]
+            }
+        }
+    }
+};
+
+const WQL = 'SELECT * FROM Win32_OperatingSystem';
+
+test('applies the default mapping with conversion: true', () => {
+    const [row] = new WmiClient({ backend: 'fixture', fixtures, conversion: true }).query(WQL);
+    assert.strictEqual(row.TotalVisibleMemorySize, 18446744073709551615);
+    assert.strictEqual(row.Load, 0);
+    assert.strictEqual(row.LastBootUpTime, '20240115083000.500000+060');
+    assert.deepStrictEqual(row.Embedded, { Size: -9007199254740992 });
+    assert.ok(row.Pointer instanceof WmiUnsupportedValue);
+    assert.deepStrictEqual(row.Sizes, [5]);
+});
+
+test('converts 64-bit integers, invalid floats and dates as configured', () => {
+    const conversion = { int64: 'bigint', invalidFloat: 'null', dates: true };
+    const [row] = new WmiClient({ backend: 'fixture', fixtures, conversion }).query(WQL);
+    assert.strictEqual(row.TotalVisibleMemorySize, 18446744073709551615n);
+    assert.strictEqual(row.Embedded.Size, -9007199254740993n);
+    assert.strictEqual(row.Load, null);
+    assert.strictEqual(row.LastBootUpTime.toISOString(), '2024-01-15T07:30:00.500Z');
+    assert.ok(row.Uptime instanceof CimInterval);
+
+    const [strings] = new WmiClient({ backend: 'fixture', fixtures, conversion: { int64: 'string', invalidFloat: 'nan' } }).query(WQL);
+    assert.strictEqual(strings.TotalVisibleMemorySize, '18446744073709551615');
+    assert.ok(Number.isNaN(strings.Load));
+});
+
+test('rejects unknown conversion options', () => {
+    assert.throws(() => new WmiClient({ backend: 'fixture', fixtures, conversion: { int64: 'float' } }), TypeError);
+    assert.throws(() => new WmiClient({ backend: 'fixture', fixtures, conversion: { dates: 'all' } }), TypeError);
+});
+
+test('queryString is the JSON of the converted rows', () => {
+    const client = new WmiClient({ backend: 'fixture', fixtures, conversion: true });
+    const text = client.queryString(WQL);
+    assert.strictEqual(text, JSON.stringify(client.query(WQL)));
+    assert.ok(!text.includes('$wmi'));
+    assert.strictEqual(JSON.parse(text)[0].Pointer, 'Unknown(IUnknownWrapper)');
+});
+
+test('queryString writes BigInt values as strings', () => {
+    const client = new WmiClient({ backend: 'fixture', fixtures, conversion: { int64: 'bigint', dates: true } });
+    const [row] = JSON.parse(client.queryString(WQL));
+    assert.strictEqual(row.TotalVisibleMemorySize, '18446744073709551615');
+    assert.strictEqual(row.LastBootUpTime, '2024-01-15T07:30:00.500Z');
+});
+
+test('queryString matches query() without conversion and with decode', () => {
+    const client = new WmiClient({ backend: 'fixture', fixtures: FIXTURES });
+    const wql = 'SELECT Name, ProcessId FROM Win32_Process';
+    assert.strictEqual(client.queryString(wql), JSON.stringify(client.query(wql)));
+    const decoded = client.queryString(wql, { decode: true });
+    assert.strictEqual(decoded, JSON.stringify(client.query(wql, { decode: true })));
+});
+
+test('queryString uses the backend when rows need no conversion', () => {
+    const client = new WmiClient({ backend: 'fixture', fixtures: FIXTURES });
+    client.backend.queryString = () => '["from backend"]';
+    assert.strictEqual(client.queryString('SELECT * FROM Win32_Process'), '["from backend"]');
+    const converting = new WmiClient({ backend: 'fixture', fixtures: FIXTURES, conversion: true });
+    converting.backend.queryString = () => '["from backend"]';
+    assert.notStrictEqual(converting.queryString('SELECT * FROM Win32_Process'), '["from backend"]');
+});
@@ -0,0 +1,71 @@
+const assert = require('assert');
+const { test } = require('./harness');
+const { computeCounter, counterTypes: T, counterTypeName } = require('..');
+const { describeCounterType } = require('../lib/perf/counters');
+
+function near(actual, expected) {
+    assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+}
+
+test('PERF_COUNTER_COUNTER is a rate per second of the time base', () => {
+    near(computeCounter(T.PERF_COUNTER_COUNTER, { value: 300, timestamp: 3000, frequency: 1000 }, { value: 100, timestamp: 1000 }), 100);
+    assert.strictEqual(computeCounter(T.PERF_COUNTER_COUNTER, { value: 300, timestamp: 3000, frequency: 1000 }), null);
+    assert.strictEqual(computeCounter(T.PERF_COUNTER_COUNTER, { value: 300, timestamp: 1000, frequency: 1000 }, { value: 100, timestamp: 1000 }), null);
+    assert.strictEqual(describeCounterType(T.PERF_COUNTER_COUNTER).timestamp, 'Timestamp_PerfTime');
+});
+
+test('PERF_100NSEC_TIMER and _INV are percentages busy', () => {
+    const current = { value: '2500000', timestamp: '130000000010000000' };
+    const previous = { value: '0', timestamp: '130000000000000000' };
+    near(computeCounter(T.PERF_100NSEC_TIMER, current, previous), 25);
+    near(computeCounter(T.PERF_100NSEC_TIMER_INV, current, previous), 75);
+    near(computeCounter(T.PERF_100NSEC_TIMER_INV, { value: 7500000n, timestamp: 130000000010000000n },
+        { value: 0n, timestamp: 130000000000000000n }), 25);
+    assert.deepStrictEqual(describeCounterType(T.PERF_100NSEC_TIMER_INV),
+        { samples: 2, base: false, timestamp: 'Timestamp_Sys100NS', frequency: 'Frequency_Sys100NS' });
+});
+
+test('subtracts 64-bit values exactly', () => {
+    near(computeCounter(T.PERF_100NSEC_TIMER_INV,
+        { value: { $wmi: 'uint64', value: '18446744073709000000' }, timestamp: '18446744073719000000' },
+        { value: '18446744073709000000', timestamp: '18446744073709000000' }), 100);
+});
+
+test('PERF_RAW_FRACTION is a percentage of the base from one sample', () => {
+    near(computeCounter(T.PERF_RAW_FRACTION, { value: 25, base: 200 }), 12.5);
+    assert.strictEqual(computeCounter(T.PERF_RAW_FRACTION, { value: 25, base: 0 }), null);
+    assert.strictEqual(computeCounter(T.PERF_RAW_FRACTION, { value: null, base: 10 }), null);
+    assert.strictEqual(describeCounterType(T.PERF_RAW_FRACTION).samples, 1);
+});
+
+test('PERF_AVERAGE_TIMER is seconds per operation', () => {
+    near(computeCounter(T.PERF_AVERAGE_TIMER, { value: 5000, base: 15, frequency: 1000 }, { value: 1000, base: 5 }), 0.4);
+    assert.strictEqual(computeCounter(T.PERF_AVERAGE_TIMER, { value: 5000, base: 5, frequency: 1000 }, { value: 1000, base: 5 }), null);
+    near(computeCounter(T.PERF_AVERAGE_BULK, { value: 500, base: 15 }, { value: 100, base: 5 }), 40);
+});
+
+test('multi-timers divide by or subtract from the number of timers', () => {
+    // Four timers, busy for two seconds' worth of time over one second
+    const current = { value: 2e7, timestamp: 2e7, base: 4 };
+    const previous = { value: 0, timestamp: 1e7 };
+    near(computeCounter(T.PERF_100NSEC_MULTI_TIMER, current, previous), 50);
+    near(computeCounter(T.PERF_100NSEC_MULTI_TIMER_INV, current, previous), 200);
+    near(computeCounter(T.PERF_COUNTER_MULTI_TIMER_INV, { value: 500, timestamp: 2000, base: 2 }, { value: 0, timestamp: 1000 }), 150);
+    assert.strictEqual(computeCounter(T.PERF_100NSEC_MULTI_TIMER_INV, { value: 2e7, timestamp: 2e7 }, previous), null);
+    assert.strictEqual(describeCounterType(T.PERF_100NSEC_MULTI_TIMER_INV).base, true);
+});
+
+test('covers the remaining single- and two-sample types', () => {
+    near(computeCounter(T.PERF_ELAPSED_TIME, { value: 1000, timestamp: 61000, frequency: 1000 }), 60);
+    near(computeCounter(T.PERF_COUNTER_100NS_QUEUELEN_TYPE, { value: 30e7, timestamp: 2e7 }, { value: 0, timestamp: 1e7 }), 30);
+    near(computeCounter(T.PERF_SAMPLE_FRACTION, { value: 3, base: 10 }, { value: 1, base: 6 }), 50);
+    near(computeCounter(T.PERF_COUNTER_LARGE_RAWCOUNT, { value: '42' }), 42);
+    near(computeCounter(T.PERF_COUNTER_DELTA, { value: 42 }, { value: 40 }), 2);
+});
+
+test('names counter types and rejects those without a formula', () => {
+    assert.strictEqual(counterTypeName(542180608), 'PERF_100NSEC_TIMER');
+    assert.strictEqual(describeCounterType(T.PERF_RAW_BASE), null);
+    assert.throws(() => computeCounter(T.PERF_COUNTER_TEXT, {}), /PERF_COUNTER_TEXT/);
+    assert.throws(() => computeCounter(0x12345, {}), RangeError);
+});
@@ -0,0 +1,63 @@
+const assert = require('assert');
+const { test, fixture } = require('./harness');
+const {
+    WmiClient,
+    CimInterval,
+    datetimeProperties,
+    parseCimDateTime,
+    parseCimDateTimeParts,
+    parseCimInterval,
+    formatCimDateTime,
+    formatCimInterval,
+    toWqlDateTime
+} = require('..');
+
+test('parses CIM datetimes to the instant they name', () => {
+    assert.strictEqual(parseCimDateTime('20240115083000.500000+060').toISOString(), '2024-01-15T07:30:00.500Z');
+    assert.strictEqual(parseCimDateTime('20240115083000.000000-300').toISOString(), '2024-01-15T13:30:00.000Z');
+    assert.deepStrictEqual(parseCimDateTimeParts('20240115083000.123456+000'), {
+        date: new Date(Date.UTC(2024, 0, 15, 8, 30, 0, 123)),
+        utcOffset: 0,
+        microseconds: 123456
+    });
+    assert.strictEqual(parseCimDateTime('2024**15083000.000000+000'), null);
+    assert.strictEqual(parseCimDateTime('not a date'), null);
+    assert.strictEqual(parseCimDateTime(20240115), null);
+});
+
+test('formats Dates as CIM datetimes and WQL literals', () => {
+    const date = new Date(Date.UTC(2024, 0, 15, 7, 30, 0, 500));
+    assert.strictEqual(formatCimDateTime(date), '20240115073000.500000+000');
+    assert.strictEqual(formatCimDateTime(date, { utcOffset: 60 }), '20240115083000.500000+060');
+    assert.strictEqual(formatCimDateTime(date, { utcOffset: -300, microseconds: 500001 }), '20240115023000.500001-300');
+    assert.strictEqual(toWqlDateTime(date), "'20240115073000.500000+000'");
+    const parts = parseCimDateTimeParts('20240115083000.123456+060');
+    assert.strictEqual(formatCimDateTime(parts.date, parts), '20240115083000.123456+060');
+    assert.throws(() => formatCimDateTime(new Date(NaN)), TypeError);
+    assert.throws(() => formatCimDateTime(date, { utcOffset: 1000 }), RangeError);
+    assert.throws(() => formatCimDateTime(new Date(Date.UTC(10000, 0, 1))), RangeError);
+});
+
+test('parses and formats CIM intervals', () => {
+    const interval = parseCimInterval('00000001020304.000005:000');
+    assert.ok(interval instanceof CimInterval);
+    assert.deepStrictEqual(Object.assign({}, interval), { days: 1, hours: 2, minutes: 3, seconds: 4, microseconds: 5 });
+    assert.strictEqual(interval.totalMilliseconds, 93784000.005);
+    assert.strictEqual(String(interval), '00000001020304.000005:000');
+    assert.strictEqual(JSON.stringify({ uptime: interval }), '{"uptime":"00000001020304.000005:000"}');
+    assert.strictEqual(formatCimInterval(90061001.5), '00000001010101.001500:000');
+    assert.deepStrictEqual(CimInterval.fromMilliseconds(3600000), new CimInterval({ hours: 1 }));
+    assert.strictEqual(parseCimInterval('20240115083000.000000+000'), null);
+    assert.throws(() => CimInterval.fromMilliseconds(-1), RangeError);
+    assert.throws(() => formatCimInterval('1 day'), TypeError);
+    assert.throws(() => formatCimInterval(new CimInterval({ days: 1e8 })), RangeError);
+});
+
+test('converts the datetimes of query results on request', () => {
+    const wql = 'SELECT LastBootUpTime FROM Win32_OperatingSystem';
+    const plain = new WmiClient({ backend: 'fixture', fixtures: fixture('cimv2') });
+    assert.strictEqual(plain.query(wql)[0].LastBootUpTime, '20240301080000.500000+060');
+    const known = new WmiClient({ backend: 'fixture', fixtures: fixture('cimv2'), conversion: { dates: 'known' } });
+    assert.strictEqual(known.query(wql)[0].LastBootUpTime.toISOString(), '2024-03-01T07:00:00.500Z');
+    assert.ok(datetimeProperties.has('LastBootUpTime'));
+});
@@ -0,0 +1,82 @@
+const assert = require('assert');
+const { test, fixture, delay } = require('./harness');
+const { watchRejections } = require('./helpers');
+const { WmiClient, WmiSubscription } = require('..');
+
+const WQL = "SELECT * FROM __InstanceCreationEvent WITHIN 2 WHERE TargetInstance ISA 'Win32_Process'";
+
+function createClient() {
+    return new WmiClient({ backend: 'fixture', fixtures: fixture('cimv2') });
+}
+
+test('delivers recorded and emitted events to listeners', () => {
+    const client = createClient();
+    const subscription = client.subscribe(WQL);
+    assert.ok(subscription instanceof WmiSubscription);
+    const names = [];
+    subscription.on('event', event => names.push(event.TargetInstance.Name));
+    setTimeout(() => client.backend.emitEvent('__InstanceCreationEvent', {
+        TargetInstance: { __CLASS: 'Win32_Service', Name: 'ignored' }
+    }), 5);
+    setTimeout(() => client.backend.emitEvent('__InstanceCreationEvent', {
+        TargetInstance: { __CLASS: 'Win32_Process', Name: 'calc.exe' }
+    }), 10);
+    return delay(40).then(() => {
+        subscription.close();
+        assert.deepStrictEqual(names, ['notepad.exe', 'calc.exe']);
+    });
+});
+
+test('iterates events and releases the cursor when the loop ends', () => {
+    const client = createClient();
+    const subscription = client.subscribe(WQL);
+    const iterator = subscription[Symbol.asyncIterator]();
+    return iterator.next().then(result => {
+        assert.strictEqual(result.value.TargetInstance.Name, 'notepad.exe');
+        return iterator.return();
+    }).then(() => {
+        assert.ok(subscription.closed);
+        assert.strictEqual(client.backend.openSubscriptions().size, 0);
+    });
+});
+
+test('close() emits close and unregisters the subscription', () => {
+    const client = createClient();
+    const subscription = client.subscribe(WQL);
+    let closed = 0;
+    subscription.on('close', () => closed++);
+    subscription.on('event', () => {});
+    assert.strictEqual(client.backend.openSubscriptions().size, 1);
+    subscription.close();
+    subscription.close();
+    return delay(5).then(() => {
+        assert.strictEqual(closed, 1);
+        assert.strictEqual(client.backend.openSubscriptions().size, 0);
+    });
+});
+
+test('reports read errors on the error event', () => {
+    const client = createClient();
+    const subscription = client.subscribe(WQL);
+    subscription.cursor.next = () => Promise.reject(new Error('connection lost'));
+    return new Promise(resolve => subscription.on('error', resolve)).then(error => {
+        assert.strictEqual(error.message, 'connection lost');
+        subscription.close();
+    });
+});
+
+test('closes the subscription when a failure has no error listener', () => {
+    const client = createClient();
+    let subscription;
+    return watchRejections(() => {
+        subscription = client.subscribe(WQL);
+        subscription.on('event', () => {
+            throw new Error('listener failed');
+        });
+        return delay(10);
+    }).then(rejections => {
+        assert.deepStrictEqual(rejections.map(error => error.message), ['listener failed']);
+        assert.strictEqual(subscription.closed, true);
+        assert.strictEqual(client.backend.openSubscriptions().size, 0);
+    });
+});
@@ -0,0 +1,205 @@
+const assert = require('assert');
+const http = require('http');
+const { test, fixture } = require('./harness');
+const { countingBackend } = require('./helpers');
+const { WmiClient, MetricsExporter, select } = require('..');
+
+const FIXTURES = fixture('inventory');
+const counts = countingBackend('counting-exporter');
+
+const DISKS = {
+    name: 'logical_disk',
+    query: 'SELECT DeviceID, VolumeName, FreeSpace, Size FROM Win32_LogicalDisk',
+    metrics: [
+        { name: 'logical_disk_free_bytes', help: 'Free space\nin bytes', unit: 'bytes', value: 'FreeSpace', labels: ['DeviceID', 'VolumeName'] },
+        { name: 'logical_disk_size_bytes', value: 'size', labels: { device: 'DeviceID' } }
+    ]
+};
+
+/** Exposition text with the measured durations replaced by 0. */
+function withoutDurations(text) {
+    return text.replace(/^(\w+_scrape_duration_seconds\{[^}]*\}) \S+$/gm, '$1 0');
+}
+
+/** Call a request handler with stand-ins for the request and response. */
+function request(handler, method, url) {
+    return new Promise(resolve => {
+        const response = {
+            writeHead(status, headers) {
+                this.status = status;
+                this.headers = headers;
+            },
+            end(body) {
+                this.body = body;
+                resolve(this);
+            }
+        };
+        handler({ method, url }, response);
+    });
+}
+
+test('renders OpenMetrics families, samples and scrape metrics', () => {
+    const exporter = new MetricsExporter({
+        client: { backend: 'fixture', fixtures: FIXTURES },
+        queries: [DISKS, { query: 'SELECT * FROM Win32_Missing', metrics: [{ name: 'missing_total', type: 'counter', value: 'X' }] }]
+    });
+    return exporter.collect().then(text => {
+        assert.strictEqual(withoutDurations(text), [
+            '# TYPE wmi_logical_disk_free_bytes gauge',
+            '# UNIT wmi_logical_disk_free_bytes bytes',
+            '# HELP wmi_logical_disk_free_bytes Free space\\nin bytes',
+            'wmi_logical_disk_free_bytes{device_id="C:",volume_name="OS"} 300000000000',
+            '# TYPE wmi_logical_disk_size_bytes gauge',
+            'wmi_logical_disk_size_bytes{device="C:"} 900000000000',
+            '# TYPE wmi_missing counter',
+            '# TYPE wmi_scrape_duration_seconds gauge',
+            '# UNIT wmi_scrape_duration_seconds seconds',
+            '# HELP wmi_scrape_duration_seconds Time the query took in the last scrape.',
+            'wmi_scrape_duration_seconds{query="logical_disk"} 0',
+            'wmi_scrape_duration_seconds{query="Win32_Missing"} 0',
+            '# TYPE wmi_scrape_success gauge',
+            '# HELP wmi_scrape_success Whether the query succeeded in the last scrape.',
+            'wmi_scrape_success{query="logical_disk"} 1',
+            'wmi_scrape_success{query="Win32_Missing"} 0',
+            '# TYPE wmi_scrape_errors counter',
+            '# HELP wmi_scrape_errors Failed runs of the query.',
+            'wmi_scrape_errors_total{query="logical_disk"} 0',
+            'wmi_scrape_errors_total{query="Win32_Missing"} 1',
+            '# EOF',
+            ''
+        ].join('\n'));
+        assert.deepStrictEqual(exporter.lastErrors.map(entry => [entry.query, entry.error.name]), [['Win32_Missing', 'WmiInvalidClassError']]);
+        return exporter.collect();
+    }).then(text => {
+        assert.ok(text.includes('wmi_scrape_errors_total{query="Win32_Missing"} 2\n'));
+        return exporter.close();
+    });
+});
+
+test('formats values, labels and repeated series', () => {
+    const rows = [
+        { Name: 'a "quoted"\\name', Up: true, Ratio: NaN, When: new Date(Date.UTC(2024, 0, 1)), Tags: ['x', 'y'] },
+        { Name: 'line\nbreak', Up: false, Ratio: Infinity, When: null, Tags: null },
+        { Name: 'line\nbreak', Up: true, Ratio: -Infinity, When: null, Tags: null }
+    ];
+    const backend = {
+        name: 'rows',
+        getNamespace: () => 'root/cimv2',
+        testConnection: () => true,
+        query: () => rows
+    };
+    const exporter = new MetricsExporter({
+        client: new WmiClient({ backend }),
+        prefix: '',
+        queries: [{
+            query: select('Name').from('Test_Thing'),
+            metrics: [
+                { name: 'thing_up', value: 'Up', labels: ['Name', 'Tags'] },
+                { name: 'thing_ratio', value: 'Ratio', labels: { name: 'Name' } },
+                { name: 'thing_seen_seconds', value: 'When' },
+                { name: 'thing_name_length', value: row => row.Name.length, labels: { name: 'Name' } }
+            ]
+        }]
+    });
+    return exporter.collect().then(text => {
+        const samples = text.split('\n').filter(line => line && !line.startsWith('#') && !line.startsWith('scrape_'));
+        assert.deepStrictEqual(samples, [
+            'thing_up{name="a \\"quoted\\"\\\\name",tags="x,y"} 1',
+            'thing_up{name="line\\nbreak",tags=""} 0',
+            'thing_ratio{name="a \\"quoted\\"\\\\name"} NaN',
+            'thing_ratio{name="line\\nbreak"} +Inf',
+            'thing_seen_seconds 1704067200',
+            'thing_name_length{name="a \\"quoted\\"\\\\name"} 15',
+            'thing_name_length{name="line\\nbreak"} 10'
+        ]);
+        assert.ok(text.includes('scrape_success{query="Test_Thing"} 1\n'));
+        return exporter.close();
+    });
+});
+
+test('reports a throwing value function as a failed query', () => {
+    const exporter = new MetricsExporter({
+        client: { backend: 'fixture', fixtures: FIXTURES },
+        queries: [{ name: 'disks', query: 'SELECT * FROM Win32_LogicalDisk', metrics: [{ name: 'broken', value: () => { throw new Error('bad row'); } }] }]
+    });
+    return exporter.collect().then(text => {
+        assert.ok(text.startsWith('# TYPE wmi_broken gauge\n# TYPE wmi_scrape_duration_seconds gauge\n'));
+        assert.ok(text.includes('wmi_scrape_success{query="disks"} 0\n'));
+        assert.strictEqual(exporter.lastErrors[0].error.message, 'bad row');
+        return exporter.close();
+    });
+});
+
+test('rejects invalid definitions', () => {
+    const client = { backend: 'fixture', fixtures: FIXTURES };
+    const create = (queries, options) => () => new MetricsExporter(Object.assign({ client, queries }, options));
+    const query = metrics => [{ query: 'SELECT * FROM Win32_LogicalDisk', metrics }];
+    assert.throws(create([]), /at least one query/);
+    assert.throws(create([{ query: '', metrics: [{ name: 'a', value: 'A' }] }]), /WQL text/);
+    assert.throws(create(query([])), /exports no metrics/);
+    assert.throws(create(query([{ name: 'a', value: 'A', type: 'summary' }])), /type summary/);
+    assert.throws(create(query([{ name: 'a' }])), /needs a value/);
+    assert.throws(create(query([{ name: 'a-b', value: 'A' }])), /Invalid metric name: wmi_a-b/);
+    assert.throws(create(query([{ name: 'free', value: 'A', unit: 'bytes' }])), /does not end in _bytes/);
+    assert.throws(create(query([{ name: 'a', value: 'A', labels: { __name: 'A' } }])), /Invalid label name __name/);
+    assert.throws(create(query([{ name: 'a', value: 'A' }, { name: 'a', value: 'B' }])), /wmi_a is defined twice/);
+    assert.throws(create(query([{ name: 'scrape_success', value: 'A' }])), /defined twice/);
+    assert.throws(create(query([{ name: 'a', value: 'A' }]).concat(query([{ name: 'b', value: 'B' }]))),
+        /Two exported queries are named Win32_LogicalDisk/);
+});
+
+test('serves the exposition over HTTP', () => {
+    const exporter = new MetricsExporter({ client: { backend: 'fixture', fixtures: FIXTURES }, queries: [DISKS] });
+    const handler = exporter.handler();
+    return Promise.all([
+        request(handler, 'GET', '/metrics?x=1'),
+        request(handler, 'HEAD', '/metrics'),
+        request(handler, 'POST', '/metrics'),
+        request(handler, 'GET', '/')
+    ]).then(([get, head, post, missing]) => {
+        assert.strictEqual(get.status, 200);
+        assert.strictEqual(get.headers['Content-Type'], 'application/openmetrics-text; version=1.0.0; charset=utf-8');
+        assert.ok(get.body.endsWith('# EOF\n'));
+        assert.strictEqual(head.status, 200);
+        assert.strictEqual(head.body, undefined);
+        assert.strictEqual(post.status, 405);
+        assert.strictEqual(post.headers.Allow, 'GET, HEAD');
+        assert.strictEqual(missing.status, 404);
+        return exporter.listen(0, '127.0.0.1');
+    }).then(server => new Promise((resolve, reject) => {
+        http.get({ host: '127.0.0.1', port: server.address().port, path: '/metrics' }, response => {
+            let body = '';
+            response.setEncoding('utf8');
+            response.on('data', chunk => {
+                body += chunk;
+            });
+            response.on('end', () => resolve({ status: response.statusCode, body }));
+        }).on('error', reject);
+    })).then(response => {
+        assert.strictEqual(response.status, 200);
+        assert.ok(response.body.includes('wmi_logical_disk_size_bytes{device="C:"} 900000000000\n'));
+        return exporter.listen(0).then(() => assert.fail('listened twice'), error => {
+            assert.ok(/already listening/.test(error.message));
+        });
+    }).then(() => exporter.close()).then(() => {
+        assert.strictEqual(exporter.server, null);
+    });
+});
+
+test('close() closes only the clients the exporter created', () => {
+    const config = { backend: 'counting-exporter', fixtures: FIXTURES };
+    const opened = counts.open;
+    const owned = new MetricsExporter({ client: config, queries: [Object.assign({}, DISKS, { namespace: 'root/cimv2/mdm' })] });
+    return owned.collect().then(() => {
+        assert.strictEqual(counts.open - opened, 2);
+        return owned.close();
+    }).then(() => {
+        assert.strictEqual(counts.open, opened);
+        const client = new WmiClient(config);
+        const shared = new MetricsExporter({ client, queries: [DISKS] });
+        return shared.close().then(() => {
+            assert.strictEqual(counts.open - opened, 1);
+            client.close();
+        });
+    });
+});
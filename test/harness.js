@@ -0,0 +1,93 @@
+/**
+ * Minimal test harness
+ *
+ * `test(name, fn)` registers a test and `run()` executes the registered
+ * tests one after another. `fn` may return a Promise; a test that neither
+ * settles nor throws within `TIMEOUT` ms fails. Plain `assert` does the
+ * checking, so the suite needs no dependencies and runs on every Node
+ * version the package supports.
+ */
+
+const path = require('path');
+
+const TIMEOUT = 5000;
+
+const tests = [];
+let currentFile = null;
+
+/**
+ * Register a test.
+ * @param {string} name
+ * @param {function(): (Promise|void)} fn
+ */
+function test(name, fn) {
+    tests.push({ file: currentFile, name, fn });
+}
+
+/**
+ * Name the test file whose tests are registered next, for the report.
+ * @param {string} file
+ */
+function setFile(file) {
+    currentFile = file;
+}
+
+/**
+ * Path of a JSON file in test/fixtures.
+ * @param {string} name - File name without extension
+ * @returns {string}
+ */
+function fixture(name) {
+    return path.join(__dirname, 'fixtures', `${name}.json`);
+}
+
+/**
+ * Resolve after `ms` milliseconds.
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function runOne(entry) {
+    let timer = null;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Timed out after ${TIMEOUT} ms`)), TIMEOUT);
+    });
+    const result = new Promise(resolve => resolve(entry.fn()));
+    return Promise.race([result, timeout]).then(() => {
+        clearTimeout(timer);
+    }, error => {
+        clearTimeout(timer);
+        throw error;
+    });
+}
+
+/**
+ * Run the registered tests in order and report each on stdout.
+ * @returns {Promise<number>} Number of failed tests
+ */
+function run() {
+    let failed = 0;
+    return tests.reduce((previous, entry) => previous.then(() => {
+        const title = `${entry.file} > ${entry.name}`;
+        return runOne(entry).then(() => {
+            process.stdout.write(`ok      ${title}\n`);
+        }, error => {
+            failed++;
+            process.stdout.write(`FAILED  ${title}\n${(error && error.stack) || error}\n`);
+        });
+    }), Promise.resolve()).then(() => {
+        process.stdout.write(`\n${tests.length - failed} passed, ${failed} failed\n`);
+        return failed;
+    });
+}
+
+module.exports = {
+    test,
+    setFile,
+    fixture,
+    delay,
+    run
+};
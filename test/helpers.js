@@ -0,0 +1,88 @@
+/**
+ * Shared test helpers
+ */
+
+const { FixtureBackend, registerBackend } = require('..');
+const { delay } = require('./harness');
+
+/**
+ * Register a fixture backend under `name` that counts the backends it
+ * creates and closes, to check that clients do not leak connections.
+ * `lastConfig` is the configuration of the latest backend.
+ * @param {string} name - Backend name for `config.backend`
+ * @returns {{opened: number, closed: number, readonly open: number, lastConfig: Object|null}}
+ */
+function countingBackend(name) {
+    const counts = {
+        opened: 0,
+        closed: 0,
+        lastConfig: null,
+        get open() {
+            return this.opened - this.closed;
+        }
+    };
+    registerBackend(name, config => {
+        const backend = new FixtureBackend(config);
+        counts.opened++;
+        counts.lastConfig = config;
+        backend.close = () => {
+            counts.closed++;
+        };
+        return backend;
+    });
+    return counts;
+}
+
+/**
+ * Just enough of AbortSignal for the client, so the tests run on Node
+ * versions without AbortController.
+ */
+function abortSignal() {
+    const listeners = [];
+    const signal = {
+        aborted: false,
+        reason: undefined,
+        addEventListener: (type, listener) => listeners.push(listener),
+        removeEventListener: (type, listener) => {
+            const index = listeners.indexOf(listener);
+            if (index !== -1) listeners.splice(index, 1);
+        }
+    };
+    return {
+        signal,
+        abort(reason) {
+            signal.aborted = true;
+            signal.reason = reason;
+            listeners.slice().forEach(listener => listener());
+        }
+    };
+}
+
+/**
+ * Collect unhandled rejections while `fn`'s Promise runs, and for a
+ * moment after.
+ */
+function watchRejections(fn) {
+    const rejections = [];
+    const onRejection = reason => rejections.push(reason);
+    const listeners = process.listeners('unhandledRejection');
+    process.removeAllListeners('unhandledRejection');
+    process.on('unhandledRejection', onRejection);
+    const restore = () => {
+        process.removeListener('unhandledRejection', onRejection);
+        listeners.forEach(listener => process.on('unhandledRejection', listener));
+    };
+    return Promise.resolve().then(fn).then(() => delay(20)).then(() => {
+        restore();
+        return rejections;
+    }, error => {
+        restore();
+        throw error;
+    });
+}
+
+module.exports = {
+    countingBackend,
+    abortSignal,
+    watchRejections
+};
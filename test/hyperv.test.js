@@ -0,0 +1,158 @@
+const assert = require('assert');
+const fs = require('fs');
+const { test, fixture } = require('./harness');
+const { countingBackend } = require('./helpers');
+const { WmiClient, HyperV, WmiError, WmiJobError, WmiNotFoundError } = require('..');
+
+const counts = countingBackend('counting-hyperv');
+const WEB01 = '6A2B1C3D-0000-4000-8000-000000000001';
+const DB01 = '6A2B1C3D-0000-4000-8000-000000000002';
+const MEGABYTE = 1024 * 1024;
+
+/**
+ * The recorded host, with a RequestStateChange handler that changes the
+ * VM's state and starts the completed job JOB1.
+ */
+function setup(config) {
+    const fixtures = JSON.parse(fs.readFileSync(fixture('hyperv'), 'utf8'));
+    const calls = [];
+    const v2 = fixtures.namespaces['root/virtualization/v2'];
+    v2.methods['Msvm_ComputerSystem.RequestStateChange'] = (params, { instance }) => {
+        calls.push([instance.ElementName, params.RequestedState]);
+        if (instance.EnabledState === params.RequestedState) return { ReturnValue: 32775 };
+        instance.EnabledState = params.RequestedState;
+        return { ReturnValue: 4096, Job: 'Msvm_ConcreteJob.InstanceID="JOB1"' };
+    };
+    const client = new WmiClient(Object.assign({ backend: 'counting-hyperv', fixtures }, config));
+    return { client, hyperv: new HyperV(client), calls };
+}
+
+test('lists virtual machines with their states decoded', () => {
+    const { client, hyperv } = setup({ conversion: { dates: true } });
+    const vms = hyperv.listVMs();
+    assert.deepStrictEqual(vms.map(vm => [vm.name, vm.state, vm.stateName, vm.healthName]), [
+        ['db01', 3, 'Off', 'OK'],
+        ['web01', 2, 'Running', 'OK']
+    ]);
+    assert.strictEqual(vms[1].id, WEB01);
+    assert.strictEqual(vms[1].uptimeSeconds, 3600);
+    assert.strictEqual(vms[1].processId, 4321);
+    assert.strictEqual(vms[0].processId, null);
+    assert.ok(vms[1].lastStateChange instanceof Date);
+    assert.strictEqual(vms[1].path, `Msvm_ComputerSystem.CreationClassName="Msvm_ComputerSystem",Name="${WEB01}"`);
+    hyperv.close();
+    client.close();
+});
+
+test('finds VMs by name, GUID or listVMs() object', () => {
+    const { client, hyperv } = setup();
+    assert.strictEqual(hyperv.findVM('web01').id, WEB01);
+    assert.strictEqual(hyperv.findVM(DB01.toLowerCase()).name, 'db01');
+    assert.strictEqual(hyperv.findVM({ id: WEB01 }).name, 'web01');
+    assert.throws(() => hyperv.findVM('nope'), WmiNotFoundError);
+    assert.throws(() => hyperv.findVM(''), TypeError);
+    hyperv.close();
+    client.close();
+});
+
+test('reads the running configuration of a VM', () => {
+    const { client, hyperv } = setup();
+    const vm = hyperv.getVM('web01');
+    assert.deepStrictEqual(vm.settings, { generation: 2, version: '10.0', configurationPath: 'C:\\VMs', notes: 'web\nfront' });
+    assert.deepStrictEqual(vm.memory, {
+        startupBytes: 4096 * MEGABYTE,
+        dynamic: true,
+        minimumBytes: 512 * MEGABYTE,
+        maximumBytes: 8192 * MEGABYTE,
+        weight: 5000
+    });
+    assert.deepStrictEqual(vm.processor, { count: 4, reservePercent: 0, limitPercent: 100, weight: 100 });
+    assert.deepStrictEqual(vm.disks.map(disk => [disk.type, disk.path]), [
+        ['hardDisk', 'C:\\VMs\\web01.vhdx'],
+        ['dvd', 'C:\\iso\\a.iso']
+    ]);
+    assert.deepStrictEqual(vm.networkAdapters.map(adapter => [adapter.macAddress, adapter.legacy, adapter.connected, adapter.switchName]), [
+        ['00:15:5D:01:02:03', false, true, 'External'],
+        ['00:15:5D:0A:0B:0C', true, false, null]
+    ]);
+    assert.strictEqual(hyperv.getVM('db01').memory.minimumBytes, null);
+    hyperv.close();
+    client.close();
+});
+
+test('reports host capacity from both namespaces', () => {
+    const { client, hyperv } = setup();
+    const capacity = hyperv.getHostCapacity();
+    assert.strictEqual(capacity.name, 'HOST1');
+    assert.strictEqual(capacity.logicalProcessors, 8);
+    assert.strictEqual(capacity.freeMemoryBytes, 16777216 * 1024);
+    assert.deepStrictEqual(capacity.virtualMachines, { total: 2, running: 1, byState: { Running: 1, Off: 1 } });
+    // The checkpoint's memory setting is not counted
+    assert.deepStrictEqual(capacity.configured, { virtualProcessors: 6, memoryBytes: 6144 * MEGABYTE });
+    assert.deepStrictEqual(capacity.running, { virtualProcessors: 4, memoryBytes: 4096 * MEGABYTE });
+    assert.strictEqual(capacity.virtualProcessorRatio, 0.5);
+    assert.strictEqual(capacity.defaultVirtualHardDiskPath, 'C:\\VHDs');
+    hyperv.close();
+    client.close();
+});
+
+test('runs lifecycle operations to the end of their jobs', () => {
+    const { client, hyperv, calls } = setup();
+    return hyperv.start('db01').then(job => {
+        assert.strictEqual(job.InstanceID, 'JOB1');
+        assert.strictEqual(hyperv.findVM('db01').stateName, 'Running');
+        return hyperv.start('db01');
+    }).then(() => assert.fail('resolved'), error => {
+        assert.ok(error instanceof WmiJobError);
+        assert.strictEqual(error.returnValue, 32775);
+        assert.ok(/Invalid state/.test(error.message));
+        return hyperv.stop('web01');
+    }).then(job => {
+        assert.strictEqual(job, null);
+        return hyperv.stop('db01', { force: true });
+    }).then(() => hyperv.stop('db01')).then(() => assert.fail('resolved'), error => {
+        assert.ok(error instanceof WmiError);
+        assert.ok(/shutdown integration service/.test(error.message));
+        return hyperv.save('web01');
+    }).then(() => {
+        assert.deepStrictEqual(calls, [['db01', 2], ['db01', 2], ['db01', 3], ['web01', 6]]);
+        hyperv.close();
+        client.close();
+    });
+});
+
+test('rejects with the failed job of a checkpoint', () => {
+    const { client, hyperv } = setup();
+    return hyperv.checkpoint('web01').then(() => assert.fail('resolved'), error => {
+        assert.ok(error instanceof WmiJobError);
+        assert.strictEqual(error.errorCode, 32768);
+        assert.ok(/snapshot could not be created/.test(error.message));
+        hyperv.close();
+        client.close();
+    });
+});
+
+test('close() closes the clients it opened but not the one passed in', () => {
+    const { client, hyperv } = setup({ namespace: 'root/virtualization/v2' });
+    assert.strictEqual(hyperv.client, client);
+    const opened = counts.opened;
+    hyperv.getHostCapacity();
+    assert.strictEqual(counts.opened, opened + 1);
+    hyperv.close();
+    assert.ok(!client.closed);
+    client.close();
+    assert.strictEqual(counts.open, 0);
+
+    const cimv2 = new WmiClient({ backend: 'counting-hyperv', fixtures: fixture('hyperv'), namespace: 'root/cimv2' });
+    const fromCimv2 = new HyperV(cimv2);
+    assert.strictEqual(fromCimv2.listVMs().length, 2);
+    fromCimv2.close();
+    assert.strictEqual(counts.open, 1);
+    cimv2.close();
+
+    const configured = new HyperV({ backend: 'counting-hyperv', fixtures: fixture('hyperv') });
+    configured.getHostCapacity();
+    assert.strictEqual(counts.open, 2);
+    configured.close();
+    assert.strictEqual(counts.open, 0);
+});
@@ -0,0 +1,61 @@
+const assert = require('assert');
+const { test, fixture } = require('./harness');
+const { countingBackend } = require('./helpers');
+const { WmiClient } = require('..');
+
+const FIXTURES = fixture('inventory');
+const counts = countingBackend('counting-inventory');
+
+function inventoryClient(config) {
+    return new WmiClient(Object.assign({ backend: 'counting-inventory', fixtures: FIXTURES }, config));
+}
+
+test('builds the sections from root/cimv2', () => {
+    const client = inventoryClient({ conversion: { int64: 'bigint', dates: true } });
+    const inventory = client.getInventory();
+    assert.ok(inventory.collectedAt instanceof Date);
+    assert.strictEqual(inventory.server, null);
+    assert.deepStrictEqual(Object.keys(inventory.errors), ['baseboard']);
+    assert.strictEqual(inventory.baseboard, null);
+    assert.strictEqual(inventory.memory.sizeBytes, 16000000 * 1024);
+    assert.strictEqual(inventory.memory.usedPercent, 75);
+    assert.strictEqual(inventory.disks[0].volumes[0], 'C:');
+    assert.strictEqual(inventory.volumes[0].disk, '\\\\.\\PHYSICALDRIVE0');
+    assert.strictEqual(inventory.os.uptimeSeconds, 3600);
+    assert.strictEqual(inventory.cpu.logicalProcessors, 16);
+    assert.deepStrictEqual(Object.keys(client.getInventory({ sections: ['os'] })),
+        ['collectedAt', 'server', 'errors', 'os']);
+    assert.throws(() => client.getInventory({ sections: ['nope'] }), TypeError);
+    client.close();
+});
+
+test('reuses a root/cimv2 client and closes the one it opens otherwise', () => {
+    const cimv2 = inventoryClient();
+    const opened = counts.opened;
+    cimv2.getInventory({ sections: ['cpu'] });
+    assert.strictEqual(counts.opened, opened);
+    assert.ok(!cimv2.closed);
+
+    const mdm = inventoryClient({ namespace: 'root/cimv2/mdm' });
+    assert.strictEqual(mdm.getInventory({ sections: ['cpu'] }).cpu.logicalProcessors, 16);
+    assert.strictEqual(counts.opened, opened + 2);
+    assert.strictEqual(counts.open, 2);
+    cimv2.close();
+    mdm.close();
+    assert.strictEqual(counts.open, 0);
+});
+
+test('getInventoryAsync matches getInventory and closes its client', () => {
+    const client = inventoryClient({ namespace: 'root/cimv2/mdm' });
+    const expected = client.getInventory();
+    return client.getInventoryAsync({ concurrency: 2 }).then(inventory => {
+        const comparable = result => JSON.parse(JSON.stringify(Object.assign({}, result, {
+            collectedAt: null,
+            errors: Object.keys(result.errors)
+        })));
+        assert.deepStrictEqual(comparable(inventory), comparable(expected));
+        assert.strictEqual(counts.open, 1);
+        client.close();
+        assert.strictEqual(counts.open, 0);
+    });
+});
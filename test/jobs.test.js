@@ -0,0 +1,125 @@
+const assert = require('assert');
+const { test, delay } = require('./harness');
+const { countingBackend } = require('./helpers');
+const { WmiClient, WmiJobError, WmiTimeoutError, WmiNotFoundError, parseObjectPath } = require('..');
+
+const counts = countingBackend('counting-jobs');
+const JOB = '\\\\HV01\\root\\virtualization\\v2:Msvm_ConcreteJob.InstanceID="J1"';
+
+function jobFixtures() {
+    return {
+        namespaces: {
+            'root/cimv2': {
+                classes: { Win32_Service: [{ Name: 'Spooler', State: 'Running' }] },
+                methods: {
+                    'Win32_Process.Create': { ReturnValue: 0, ProcessId: 42 },
+                    'Win32_Service.StopService': (inParams, context) => {
+                        context.instance.State = 'Stopped';
+                        return { ReturnValue: 0 };
+                    }
+                }
+            },
+            'root/virtualization/v2': {
+                classes: {
+                    Msvm_ConcreteJob: [
+                        { InstanceID: 'J1', JobState: 4, PercentComplete: 0 },
+                        { InstanceID: 'J2', JobState: 10, ErrorCode: 32768, ErrorDescription: 'Boom' }
+                    ]
+                },
+                methods: {
+                    'Msvm_VirtualSystemManagementService.RequestStateChange': { ReturnValue: 4096, Job: JOB }
+                }
+            }
+        }
+    };
+}
+
+function setup() {
+    const fixtures = jobFixtures();
+    const client = new WmiClient({ backend: 'counting-jobs', fixtures });
+    const job = fixtures.namespaces['root/virtualization/v2'].classes.Msvm_ConcreteJob[0];
+    return { client, job };
+}
+
+test('parses object paths', () => {
+    assert.deepStrictEqual(parseObjectPath('Win32_Service.Name="Spooler"').keys, { Name: 'Spooler' });
+    const job = parseObjectPath(JOB);
+    assert.strictEqual(job.server, 'HV01');
+    assert.strictEqual(job.namespace, 'root/virtualization/v2');
+    assert.strictEqual(job.className, 'Msvm_ConcreteJob');
+});
+
+test('invokes static and instance methods', () => {
+    const { client } = setup();
+    assert.deepStrictEqual(client.invokeMethod('Win32_Process', 'Create', { CommandLine: 'notepad.exe' }), { ReturnValue: 0, ProcessId: 42 });
+    assert.strictEqual(client.invokeMethod('Win32_Service.Name="spooler"', 'StopService').ReturnValue, 0);
+    assert.strictEqual(client.query('SELECT State FROM Win32_Service')[0].State, 'Stopped');
+    assert.throws(() => client.invokeMethod('Win32_Service.Name="nope"', 'StopService'), WmiNotFoundError);
+    client.close();
+});
+
+test('getJob reads the job from its namespace and closes that client', () => {
+    const { client } = setup();
+    const out = client.withNamespace('root/virtualization/v2', hv => hv.invokeMethod('Msvm_VirtualSystemManagementService', 'RequestStateChange', { RequestedState: 2 }));
+    assert.strictEqual(client.getJob(out).InstanceID, 'J1');
+    assert.strictEqual(client.getJob({ ReturnValue: 0 }), null);
+    assert.throws(() => client.getJob('root/virtualization/v2:Msvm_ConcreteJob.InstanceID="J9"'), WmiNotFoundError);
+    assert.strictEqual(counts.open, 1);
+    client.close();
+    assert.strictEqual(counts.open, 0);
+});
+
+test('waitForJob reports progress and resolves with the completed job', () => {
+    const { client, job } = setup();
+    const progress = [];
+    setTimeout(() => {
+        job.PercentComplete = 50;
+    }, 15);
+    setTimeout(() => {
+        job.JobState = 7;
+        job.PercentComplete = 100;
+    }, 40);
+    return client.waitForJob({ ReturnValue: 4096, Job: JOB }, { interval: 5, onProgress: row => progress.push(row.PercentComplete) }).then(done => {
+        assert.strictEqual(done.JobState, 7);
+        assert.deepStrictEqual(progress, [0, 50, 100]);
+        assert.strictEqual(counts.open, 1);
+        client.close();
+    });
+});
+
+test('waitForJob rejects failed jobs and closes the job client', () => {
+    const { client } = setup();
+    return client.waitForJob('root/virtualization/v2:Msvm_ConcreteJob.InstanceID="J2"').then(() => assert.fail('resolved'), error => {
+        assert.ok(error instanceof WmiJobError);
+        assert.strictEqual(error.errorCode, 32768);
+        assert.ok(/Boom/.test(error.message));
+        assert.strictEqual(counts.open, 1);
+        client.close();
+    });
+});
+
+test('waitForJob closes the job client when it times out', () => {
+    const { client } = setup();
+    return client.waitForJob(JOB, { timeout: 30, interval: 5 }).then(() => assert.fail('resolved'), error => {
+        assert.ok(error instanceof WmiTimeoutError);
+        assert.strictEqual(error.namespace, 'root/virtualization/v2');
+        // Let a poll that was in flight settle
+        return delay(10);
+    }).then(() => {
+        assert.strictEqual(counts.open, 1);
+        client.close();
+        assert.strictEqual(counts.open, 0);
+    });
+});
+
+test('waitForJob resolves null for methods that completed synchronously', () => {
+    const { client } = setup();
+    return client.waitForJob({ ReturnValue: 0 }).then(result => {
+        assert.strictEqual(result, null);
+        return client.waitForJob({ ReturnValue: 32775 });
+    }).then(() => assert.fail('resolved'), error => {
+        assert.ok(error instanceof WmiJobError);
+        assert.strictEqual(error.returnValue, 32775);
+        client.close();
+    });
+});
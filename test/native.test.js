@@ -0,0 +1,79 @@
+const assert = require('assert');
+const { test } = require('./harness');
+const { WmiError } = require('..');
+
+const BINDING = require.resolve('../binding.js');
+const NATIVE = require.resolve('../lib/backends/native');
+
+const METHODS = [
+    'query', 'queryString', 'queryBatch', 'queryAsync', 'queryStream', 'subscribe', 'listClasses',
+    'getClassMof', 'invokeMethod', 'invokeMethodAsync', 'getNamespace', 'testConnection', 'close'
+];
+
+/**
+ * A stand-in for the napi-rs exports: a WmiClient class with the given
+ * methods and, when `features` is given, bindingFeatures().
+ */
+function fakeBinding(methods, features) {
+    class WmiClient {
+        constructor(config) {
+            this.config = config;
+        }
+    }
+    methods.forEach(name => {
+        WmiClient.prototype[name] = function () {
+            return name === 'getNamespace' ? this.config.namespace : [];
+        };
+    });
+    return features ? { WmiClient, bindingFeatures: () => features } : { WmiClient };
+}
+
+/**
+ * A fresh copy of lib/backends/native.js that has loaded `exports` as the
+ * binding.
+ */
+function loadNative(exports) {
+    const savedBinding = require.cache[BINDING];
+    const savedNative = require.cache[NATIVE];
+    delete require.cache[NATIVE];
+    require.cache[BINDING] = { id: BINDING, filename: BINDING, loaded: true, exports };
+    try {
+        const native = require(NATIVE);
+        native.isNativeAvailable();
+        return native;
+    } finally {
+        if (savedBinding) require.cache[BINDING] = savedBinding;
+        else delete require.cache[BINDING];
+        require.cache[NATIVE] = savedNative;
+    }
+}
+
+test('uses a binding that has every method', () => {
+    const native = loadNative(fakeBinding(METHODS, ['remote']));
+    assert.strictEqual(native.isNativeAvailable(), true);
+    const backend = new native.NativeBackend({ namespace: 'root/cimv2' });
+    assert.strictEqual(backend.getNamespace(), 'root/cimv2');
+    assert.deepStrictEqual(backend.query('SELECT * FROM Win32_BIOS'), []);
+});
+
+test('refuses a binding built from an older src/lib.rs', () => {
+    const native = loadNative(fakeBinding(['query', 'queryString', 'getNamespace', 'testConnection']));
+    assert.strictEqual(native.isNativeAvailable(), false);
+    assert.throws(() => new native.NativeBackend({}), error => error instanceof WmiError &&
+        /binding is out of date/.test(error.message) && /queryAsync/.test(error.message) && !/queryString/.test(error.message));
+});
+
+test('refuses remote settings when the binding cannot connect remotely', () => {
+    const native = loadNative(fakeBinding(METHODS));
+    assert.strictEqual(native.isNativeAvailable(), true);
+    assert.strictEqual(new native.NativeBackend({ namespace: 'root/cimv2' }).getNamespace(), 'root/cimv2');
+    assert.throws(() => new native.NativeBackend({ server: 'HOST01', username: 'admin', password: 'secret' }), error =>
+        error instanceof WmiError && error.server === 'HOST01' &&
+        /cannot connect to remote servers \(server, username, password given\)/.test(error.message));
+    assert.throws(() => new native.NativeBackend({ authLevel: 6 }), /cannot connect to remote servers \(authLevel given\)/);
+
+    const remote = loadNative(fakeBinding(METHODS, ['remote']));
+    const backend = new remote.NativeBackend({ server: 'HOST01', username: 'admin', password: 'secret' });
+    assert.strictEqual(backend.client.config.server, 'HOST01');
+    assert.strictEqual(backend.client.config.username, 'admin');
+});
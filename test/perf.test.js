@@ -0,0 +1,204 @@
+const assert = require('assert');
+const { test, fixture } = require('./harness');
+const { countingBackend } = require('./helpers');
+const { WmiClient, PerfSampler, counterTypes: T } = require('..');
+
+const CLASS = 'Win32_PerfRawData_PerfOS_Processor';
+
+/**
+ * A client whose processor counters are replaced by snapshot(). Each
+ * instance is [Name, PercentProcessorTime, InterruptsPersec] at `seconds`.
+ */
+function setup() {
+    const rows = [];
+    const fixtures = {
+        namespaces: {
+            'root/cimv2': {
+                classes: {
+                    [CLASS]: rows,
+                    Win32_PerfFormattedData_PerfOS_Memory: [{ AvailableMBytes: '1024' }]
+                },
+                schemas: {
+                    [CLASS]: `class ${CLASS} {
+                        [key] string Name;
+                        uint64 Timestamp_Sys100NS; uint64 Frequency_Sys100NS;
+                        uint64 Timestamp_PerfTime; uint64 Frequency_PerfTime;
+                        [CounterType(558957824)] uint64 PercentProcessorTime;
+                        [CounterType(272696320)] uint32 InterruptsPersec;
+                        [CounterType(537003008)] uint32 Fraction;
+                        [CounterType(1073939459)] uint32 Fraction_Base;
+                        [CounterType(2816)] string Text;
+                    };`,
+                    Win32_PerfFormattedData_PerfOS_Memory: 'class Win32_PerfFormattedData_PerfOS_Memory { [CounterType(65792)] uint64 AvailableMBytes; };'
+                }
+            }
+        }
+    };
+    const snapshot = (seconds, instances) => {
+        rows.length = 0;
+        instances.forEach(([name, idle, interrupts]) => rows.push({
+            Name: name,
+            Timestamp_Sys100NS: String(1e7 * seconds),
+            Frequency_Sys100NS: '10000000',
+            Timestamp_PerfTime: String(1000 * seconds),
+            Frequency_PerfTime: '1000',
+            PercentProcessorTime: String(idle),
+            InterruptsPersec: interrupts,
+            Fraction: 1,
+            Fraction_Base: 4,
+            Text: 'x'
+        }));
+    };
+    return { client: new WmiClient({ backend: 'fixture', fixtures }), snapshot };
+}
+
+/**
+ * Collect uncaught exceptions instead of ending the test run.
+ * @returns {{errors: Array<Error>, restore: function(): void}}
+ */
+function captureUncaught() {
+    const errors = [];
+    const capture = error => errors.push(error);
+    const listeners = process.listeners('uncaughtException');
+    process.removeAllListeners('uncaughtException');
+    process.on('uncaughtException', capture);
+    return {
+        errors,
+        restore() {
+            process.removeListener('uncaughtException', capture);
+            listeners.forEach(listener => process.on('uncaughtException', listener));
+        }
+    };
+}
+
+test('computes samples against the previous snapshot', () => {
+    const { client, snapshot } = setup();
+    const sampler = new PerfSampler(client, CLASS);
+    assert.strictEqual(sampler.toWql(), `SELECT * FROM ${CLASS}`);
+    snapshot(10, [['0', 0, 100], ['_Total', 0, 100]]);
+    return sampler.sample().then(first => {
+        assert.strictEqual(first.elapsedSeconds, null);
+        assert.deepStrictEqual(first.instances['0'], { PercentProcessorTime: null, InterruptsPersec: null, Fraction: 25 });
+        assert.deepStrictEqual(first.added, ['0', '_Total']);
+        snapshot(12, [['0', 1.5e7, 300], ['1', 0, 0]]);
+        return sampler.sample();
+    }).then(second => {
+        assert.strictEqual(second.elapsedSeconds, 2);
+        assert.strictEqual(second.instances['0'].PercentProcessorTime, 25);
+        assert.strictEqual(second.instances['0'].InterruptsPersec, 100);
+        assert.strictEqual(second.instances['1'].PercentProcessorTime, null);
+        assert.deepStrictEqual(second.added, ['1']);
+        assert.deepStrictEqual(second.removed, ['_Total']);
+    });
+});
+
+test('selects counters and instances, and takes counter types from options', () => {
+    const { client, snapshot } = setup();
+    snapshot(10, [['0', 0, 300], ['1', 0, 0]]);
+    const only = new PerfSampler(client, CLASS, { counters: ['percentprocessortime'], instances: ['0'] });
+    assert.strictEqual(only.toWql(), `SELECT * FROM ${CLASS} WHERE Name = '0'`);
+    const raw = new PerfSampler(client, CLASS, { counterTypes: { InterruptsPersec: T.PERF_COUNTER_RAWCOUNT } });
+    return Promise.all([only.sample(), raw.sample()]).then(results => {
+        assert.deepStrictEqual(results[0].instances, { 0: { PercentProcessorTime: null } });
+        assert.strictEqual(results[1].instances['0'].InterruptsPersec, 300);
+        return new PerfSampler(client, CLASS, { counters: ['Text'] }).sample();
+    }).then(() => assert.fail('resolved'), error => {
+        assert.ok(/no formula/.test(error.message));
+        return new PerfSampler(client, 'Win32_PerfFormattedData_PerfOS_Memory').sample();
+    }).then(formatted => {
+        assert.deepStrictEqual(formatted.instances, { '': { AvailableMBytes: 1024 } });
+    });
+});
+
+test('start() emits samples with rates until stopped', () => {
+    const { client, snapshot } = setup();
+    const sampler = new PerfSampler(client, CLASS, { interval: 20 });
+    snapshot(20, [['0', 0, 0]]);
+    return new Promise((resolve, reject) => {
+        sampler.on('sample', sample => {
+            sampler.stop();
+            resolve(sample);
+        });
+        sampler.on('error', reject);
+        sampler.start();
+        setTimeout(() => snapshot(21, [['0', 5e6, 10]]), 5);
+    }).then(sample => {
+        assert.strictEqual(sample.instances['0'].PercentProcessorTime, 50);
+        assert.strictEqual(sample.instances['0'].InterruptsPersec, 10);
+        assert.strictEqual(sampler.running, false);
+        assert.strictEqual(sampler.timer, null);
+    });
+});
+
+test('keeps sampling when a listener throws', () => {
+    const { client, snapshot } = setup();
+    const sampler = new PerfSampler(client, 'Win32_PerfFormattedData_PerfOS_Memory', { interval: 5 });
+    snapshot(0, []);
+    const uncaught = captureUncaught();
+    let samples = 0;
+    return new Promise(resolve => {
+        sampler.on('sample', () => {
+            samples++;
+            if (samples === 3) {
+                sampler.stop();
+                resolve();
+            } else {
+                throw new Error(`listener failed ${samples}`);
+            }
+        });
+        sampler.start();
+    }).then(() => {
+        uncaught.restore();
+        assert.deepStrictEqual(uncaught.errors.map(error => error.message), ['listener failed 1', 'listener failed 2']);
+    });
+});
+
+test('stops after a failed snapshot without an error listener', () => {
+    const { client } = setup();
+    const kept = new PerfSampler(client, 'Win32_Missing', { interval: 5 });
+    let errors = 0;
+    return new Promise(resolve => {
+        kept.on('error', error => {
+            assert.ok(error.name.startsWith('Wmi'), error.name);
+            if (++errors === 2) resolve();
+        });
+        kept.start();
+    }).then(() => {
+        assert.ok(kept.running);
+        kept.stop();
+        const lone = new PerfSampler(client, 'Win32_Missing', { interval: 5 });
+        const uncaught = captureUncaught();
+        return new Promise(resolve => {
+            lone.on('stop', () => setTimeout(resolve, 20));
+            lone.start();
+        }).then(() => {
+            uncaught.restore();
+            assert.strictEqual(lone.running, false);
+            assert.deepStrictEqual(uncaught.errors.map(error => error.name), ['WmiNotFoundError']);
+        });
+    });
+});
+
+test('close() stops sampling and closes only a client it created', () => {
+    const counts = countingBackend('counting-perf');
+    const config = { backend: 'counting-perf', fixtures: fixture('cimv2') };
+    const owned = new PerfSampler(config, CLASS, { counterTypes: { PercentProcessorTime: T.PERF_100NSEC_TIMER_INV }, interval: 5 });
+    assert.strictEqual(owned.ownsClient, true);
+    assert.strictEqual(counts.open, 1);
+    owned.on('error', () => {});
+    let stopped = 0;
+    owned.on('stop', () => stopped++);
+    owned.start();
+    owned.close();
+    assert.strictEqual(owned.running, false);
+    assert.strictEqual(stopped, 1);
+    assert.strictEqual(counts.open, 0);
+
+    const client = new WmiClient(config);
+    const shared = new PerfSampler(client, CLASS, { counterTypes: { PercentProcessorTime: T.PERF_100NSEC_TIMER_INV } });
+    assert.strictEqual(shared.ownsClient, false);
+    shared.close();
+    assert.strictEqual(counts.open, 1);
+    assert.deepStrictEqual(client.query('SELECT Caption FROM Win32_OperatingSystem'), [{ Caption: 'Microsoft Windows 11 Pro' }]);
+    client.close();
+});
@@ -0,0 +1,75 @@
+const assert = require('assert');
+const { test, fixture } = require('./harness');
+const { WmiClient, ConnectionPool, WmiError, WmiRpcUnavailableError } = require('..');
+
+const FIXTURES = fixture('cimv2');
+
+function createPool(options) {
+    return new ConnectionPool(Object.assign({
+        idleTimeout: 0,
+        create: config => new WmiClient(Object.assign({ backend: 'fixture', fixtures: FIXTURES }, config))
+    }, options));
+}
+
+test('shares one client per server, namespace and account', () => {
+    const pool = createPool();
+    const client = pool.acquire('root/cimv2');
+    assert.strictEqual(pool.acquire('ROOT\\CIMV2'), client);
+    assert.strictEqual(pool.acquire(), client);
+    assert.notStrictEqual(pool.acquire({ namespace: 'root/cimv2', server: 'srv01' }), client);
+    assert.strictEqual(pool.size, 2);
+    pool.clear();
+    assert.strictEqual(pool.size, 0);
+    assert.ok(client.closed);
+});
+
+test('closes the least recently used client beyond maxSize', () => {
+    const pool = createPool({ maxSize: 2 });
+    const cimv2 = pool.acquire('root/cimv2');
+    const mdm = pool.acquire('root/cimv2/mdm');
+    pool.acquire('root/cimv2');
+    pool.acquire('root/virtualization/v2');
+    assert.strictEqual(pool.size, 2);
+    assert.ok(mdm.closed);
+    assert.ok(!cimv2.closed);
+    assert.throws(() => mdm.query('SELECT * FROM A'), error => error instanceof WmiError && /closed/.test(error.message));
+    pool.clear();
+});
+
+test('drops clients whose server became unreachable', () => {
+    let failing = true;
+    const pool = new ConnectionPool({
+        idleTimeout: 0,
+        create: config => {
+            const client = new WmiClient(Object.assign({ backend: 'fixture', fixtures: FIXTURES }, config));
+            const query = client.query.bind(client);
+            client.query = wql => {
+                if (failing) throw new WmiRpcUnavailableError('RPC server unavailable', {});
+                return query(wql);
+            };
+            return client;
+        }
+    });
+    const first = pool.acquire();
+    assert.throws(() => pool.use(undefined, client => client.query('SELECT Name FROM Win32_Process')), WmiRpcUnavailableError);
+    assert.strictEqual(pool.size, 0);
+    assert.ok(first.closed);
+    failing = false;
+    assert.strictEqual(pool.use(undefined, client => client.query('SELECT Name FROM Win32_Process')).length, 3);
+    assert.strictEqual(pool.size, 1);
+    pool.clear();
+});
+
+test('closes clients idle for longer than idleTimeout', () => {
+    const pool = createPool({ idleTimeout: 1000 });
+    const client = pool.acquire();
+    assert.ok(pool.sweepTimer);
+    pool.entries.forEach(entry => {
+        entry.lastUsed = Date.now() - 5000;
+    });
+    pool.sweep();
+    assert.strictEqual(pool.size, 0);
+    assert.strictEqual(pool.sweepTimer, null);
+    assert.ok(client.closed);
+    assert.throws(() => pool.configure({ maxSize: 0 }), RangeError);
+});
@@ -0,0 +1,116 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test, fixture } = require('./harness');
+const { WmiClient, WmiReplayMissError, WmiInvalidClassError } = require('..');
+
+const FIXTURES = fixture('cimv2');
+
+function tempFile(name) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wmi-nodejs-'));
+    return path.join(dir, name);
+}
+
+function record(file, config) {
+    const client = new WmiClient(Object.assign({ backend: 'fixture', fixtures: FIXTURES, record: file }, config));
+    client.query('SELECT Name FROM Win32_Process WHERE ProcessId = 4');
+    client.query('SELECT   Version FROM Win32_OperatingSystem');
+    assert.throws(() => client.query('SELECT * FROM Win32_Nope'), WmiInvalidClassError);
+    return client;
+}
+
+['json', 'ndjson'].forEach(extension => {
+    test(`records and replays a .${extension} file`, () => {
+        const file = tempFile(`recording.${extension}`);
+        record(file);
+        const replay = new WmiClient({ backend: 'replay', recording: file });
+        assert.deepStrictEqual(replay.query('SELECT Name\n  FROM Win32_Process WHERE ProcessId = 4'), [{ Name: 'System' }]);
+        assert.deepStrictEqual(replay.query('SELECT Version FROM Win32_OperatingSystem'), [{ Version: '10.0.22631' }]);
+        assert.throws(() => replay.query('SELECT * FROM Win32_Nope'), error => error instanceof WmiInvalidClassError && error.hresult === 0x80041010);
+        assert.throws(() => replay.query('SELECT * FROM Win32_BIOS'), WmiReplayMissError);
+    });
+});
+
+test('keeps a .json recording valid after every query', () => {
+    const file = tempFile('recording.json');
+    const client = new WmiClient({ backend: 'fixture', fixtures: FIXTURES, record: file });
+    assert.deepStrictEqual(JSON.parse(fs.readFileSync(file, 'utf8')), []);
+    client.query('SELECT Name FROM Win32_Service');
+    assert.strictEqual(JSON.parse(fs.readFileSync(file, 'utf8')).length, 1);
+    client.query("SELECT Name FROM Win32_Service WHERE Name = 'Ünïcode'");
+    const entries = JSON.parse(fs.readFileSync(file, 'utf8'));
+    assert.strictEqual(entries.length, 2);
+    assert.deepStrictEqual(entries[1], { server: null, namespace: 'root/cimv2', wql: "SELECT Name FROM Win32_Service WHERE Name = 'Ünïcode'", rows: [] });
+    assert.strictEqual(fs.readFileSync(file, 'utf8'), `${JSON.stringify(entries, null, 2)}\n`);
+});
+
+test('matches the server of recorded queries', () => {
+    const file = tempFile('recording.ndjson');
+    const wql = 'SELECT Version FROM Win32_OperatingSystem';
+    record(file);
+    new WmiClient({ backend: 'fixture', fixtures: FIXTURES, record: file, server: 'SRV01' }).query(wql);
+    const lines = fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    assert.deepStrictEqual(lines.map(entry => entry.server), [null, null, null, 'SRV01']);
+
+    assert.strictEqual(new WmiClient({ backend: 'replay', recording: file }).query(wql)[0].Version, '10.0.22631');
+    const remote = new WmiClient({ backend: 'replay', recording: file, server: 'srv01' });
+    assert.strictEqual(remote.query(wql)[0].Version, '10.0.20348');
+    assert.throws(() => new WmiClient({ backend: 'replay', recording: file, server: 'other' }).query(wql),
+        error => error instanceof WmiReplayMissError && error.server === 'other' && /\\\\other\\root\\cimv2/.test(error.message));
+});
+
+test('replays recordings without a server as local', () => {
+    const file = tempFile('legacy.ndjson');
+    fs.writeFileSync(file, `${JSON.stringify({ namespace: 'root/cimv2', wql: 'SELECT Name FROM Win32_BIOS', rows: [{ Name: 'BIOS' }] })}\n`);
+    assert.deepStrictEqual(new WmiClient({ backend: 'replay', recording: file }).query('SELECT Name FROM Win32_BIOS'), [{ Name: 'BIOS' }]);
+});
+
+/** Read `count` rows of a stream, then destroy it. */
+function readAndDestroy(stream, count) {
+    return new Promise((resolve, reject) => {
+        const rows = [];
+        stream.on('data', row => {
+            rows.push(row);
+            if (rows.length === count) {
+                stream.destroy();
+                stream.on('close', () => resolve(rows));
+            }
+        });
+        stream.on('error', reject);
+    });
+}
+
+test('records the rows read by a stream destroyed early', () => {
+    const file = tempFile('recording.ndjson');
+    const wql = 'SELECT Name FROM Win32_Process';
+    const client = new WmiClient({ backend: 'fixture', fixtures: FIXTURES, record: file });
+    return readAndDestroy(client.queryStream(wql, { batchSize: 1, highWaterMark: 1 }), 1).then(rows => {
+        assert.deepStrictEqual(rows, [{ Name: 'System' }]);
+        const entries = fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+        assert.strictEqual(entries.length, 1);
+        assert.strictEqual(entries[0].partial, true);
+        assert.ok(entries[0].rows.length >= 1 && entries[0].rows.length < 3, JSON.stringify(entries[0].rows));
+
+        const replay = new WmiClient({ backend: 'replay', recording: file });
+        return readAndDestroy(replay.queryStream(wql), 1);
+    }).then(rows => {
+        assert.deepStrictEqual(rows, [{ Name: 'System' }]);
+    });
+});
+
+test('records a stream read to the end once', () => {
+    const file = tempFile('recording.ndjson');
+    const client = new WmiClient({ backend: 'fixture', fixtures: FIXTURES, record: file });
+    const rows = [];
+    return new Promise((resolve, reject) => {
+        client.queryStream('SELECT Name FROM Win32_Service', { batchSize: 2 })
+            .on('data', row => rows.push(row))
+            .on('error', reject)
+            .on('close', resolve);
+    }).then(() => {
+        assert.strictEqual(rows.length, 3);
+        const entries = fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+        assert.deepStrictEqual(entries.map(entry => [entry.rows.length, entry.partial]), [[3, undefined]]);
+    });
+});
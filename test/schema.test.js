@@ -0,0 +1,102 @@
+const assert = require('assert');
+const { test, fixture } = require('./harness');
+const { WmiClient, WmiNotFoundError, parseMofClass, MofSyntaxError } = require('..');
+
+const FIXTURES = fixture('cimv2');
+
+test('parses class qualifiers, properties and methods', () => {
+    const definition = parseMofClass(`
+        #pragma namespace("\\\\\\\\.\\\\root\\\\cimv2")
+        // Process class
+        [dynamic: ToInstance, provider("CIM" "Win32"), Description("A \\"process\\"")]
+        class Win32_Process : CIM_Process
+        {
+            [key, read: ToSubClass] string Handle;
+            [read, ValueMap {"0", "1"}, Values {"Off", "On"}] uint16 State = 1;
+            [read] string Names[];
+            [read] CIM_DataFile ref Antecedent;
+            [EmbeddedInstance("Win32_Foo")] string Settings;
+            /* embedded object */
+            Win32_Thing Thing;
+            [Static, Constructor] uint32 Create([IN] string CommandLine, [OUT] uint32 ProcessId, [IN, OUT] uint8 Data[]);
+            void Reset();
+        };
+    `);
+
+    assert.strictEqual(definition.name, 'Win32_Process');
+    assert.strictEqual(definition.superclass, 'CIM_Process');
+    assert.deepStrictEqual(definition.qualifiers, { dynamic: true, provider: 'CIMWin32', Description: 'A "process"' });
+    assert.deepStrictEqual(definition.properties.map(p => [p.name, p.type, p.isArray]), [
+        ['Handle', 'string', false],
+        ['State', 'uint16', false],
+        ['Names', 'string', true],
+        ['Antecedent', 'reference', false],
+        ['Settings', 'string', false],
+        ['Thing', 'object', false]
+    ]);
+    assert.deepStrictEqual(definition.properties[0].qualifiers, { key: true, read: true });
+    assert.deepStrictEqual(definition.properties[1].qualifiers.ValueMap, ['0', '1']);
+    assert.strictEqual(definition.properties[1].defaultValue, 1);
+    assert.strictEqual(definition.properties[3].referenceClass, 'CIM_DataFile');
+    assert.strictEqual(definition.properties[5].objectClass, 'Win32_Thing');
+
+    const [create, reset] = definition.methods;
+    assert.strictEqual(create.returnType, 'uint32');
+    assert.deepStrictEqual(create.qualifiers, { Static: true, Constructor: true });
+    assert.deepStrictEqual(create.parameters.map(p => [p.name, p.type, p.isArray, Object.keys(p.qualifiers)]), [
+        ['CommandLine', 'string', false, ['IN']],
+        ['ProcessId', 'uint32', false, ['OUT']],
+        ['Data', 'uint8', true, ['IN', 'OUT']]
+    ]);
+    assert.strictEqual(reset.returnType, 'void');
+    assert.deepStrictEqual(reset.parameters, []);
+});
+
+test('reports MOF syntax errors with their position', () => {
+    assert.throws(() => parseMofClass('class X { string Name }'), error =>
+        error instanceof MofSyntaxError && error instanceof SyntaxError &&
+        error.position === 22 && /Expected ";" but found "}"/.test(error.message));
+    assert.throws(() => parseMofClass('[read] string Name;'), /Expected class declaration but found "string"/);
+    assert.throws(() => parseMofClass('class X { [Description("open] string Name; };'), /Unterminated string literal at position 23/);
+    assert.throws(() => parseMofClass('class X {'), /but found end of text/);
+    assert.throws(() => parseMofClass(null), TypeError);
+});
+
+test('resolves the class schema through its superclasses', () => {
+    const client = new WmiClient({ backend: 'fixture', fixtures: FIXTURES });
+    const schema = client.getClass('win32_process');
+
+    assert.strictEqual(schema.name, 'Win32_Process');
+    assert.strictEqual(schema.namespace, 'root/cimv2');
+    assert.strictEqual(schema.superclass, 'CIM_Process');
+    assert.deepStrictEqual(schema.derivation, ['CIM_Process']);
+    assert.strictEqual(schema.isAbstract, false);
+    assert.deepStrictEqual(schema.properties.map(p => [p.name, p.origin, p.isKey, p.isReadOnly]), [
+        ['Handle', 'CIM_Process', true, true],
+        ['Name', 'CIM_Process', false, true],
+        ['ProcessId', 'Win32_Process', false, true],
+        ['CommandLine', 'Win32_Process', false, true]
+    ]);
+
+    const create = schema.methods.find(method => method.name === 'Create');
+    assert.strictEqual(create.isStatic, true);
+    assert.deepStrictEqual(create.parameters.map(p => [p.name, p.direction]), [['CommandLine', 'in'], ['ProcessId', 'out']]);
+    assert.strictEqual(schema.methods.find(method => method.name === 'Terminate').isStatic, false);
+
+    assert.strictEqual(client.getClass('Win32_Process'), schema);
+    assert.strictEqual(client.getClass('CIM_Process').isAbstract, true);
+    assert.throws(() => client.getClass('Win32_Missing'), WmiNotFoundError);
+    client.close();
+});
+
+test('lists and filters classes', () => {
+    const client = new WmiClient({ backend: 'fixture', fixtures: FIXTURES });
+    const process = client.listClasses('win32_proc*');
+    assert.deepStrictEqual(process, [{ name: 'Win32_Process', superclass: 'CIM_Process', derivation: ['CIM_Process'] }]);
+    assert.deepStrictEqual(client.listClasses({ derivedFrom: 'cim_process' }).map(entry => entry.name),
+        ['CIM_Process', 'Win32_Process']);
+    assert.deepStrictEqual(client.listClasses(/Service$/).map(entry => entry.name), ['Win32_Service']);
+    assert.deepStrictEqual(client.listClasses('*').map(entry => entry.name),
+        ['CIM_Process', 'Win32_OperatingSystem', 'Win32_Process', 'Win32_Service']);
+    client.close();
+});
@@ -0,0 +1,127 @@
+const assert = require('assert');
+const { test, fixture } = require('./harness');
+const { abortSignal, watchRejections } = require('./helpers');
+const { WmiClient, WmiInvalidClassError, WmiTimeoutError, WmiAbortError } = require('..');
+
+const FIXTURES = fixture('cimv2');
+
+function fixtureClient(config) {
+    return new WmiClient(Object.assign({ backend: 'fixture', fixtures: FIXTURES }, config));
+}
+
+/** Rows of a stream, or its error. */
+function collect(stream) {
+    return new Promise((resolve, reject) => {
+        const rows = [];
+        stream.on('data', row => rows.push(row));
+        stream.on('error', reject);
+        stream.on('end', () => resolve(rows));
+    });
+}
+
+/**
+ * Backend with a native-style cursor over `rows` that records the reads
+ * and whether it was closed.
+ */
+function cursorBackend(rows) {
+    const log = { reads: [], closed: false };
+    const backend = {
+        name: 'cursor',
+        getNamespace: () => 'root/cimv2',
+        query: () => rows,
+        queryStream: () => {
+            let offset = 0;
+            return {
+                next: maxRows => {
+                    log.reads.push(maxRows);
+                    const batch = rows.slice(offset, offset + maxRows);
+                    offset += batch.length;
+                    return Promise.resolve(batch.length ? batch : null);
+                },
+                close: () => {
+                    log.closed = true;
+                }
+            };
+        },
+        testConnection: () => true
+    };
+    return { backend, log };
+}
+
+test('streams every row of a query', () => {
+    const client = fixtureClient();
+    return collect(client.queryStream('SELECT Name FROM Win32_Process', { batchSize: 2 })).then(rows => {
+        assert.deepStrictEqual(rows.map(row => row.Name), ['System', 'explorer.exe', "o'brien.exe"]);
+    });
+});
+
+test('converts streamed rows like query()', () => {
+    const client = fixtureClient({ conversion: { int64: 'string' } });
+    return collect(client.queryStream('SELECT TotalVisibleMemorySize FROM Win32_OperatingSystem')).then(rows => {
+        assert.deepStrictEqual(rows, client.query('SELECT TotalVisibleMemorySize FROM Win32_OperatingSystem'));
+        assert.strictEqual(rows[0].TotalVisibleMemorySize, '18446744073709551615');
+    });
+});
+
+test('reads cursors in batches as the consumer asks for rows', () => {
+    const rows = Array.from({ length: 10 }, (value, index) => ({ Index: index }));
+    const { backend, log } = cursorBackend(rows);
+    const stream = new WmiClient({ backend }).queryStream('SELECT * FROM x', { batchSize: 3, highWaterMark: 3 });
+    return collect(stream).then(read => {
+        assert.strictEqual(read.length, 10);
+        assert.deepStrictEqual(log.reads, [3, 3, 3, 3, 3]);
+        assert.ok(log.closed);
+    });
+});
+
+test('closes the cursor when the stream is destroyed early', () => {
+    const rows = Array.from({ length: 10 }, (value, index) => ({ Index: index }));
+    const { backend, log } = cursorBackend(rows);
+    const stream = new WmiClient({ backend }).queryStream('SELECT * FROM x', { batchSize: 2, highWaterMark: 2 });
+    return new Promise(resolve => {
+        stream.once('data', () => stream.destroy());
+        stream.on('close', resolve);
+    }).then(() => {
+        assert.ok(log.closed);
+        assert.ok(log.reads.length < 5, `read ${log.reads.length} batches`);
+    });
+});
+
+test('emits the error of a failing query', () => {
+    const client = fixtureClient();
+    return collect(client.queryStream('SELECT * FROM Missing_Class')).then(() => assert.fail('ended'), error => {
+        assert.ok(error instanceof WmiInvalidClassError);
+    });
+});
+
+test('a failing query destroyed before it is read leaves no rejection unhandled', () => {
+    const client = fixtureClient();
+    return watchRejections(() => {
+        const stream = client.queryStream('SELECT * FROM Missing_Class');
+        stream.on('error', () => {});
+        stream.destroy();
+    }).then(rejections => {
+        assert.deepStrictEqual(rejections, []);
+    });
+});
+
+test('destroys the stream with WmiTimeoutError or WmiAbortError', () => {
+    const never = {
+        name: 'never',
+        getNamespace: () => 'root/cimv2',
+        query: () => [],
+        queryStream: () => ({ next: () => new Promise(() => {}), close: () => {} }),
+        testConnection: () => true
+    };
+    const client = new WmiClient({ backend: never });
+    return collect(client.queryStream('SELECT * FROM x', { timeout: 20 })).then(() => assert.fail('ended'), error => {
+        assert.ok(error instanceof WmiTimeoutError);
+        assert.strictEqual(error.timeout, 20);
+        const controller = abortSignal();
+        const aborted = collect(client.queryStream('SELECT * FROM x', { signal: controller.signal }));
+        controller.abort();
+        return aborted;
+    }).then(() => assert.fail('ended'), error => {
+        assert.ok(error instanceof WmiAbortError);
+    });
+});
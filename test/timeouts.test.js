@@ -0,0 +1,66 @@
+const assert = require('assert');
+const { test, fixture } = require('./harness');
+const { abortSignal } = require('./helpers');
+const { WmiClient, WmiTimeoutError, WmiAbortError } = require('..');
+
+/**
+ * Backend whose async queries answer after `ms` milliseconds.
+ */
+function slowBackend(ms) {
+    return {
+        name: 'slow',
+        server: 'HV01',
+        getNamespace: () => 'root/virtualization/v2',
+        query: () => [{ Name: 'vm' }],
+        queryAsync: () => new Promise(resolve => setTimeout(() => resolve([{ Name: 'vm' }]), ms)),
+        testConnection: () => true
+    };
+}
+
+test('rejects with a WmiTimeoutError naming the query, namespace and server', () => {
+    const client = new WmiClient({ backend: slowBackend(200), timeout: 20 });
+    return client.queryAsync('SELECT * FROM Msvm_ComputerSystem').then(() => assert.fail('resolved'), error => {
+        assert.ok(error instanceof WmiTimeoutError);
+        assert.strictEqual(error.timeout, 20);
+        assert.strictEqual(error.wql, 'SELECT * FROM Msvm_ComputerSystem');
+        assert.strictEqual(error.namespace, 'root/virtualization/v2');
+        assert.strictEqual(error.server, 'HV01');
+    });
+});
+
+test('names the server of cached queries that time out', () => {
+    const client = new WmiClient({ backend: slowBackend(200), cache: true });
+    return client.queryAsync('SELECT * FROM Msvm_ComputerSystem', { timeout: 20 }).then(() => assert.fail('resolved'), error => {
+        assert.ok(error instanceof WmiTimeoutError);
+        assert.strictEqual(error.namespace, 'root/virtualization/v2');
+    });
+});
+
+test('per-query timeout 0 waits for the result', () => {
+    const client = new WmiClient({ backend: slowBackend(30), timeout: 10 });
+    return client.queryAsync('SELECT * FROM Msvm_ComputerSystem', { timeout: 0 }).then(rows => {
+        assert.deepStrictEqual(rows, [{ Name: 'vm' }]);
+    });
+});
+
+test('rejects with a WmiAbortError when the signal aborts', () => {
+    const client = new WmiClient({ backend: slowBackend(200) });
+    const controller = abortSignal();
+    const pending = client.queryAsync('SELECT * FROM Msvm_ComputerSystem', { signal: controller.signal });
+    setTimeout(() => controller.abort('shutdown'), 10);
+    return pending.then(() => assert.fail('resolved'), error => {
+        assert.ok(error instanceof WmiAbortError);
+        assert.strictEqual(error.reason, 'shutdown');
+    });
+});
+
+test('method calls time out with the backend namespace', () => {
+    const client = new WmiClient({ backend: 'fixture', fixtures: fixture('cimv2') });
+    client.backend.invokeMethodAsync = () => new Promise(() => {});
+    return client.invokeMethodAsync('Win32_Process', 'Create', { CommandLine: 'notepad.exe' }, { timeout: 10 })
+        .then(() => assert.fail('resolved'), error => {
+            assert.ok(error instanceof WmiTimeoutError);
+            assert.strictEqual(error.namespace, 'root/cimv2');
+            assert.strictEqual(error.server, null);
+        });
+});
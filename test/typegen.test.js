@@ -0,0 +1,133 @@
+const assert = require('assert');
+const { test, fixture } = require('./harness');
+const { WmiClient, dumpSchema, generateTypes } = require('..');
+const { resolveClassSchema } = require('../lib/schema');
+
+const DEFINITIONS = {
+    Test_Setting: `
+        class Test_Setting
+        {
+            [key] string InstanceID;
+        };`,
+    Test_Job: `
+        [dynamic]
+        class Test_Job
+        {
+            [key, read] string InstanceID;
+            [read, Description("Bytes copied so far, */ included")] uint64 Copied;
+            [read] datetime StartTime;
+            [read, SubType("interval")] datetime ElapsedTime;
+            [read] datetime TimeSubmitted;
+            [read] string Messages[];
+            [read] sint32 Codes[];
+            [read] CIM_ManagedElement ref Owner;
+            [read, EmbeddedInstance("Test_Setting")] string Setting;
+            [read] Test_Other Other[];
+            [read, write] boolean Enabled;
+        };`
+};
+
+function schemaOf(name) {
+    return resolveClassSchema(name, className => DEFINITIONS[className], 'root/test');
+}
+
+function declaration(text, name) {
+    const start = text.indexOf(`export interface ${name} {`);
+    assert.notStrictEqual(start, -1, `no interface ${name}`);
+    return text.slice(start, text.indexOf('}\n', start) + 2);
+}
+
+test('generates row interfaces from a dumped namespace', () => {
+    const client = new WmiClient({ backend: 'fixture', fixtures: fixture('cimv2') });
+    const dump = dumpSchema(client, '*_Process');
+    assert.strictEqual(dump.namespace, 'root/cimv2');
+    assert.deepStrictEqual(dump.classes.map(schema => schema.name), ['CIM_Process', 'Win32_Process']);
+    assert.deepStrictEqual(dumpSchema(client, ['Win32_Process']).classes, [client.getClass('Win32_Process')]);
+    client.close();
+
+    const text = generateTypes(JSON.parse(JSON.stringify(dump)), { filter: 'Win32_*' });
+    assert.strictEqual(text, [
+        '// Generated by wmi-nodejs from WMI class schemas. Do not edit.',
+        '',
+        '/**',
+        ' * root/cimv2 Win32_Process',
+        ' * Derives from CIM_Process',
+        ' */',
+        'export interface Win32_Process {',
+        '  /** CIM: string, key, read-only */',
+        '  Handle: string;',
+        '  /** CIM: string, read-only */',
+        '  Name: string | null;',
+        '  /** CIM: uint32, read-only */',
+        '  ProcessId: number | null;',
+        '  /** CIM: string, read-only */',
+        '  CommandLine: string | null;',
+        '}',
+        ''
+    ].join('\n'));
+});
+
+test('maps CIM types as the default query layer returns them', () => {
+    const text = generateTypes([schemaOf('Test_Job')]);
+    assert.ok(!text.includes('import type'));
+    assert.strictEqual(declaration(text, 'Test_Job'), [
+        'export interface Test_Job {',
+        '  /** CIM: string, key, read-only */',
+        '  InstanceID: string;',
+        '  /**',
+        '   * Bytes copied so far, *\\/ included',
+        '   * CIM: uint64, read-only',
+        '   */',
+        '  Copied: number | null;',
+        '  /** CIM: datetime, read-only */',
+        '  StartTime: string | null;',
+        '  /** CIM: datetime, read-only */',
+        '  ElapsedTime: string | null;',
+        '  /** CIM: datetime, read-only */',
+        '  TimeSubmitted: string | null;',
+        '  /** CIM: string[], read-only */',
+        '  Messages: string[] | null;',
+        '  /** CIM: sint32[], read-only */',
+        '  Codes: number[] | null;',
+        '  /** CIM: ref:CIM_ManagedElement, read-only */',
+        '  Owner: string | null;',
+        '  /** CIM: string, read-only */',
+        '  Setting: string | null;',
+        '  /** CIM: object:Test_Other[], read-only */',
+        '  Other: string[] | null;',
+        '  /** CIM: boolean */',
+        '  Enabled: boolean | null;',
+        '}',
+        ''
+    ].join('\n'));
+});
+
+test('follows the conversion options the types are for', () => {
+    const schemas = [schemaOf('Test_Job'), schemaOf('Test_Setting')];
+
+    const lossless = declaration(generateTypes(schemas, { conversion: true }), 'Test_Job');
+    assert.ok(lossless.includes('  Copied: number | null;'));
+    assert.ok(lossless.includes('  StartTime: string | null;'));
+    assert.ok(lossless.includes('  Other: Array<Record<string, unknown>> | null;'));
+
+    const known = declaration(generateTypes(schemas, { conversion: { int64: 'string', dates: 'known' } }), 'Test_Job');
+    assert.ok(known.includes('  Copied: string | null;'));
+    assert.ok(known.includes('  StartTime: Date | null;'));
+    assert.ok(known.includes('  TimeSubmitted: string | null;'));
+    assert.ok(known.includes('  Setting: string | null;'));
+
+    const text = generateTypes(schemas, { conversion: { int64: 'bigint', dates: true } });
+    assert.ok(text.startsWith(
+        "// Generated by wmi-nodejs from WMI class schemas. Do not edit.\nimport type { CimInterval } from 'wmi-nodejs';\n\n"));
+    const all = declaration(text, 'Test_Job');
+    assert.ok(all.includes('  Copied: bigint | null;'));
+    assert.ok(all.includes('  ElapsedTime: CimInterval | null;'));
+    assert.ok(all.includes('  TimeSubmitted: Date | null;'));
+    assert.ok(declaration(text, 'Test_Setting').includes('  InstanceID: string;'));
+});
+
+test('rejects input that is not a schema dump', () => {
+    assert.throws(() => generateTypes({ namespace: 'root/cimv2' }), TypeError);
+    assert.strictEqual(generateTypes([]),
+        '// Generated by wmi-nodejs from WMI class schemas. Do not edit.\n\nexport {};\n');
+});
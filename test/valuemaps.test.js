@@ -0,0 +1,105 @@
+const assert = require('assert');
+const { test, fixture } = require('./harness');
+const {
+    WmiClient, ValueMapRegistry, valueMapsFromSchema, parseMofClass, decodeRow, registerValueMap, vmStates, healthStates
+} = require('..');
+const { DRIVE_TYPES, NET_CONNECTION_STATUS, OPERATIONAL_STATUS } = require('../lib/valuemaps');
+
+const FAN = `
+    class Win32_Fan
+    {
+        [key] string DeviceID;
+        [ValueMap {"1", "2", "0x10", "4..10", ".."}, Values {"Other", "Unknown", "Hex", "Range", "Rest"}] uint16 SpeedMode;
+        [Values {"Off", "On", "Auto"}] uint16 Mode;
+        [ValueMap {"1", "01"}, Values {"First", "Second"}] uint16 Duplicate;
+        [Values {}] uint16 Empty;
+        string Name;
+    };`;
+
+test('ships the documented tables', () => {
+    assert.strictEqual(vmStates[2], 'Running');
+    assert.strictEqual(vmStates[3], 'Off');
+    assert.strictEqual(vmStates[32769], 'Saved');
+    assert.strictEqual(healthStates[5], 'OK');
+    assert.strictEqual(healthStates[25], 'Critical Failure');
+    assert.strictEqual(DRIVE_TYPES[3], 'Local Disk');
+    assert.strictEqual(NET_CONNECTION_STATUS[7], 'Media Disconnected');
+    assert.strictEqual(OPERATIONAL_STATUS[32768], 'Creating Snapshot');
+    assert.ok(Object.isFrozen(vmStates) && Object.isFrozen(DRIVE_TYPES));
+});
+
+test('decodes rows with the built-in maps', () => {
+    assert.deepStrictEqual(decodeRow('win32_logicaldisk', { DeviceID: 'C:', DriveType: 3, Availability: null }),
+        { DeviceID: 'C:', DriveType: 3, DriveTypeLabel: 'Local Disk', Availability: null, AvailabilityLabel: null });
+    assert.deepStrictEqual(decodeRow('CIM_ComputerSystem', { __CLASS: 'Msvm_ComputerSystem', EnabledState: '3', OperationalStatus: [2, 32768, 99] }), {
+        __CLASS: 'Msvm_ComputerSystem',
+        EnabledState: '3',
+        EnabledStateLabel: 'Off',
+        OperationalStatus: [2, 32768, 99],
+        OperationalStatusLabels: ['OK', 'Creating Snapshot', null]
+    });
+    const row = { Name: 'x' };
+    assert.strictEqual(decodeRow('Win32_Unmapped', row), row);
+});
+
+test('adds labels to query results with the decode option', () => {
+    const client = new WmiClient({ backend: 'fixture', fixtures: fixture('inventory') });
+    const disks = client.query('SELECT DeviceID, DriveType FROM Win32_LogicalDisk', { decode: true });
+    assert.deepStrictEqual(disks, [
+        { DeviceID: 'C:', DriveType: 3, DriveTypeLabel: 'Local Disk' },
+        { DeviceID: 'Z:', DriveType: 4, DriveTypeLabel: 'Network Drive' }
+    ]);
+    assert.deepStrictEqual(client.query('SELECT DeviceID, DriveType FROM Win32_LogicalDisk')[0], { DeviceID: 'C:', DriveType: 3 });
+    client.close();
+
+    const hyperv = new WmiClient({ backend: 'fixture', fixtures: fixture('hyperv'), namespace: 'root/virtualization/v2', decode: true });
+    return hyperv.queryAsync("SELECT ElementName, EnabledState, HealthState FROM Msvm_ComputerSystem WHERE ElementName = 'web01'")
+        .then(rows => {
+            assert.deepStrictEqual(rows, [{
+                ElementName: 'web01', EnabledState: 2, EnabledStateLabel: 'Running', HealthState: 5, HealthStateLabel: 'OK'
+            }]);
+            const plain = hyperv.query('SELECT EnabledState FROM Msvm_ComputerSystem', { decode: false });
+            assert.strictEqual(plain[0].EnabledStateLabel, undefined);
+            hyperv.close();
+        });
+});
+
+test('builds value maps from ValueMap and Values qualifiers', () => {
+    assert.deepStrictEqual(valueMapsFromSchema(parseMofClass(FAN)), {
+        SpeedMode: { 1: 'Other', 2: 'Unknown', 16: 'Hex' },
+        Mode: { 0: 'Off', 1: 'On', 2: 'Auto' },
+        Duplicate: { 1: 'First' }
+    });
+    assert.deepStrictEqual(valueMapsFromSchema({}), {});
+});
+
+test('loadValueMaps registers a class for one client only', () => {
+    const fixtures = {
+        namespaces: {
+            'root/cimv2': {
+                classes: { Win32_Fan: [{ DeviceID: 'FAN1', SpeedMode: 16, Mode: 2 }] },
+                schemas: { Win32_Fan: FAN }
+            }
+        }
+    };
+    const client = new WmiClient({ backend: 'fixture', fixtures });
+    const other = new WmiClient({ backend: 'fixture', fixtures });
+    assert.deepStrictEqual(client.loadValueMaps('win32_fan').Mode, { 0: 'Off', 1: 'On', 2: 'Auto' });
+    assert.deepStrictEqual(client.query('SELECT * FROM Win32_Fan', { decode: true }), [
+        { DeviceID: 'FAN1', SpeedMode: 16, SpeedModeLabel: 'Hex', Mode: 2, ModeLabel: 'Auto' }
+    ]);
+    assert.strictEqual(other.decodeRow('Win32_Fan', { Mode: 2 }).ModeLabel, undefined);
+    client.close();
+    other.close();
+});
+
+test('registries fall back to their parent', () => {
+    const parent = new ValueMapRegistry().register('Test_Class', 'State', { 1: 'One' });
+    const child = new ValueMapRegistry(parent).register('test_class', 'state', { 1: 'Uno' });
+    assert.deepStrictEqual(child.lookup('TEST_CLASS', 'STATE'), { 1: 'Uno' });
+    assert.strictEqual(new ValueMapRegistry(parent).decodeRow('Test_Class', { State: 1 }).StateLabel, 'One');
+    assert.throws(() => child.register('Test_Class', 'Other', null), TypeError);
+
+    registerValueMap('Test_Registered', 'Code', { 7: 'Seven' });
+    assert.strictEqual(decodeRow('Test_Registered', { Code: 7 }).CodeLabel, 'Seven');
+});
@@ -0,0 +1,42 @@
+const assert = require('assert');
+const { test } = require('./harness');
+const { parseWql, evaluateWql, WqlSyntaxError } = require('..');
+
+const SERVICES = [
+    { Name: 'Winmgmt', State: 'Running', Speed: 1 },
+    { Name: 'WindowsUpdate', State: 'Stopped', Speed: null },
+    { Name: 'SystemEvents', State: 'running', Speed: 5 }
+];
+
+test('parses selected properties, class and conditions', () => {
+    const ast = parseWql("SELECT Name, State FROM Win32_Service WHERE State = 'Running'");
+    assert.deepStrictEqual(ast.properties, ['Name', 'State']);
+    assert.strictEqual(ast.className, 'Win32_Service');
+    assert.ok(ast.where);
+});
+
+test('compares strings case-insensitively and honours precedence', () => {
+    const rows = evaluateWql("SELECT Name FROM x WHERE State = 'RUNNING' AND (Name LIKE 'Win%' OR Name LIKE '%Events')", SERVICES);
+    assert.deepStrictEqual(rows, [{ Name: 'Winmgmt' }, { Name: 'SystemEvents' }]);
+});
+
+test('supports NULL tests, NOT, LIKE character sets and numbers', () => {
+    assert.deepStrictEqual(evaluateWql('SELECT Name FROM x WHERE Speed IS NULL', SERVICES), [{ Name: 'WindowsUpdate' }]);
+    assert.deepStrictEqual(evaluateWql("SELECT Name FROM x WHERE NOT Name LIKE '[sw]%'", SERVICES), []);
+    assert.deepStrictEqual(evaluateWql('SELECT Name FROM x WHERE Speed >= 5', SERVICES), [{ Name: 'SystemEvents' }]);
+});
+
+test('evaluates ISA and embedded object properties of events', () => {
+    const events = [
+        { TargetInstance: { __CLASS: 'Win32_Process', Name: 'a.exe', ProcessId: 4 } },
+        { TargetInstance: { __CLASS: 'Win32_Service', Name: 'svc' } }
+    ];
+    const rows = evaluateWql("SELECT TargetInstance.Name FROM e WHERE TargetInstance ISA 'Win32_Process' AND TargetInstance.ProcessId >= 4", events);
+    assert.strictEqual(rows.length, 1);
+});
+
+test('rejects malformed queries with a WqlSyntaxError', () => {
+    ['SELECT', 'SELECT * FROM', "SELECT * FROM x WHERE a = 'b", 'SELECT a b FROM x', 'INVALID SQL SYNTAX'].forEach(wql => {
+        assert.throws(() => parseWql(wql), WqlSyntaxError, wql);
+    });
+});